@@ -0,0 +1,234 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { LiteratureReviewModule } from "./LiteratureReviewModule.sol";
+
+/**
+ * @title LiteratureReviewAssignment
+ * @notice Reviewer assignment and conflicts of interest of a LiteratureReviewSystem
+ * @dev Run through delegatecall on the program's storage
+ */
+contract LiteratureReviewAssignment is LiteratureReviewModule {
+
+    constructor(address _nextModule) LiteratureReviewModule(_nextModule) {}
+
+    // ============================================================
+    //                    REVIEWER ASSIGNMENT
+    // ============================================================
+
+    /**
+     * @notice Configure how many reviewers each work gets and how many works each reviewer takes
+     * @param _reviewersPerWork Target number of reviewers per work
+     * @param _reviewerQuota Maximum number of works assigned to one reviewer per period
+     * @dev Applies to periods whose reviewers have not been assigned yet
+     */
+    function setAssignmentConfig(uint32 _reviewersPerWork, uint32 _reviewerQuota) external onlyRole(CHAIR_ROLE) {
+        require(_reviewersPerWork > 0, "Reviewers per work must be positive");
+        require(_reviewerQuota > 0, "Reviewer quota must be positive");
+
+        reviewersPerWork = _reviewersPerWork;
+        reviewerQuota = _reviewerQuota;
+
+        emit AssignmentConfigUpdated(_reviewersPerWork, _reviewerQuota);
+    }
+
+    /**
+     * @notice Assign active reviewers to every work of the current review period
+     * @param _period Period to assign (must be the current review period)
+     * @dev Finishes any batch in progress; periods too large for one block use
+     *      assignReviewersBatch instead.
+     */
+    function assignReviewers(uint32 _period) external onlyRole(CHAIR_ROLE) whenNotPaused {
+        _assignReviewersBatch(_period, type(uint32).max);
+    }
+
+    /**
+     * @notice Assign active reviewers to the next `_maxWorks` works of the current review period
+     * @param _period Period to assign (must be the current review period)
+     * @param _maxWorks Maximum number of works to assign in this call
+     * @return done True once every work of the period has been assigned
+     * @dev Resumes from assignmentCursor. reviewersAssigned is only set by the final batch.
+     *      Reviewers whose expertise mentions the work's genre are preferred; the least-loaded
+     *      candidate is picked first, and other reviewers fill any remaining slots. Conflicted
+     *      reviewers are skipped and nobody exceeds reviewerQuota.
+     */
+    function assignReviewersBatch(
+        uint32 _period,
+        uint32 _maxWorks
+    ) external onlyRole(CHAIR_ROLE) whenNotPaused returns (bool done) {
+        return _assignReviewersBatch(_period, _maxWorks);
+    }
+
+    function _assignReviewersBatch(uint32 _period, uint32 _maxWorks) private returns (bool) {
+        require(_period > 0 && _period == currentReviewPeriod, "Not the current review period");
+        require(!reviewersAssigned[_period], "Reviewers already assigned");
+        require(_maxWorks > 0, "Invalid batch size");
+
+        address[] storage candidates = reviewersByStatus[ReviewerStatus.Active];
+        uint32 workCount = workCountPerPeriod[_period];
+        uint32 end = _batchEnd(assignmentCursor[_period], workCount, _maxWorks);
+
+        for (uint32 workId = assignmentCursor[_period] + 1; workId <= end; workId++) {
+            LiteraryWork storage work = submissions[_period][workId];
+            bool[] memory isExpert = new bool[](candidates.length);
+            for (uint256 i = 0; i < candidates.length; i++) {
+                isExpert[i] = _containsIgnoreCase(reviewers[candidates[i]].expertise, work.genre);
+            }
+
+            uint32 assigned = 0;
+            for (uint256 pass = 0; pass < 2 && assigned < reviewersPerWork; pass++) {
+                // First pass only considers experts, second pass anyone left
+                while (assigned < reviewersPerWork) {
+                    (bool found, uint256 index) =
+                        _leastLoadedCandidate(_period, workId, candidates, isExpert, pass == 0);
+                    if (!found) break;
+
+                    _assignReviewer(_period, workId, candidates[index]);
+                    assigned++;
+                }
+            }
+        }
+
+        assignmentCursor[_period] = end;
+        emit AssignmentBatchProcessed(_period, end, workCount);
+        if (end < workCount) {
+            return false;
+        }
+
+        reviewersAssigned[_period] = true;
+        return true;
+    }
+
+    function _leastLoadedCandidate(
+        uint32 _period,
+        uint32 _workId,
+        address[] storage _candidates,
+        bool[] memory _isExpert,
+        bool _expertsOnly
+    ) private view returns (bool found, uint256 index) {
+        uint256 bestLoad = reviewerQuota;
+
+        for (uint256 i = 0; i < _candidates.length; i++) {
+            address candidate = _candidates[i];
+            if (_expertsOnly && !_isExpert[i]) continue;
+            if (isAssigned[_period][_workId][candidate] || _hasConflict(_period, _workId, candidate)) continue;
+
+            uint256 load = reviewerAssignments[_period][candidate].length;
+            if (load < bestLoad) {
+                bestLoad = load;
+                index = i;
+                found = true;
+            }
+        }
+    }
+
+    function _assignReviewer(uint32 _period, uint32 _workId, address _reviewer) private {
+        isAssigned[_period][_workId][_reviewer] = true;
+        workAssignees[_period][_workId].push(_reviewer);
+        reviewerAssignments[_period][_reviewer].push(_workId);
+
+        emit ReviewerAssigned(_period, _workId, _reviewer);
+    }
+
+    /**
+     * @notice Case-insensitive ASCII substring match
+     */
+    function _containsIgnoreCase(string memory _haystack, string memory _needle) private pure returns (bool) {
+        bytes memory haystack = bytes(_haystack);
+        bytes memory needle = bytes(_needle);
+        if (needle.length == 0 || needle.length > haystack.length) return false;
+
+        for (uint256 i = 0; i <= haystack.length - needle.length; i++) {
+            uint256 j = 0;
+            while (j < needle.length && _toLower(haystack[i + j]) == _toLower(needle[j])) {
+                j++;
+            }
+            if (j == needle.length) return true;
+        }
+        return false;
+    }
+
+    function _toLower(bytes1 _char) private pure returns (bytes1) {
+        if (_char >= 0x41 && _char <= 0x5A) {
+            return bytes1(uint8(_char) + 32);
+        }
+        return _char;
+    }
+
+    // ============================================================
+    //                   CONFLICTS OF INTEREST
+    // ============================================================
+
+    /**
+     * @notice Declare an address the caller is affiliated with (co-author, employer, relative...)
+     * @param _affiliate Affiliated address whose works the caller must not review
+     * @dev Declarations are permanent so they cannot be lifted just long enough to review
+     */
+    function declareAffiliation(address _affiliate) external validAddress(_affiliate) {
+        require(bytes(reviewers[msg.sender].name).length > 0, "Reviewer not registered");
+        require(_affiliate != msg.sender, "Cannot declare self");
+        require(!isAffiliated[msg.sender][_affiliate], "Affiliation already declared");
+
+        isAffiliated[msg.sender][_affiliate] = true;
+        reviewerAffiliations[msg.sender].push(_affiliate);
+
+        emit AffiliationDeclared(msg.sender, _affiliate);
+    }
+
+    /**
+     * @notice Step down from an assigned review in the current review period
+     * @param _workId Work ID
+     * @param _reason Reason shown to the chair
+     * @dev Frees the slot so the chair can reassign it with reassignReviewer
+     */
+    function recuseFromReview(uint32 _workId, string memory _reason) external validString(_reason) {
+        uint32 period = currentReviewPeriod;
+        require(isAssigned[period][_workId][msg.sender], "Not assigned to this work");
+        require(!reviews[period][_workId][msg.sender].submitted, "Already reviewed");
+
+        _removeAssignment(period, _workId, msg.sender);
+        hasRecused[period][_workId][msg.sender] = true;
+
+        emit ReviewerRecused(period, _workId, msg.sender, _reason);
+        emit AuditLog("REVIEWER_RECUSED", msg.sender, block.timestamp, _reason);
+    }
+
+    /**
+     * @notice Assign an extra reviewer to a work, typically to replace a recused one
+     * @param _workId Work ID in the current review period
+     * @param _reviewer Active reviewer to assign
+     */
+    function reassignReviewer(uint32 _workId, address _reviewer) external onlyRole(CHAIR_ROLE) whenNotPaused {
+        uint32 period = currentReviewPeriod;
+        require(submissions[period][_workId].submitted, "Work not found");
+        require(authorizedReviewers[_reviewer], "Reviewer not active");
+        require(!isAssigned[period][_workId][_reviewer], "Already assigned");
+        require(!hasRecused[period][_workId][_reviewer], "Reviewer recused");
+        require(!_hasConflict(period, _workId, _reviewer), "Conflict of interest");
+        require(reviewerAssignments[period][_reviewer].length < reviewerQuota, "Reviewer quota reached");
+
+        _assignReviewer(period, _workId, _reviewer);
+    }
+
+    function _removeAssignment(uint32 _period, uint32 _workId, address _reviewer) private {
+        isAssigned[_period][_workId][_reviewer] = false;
+
+        address[] storage assignees = workAssignees[_period][_workId];
+        for (uint256 i = 0; i < assignees.length; i++) {
+            if (assignees[i] == _reviewer) {
+                assignees[i] = assignees[assignees.length - 1];
+                assignees.pop();
+                break;
+            }
+        }
+
+        uint32[] storage assigned = reviewerAssignments[_period][_reviewer];
+        for (uint256 i = 0; i < assigned.length; i++) {
+            if (assigned[i] == _workId) {
+                assigned[i] = assigned[assigned.length - 1];
+                assigned.pop();
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { LiteratureReviewSystem } from "./LiteratureReviewSystem.sol";
+
+/**
+ * @title LiteratureReviewFactory
+ * @notice Deploys and indexes independent LiteratureReviewSystem award programs
+ * @dev Each competition is a separate contract with its own owner, fees, categories,
+ *      periods and funds. The factory keeps no privileges over the programs it creates.
+ *
+ *      Competitions are EIP-1167 clones of a template program the factory deploys once in its
+ *      constructor. Only the factory's creation code embeds LiteratureReviewSystem; its runtime
+ *      code holds just the clone logic and stays within EIP-170.
+ */
+contract LiteratureReviewFactory {
+
+    // ============================================================
+    //                          STRUCTS
+    // ============================================================
+
+    struct Competition {
+        address system;
+        string name;
+        address owner;
+        address creator;
+        uint256 createdAt;
+    }
+
+    // ============================================================
+    //                           STATE
+    // ============================================================
+
+    // Template program every competition is a clone of. It is owned by the factory and never used.
+    address public immutable IMPLEMENTATION;
+
+    Competition[] internal competitions;
+    mapping(address => uint256[]) internal competitionsByOwner;
+    mapping(address => bool) public isCompetition;
+
+    // ============================================================
+    //                          EVENTS
+    // ============================================================
+
+    event CompetitionCreated(
+        uint256 indexed competitionId,
+        address indexed system,
+        address indexed owner,
+        string name
+    );
+
+    // ============================================================
+    //                       CONSTRUCTOR
+    // ============================================================
+
+    /**
+     * @param _modules Deployed LiteratureReviewRegistry that starts the module chain
+     */
+    constructor(address _modules) {
+        string[] memory categories = new string[](1);
+        categories[0] = "Template";
+        IMPLEMENTATION = address(new LiteratureReviewSystem(address(this), 0, 0, categories, _modules));
+    }
+
+    // ============================================================
+    //                      COMPETITION SETUP
+    // ============================================================
+
+    /**
+     * @notice Deploy a new award program as a clone of the template
+     * @param _name Display name of the competition
+     * @param _owner Administrator of the new program
+     * @param _submissionFee Deposit required with each submission
+     * @param _reviewStake Stake required to register and with each review
+     * @param _categories Initial award categories
+     * @return competitionId Index of the competition in this factory
+     * @return system Address of the deployed LiteratureReviewSystem
+     */
+    function createCompetition(
+        string calldata _name,
+        address _owner,
+        uint256 _submissionFee,
+        uint256 _reviewStake,
+        string[] calldata _categories
+    ) external returns (uint256 competitionId, address system) {
+        require(bytes(_name).length > 0 && bytes(_name).length <= 256, "Invalid name");
+
+        system = _clone(IMPLEMENTATION);
+        LiteratureReviewSystem(payable(system)).initialize(_owner, _submissionFee, _reviewStake, _categories);
+        competitionId = competitions.length;
+
+        competitions.push(Competition({
+            system: system,
+            name: _name,
+            owner: _owner,
+            creator: msg.sender,
+            createdAt: block.timestamp
+        }));
+        competitionsByOwner[_owner].push(competitionId);
+        isCompetition[system] = true;
+
+        emit CompetitionCreated(competitionId, system, _owner, _name);
+    }
+
+    /**
+     * @dev Deploy an EIP-1167 minimal proxy delegating every call to `_implementation`
+     */
+    function _clone(address _implementation) private returns (address instance) {
+        assembly {
+            // Runtime code 363d3d373d3d3d363d73<implementation>5af43d82803e903d91602b57fd5bf3
+            // behind its 10 byte creation code, written right-aligned across two words
+            mstore(0x00, or(shr(0xe8, shl(0x60, _implementation)), 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000))
+            mstore(0x20, or(shl(0x78, _implementation), 0x5af43d82803e903d91602b57fd5bf3))
+            instance := create(0, 0x09, 0x37)
+        }
+        require(instance != address(0), "Clone failed");
+    }
+
+    // ============================================================
+    //                       VIEW FUNCTIONS
+    // ============================================================
+
+    function getCompetitionCount() external view returns (uint256) {
+        return competitions.length;
+    }
+
+    /**
+     * @notice Get a competition by index
+     * @dev `owner` is the administrator at creation; ownership may since have been transferred
+     */
+    function getCompetition(uint256 _competitionId) external view returns (Competition memory) {
+        require(_competitionId < competitions.length, "Competition not found");
+        return competitions[_competitionId];
+    }
+
+    /**
+     * @notice Page through competitions in creation order
+     * @param _offset Index of the first competition to return
+     * @param _limit Maximum number of competitions to return
+     */
+    function getCompetitions(uint256 _offset, uint256 _limit) external view returns (Competition[] memory page) {
+        if (_offset >= competitions.length) {
+            return new Competition[](0);
+        }
+
+        uint256 end = _offset + _limit;
+        if (end > competitions.length) {
+            end = competitions.length;
+        }
+
+        page = new Competition[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = competitions[i];
+        }
+    }
+
+    /**
+     * @notice IDs of the competitions created with a given initial owner
+     */
+    function getCompetitionsByOwner(address _owner) external view returns (uint256[] memory) {
+        return competitionsByOwner[_owner];
+    }
+}
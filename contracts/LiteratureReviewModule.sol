@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { LiteratureReviewStorage } from "./LiteratureReviewStorage.sol";
+
+/**
+ * @title LiteratureReviewModule
+ * @notice One link of the chain of contracts that together implement a LiteratureReviewSystem
+ * @dev Calls for which a link has no function fall through its fallback to the next link by
+ *      delegatecall, so every module runs on the storage of the program that was called.
+ *      Each module is stateless on its own and can be shared by any number of programs.
+ */
+abstract contract LiteratureReviewModule is LiteratureReviewStorage {
+
+    // Next link of the chain, zero for the last one
+    address internal immutable NEXT_MODULE;
+
+    constructor(address _nextModule) {
+        NEXT_MODULE = _nextModule;
+    }
+
+    /**
+     * @notice Forward calls this link does not implement to the next one
+     * @dev Return data and revert reasons are passed through unchanged
+     */
+    fallback() external payable {
+        address target = NEXT_MODULE;
+        require(target != address(0), "Unknown function");
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+     * @notice Receive function for receiving ETH
+     */
+    receive() external payable {
+        platformFees += msg.value;
+    }
+}
@@ -0,0 +1,375 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { LiteratureReviewModule } from "./LiteratureReviewModule.sol";
+
+/**
+ * @title LiteratureReviewRegistry
+ * @notice Periods, reviewers, categories, roles and emergency controls of a LiteratureReviewSystem
+ * @dev First module of the chain, run through delegatecall on the program's storage
+ */
+contract LiteratureReviewRegistry is LiteratureReviewModule {
+
+    constructor(address _nextModule) LiteratureReviewModule(_nextModule) {}
+
+    // ============================================================
+    //                     PERIOD MANAGEMENT
+    // ============================================================
+
+    /**
+     * @notice Schedule the milestones of a period
+     * @param _period Period to schedule
+     * @param _submissionOpen Time submissions open
+     * @param _submissionClose Time submissions close and the review phase opens
+     * @param _reviewClose Time the review phase closes and results can be calculated
+     * @param _announcement Earliest time awards can be announced
+     * @dev Can be rescheduled until the period's review phase has started; submission windows may not overlap
+     */
+    function setPeriodSchedule(
+        uint32 _period,
+        uint256 _submissionOpen,
+        uint256 _submissionClose,
+        uint256 _reviewClose,
+        uint256 _announcement
+    ) external onlyRole(CHAIR_ROLE) {
+        require(_period > currentReviewPeriod, "Review already started");
+        require(
+            _submissionOpen < _submissionClose && _submissionClose < _reviewClose && _reviewClose <= _announcement,
+            "Invalid schedule"
+        );
+        require(_submissionClose > block.timestamp, "Submission close in the past");
+
+        PeriodSchedule storage previous = periodSchedules[_period - 1];
+        require(_period == 1 || _submissionOpen >= previous.submissionClose, "Overlaps previous period");
+        PeriodSchedule storage next = periodSchedules[_period + 1];
+        require(next.submissionOpen == 0 || _submissionClose <= next.submissionOpen, "Overlaps next period");
+
+        periodSchedules[_period] = PeriodSchedule({
+            submissionOpen: _submissionOpen,
+            submissionClose: _submissionClose,
+            reviewClose: _reviewClose,
+            announcement: _announcement
+        });
+
+        emit PeriodScheduled(_period, _submissionOpen, _submissionClose, _reviewClose, _announcement);
+    }
+
+    /**
+     * @notice Enable or disable double-blind submissions for a period
+     * @param _period Period to configure
+     * @param _enabled Whether works must be submitted through submitWorkBlind
+     * @dev Locked once the period has a submission, so all works of a period use the same mode
+     */
+    function setDoubleBlind(uint32 _period, bool _enabled) external onlyRole(CHAIR_ROLE) {
+        require(workCountPerPeriod[_period] == 0, "Period has submissions");
+
+        doubleBlind[_period] = _enabled;
+
+        emit DoubleBlindUpdated(_period, _enabled);
+    }
+
+    /**
+     * @notice Get the schedule of a period
+     * @dev All values are zero for periods that have not been scheduled
+     */
+    function getPeriodSchedule(uint32 _period) external view returns (
+        uint256 submissionOpen,
+        uint256 submissionClose,
+        uint256 reviewClose,
+        uint256 announcement
+    ) {
+        PeriodSchedule storage schedule = periodSchedules[_period];
+        return (schedule.submissionOpen, schedule.submissionClose, schedule.reviewClose, schedule.announcement);
+    }
+
+    /**
+     * @notice Check if the current submission period is within its scheduled submission window
+     * @return bool True if submission period is active
+     */
+    function isSubmissionPeriodActive() public view returns (bool) {
+        return _isSubmissionWindowOpen(currentSubmissionPeriod);
+    }
+
+    /**
+     * @notice Check if the current review period is within its scheduled review window
+     * @return bool True if review period is active
+     */
+    function isReviewPeriodActive() public view returns (bool) {
+        return _isReviewWindowOpen(currentReviewPeriod);
+    }
+
+    /**
+     * @notice Start the next submission period
+     * @dev Only the chair can call, once the next period's submission window has opened
+     */
+    function startSubmissionPeriod() external onlyRole(CHAIR_ROLE) whenNotPaused {
+        uint32 nextPeriod = currentSubmissionPeriod + 1;
+        require(periodSchedules[nextPeriod].submissionOpen != 0, "Period not scheduled");
+        require(_isSubmissionWindowOpen(nextPeriod), "Submission window not open");
+
+        currentSubmissionPeriod = nextPeriod;
+        workCountPerPeriod[currentSubmissionPeriod] = 0;
+
+        emit SubmissionPeriodStarted(currentSubmissionPeriod, block.timestamp);
+    }
+
+    /**
+     * @notice Start the review phase of the next period awaiting review
+     * @dev Only the chair can call, once that period's submission window has closed
+     */
+    function startReviewPeriod() external onlyRole(CHAIR_ROLE) whenNotPaused {
+        require(currentReviewPeriod < currentSubmissionPeriod, "Review period already current");
+        uint32 nextPeriod = currentReviewPeriod + 1;
+        require(periodSchedules[nextPeriod].submissionOpen != 0, "Period not scheduled");
+        require(_isReviewWindowOpen(nextPeriod), "Review window not open");
+
+        currentReviewPeriod = nextPeriod;
+
+        emit ReviewPeriodStarted(currentReviewPeriod, block.timestamp);
+    }
+
+    // ============================================================
+    //                    REVIEWER MANAGEMENT
+    // ============================================================
+
+    /**
+     * @notice Register as reviewer with stake
+     * @param _name Reviewer's name
+     * @param _expertise Area of expertise
+     * @dev Requires REVIEW_STAKE to be sent with transaction
+     */
+    function registerReviewer(
+        string memory _name,
+        string memory _expertise
+    ) external payable whenNotPaused validString(_name) validString(_expertise) {
+        require(msg.value >= REVIEW_STAKE, "Insufficient stake");
+        require(bytes(reviewers[msg.sender].name).length == 0, "Already registered");
+
+        reviewers[msg.sender] = ReviewerProfile({
+            name: _name,
+            expertise: _expertise,
+            isActive: false,
+            reviewCount: 0,
+            averageScore: FHE.asEuint32(0),
+            stakedAmount: msg.value,
+            registrationTime: block.timestamp
+        });
+        registeredReviewers.push(msg.sender);
+        _setReviewerStatus(msg.sender, ReviewerStatus.Pending);
+
+        emit ReviewerRegistered(msg.sender, _name, msg.value);
+    }
+
+    /**
+     * @notice Approve reviewer (chair only)
+     * @param _reviewer Address of reviewer to approve
+     * @dev Emits audit event for approval history
+     */
+    function approveReviewer(address _reviewer) external onlyRole(CHAIR_ROLE) validAddress(_reviewer) {
+        _approveReviewer(_reviewer);
+    }
+
+    /**
+     * @notice Approve several reviewers in one transaction (chair only)
+     * @param _reviewers Addresses of reviewers to approve
+     * @dev Reverts as a whole if any address would fail approveReviewer
+     */
+    function approveReviewers(address[] calldata _reviewers) external onlyRole(CHAIR_ROLE) {
+        for (uint256 i = 0; i < _reviewers.length; i++) {
+            require(_reviewers[i] != address(0), "Invalid zero address");
+            _approveReviewer(_reviewers[i]);
+        }
+    }
+
+    /**
+     * @notice Revoke reviewer authorization
+     * @param _reviewer Address of reviewer to revoke
+     * @dev Emits audit event for revocation history
+     */
+    function revokeReviewer(address _reviewer) external onlyRole(CHAIR_ROLE) validAddress(_reviewer) {
+        require(bytes(reviewers[_reviewer].name).length > 0, "Reviewer not registered");
+
+        reviewers[_reviewer].isActive = false;
+        authorizedReviewers[_reviewer] = false;
+        _setReviewerStatus(_reviewer, ReviewerStatus.Revoked);
+
+        emit ReviewerRevoked(_reviewer);
+        emit AuditLog("REVIEWER_REVOKED", _reviewer, block.timestamp, reviewers[_reviewer].name);
+    }
+
+    function _approveReviewer(address _reviewer) private {
+        require(bytes(reviewers[_reviewer].name).length > 0, "Reviewer not registered");
+
+        reviewers[_reviewer].isActive = true;
+        authorizedReviewers[_reviewer] = true;
+        _setReviewerStatus(_reviewer, ReviewerStatus.Active);
+
+        emit ReviewerApproved(_reviewer);
+        emit AuditLog("REVIEWER_APPROVED", _reviewer, block.timestamp, reviewers[_reviewer].name);
+    }
+
+    /**
+     * @notice Move a reviewer into the list for their new status
+     * @dev Removal swaps the last entry into the vacated slot, so per-status order is not stable
+     */
+    function _setReviewerStatus(address _reviewer, ReviewerStatus _status) private {
+        ReviewerStatus previous = reviewerStatus[_reviewer];
+        if (previous == _status) return;
+
+        if (previous != ReviewerStatus.None) {
+            address[] storage previousList = reviewersByStatus[previous];
+            uint256 index = reviewerStatusIndex[_reviewer];
+            address last = previousList[previousList.length - 1];
+            previousList[index] = last;
+            reviewerStatusIndex[last] = index;
+            previousList.pop();
+        }
+
+        reviewerStatusIndex[_reviewer] = reviewersByStatus[_status].length;
+        reviewersByStatus[_status].push(_reviewer);
+        reviewerStatus[_reviewer] = _status;
+    }
+
+    // ============================================================
+    //                    CATEGORY MANAGEMENT
+    // ============================================================
+
+    /**
+     * @notice Add an award category that works can be submitted to
+     * @param _name Category name (case-sensitive, must be unique)
+     * @return categoryId ID of the new category
+     */
+    function addCategory(string memory _name) external onlyRole(CHAIR_ROLE) validString(_name) returns (uint32) {
+        return _addCategory(_name);
+    }
+
+    /**
+     * @notice Rename a category
+     * @param _categoryId Category ID
+     * @param _newName New category name
+     * @dev Existing submissions stay linked by ID; awards calculated afterwards use the new name
+     */
+    function renameCategory(
+        uint32 _categoryId,
+        string memory _newName
+    ) external onlyRole(CHAIR_ROLE) validCategory(_categoryId) validString(_newName) {
+        bytes32 newKey = keccak256(bytes(_newName));
+        require(categoryIdByName[newKey] == 0, "Category already exists");
+
+        AwardCategory storage category = awardCategories[_categoryId];
+        string memory oldName = category.name;
+
+        delete categoryIdByName[keccak256(bytes(oldName))];
+        categoryIdByName[newKey] = _categoryId + 1;
+        category.name = _newName;
+
+        emit CategoryRenamed(_categoryId, oldName, _newName);
+    }
+
+    /**
+     * @notice Retire a category so it no longer accepts submissions
+     * @param _categoryId Category ID
+     * @dev Works already submitted to the category still compete in their period
+     */
+    function retireCategory(uint32 _categoryId) external onlyRole(CHAIR_ROLE) validCategory(_categoryId) {
+        AwardCategory storage category = awardCategories[_categoryId];
+        require(category.active, "Category already retired");
+
+        category.active = false;
+
+        emit CategoryRetired(_categoryId, category.name);
+    }
+
+    // ============================================================
+    //                    ADMIN FUNCTIONS
+    // ============================================================
+
+    /**
+     * @notice Pause contract in emergency
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        paused = true;
+        emit ContractPaused(msg.sender);
+    }
+
+    /**
+     * @notice Unpause contract
+     */
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        paused = false;
+        emit ContractUnpaused(msg.sender);
+    }
+
+    /**
+     * @notice Withdraw platform fees
+     * @param to Address to receive fees
+     */
+    function withdrawPlatformFees(address to) external onlyRole(TREASURER_ROLE) validAddress(to) noReentrant {
+        require(platformFees > 0, "No fees to withdraw");
+        uint256 amount = platformFees;
+        platformFees = 0;
+
+        (bool sent, ) = payable(to).call{value: amount}("");
+        require(sent, "Withdraw failed");
+    }
+
+    // ============================================================
+    //                ROLES AND OWNERSHIP
+    // ============================================================
+
+    /**
+     * @notice Grant a role to an account (owner only)
+     * @param role CHAIR_ROLE, TREASURER_ROLE or GUARDIAN_ROLE
+     * @param account Address receiving the role
+     */
+    function grantRole(bytes32 role, address account) external onlyOwner validRole(role) validAddress(account) {
+        require(!roleMembers[role][account], "Role already granted");
+        _grantRole(role, account);
+    }
+
+    /**
+     * @notice Revoke a role from an account (owner only)
+     * @dev The owner may revoke its own roles to leave day-to-day duties to others
+     */
+    function revokeRole(bytes32 role, address account) external onlyOwner validRole(role) {
+        require(roleMembers[role][account], "Role not granted");
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @notice Give up a role held by the caller
+     */
+    function renounceRole(bytes32 role) external validRole(role) {
+        require(roleMembers[role][msg.sender], "Role not granted");
+        _revokeRole(role, msg.sender);
+    }
+
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return roleMembers[role][account];
+    }
+
+    /**
+     * @notice Start transferring ownership; the new owner must call acceptOwnership
+     * @param newOwner New owner address
+     * @dev Calling again replaces the pending owner. Roles are not transferred: the new
+     *      owner grants itself the roles it needs and revokes those of the previous owner.
+     */
+    function transferOwnership(address newOwner) external onlyOwner validAddress(newOwner) {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /**
+     * @notice Complete an ownership transfer started by the current owner
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        address previousOwner = owner;
+        owner = pendingOwner;
+        pendingOwner = address(0);
+
+        emit OwnershipTransferred(previousOwner, owner);
+        emit AuditLog("OWNERSHIP_TRANSFERRED", owner, block.timestamp, "");
+    }
+}
@@ -0,0 +1,626 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { LiteratureReviewModule } from "./LiteratureReviewModule.sol";
+
+/**
+ * @title LiteratureReviewResults
+ * @notice Scoring, Gateway decryption, award calculation and refunds of a LiteratureReviewSystem
+ * @dev Run through delegatecall on the program's storage, so Gateway callbacks addressed to the
+ *      program land here as well
+ */
+contract LiteratureReviewResults is LiteratureReviewModule {
+
+    constructor(address _nextModule) LiteratureReviewModule(_nextModule) {}
+
+    // ============================================================
+    //                   SCORING CONFIGURATION
+    // ============================================================
+
+    /**
+     * @notice Set the criterion weights used to average a period's reviews
+     * @param _period Period to configure
+     * @param _quality Weight of the quality score
+     * @param _originality Weight of the originality score
+     * @param _impact Weight of the impact score
+     * @dev Weights are locked once the period's review phase has started
+     */
+    function setCriterionWeights(
+        uint32 _period,
+        uint32 _quality,
+        uint32 _originality,
+        uint32 _impact
+    ) external onlyRole(CHAIR_ROLE) {
+        require(_period > currentReviewPeriod, "Review already started");
+        require(
+            _quality <= MAX_CRITERION_WEIGHT && _originality <= MAX_CRITERION_WEIGHT && _impact <= MAX_CRITERION_WEIGHT,
+            "Weight exceeds maximum"
+        );
+        require(_quality + _originality + _impact > 0, "Weights cannot all be zero");
+
+        criterionWeights[_period] = CriterionWeights({
+            quality: _quality,
+            originality: _originality,
+            impact: _impact
+        });
+
+        emit CriterionWeightsUpdated(_period, _quality, _originality, _impact);
+    }
+
+    /**
+     * @notice Get the criterion weights of a period
+     * @dev Periods without configured weights use DEFAULT_CRITERION_WEIGHT for every criterion
+     */
+    function getCriterionWeights(uint32 _period) public view returns (
+        uint32 quality,
+        uint32 originality,
+        uint32 impact
+    ) {
+        CriterionWeights storage weights = criterionWeights[_period];
+        if (weights.quality + weights.originality + weights.impact == 0) {
+            return (DEFAULT_CRITERION_WEIGHT, DEFAULT_CRITERION_WEIGHT, DEFAULT_CRITERION_WEIGHT);
+        }
+        return (weights.quality, weights.originality, weights.impact);
+    }
+
+    /**
+     * @notice Set the minimum number of reviews a work needs to be scored in a period
+     * @param _period Period to configure
+     * @param _quorum Minimum review count
+     * @dev Locked once the period's review phase has started
+     */
+    function setReviewQuorum(uint32 _period, uint32 _quorum) external onlyRole(CHAIR_ROLE) {
+        require(_period > currentReviewPeriod, "Review already started");
+        require(_quorum > 0, "Quorum must be positive");
+
+        reviewQuorum[_period] = _quorum;
+
+        emit ReviewQuorumUpdated(_period, _quorum);
+    }
+
+    /**
+     * @notice Get the review quorum of a period
+     * @dev Periods without a configured quorum use DEFAULT_REVIEW_QUORUM
+     */
+    function getReviewQuorum(uint32 _period) public view returns (uint32) {
+        uint32 quorum = reviewQuorum[_period];
+        return quorum == 0 ? DEFAULT_REVIEW_QUORUM : quorum;
+    }
+
+    function _meetsQuorum(uint32 _period, uint32 _workId) private view returns (bool) {
+        return workReviewers[_period][_workId].length >= getReviewQuorum(_period);
+    }
+
+    // ============================================================
+    //                    GATEWAY CALLBACK PATTERN
+    // ============================================================
+
+    /**
+     * @notice Request decryption of work scores via Gateway
+     * @param _period Review period
+     * @param _workId Work ID to decrypt
+     * @dev Initiates async decryption request. Like the batch path, waits for the review window to
+     *      close so no review can arrive after the score is decrypted.
+     */
+    function requestScoreDecryption(uint32 _period, uint32 _workId) external onlyRole(CHAIR_ROLE) whenNotPaused {
+        require(block.timestamp >= periodSchedules[_period].reviewClose, "Review period not closed");
+        require(submissions[_period][_workId].submitted, "Work not found");
+        require(!_hasDecryptionRequest(_period, _workId), "Decryption already requested");
+        require(_meetsQuorum(_period, _workId), "Review quorum not met");
+
+        _requestScoreDecryption(_period, _workId);
+    }
+
+    /**
+     * @notice Request score decryption for the next `_maxWorks` works of a closed review period
+     * @param _period Review period
+     * @param _maxWorks Maximum number of works to visit in this call
+     * @return done True once every work of the period has been visited
+     * @dev Resumes from decryptionCursor. Works that are below quorum or already requested are
+     *      skipped, so the review window must be closed for the quorum check to be final.
+     */
+    function requestScoreDecryptionBatch(
+        uint32 _period,
+        uint32 _maxWorks
+    ) external onlyRole(CHAIR_ROLE) whenNotPaused returns (bool done) {
+        require(_period <= currentReviewPeriod, "Period not ready for calculation");
+        require(block.timestamp >= periodSchedules[_period].reviewClose, "Review period not closed");
+        require(_maxWorks > 0, "Invalid batch size");
+
+        uint32 workCount = workCountPerPeriod[_period];
+        uint32 end = _batchEnd(decryptionCursor[_period], workCount, _maxWorks);
+
+        for (uint32 workId = decryptionCursor[_period] + 1; workId <= end; workId++) {
+            if (
+                submissions[_period][workId].submitted &&
+                !_hasDecryptionRequest(_period, workId) &&
+                _meetsQuorum(_period, workId)
+            ) {
+                _requestScoreDecryption(_period, workId);
+            }
+        }
+
+        decryptionCursor[_period] = end;
+        emit DecryptionBatchProcessed(_period, end, workCount);
+        return end == workCount;
+    }
+
+    /**
+     * @notice Gateway callback for score decryption
+     * @param requestId Request ID from Gateway
+     * @param cleartexts Decrypted values
+     * @param decryptionProof Proof of correct decryption
+     * @dev Called by Gateway relayer after decryption
+     */
+    function scoreDecryptionCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        // Verify the decryption proof
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        DecryptionRequest storage request = decryptionRequests[requestId];
+        require(!request.completed, "Already processed");
+
+        // Decode the decrypted score
+        uint64 decryptedScore = abi.decode(cleartexts, (uint64));
+
+        request.completed = true;
+        request.decryptedScore = decryptedScore;
+
+        // Update work with decrypted score
+        LiteraryWork storage work = submissions[request.period][request.workId];
+        work.reviewed = true;
+
+        emit DecryptionCompleted(request.period, request.workId, decryptedScore);
+    }
+
+    /**
+     * @notice Mark decryption as failed (for timeout handling)
+     * @param _period Period of the work
+     * @param _workId Work ID
+     */
+    function markDecryptionFailed(uint32 _period, uint32 _workId) external onlyRole(CHAIR_ROLE) {
+        require(_hasDecryptionRequest(_period, _workId), "No decryption request found");
+        uint256 requestId = workDecryptionRequestId[_period][_workId];
+
+        DecryptionRequest storage request = decryptionRequests[requestId];
+        require(!request.completed, "Already completed");
+        require(block.timestamp > request.requestTime + DECRYPTION_TIMEOUT, "Timeout not reached");
+
+        request.failed = true;
+        request.completed = true;
+
+        emit DecryptionFailed(_period, _workId, requestId);
+    }
+
+    function _requestScoreDecryption(uint32 _period, uint32 _workId) private {
+        // Calculate aggregate score first
+        euint32 aggregateScore = _calculateAggregateScore(_period, _workId);
+
+        // Prepare ciphertext for decryption
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(aggregateScore);
+
+        // Request decryption via Gateway
+        uint256 requestId = FHE.requestDecryption(cts, this.scoreDecryptionCallback.selector);
+
+        decryptionRequests[requestId] = DecryptionRequest({
+            period: _period,
+            workId: _workId,
+            requester: msg.sender,
+            requestTime: block.timestamp,
+            completed: false,
+            failed: false,
+            decryptedScore: 0
+        });
+
+        workDecryptionRequestId[_period][_workId] = requestId;
+
+        emit DecryptionRequested(_period, _workId, requestId);
+    }
+
+    // ============================================================
+    //                    REFUND MECHANISMS
+    // ============================================================
+
+    /**
+     * @notice Claim refund for failed decryption
+     * @param _period Period of the work
+     * @param _workId Work ID
+     * @dev Available when decryption fails or times out (prevents permanent locking)
+     * @dev Gateway callback pattern ensures eventual consistency
+     */
+    function claimDecryptionFailureRefund(uint32 _period, uint32 _workId) external noReentrant {
+        require(_hasDecryptionRequest(_period, _workId), "No decryption request");
+        uint256 requestId = workDecryptionRequestId[_period][_workId];
+
+        DecryptionRequest storage request = decryptionRequests[requestId];
+
+        // Check for failure OR timeout (timeout protection)
+        bool isTimedOut = block.timestamp > request.requestTime + DECRYPTION_TIMEOUT && !request.completed;
+        require(request.failed || isTimedOut, "Decryption not failed or timed out");
+
+        Review storage review = reviews[_period][_workId][msg.sender];
+        require(review.submitted, "No review found");
+        require(!review.refundClaimed, "Already claimed refund");
+        require(review.stakeAmount > 0, "No stake to refund");
+
+        review.refundClaimed = true;
+        uint256 refundAmount = review.stakeAmount;
+
+        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
+        require(sent, "Refund transfer failed");
+
+        emit RefundClaimed(msg.sender, refundAmount, "Decryption failure or timeout");
+        emit DecryptionFailureRefundIssued(msg.sender, refundAmount, requestId);
+        emit AuditLog("REFUND_DECRYPTION_FAILURE", msg.sender, block.timestamp,
+                     string(abi.encodePacked("Period:", _period, " WorkId:", _workId)));
+    }
+
+    /**
+     * @notice Reclaim the deposit of a work that did not reach the review quorum
+     * @param _period Period of the submission
+     * @param _workId Work ID
+     * @dev Available once calculateResults has flagged the work as having insufficient reviews
+     */
+    function claimInsufficientReviewsRefund(uint32 _period, uint32 _workId) external noReentrant {
+        LiteraryWork storage work = submissions[_period][_workId];
+        require(work.submitted, "Work not found");
+        require(work.submitter == msg.sender, "Not the submitter");
+        require(!work.refundClaimed, "Already refunded");
+        require(belowQuorum[_period][_workId], "Review quorum was met");
+
+        work.refundClaimed = true;
+        uint256 refundAmount = work.depositAmount;
+
+        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
+        require(sent, "Refund transfer failed");
+
+        emit RefundClaimed(msg.sender, refundAmount, "Insufficient reviews");
+        emit AuditLog("REFUND_INSUFFICIENT_REVIEWS", msg.sender, block.timestamp, work.title);
+    }
+
+    /**
+     * @notice Claim timeout refund for submission
+     * @param _period Period of the submission
+     * @param _workId Work ID
+     * @dev Timeout protection: available REVIEW_TIMEOUT after the period's scheduled announcement
+     *      if the work was never scored. A refunded work is left out of the results.
+     * @dev Prevents permanent locking of submission deposits
+     */
+    function claimTimeoutRefund(uint32 _period, uint32 _workId) external noReentrant {
+        LiteraryWork storage work = submissions[_period][_workId];
+        require(work.submitted, "Work not found");
+        require(work.submitter == msg.sender, "Not the submitter");
+        require(!work.refundClaimed, "Already refunded");
+        require(block.timestamp > periodSchedules[_period].announcement + REVIEW_TIMEOUT, "Timeout not reached");
+        require(!work.reviewed, "Work already reviewed");
+
+        work.refundClaimed = true;
+        uint256 refundAmount = work.depositAmount;
+
+        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
+        require(sent, "Refund transfer failed");
+
+        emit TimeoutRefundClaimed(msg.sender, _period, _workId, refundAmount);
+        emit SubmitterTimeoutRefundIssued(msg.sender, refundAmount, _period, _workId);
+        emit AuditLog("TIMEOUT_REFUND_SUBMISSION", msg.sender, block.timestamp,
+                     string(abi.encodePacked("WorkId:", _workId)));
+    }
+
+    /**
+     * @notice Claim reviewer stake refund on timeout
+     * @param _period Period
+     * @param _workId Work ID
+     * @dev Timeout protection: available when review processing exceeds REVIEW_TIMEOUT
+     * @dev Prevents permanent locking of reviewer stakes
+     */
+    function claimReviewerTimeoutRefund(uint32 _period, uint32 _workId) external noReentrant {
+        Review storage review = reviews[_period][_workId][msg.sender];
+        require(review.submitted, "No review found");
+        require(!review.refundClaimed, "Already claimed refund");
+        require(block.timestamp > review.reviewTime + REVIEW_TIMEOUT, "Timeout not reached");
+
+        if (_hasDecryptionRequest(_period, _workId)) {
+            uint256 requestId = workDecryptionRequestId[_period][_workId];
+            DecryptionRequest storage request = decryptionRequests[requestId];
+            // Allow refund if decryption failed or hasn't completed
+            require(!request.completed || request.failed, "Decryption succeeded");
+        }
+
+        review.refundClaimed = true;
+        uint256 refundAmount = review.stakeAmount;
+
+        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
+        require(sent, "Refund transfer failed");
+
+        emit RefundClaimed(msg.sender, refundAmount, "Review timeout");
+        emit ReviewerTimeoutRefundIssued(msg.sender, refundAmount, _period, _workId);
+        emit AuditLog("TIMEOUT_REFUND_REVIEW", msg.sender, block.timestamp,
+                     string(abi.encodePacked("WorkId:", _workId)));
+    }
+
+    // ============================================================
+    //                    SCORE AGGREGATION
+    // ============================================================
+
+    /**
+     * @notice Calculate the weighted average score of a work
+     * @param _period Review period
+     * @param _workId Work ID
+     * @return euint32 Encrypted average on the MIN_SCORE-MAX_SCORE scale, or 0 without reviews
+     * @dev Each review contributes quality, originality and impact scaled by the period's
+     *      criterion weights. The sum is divided by reviewCount * weightSum, both public, so the
+     *      division runs against a plaintext divisor and no individual score is decrypted.
+     *      The result is rounded to the nearest integer.
+     */
+    function _calculateAggregateScore(uint32 _period, uint32 _workId) private returns (euint32) {
+        address[] storage reviewerList = workReviewers[_period][_workId];
+        (uint32 qualityWeight, uint32 originalityWeight, uint32 impactWeight) = getCriterionWeights(_period);
+        euint32 weightedTotal = FHE.asEuint32(0);
+        uint32 reviewCount = 0;
+
+        for (uint i = 0; i < reviewerList.length; i++) {
+            Review storage review = reviews[_period][_workId][reviewerList[i]];
+            if (review.submitted) {
+                euint32 weightedReview = FHE.add(
+                    FHE.mul(review.encryptedQualityScore, qualityWeight),
+                    FHE.add(
+                        FHE.mul(review.encryptedOriginalityScore, originalityWeight),
+                        FHE.mul(review.encryptedImpactScore, impactWeight)
+                    )
+                );
+                weightedTotal = FHE.add(weightedTotal, weightedReview);
+                reviewCount++;
+            }
+        }
+
+        if (reviewCount == 0) return weightedTotal;
+
+        uint32 divisor = reviewCount * (qualityWeight + originalityWeight + impactWeight);
+        return FHE.div(FHE.add(weightedTotal, divisor / 2), divisor);
+    }
+
+    // ============================================================
+    //                    AWARD CALCULATION
+    // ============================================================
+
+    /**
+     * @notice Calculate results and determine winners
+     * @param _period Period to calculate
+     * @dev Available once the period's scheduled review window has closed. Finishes any batch in
+     *      progress; periods too large for one block use calculateResultsBatch instead.
+     */
+    function calculateResults(uint32 _period) external onlyRole(CHAIR_ROLE) whenNotPaused {
+        _calculateResultsBatch(_period, type(uint32).max);
+    }
+
+    /**
+     * @notice Score the next `_maxWorks` works of a period, determining winners after the last one
+     * @param _period Period to calculate
+     * @param _maxWorks Maximum number of works to score in this call
+     * @return done True once every work is scored and award decryption has been requested
+     * @dev Resumes from resultsCursor. resultsCalculated is only set by the final batch.
+     */
+    function calculateResultsBatch(
+        uint32 _period,
+        uint32 _maxWorks
+    ) external onlyRole(CHAIR_ROLE) whenNotPaused returns (bool done) {
+        return _calculateResultsBatch(_period, _maxWorks);
+    }
+
+    function _calculateResultsBatch(uint32 _period, uint32 _maxWorks) private returns (bool) {
+        require(_period <= currentReviewPeriod, "Period not ready for calculation");
+        require(block.timestamp >= periodSchedules[_period].reviewClose, "Review period not closed");
+        require(!resultsCalculated[_period], "Results already calculated");
+        require(_maxWorks > 0, "Invalid batch size");
+
+        uint32 workCount = workCountPerPeriod[_period];
+        uint32 end = _batchEnd(resultsCursor[_period], workCount, _maxWorks);
+
+        for (uint32 workId = resultsCursor[_period] + 1; workId <= end; workId++) {
+            _calculateWorkScore(_period, workId);
+            _updateCategoryLeader(_period, workId);
+        }
+
+        resultsCursor[_period] = end;
+        emit ResultsBatchProcessed(_period, end, workCount);
+        if (end < workCount) {
+            return false;
+        }
+
+        resultsCalculated[_period] = true;
+        _determineAwardWinners(_period);
+        return true;
+    }
+
+    function _calculateWorkScore(uint32 _period, uint32 _workId) private {
+        LiteraryWork storage work = submissions[_period][_workId];
+        // Works whose deposit was refunded on timeout have withdrawn from the period
+        if (!work.submitted || work.refundClaimed) return;
+
+        if (!_meetsQuorum(_period, _workId)) {
+            // Excluded from awards; the submitter can reclaim the deposit
+            belowQuorum[_period][_workId] = true;
+            emit WorkBelowQuorum(
+                _period,
+                _workId,
+                uint32(workReviewers[_period][_workId].length),
+                getReviewQuorum(_period)
+            );
+            return;
+        }
+
+        euint32 totalScore = _calculateAggregateScore(_period, _workId);
+        FHE.allowThis(totalScore);
+        work.encryptedScore = totalScore;
+        work.reviewed = true;
+
+        _storeCriterionAverages(_period, _workId);
+        // Double-blind submitters are granted access when they reveal
+        if (work.submitter != address(0)) {
+            _allowScores(_period, _workId, work.submitter);
+        }
+    }
+
+    /**
+     * @notice Average each criterion over a work's submitted reviews, rounded to the nearest integer
+     * @dev Only called for works meeting the quorum, so the review count is never zero
+     */
+    function _storeCriterionAverages(uint32 _period, uint32 _workId) private {
+        address[] storage reviewerList = workReviewers[_period][_workId];
+        euint32 quality = FHE.asEuint32(0);
+        euint32 originality = FHE.asEuint32(0);
+        euint32 impact = FHE.asEuint32(0);
+        uint32 reviewCount = 0;
+
+        for (uint256 i = 0; i < reviewerList.length; i++) {
+            Review storage review = reviews[_period][_workId][reviewerList[i]];
+            if (review.submitted) {
+                quality = FHE.add(quality, review.encryptedQualityScore);
+                originality = FHE.add(originality, review.encryptedOriginalityScore);
+                impact = FHE.add(impact, review.encryptedImpactScore);
+                reviewCount++;
+            }
+        }
+
+        CriterionScores storage averages = criterionAverages[_period][_workId];
+        averages.quality = FHE.div(FHE.add(quality, reviewCount / 2), reviewCount);
+        averages.originality = FHE.div(FHE.add(originality, reviewCount / 2), reviewCount);
+        averages.impact = FHE.div(FHE.add(impact, reviewCount / 2), reviewCount);
+        FHE.allowThis(averages.quality);
+        FHE.allowThis(averages.originality);
+        FHE.allowThis(averages.impact);
+    }
+
+    function _determineAwardWinners(uint32 _period) private {
+        // Retired categories are still evaluated so works submitted before retirement can win
+        for (uint32 categoryId = 0; categoryId < awardCategories.length; categoryId++) {
+            CategoryLeader storage leader = categoryLeaders[_period][categoryId];
+            if (leader.found) {
+                _requestAwardDecryption(_period, awardCategories[categoryId].name, leader.workId, leader.score);
+            }
+        }
+    }
+
+    /**
+     * @notice Fold a freshly scored work into its category's leader without revealing any score
+     * @param _period Review period
+     * @param _workId Work scored by the current batch
+     * @dev Scores are compared with FHE.gt and the running best is carried with FHE.select,
+     *      so losing scores stay encrypted. Works are folded in ID order, so ties keep the earlier
+     *      submission. The leader is stored so the next batch can continue from it.
+     */
+    function _updateCategoryLeader(uint32 _period, uint32 _workId) private {
+        LiteraryWork storage work = submissions[_period][_workId];
+        if (!work.submitted || work.refundClaimed || belowQuorum[_period][_workId]) return;
+
+        CategoryLeader storage leader = categoryLeaders[_period][work.categoryId];
+        if (!leader.found) {
+            leader.found = true;
+            leader.workId = FHE.asEuint32(_workId);
+            leader.score = work.encryptedScore;
+        } else {
+            ebool isHigher = FHE.gt(work.encryptedScore, leader.score);
+            leader.workId = FHE.select(isHigher, FHE.asEuint32(_workId), leader.workId);
+            leader.score = FHE.select(isHigher, work.encryptedScore, leader.score);
+        }
+        FHE.allowThis(leader.workId);
+        FHE.allowThis(leader.score);
+    }
+
+    /**
+     * @notice Record a pending award and request decryption of its winner via Gateway
+     * @dev Only the winning work ID and its score are decrypted
+     */
+    function _requestAwardDecryption(
+        uint32 _period,
+        string memory _category,
+        euint32 _bestWorkId,
+        euint32 _bestScore
+    ) private {
+        awards[_period].push(Award({
+            category: _category,
+            winner: address(0),
+            totalScore: 0,
+            announced: false,
+            announcementTime: 0,
+            workId: 0
+        }));
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(_bestWorkId);
+        cts[1] = FHE.toBytes32(_bestScore);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.awardDecryptionCallback.selector);
+
+        awardDecryptionRequests[requestId] = AwardDecryptionRequest({
+            period: _period,
+            awardIndex: uint32(awards[_period].length - 1),
+            completed: false
+        });
+
+        emit AwardDecryptionRequested(_period, _category, requestId);
+    }
+
+    /**
+     * @notice Gateway callback for award winner decryption
+     * @param requestId Request ID from Gateway
+     * @param cleartexts Decrypted winning work ID and score
+     * @param decryptionProof Proof of correct decryption
+     */
+    function awardDecryptionCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        AwardDecryptionRequest storage request = awardDecryptionRequests[requestId];
+        require(!request.completed, "Already processed");
+
+        (uint32 workId, uint32 score) = abi.decode(cleartexts, (uint32, uint32));
+        request.completed = true;
+
+        Award storage award = awards[request.period][request.awardIndex];
+        award.workId = workId;
+        award.winner = submissions[request.period][workId].submitter;
+        award.totalScore = score;
+
+        emit AwardWinnerDecrypted(request.period, award.category, award.winner, score);
+    }
+
+    /**
+     * @notice Announce award results
+     * @param _period Period to announce
+     * @dev Awards whose winner is still being decrypted are skipped until the callback lands.
+     *      Announcing is blocked until the period's scheduled announcement time. The period only
+     *      counts as announced, releasing feedback and identity reveals, once every award is.
+     */
+    function announceAwards(uint32 _period) external onlyRole(CHAIR_ROLE) whenNotPaused {
+        require(block.timestamp >= periodSchedules[_period].announcement, "Announcement not due");
+        require(resultsCalculated[_period], "Results not calculated");
+
+        Award[] storage periodAwards = awards[_period];
+        bool pending = false;
+
+        for (uint i = 0; i < periodAwards.length; i++) {
+            // Decrypted awards have a work ID; double-blind winners stay zero until revealed
+            if (periodAwards[i].workId == 0) {
+                pending = true;
+            } else if (!periodAwards[i].announced) {
+                periodAwards[i].announced = true;
+                periodAwards[i].announcementTime = block.timestamp;
+
+                emit AwardAnnounced(_period, periodAwards[i].category, periodAwards[i].winner);
+            }
+        }
+
+        if (!pending) {
+            awardsAnnounced[_period] = true;
+        }
+    }
+}
@@ -0,0 +1,497 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { FHE, euint32 } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title LiteratureReviewStorage
+ * @notice State, events and shared rules of a LiteratureReviewSystem award program
+ * @dev LiteratureReviewSystem and each of its modules inherit this contract, so they lay out storage
+ *      the same way and the modules can run on the program's storage through delegatecall.
+ *      New state must be appended after the existing declarations.
+ */
+abstract contract LiteratureReviewStorage {
+
+    // ============================================================
+    //                         CONSTANTS
+    // ============================================================
+
+    uint256 public constant MIN_SCORE = 1;
+    uint256 public constant MAX_SCORE = 100;
+    uint256 public constant DECRYPTION_TIMEOUT = 1 hours;
+    uint256 public constant REVIEW_TIMEOUT = 7 days;
+    uint32 public constant DEFAULT_CRITERION_WEIGHT = 1;
+    uint32 public constant MAX_CRITERION_WEIGHT = 100;
+    uint32 public constant DEFAULT_REVIEWERS_PER_WORK = 3;
+    uint32 public constant DEFAULT_REVIEWER_QUOTA = 5;
+    uint32 public constant DEFAULT_REVIEW_QUORUM = 1;
+    uint32 public constant MAX_PAGE_SIZE = 100;
+
+    // Roles granted by the owner: the chair runs the competition, the treasurer
+    // withdraws fees and the guardian can pause in an emergency
+    bytes32 public constant CHAIR_ROLE = keccak256("CHAIR_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // ============================================================
+    //                           STATE
+    // ============================================================
+
+    // Fixed per award program at deployment. Stored rather than immutable, as the modules run
+    // on the program's storage but not its code
+    uint256 public SUBMISSION_FEE;
+    uint256 public REVIEW_STAKE;
+    // Block the program was set up in; clients scan its event logs from here
+    uint256 public deploymentBlock;
+
+    address public owner;
+    address public pendingOwner; // Set by transferOwnership until accepted
+    uint32 public currentSubmissionPeriod;
+    uint32 public currentReviewPeriod;
+    uint256 public platformFees;
+    bool public paused;
+    bool private locked; // Reentrancy guard
+    uint32 public reviewersPerWork;
+    uint32 public reviewerQuota; // Max assignments per reviewer per period
+
+    // Reviewer lifecycle; None means the address never registered
+    enum ReviewerStatus {
+        None,
+        Pending,
+        Active,
+        Revoked
+    }
+
+    struct LiteraryWork {
+        string title;
+        string author;
+        string genre;
+        uint32 categoryId;
+        euint32 encryptedScore;
+        bool submitted;
+        bool reviewed;
+        uint256 submissionTime;
+        address submitter;
+        string ipfsHash;
+        uint256 depositAmount;
+        bool refundClaimed;
+    }
+
+    struct ReviewerProfile {
+        string name;
+        string expertise;
+        bool isActive;
+        uint32 reviewCount;
+        euint32 averageScore;
+        uint256 stakedAmount;
+        uint256 registrationTime;
+    }
+
+    struct Review {
+        euint32 encryptedQualityScore;
+        euint32 encryptedOriginalityScore;
+        euint32 encryptedImpactScore;
+        string encryptedComments;
+        bool submitted;
+        address reviewer;
+        uint256 reviewTime;
+        uint256 stakeAmount;
+        bool refundClaimed;
+    }
+
+    struct Award {
+        string category;
+        address winner;
+        uint32 totalScore;
+        bool announced;
+        uint256 announcementTime;
+        uint32 workId;
+    }
+
+    // Owner-scheduled milestones of a period (all zero = not scheduled)
+    struct PeriodSchedule {
+        uint256 submissionOpen;
+        uint256 submissionClose;
+        uint256 reviewClose;
+        uint256 announcement;
+    }
+
+    // Per-period weights for quality, originality and impact (all zero = defaults)
+    struct CriterionWeights {
+        uint32 quality;
+        uint32 originality;
+        uint32 impact;
+    }
+
+    // Encrypted per-criterion averages of a work's reviews
+    struct CriterionScores {
+        euint32 quality;
+        euint32 originality;
+        euint32 impact;
+    }
+
+    struct AwardCategory {
+        string name;
+        bool active;
+    }
+
+    // Gateway callback request tracking
+    struct DecryptionRequest {
+        uint32 period;
+        uint32 workId;
+        address requester;
+        uint256 requestTime;
+        bool completed;
+        bool failed;
+        uint64 decryptedScore;
+    }
+
+    // Gateway callback tracking for encrypted award winner selection
+    struct AwardDecryptionRequest {
+        uint32 period;
+        uint32 awardIndex;
+        bool completed;
+    }
+
+    // One row of getSubmissionsPage: submission info, review count and score decryption status
+    struct SubmissionSummary {
+        uint32 workId;
+        string title;
+        string author;
+        string genre;
+        string manuscriptCid;
+        bool reviewed;
+        uint256 submissionTime;
+        address submitter;
+        uint256 depositAmount;
+        bool refundClaimed;
+        bool insufficientReviews;
+        uint32 reviewCount;
+        // Zero when no score decryption was requested
+        uint256 decryptionRequestTime;
+        bool decryptionCompleted;
+        bool decryptionFailed;
+        uint64 decryptedScore;
+    }
+
+    // Highest-scoring work of a category among the works scored so far, carried between result batches
+    struct CategoryLeader {
+        bool found;
+        euint32 workId;
+        euint32 score;
+    }
+
+    // ============================================================
+    //                         MAPPINGS
+    // ============================================================
+
+    mapping(uint32 => mapping(uint32 => LiteraryWork)) public submissions;
+    mapping(address => ReviewerProfile) public reviewers;
+    mapping(uint32 => mapping(uint32 => mapping(address => Review))) public reviews;
+    mapping(uint32 => Award[]) public awards;
+    mapping(uint32 => uint32) public workCountPerPeriod;
+    mapping(address => bool) public authorizedReviewers;
+    mapping(uint32 => uint32) public reviewCountPerPeriod;
+
+    // Reviewer registry: all registrations in order, plus a swap-and-pop list per status
+    address[] internal registeredReviewers;
+    mapping(address => ReviewerStatus) public reviewerStatus;
+    mapping(ReviewerStatus => address[]) internal reviewersByStatus;
+    mapping(address => uint256) internal reviewerStatusIndex;
+
+    // Review assignments per period
+    mapping(uint32 => mapping(uint32 => address[])) internal workAssignees;
+    mapping(uint32 => mapping(address => uint32[])) internal reviewerAssignments;
+    mapping(uint32 => mapping(uint32 => mapping(address => bool))) public isAssigned;
+    // Set by the batch that assigns the last work of a period
+    mapping(uint32 => bool) public reviewersAssigned;
+
+    // Conflicts of interest: reviewer => declared affiliate => affiliated
+    mapping(address => mapping(address => bool)) public isAffiliated;
+    mapping(address => address[]) internal reviewerAffiliations;
+    mapping(uint32 => mapping(uint32 => mapping(address => bool))) public hasRecused;
+
+    mapping(bytes32 => mapping(address => bool)) internal roleMembers;
+
+    // Award category registry (categoryId = index, name lookup stores categoryId + 1)
+    AwardCategory[] internal awardCategories;
+    mapping(bytes32 => uint32) internal categoryIdByName;
+    mapping(uint32 => PeriodSchedule) internal periodSchedules;
+    mapping(uint32 => CriterionWeights) internal criterionWeights;
+    mapping(uint32 => uint32) internal reviewQuorum;
+    // Set by calculateResults alongside LiteraryWork.encryptedScore, decryptable by the submitter
+    mapping(uint32 => mapping(uint32 => CriterionScores)) internal criterionAverages;
+    // Set by calculateResults for works that ended the period below quorum
+    mapping(uint32 => mapping(uint32 => bool)) public belowQuorum;
+
+    // Gateway callback mappings
+    mapping(uint256 => DecryptionRequest) public decryptionRequests;
+    mapping(uint256 => string) internal requestIdToBetId;
+    mapping(uint32 => mapping(uint32 => uint256)) public workDecryptionRequestId;
+    mapping(uint32 => mapping(uint32 => address[])) internal workReviewers;
+    mapping(uint256 => AwardDecryptionRequest) public awardDecryptionRequests;
+    mapping(uint32 => bool) public resultsCalculated;
+    mapping(uint32 => bool) public awardsAnnounced;
+
+    // Resumable batch progress: number of works of a period processed so far
+    mapping(uint32 => uint32) public resultsCursor;
+    mapping(uint32 => uint32) public decryptionCursor;
+    mapping(uint32 => uint32) public assignmentCursor;
+    mapping(uint32 => mapping(uint32 => CategoryLeader)) internal categoryLeaders;
+
+    // Double-blind periods keep keccak256(abi.encode(author, submitter, salt)) until the author reveals
+    mapping(uint32 => bool) public doubleBlind;
+    mapping(uint32 => mapping(uint32 => bytes32)) public identityCommitments;
+
+    // Compressed secp256k1 keys that review comments are encrypted to, client-side
+    mapping(address => bytes) public encryptionKeys;
+
+    uint256 public nextRequestId;
+
+    // ============================================================
+    //                          EVENTS
+    // ============================================================
+
+    // ============================================================
+    //                      AUDIT EVENTS
+    // ============================================================
+    // Core operational events
+    event SubmissionPeriodStarted(uint32 indexed period, uint256 startTime);
+    event ReviewPeriodStarted(uint32 indexed period, uint256 startTime);
+    event PeriodScheduled(
+        uint32 indexed period,
+        uint256 submissionOpen,
+        uint256 submissionClose,
+        uint256 reviewClose,
+        uint256 announcement
+    );
+    event WorkSubmitted(uint32 indexed period, uint32 indexed workId, address indexed submitter, uint256 deposit);
+    event ReviewSubmitted(uint32 indexed period, uint32 indexed workId, address indexed reviewer, uint256 stake);
+    event AwardAnnounced(uint32 indexed period, string category, address indexed winner);
+    event ReviewerRegistered(address indexed reviewer, string name, uint256 stake);
+    event CategoryAdded(uint32 indexed categoryId, string name);
+    event CategoryRenamed(uint32 indexed categoryId, string oldName, string newName);
+    event CategoryRetired(uint32 indexed categoryId, string name);
+    event CriterionWeightsUpdated(uint32 indexed period, uint32 quality, uint32 originality, uint32 impact);
+    event ReviewQuorumUpdated(uint32 indexed period, uint32 quorum);
+    event WorkBelowQuorum(uint32 indexed period, uint32 indexed workId, uint32 reviewCount, uint32 quorum);
+    event ResultsBatchProcessed(uint32 indexed period, uint32 processed, uint32 total);
+    event DecryptionBatchProcessed(uint32 indexed period, uint32 processed, uint32 total);
+    event AssignmentBatchProcessed(uint32 indexed period, uint32 processed, uint32 total);
+    event AssignmentConfigUpdated(uint32 reviewersPerWork, uint32 reviewerQuota);
+    event ReviewerAssigned(uint32 indexed period, uint32 indexed workId, address indexed reviewer);
+    event AffiliationDeclared(address indexed reviewer, address indexed affiliate);
+    event ReviewerRecused(uint32 indexed period, uint32 indexed workId, address indexed reviewer, string reason);
+    event EncryptionKeyPublished(address indexed account, bytes publicKey);
+    event DoubleBlindUpdated(uint32 indexed period, bool enabled);
+    event IdentityRevealed(uint32 indexed period, uint32 indexed workId, address indexed submitter, string author);
+
+    // Gateway callback and decryption events
+    event DecryptionRequested(uint32 indexed period, uint32 indexed workId, uint256 requestId);
+    event DecryptionCompleted(uint32 indexed period, uint32 indexed workId, uint64 score);
+    event DecryptionFailed(uint32 indexed period, uint32 indexed workId, uint256 requestId);
+    event DecryptionTimeout(uint32 indexed period, uint32 indexed workId, uint256 requestId);
+    event GatewayCallbackExecuted(uint256 indexed requestId, bool success, uint64 score);
+    event AwardDecryptionRequested(uint32 indexed period, string category, uint256 requestId);
+    event AwardWinnerDecrypted(uint32 indexed period, string category, address indexed winner, uint32 score);
+
+    // Refund and protection events
+    event RefundClaimed(address indexed user, uint256 amount, string reason);
+    event TimeoutRefundClaimed(address indexed user, uint32 indexed period, uint32 indexed workId, uint256 amount);
+    event DecryptionFailureRefundIssued(address indexed reviewer, uint256 amount, uint256 requestId);
+    event ReviewerTimeoutRefundIssued(address indexed reviewer, uint256 amount, uint32 period, uint32 workId);
+    event SubmitterTimeoutRefundIssued(address indexed submitter, uint256 amount, uint32 period, uint32 workId);
+
+    // Admin and security events
+    event ContractPaused(address indexed by);
+    event ContractUnpaused(address indexed by);
+    event ReviewerApproved(address indexed reviewer);
+    event ReviewerRevoked(address indexed reviewer);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event AuditLog(string indexed action, address indexed user, uint256 timestamp, string details);
+
+    // ============================================================
+    //                         MODIFIERS
+    // ============================================================
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not authorized");
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        require(roleMembers[role][msg.sender], "Not authorized");
+        _;
+    }
+
+    modifier validRole(bytes32 role) {
+        require(role == CHAIR_ROLE || role == TREASURER_ROLE || role == GUARDIAN_ROLE, "Unknown role");
+        _;
+    }
+
+    modifier onlyAuthorizedReviewer() {
+        require(authorizedReviewers[msg.sender], "Not authorized reviewer");
+        _;
+    }
+
+    modifier duringSubmissionPeriod() {
+        require(_isSubmissionWindowOpen(currentSubmissionPeriod), "Not during submission period");
+        _;
+    }
+
+    modifier duringReviewPeriod() {
+        require(_isReviewWindowOpen(currentReviewPeriod), "Not during review period");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+
+    modifier noReentrant() {
+        require(!locked, "Reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    // Input validation modifiers
+    modifier validScore(uint32 score) {
+        require(score >= MIN_SCORE && score <= MAX_SCORE, "Score must be 1-100");
+        _;
+    }
+
+    modifier validAddress(address addr) {
+        require(addr != address(0), "Invalid zero address");
+        _;
+    }
+
+    modifier validString(string memory str) {
+        require(bytes(str).length > 0 && bytes(str).length <= 256, "Invalid string length");
+        _;
+    }
+
+    modifier validContentId(string memory cid) {
+        require(_isValidContentId(cid), "Invalid content identifier");
+        _;
+    }
+
+    modifier validCategory(uint32 categoryId) {
+        require(categoryId < awardCategories.length, "Category not found");
+        _;
+    }
+
+    // ============================================================
+    //                       SHARED RULES
+    // ============================================================
+
+    /**
+     * @notice Last work ID a batch starting after `_cursor` may process
+     */
+    function _batchEnd(uint32 _cursor, uint32 _workCount, uint32 _maxWorks) internal pure returns (uint32) {
+        return _workCount - _cursor > _maxWorks ? _cursor + _maxWorks : _workCount;
+    }
+
+    function _isSubmissionWindowOpen(uint32 _period) internal view returns (bool) {
+        PeriodSchedule storage schedule = periodSchedules[_period];
+        return block.timestamp >= schedule.submissionOpen && block.timestamp < schedule.submissionClose;
+    }
+
+    function _isReviewWindowOpen(uint32 _period) internal view returns (bool) {
+        PeriodSchedule storage schedule = periodSchedules[_period];
+        return block.timestamp >= schedule.submissionClose && block.timestamp < schedule.reviewClose;
+    }
+
+    /**
+     * @notice Whether a reviewer submitted the work or declared its submitter as affiliated
+     * @dev Double-blind works have no submitter until revealed, so only recusal applies to them
+     */
+    function _hasConflict(uint32 _period, uint32 _workId, address _reviewer) internal view returns (bool) {
+        address submitter = submissions[_period][_workId].submitter;
+        return submitter == _reviewer || isAffiliated[_reviewer][submitter];
+    }
+
+    /**
+     * @notice Check whether a score decryption was requested for a work
+     * @dev Oracle request IDs start at 0, so the stored ID alone cannot signal "no request"
+     */
+    function _hasDecryptionRequest(uint32 _period, uint32 _workId) internal view returns (bool) {
+        DecryptionRequest storage request = decryptionRequests[workDecryptionRequestId[_period][_workId]];
+        return request.requestTime != 0 && request.period == _period && request.workId == _workId;
+    }
+
+    // Score decryption callbacks also set reviewed, so only the averages mark a calculated score
+    function _hasCalculatedScores(uint32 _period, uint32 _workId) internal view returns (bool) {
+        return FHE.isInitialized(criterionAverages[_period][_workId].quality);
+    }
+
+    function _allowScores(uint32 _period, uint32 _workId, address _account) internal {
+        CriterionScores storage averages = criterionAverages[_period][_workId];
+        FHE.allow(submissions[_period][_workId].encryptedScore, _account);
+        FHE.allow(averages.quality, _account);
+        FHE.allow(averages.originality, _account);
+        FHE.allow(averages.impact, _account);
+    }
+
+    function _addCategory(string memory _name) internal returns (uint32 categoryId) {
+        bytes32 key = keccak256(bytes(_name));
+        require(categoryIdByName[key] == 0, "Category already exists");
+
+        categoryId = uint32(awardCategories.length);
+        awardCategories.push(AwardCategory({name: _name, active: true}));
+        categoryIdByName[key] = categoryId + 1;
+
+        emit CategoryAdded(categoryId, _name);
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        roleMembers[role][account] = true;
+        emit RoleGranted(role, account, msg.sender);
+        emit AuditLog("ROLE_GRANTED", account, block.timestamp, _roleName(role));
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        roleMembers[role][account] = false;
+        emit RoleRevoked(role, account, msg.sender);
+        emit AuditLog("ROLE_REVOKED", account, block.timestamp, _roleName(role));
+    }
+
+    function _roleName(bytes32 role) internal pure returns (string memory) {
+        if (role == CHAIR_ROLE) return "CHAIR";
+        if (role == TREASURER_ROLE) return "TREASURER";
+        return "GUARDIAN";
+    }
+
+    /**
+     * @dev Format check only: a base58btc CIDv0 ("Qm", 46 chars) or a base32 CIDv1 with
+     *      a sha2-256 multihash ("b", 59 chars). Catches typos, not missing content.
+     */
+    function _isValidContentId(string memory _cid) internal pure returns (bool) {
+        bytes memory cid = bytes(_cid);
+
+        if (cid.length == 46 && cid[0] == "Q" && cid[1] == "m") {
+            for (uint256 i = 2; i < cid.length; i++) {
+                bytes1 c = cid[i];
+                bool digit = c >= "1" && c <= "9";
+                bool upper = c >= "A" && c <= "Z" && c != "I" && c != "O";
+                bool lower = c >= "a" && c <= "z" && c != "l";
+                if (!digit && !upper && !lower) return false;
+            }
+            return true;
+        }
+
+        if (cid.length == 59 && cid[0] == "b") {
+            for (uint256 i = 1; i < cid.length; i++) {
+                bytes1 c = cid[i];
+                if (!(c >= "a" && c <= "z") && !(c >= "2" && c <= "7")) return false;
+            }
+            return true;
+        }
+
+        return false;
+    }
+}
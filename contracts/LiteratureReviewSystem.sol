@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: BSD-3-Clause-Clear
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, euint32, euint64, ebool, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { FHE, euint32, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig, ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { LiteratureReviewModule } from "./LiteratureReviewModule.sol";
 
 /**
  * @title LiteratureReviewSystem
@@ -15,12 +16,11 @@ import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
  * 2. Contract records encrypted data and creates decryption request
  * 3. Gateway decrypts and calls back with results
  * 4. If decryption fails or times out, users can claim refunds
- * 5. Privacy-protecting multipliers prevent division-based attacks
- * 6. Timeout protection ensures users can always recover funds
+ * 5. Timeout protection ensures users can always recover funds
  *
  * Privacy Protections:
- * - Random multiplier for division operations (prevents score inference)
- * - Score obfuscation during computation (fuzzy aggregation)
+ * - Weighted averages computed homomorphically against public divisors
+ * - Only aggregate results are ever decrypted
  * - Async Gateway callback for secure decryption
  * - Encrypted metadata throughout the review lifecycle
  *
@@ -33,356 +33,261 @@ import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
  * - Selective decryption only after approval
  * - Audit event logging for all critical operations
  *
+ * Modules:
+ * - Submissions, feedback keys and reviews are implemented here. Any other call falls through
+ *   the fallback to LiteratureReviewRegistry, LiteratureReviewAssignment, LiteratureReviewResults
+ *   and LiteratureReviewViews in turn, each running on this contract's storage via delegatecall
+ * - Keeps every contract within the EIP-170 size limit behind a single program address and ABI
+ *
  * Innovation: HCU (Homomorphic Computation Unit) Optimization
  * - Efficient FHE operations with optimized ciphertext handling
  * - Gas-optimized aggregate scoring calculations
  * - Minimal on-chain data exposure
  */
-contract LiteratureReviewSystem is SepoliaConfig {
-
-    // ============================================================
-    //                         CONSTANTS
-    // ============================================================
-
-    uint256 public constant SUBMISSION_FEE = 0.01 ether;
-    uint256 public constant REVIEW_STAKE = 0.005 ether;
-    uint256 public constant MIN_SCORE = 1;
-    uint256 public constant MAX_SCORE = 100;
-    uint256 public constant DECRYPTION_TIMEOUT = 1 hours;
-    uint256 public constant REVIEW_TIMEOUT = 7 days;
-    uint32 public constant PRIVACY_MULTIPLIER_MIN = 100;
-    uint32 public constant PRIVACY_MULTIPLIER_MAX = 1000;
-
-    // ============================================================
-    //                           STATE
-    // ============================================================
-
-    address public owner;
-    uint32 public currentSubmissionPeriod;
-    uint32 public currentReviewPeriod;
-    uint256 public platformFees;
-    bool public paused;
-    bool private locked; // Reentrancy guard
-
-    struct LiteraryWork {
-        string title;
-        string author;
-        string genre;
-        euint32 encryptedScore;
-        bool submitted;
-        bool reviewed;
-        uint256 submissionTime;
-        address submitter;
-        string ipfsHash;
-        uint256 depositAmount;
-        bool refundClaimed;
-    }
-
-    struct ReviewerProfile {
-        string name;
-        string expertise;
-        bool isActive;
-        uint32 reviewCount;
-        euint32 averageScore;
-        uint256 stakedAmount;
-        uint256 registrationTime;
-    }
-
-    struct Review {
-        euint32 encryptedQualityScore;
-        euint32 encryptedOriginalityScore;
-        euint32 encryptedImpactScore;
-        euint32 encryptedPrivacyMultiplier; // Random multiplier for privacy
-        string encryptedComments;
-        bool submitted;
-        address reviewer;
-        uint256 reviewTime;
-        uint256 stakeAmount;
-        bool refundClaimed;
-    }
-
-    struct Award {
-        string category;
-        address winner;
-        uint32 totalScore;
-        bool announced;
-        uint256 announcementTime;
-    }
-
-    // Gateway callback request tracking
-    struct DecryptionRequest {
-        uint32 period;
-        uint32 workId;
-        address requester;
-        uint256 requestTime;
-        bool completed;
-        bool failed;
-        uint64 decryptedScore;
-    }
-
-    // ============================================================
-    //                         MAPPINGS
-    // ============================================================
-
-    mapping(uint32 => mapping(uint32 => LiteraryWork)) public submissions;
-    mapping(address => ReviewerProfile) public reviewers;
-    mapping(uint32 => mapping(uint32 => mapping(address => Review))) public reviews;
-    mapping(uint32 => Award[]) public awards;
-    mapping(uint32 => uint32) public workCountPerPeriod;
-    mapping(address => bool) public authorizedReviewers;
-
-    // Gateway callback mappings
-    mapping(uint256 => DecryptionRequest) public decryptionRequests;
-    mapping(uint256 => string) internal requestIdToBetId;
-    mapping(uint32 => mapping(uint32 => uint256)) public workDecryptionRequestId;
-    mapping(uint32 => mapping(uint32 => address[])) internal workReviewers;
-
-    uint256 public nextRequestId;
-
-    // ============================================================
-    //                          EVENTS
-    // ============================================================
-
-    // ============================================================
-    //                      AUDIT EVENTS
-    // ============================================================
-    // Core operational events
-    event SubmissionPeriodStarted(uint32 indexed period, uint256 startTime);
-    event ReviewPeriodStarted(uint32 indexed period, uint256 startTime);
-    event WorkSubmitted(uint32 indexed period, uint32 indexed workId, address indexed submitter, uint256 deposit);
-    event ReviewSubmitted(uint32 indexed period, uint32 indexed workId, address indexed reviewer, uint256 stake);
-    event AwardAnnounced(uint32 indexed period, string category, address indexed winner);
-    event ReviewerRegistered(address indexed reviewer, string name, uint256 stake);
-
-    // Gateway callback and decryption events
-    event DecryptionRequested(uint32 indexed period, uint32 indexed workId, uint256 requestId);
-    event DecryptionCompleted(uint32 indexed period, uint32 indexed workId, uint64 score);
-    event DecryptionFailed(uint32 indexed period, uint32 indexed workId, uint256 requestId);
-    event DecryptionTimeout(uint32 indexed period, uint32 indexed workId, uint256 requestId);
-    event GatewayCallbackExecuted(uint256 indexed requestId, bool success, uint64 score);
-
-    // Refund and protection events
-    event RefundClaimed(address indexed user, uint256 amount, string reason);
-    event TimeoutRefundClaimed(address indexed user, uint32 indexed period, uint32 indexed workId, uint256 amount);
-    event DecryptionFailureRefundIssued(address indexed reviewer, uint256 amount, uint256 requestId);
-    event ReviewerTimeoutRefundIssued(address indexed reviewer, uint256 amount, uint32 period, uint32 workId);
-    event SubmitterTimeoutRefundIssued(address indexed submitter, uint256 amount, uint32 period, uint32 workId);
-
-    // Admin and security events
-    event ContractPaused(address indexed by);
-    event ContractUnpaused(address indexed by);
-    event ReviewerApproved(address indexed reviewer);
-    event ReviewerRevoked(address indexed reviewer);
-    event AuditLog(string indexed action, address indexed user, uint256 timestamp, string details);
-
-    // ============================================================
-    //                         MODIFIERS
-    // ============================================================
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
-        _;
-    }
-
-    modifier onlyAuthorizedReviewer() {
-        require(authorizedReviewers[msg.sender], "Not authorized reviewer");
-        _;
-    }
-
-    modifier duringSubmissionPeriod() {
-        require(isSubmissionPeriodActive(), "Not during submission period");
-        _;
-    }
-
-    modifier duringReviewPeriod() {
-        require(isReviewPeriodActive(), "Not during review period");
-        _;
-    }
-
-    modifier whenNotPaused() {
-        require(!paused, "Contract is paused");
-        _;
-    }
-
-    modifier noReentrant() {
-        require(!locked, "Reentrant call");
-        locked = true;
-        _;
-        locked = false;
-    }
-
-    // Input validation modifiers
-    modifier validScore(uint32 score) {
-        require(score >= MIN_SCORE && score <= MAX_SCORE, "Score must be 1-100");
-        _;
-    }
-
-    modifier validAddress(address addr) {
-        require(addr != address(0), "Invalid zero address");
-        _;
-    }
-
-    modifier validString(string memory str) {
-        require(bytes(str).length > 0 && bytes(str).length <= 256, "Invalid string length");
-        _;
-    }
+contract LiteratureReviewSystem is LiteratureReviewModule, SepoliaConfig {
 
     // ============================================================
     //                       CONSTRUCTOR
     // ============================================================
 
-    constructor() {
-        owner = msg.sender;
+    /**
+     * @param _owner Administrator of this award program, initially holding every role
+     * @param _submissionFee Deposit required with each submission
+     * @param _reviewStake Stake required to register and with each review
+     * @param _categories Initial award categories
+     * @param _modules Deployed LiteratureReviewRegistry that starts the module chain
+     * @dev Deployed directly, or once per LiteratureReviewFactory as the template its programs are cloned from
+     */
+    constructor(
+        address _owner,
+        uint256 _submissionFee,
+        uint256 _reviewStake,
+        string[] memory _categories,
+        address _modules
+    ) LiteratureReviewModule(_modules) {
+        require(_modules.code.length > 0, "Invalid modules");
+        _initialize(_owner, _submissionFee, _reviewStake, _categories);
+    }
+
+    /**
+     * @notice Set up an EIP-1167 clone of this contract as a new award program
+     * @param _owner Administrator of the program, initially holding every role
+     * @param _submissionFee Deposit required with each submission
+     * @param _reviewStake Stake required to register and with each review
+     * @param _categories Initial award categories
+     * @dev Called by LiteratureReviewFactory in the transaction that creates the clone. Clones share
+     *      this contract's code, and so its module chain, but start with empty storage. Contracts
+     *      deployed through the constructor already have an owner, so they cannot be initialized.
+     */
+    function initialize(
+        address _owner,
+        uint256 _submissionFee,
+        uint256 _reviewStake,
+        string[] memory _categories
+    ) external {
+        require(owner == address(0), "Already initialized");
+
+        // SepoliaConfig's constructor only configured the template's storage
+        FHE.setCoprocessor(ZamaConfig.getSepoliaConfig());
+        _initialize(_owner, _submissionFee, _reviewStake, _categories);
+    }
+
+    function _initialize(
+        address _owner,
+        uint256 _submissionFee,
+        uint256 _reviewStake,
+        string[] memory _categories
+    ) private validAddress(_owner) {
+        require(_categories.length > 0, "No categories");
+
+        owner = _owner;
+        _grantRole(CHAIR_ROLE, _owner);
+        _grantRole(TREASURER_ROLE, _owner);
+        _grantRole(GUARDIAN_ROLE, _owner);
+        SUBMISSION_FEE = _submissionFee;
+        REVIEW_STAKE = _reviewStake;
+        deploymentBlock = block.number;
         currentSubmissionPeriod = 1;
         currentReviewPeriod = 0;
         nextRequestId = 1;
+        reviewersPerWork = DEFAULT_REVIEWERS_PER_WORK;
+        reviewerQuota = DEFAULT_REVIEWER_QUOTA;
+
+        for (uint256 i = 0; i < _categories.length; i++) {
+            require(bytes(_categories[i]).length > 0 && bytes(_categories[i]).length <= 256, "Invalid string length");
+            _addCategory(_categories[i]);
+        }
     }
 
     // ============================================================
-    //                     PERIOD MANAGEMENT
+    //                    WORK SUBMISSION
     // ============================================================
 
     /**
-     * @notice Check if submission period is active (first 2 weeks of each month)
-     * @return bool True if submission period is active
-     */
-    function isSubmissionPeriodActive() public view returns (bool) {
-        uint256 dayOfMonth = ((block.timestamp / 86400) % 30) + 1;
-        return dayOfMonth <= 14;
-    }
-
-    /**
-     * @notice Check if review period is active (last 2 weeks of each month)
-     * @return bool True if review period is active
-     */
-    function isReviewPeriodActive() public view returns (bool) {
-        uint256 dayOfMonth = ((block.timestamp / 86400) % 30) + 1;
-        return dayOfMonth > 14;
-    }
-
-    /**
-     * @notice Start new submission period
-     * @dev Only owner can call, only during first half of month
+     * @notice Submit literary work with deposit
+     * @param _title Work title
+     * @param _author Author name
+     * @param _genre Award category name, must be an active registered category
+     * @param _ipfsHash Content identifier (CID) of the manuscript, CIDv0 or base32 CIDv1
+     * @dev Requires SUBMISSION_FEE to be sent
      */
-    function startSubmissionPeriod() external onlyOwner whenNotPaused {
-        require(isSubmissionPeriodActive(), "Can only start during first half of month");
+    function submitWork(
+        string memory _title,
+        string memory _author,
+        string memory _genre,
+        string memory _ipfsHash
+    ) external payable duringSubmissionPeriod whenNotPaused
+      validString(_title) validString(_author) validString(_genre) validContentId(_ipfsHash) {
+        require(!doubleBlind[currentSubmissionPeriod], "Period is double-blind");
 
-        currentSubmissionPeriod++;
-        workCountPerPeriod[currentSubmissionPeriod] = 0;
+        uint32 workId = _storeSubmission(_title, _author, _genre, _ipfsHash, msg.sender);
 
-        emit SubmissionPeriodStarted(currentSubmissionPeriod, block.timestamp);
+        emit WorkSubmitted(currentSubmissionPeriod, workId, msg.sender, msg.value);
     }
 
     /**
-     * @notice Start review period
-     * @dev Only owner can call, only during second half of month
+     * @notice Submit literary work anonymously in a double-blind period
+     * @param _title Work title
+     * @param _genre Award category name, must be an active registered category
+     * @param _ipfsHash Content identifier (CID) of the manuscript, CIDv0 or base32 CIDv1
+     * @param _identityCommitment computeIdentityCommitment(author, submitter, salt); keep the salt to reveal
+     * @dev Author and submitter stay empty until revealIdentity. The sending account is still visible
+     *      in the transaction, so it need not be the committed submitter that reveals and gets refunds.
      */
-    function startReviewPeriod() external onlyOwner whenNotPaused {
-        require(isReviewPeriodActive(), "Can only start during second half of month");
-        require(currentReviewPeriod < currentSubmissionPeriod, "Review period already current");
+    function submitWorkBlind(
+        string memory _title,
+        string memory _genre,
+        string memory _ipfsHash,
+        bytes32 _identityCommitment
+    ) external payable duringSubmissionPeriod whenNotPaused
+      validString(_title) validString(_genre) validContentId(_ipfsHash) {
+        require(doubleBlind[currentSubmissionPeriod], "Period is not double-blind");
+        require(_identityCommitment != bytes32(0), "Invalid commitment");
 
-        currentReviewPeriod = currentSubmissionPeriod;
+        uint32 workId = _storeSubmission(_title, "", _genre, _ipfsHash, address(0));
+        identityCommitments[currentSubmissionPeriod][workId] = _identityCommitment;
 
-        emit ReviewPeriodStarted(currentReviewPeriod, block.timestamp);
+        emit WorkSubmitted(currentSubmissionPeriod, workId, address(0), msg.value);
     }
 
-    // ============================================================
-    //                    REVIEWER MANAGEMENT
-    // ============================================================
-
     /**
-     * @notice Register as reviewer with stake
-     * @param _name Reviewer's name
-     * @param _expertise Area of expertise
-     * @dev Requires REVIEW_STAKE to be sent with transaction
-     */
-    function registerReviewer(
-        string memory _name,
-        string memory _expertise
-    ) external payable whenNotPaused validString(_name) validString(_expertise) {
-        require(msg.value >= REVIEW_STAKE, "Insufficient stake");
-        require(bytes(reviewers[msg.sender].name).length == 0, "Already registered");
-
-        reviewers[msg.sender] = ReviewerProfile({
-            name: _name,
-            expertise: _expertise,
-            isActive: false,
-            reviewCount: 0,
-            averageScore: FHE.asEuint32(0),
-            stakedAmount: msg.value,
-            registrationTime: block.timestamp
-        });
-
-        emit ReviewerRegistered(msg.sender, _name, msg.value);
-    }
+     * @notice Reveal the author and submitter of a double-blind work
+     * @param _period Period of the submission
+     * @param _workId Work ID
+     * @param _author Author name committed to at submission
+     * @param _salt Salt committed to at submission
+     * @dev Must be sent by the committed submitter once awards are announced, or REVIEW_TIMEOUT after
+     *      the scheduled announcement so a stalled period cannot lock the deposit. Credits any award of
+     *      the work and grants access to its encrypted scores.
+     */
+    function revealIdentity(
+        uint32 _period,
+        uint32 _workId,
+        string memory _author,
+        bytes32 _salt
+    ) external validString(_author) {
+        LiteraryWork storage work = submissions[_period][_workId];
+        bytes32 commitment = identityCommitments[_period][_workId];
+        require(commitment != bytes32(0), "Not a double-blind work");
+        require(work.submitter == address(0), "Identity already revealed");
+        require(
+            awardsAnnounced[_period] || block.timestamp > periodSchedules[_period].announcement + REVIEW_TIMEOUT,
+            "Awards not announced"
+        );
+        require(computeIdentityCommitment(_author, msg.sender, _salt) == commitment, "Commitment mismatch");
 
-    /**
-     * @notice Approve reviewer (owner only)
-     * @param _reviewer Address of reviewer to approve
-     * @dev Emits audit event for approval history
-     */
-    function approveReviewer(address _reviewer) external onlyOwner validAddress(_reviewer) {
-        require(bytes(reviewers[_reviewer].name).length > 0, "Reviewer not registered");
+        work.author = _author;
+        work.submitter = msg.sender;
+        if (_hasCalculatedScores(_period, _workId)) {
+            _allowScores(_period, _workId, msg.sender);
+        }
 
-        reviewers[_reviewer].isActive = true;
-        authorizedReviewers[_reviewer] = true;
+        Award[] storage periodAwards = awards[_period];
+        for (uint256 i = 0; i < periodAwards.length; i++) {
+            if (periodAwards[i].workId == _workId) {
+                periodAwards[i].winner = msg.sender;
+            }
+        }
 
-        emit ReviewerApproved(_reviewer);
-        emit AuditLog("REVIEWER_APPROVED", _reviewer, block.timestamp, reviewers[_reviewer].name);
+        emit IdentityRevealed(_period, _workId, msg.sender, _author);
     }
 
     /**
-     * @notice Revoke reviewer authorization
-     * @param _reviewer Address of reviewer to revoke
-     * @dev Emits audit event for revocation history
+     * @notice Commitment to a double-blind work's identity, for building submitWorkBlind calls
      */
-    function revokeReviewer(address _reviewer) external onlyOwner validAddress(_reviewer) {
-        reviewers[_reviewer].isActive = false;
-        authorizedReviewers[_reviewer] = false;
-
-        emit ReviewerRevoked(_reviewer);
-        emit AuditLog("REVIEWER_REVOKED", _reviewer, block.timestamp, reviewers[_reviewer].name);
+    function computeIdentityCommitment(
+        string memory _author,
+        address _submitter,
+        bytes32 _salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_author, _submitter, _salt));
     }
 
-    // ============================================================
-    //                    WORK SUBMISSION
-    // ============================================================
-
-    /**
-     * @notice Submit literary work with deposit
-     * @param _title Work title
-     * @param _author Author name
-     * @param _genre Genre category
-     * @param _ipfsHash IPFS hash for content
-     * @dev Requires SUBMISSION_FEE to be sent
-     */
-    function submitWork(
+    function _storeSubmission(
         string memory _title,
         string memory _author,
         string memory _genre,
-        string memory _ipfsHash
-    ) external payable duringSubmissionPeriod whenNotPaused
-      validString(_title) validString(_author) validString(_genre) validString(_ipfsHash) {
+        string memory _ipfsHash,
+        address _submitter
+    ) private returns (uint32 workId) {
         require(msg.value >= SUBMISSION_FEE, "Insufficient submission fee");
 
-        uint32 workId = workCountPerPeriod[currentSubmissionPeriod] + 1;
+        uint32 categoryIndex = categoryIdByName[keccak256(bytes(_genre))];
+        require(categoryIndex != 0 && awardCategories[categoryIndex - 1].active, "Unknown category");
+
+        workId = workCountPerPeriod[currentSubmissionPeriod] + 1;
         workCountPerPeriod[currentSubmissionPeriod] = workId;
 
         submissions[currentSubmissionPeriod][workId] = LiteraryWork({
             title: _title,
             author: _author,
             genre: _genre,
+            categoryId: categoryIndex - 1,
             encryptedScore: FHE.asEuint32(0),
             submitted: true,
             reviewed: false,
             submissionTime: block.timestamp,
-            submitter: msg.sender,
+            submitter: _submitter,
             ipfsHash: _ipfsHash,
             depositAmount: msg.value,
             refundClaimed: false
         });
+    }
 
-        emit WorkSubmitted(currentSubmissionPeriod, workId, msg.sender, msg.value);
+    // ============================================================
+    //                   FEEDBACK KEY REGISTRY
+    // ============================================================
+
+    /**
+     * @notice Publish the public key reviewers encrypt your feedback to
+     * @param _publicKey Compressed secp256k1 public key (33 bytes)
+     * @dev Authors and chairs publish a key; reviewers encrypt comments to the submitter's and
+     *      the chairs' keys before submitting. Publishing again rotates the key for future reviews.
+     */
+    function publishEncryptionKey(bytes calldata _publicKey) external {
+        require(
+            _publicKey.length == 33 && (_publicKey[0] == 0x02 || _publicKey[0] == 0x03),
+            "Invalid encryption key"
+        );
+        encryptionKeys[msg.sender] = _publicKey;
+        emit EncryptionKeyPublished(msg.sender, _publicKey);
+    }
+
+    /**
+     * @notice Encrypted review comments of a work, released once the period's awards are announced
+     * @dev Comments are ciphertext envelopes only the intended recipients can open
+     */
+    function getReviewFeedback(uint32 _period, uint32 _workId) external view returns (
+        address[] memory reviewerList,
+        string[] memory comments
+    ) {
+        require(awardsAnnounced[_period], "Awards not announced");
+
+        reviewerList = workReviewers[_period][_workId];
+        comments = new string[](reviewerList.length);
+        for (uint256 i = 0; i < reviewerList.length; i++) {
+            comments[i] = reviews[_period][_workId][reviewerList[i]].encryptedComments;
+        }
     }
 
     // ============================================================
@@ -396,7 +301,7 @@ contract LiteratureReviewSystem is SepoliaConfig {
      * @param _encryptedOriginality Encrypted originality score
      * @param _encryptedImpact Encrypted impact score
      * @param _inputProof Proof for encrypted inputs
-     * @param _encryptedComments Encrypted feedback comments
+     * @param _encryptedComments Feedback envelope encrypted client-side to the recipients' published keys
      * @dev Uses Gateway callback pattern for async processing
      */
     function submitReviewEncrypted(
@@ -409,21 +314,19 @@ contract LiteratureReviewSystem is SepoliaConfig {
     ) external payable onlyAuthorizedReviewer duringReviewPeriod whenNotPaused noReentrant {
         require(msg.value >= REVIEW_STAKE, "Insufficient review stake");
         require(submissions[currentReviewPeriod][_workId].submitted, "Work not found");
+        require(!_hasConflict(currentReviewPeriod, _workId, msg.sender), "Conflict of interest");
+        require(isAssigned[currentReviewPeriod][_workId][msg.sender], "Not assigned to this work");
         require(!reviews[currentReviewPeriod][_workId][msg.sender].submitted, "Already reviewed");
 
-        // Convert external encrypted values to internal
-        euint32 encryptedQuality = FHE.fromExternal(_encryptedQuality, _inputProof);
-        euint32 encryptedOriginality = FHE.fromExternal(_encryptedOriginality, _inputProof);
-        euint32 encryptedImpact = FHE.fromExternal(_encryptedImpact, _inputProof);
-
-        // Generate privacy multiplier for division protection
-        euint32 privacyMultiplier = _generatePrivacyMultiplier();
+        // Convert external encrypted values to internal, saturated to the 1-100 scale
+        euint32 encryptedQuality = _clampScore(FHE.fromExternal(_encryptedQuality, _inputProof));
+        euint32 encryptedOriginality = _clampScore(FHE.fromExternal(_encryptedOriginality, _inputProof));
+        euint32 encryptedImpact = _clampScore(FHE.fromExternal(_encryptedImpact, _inputProof));
 
         reviews[currentReviewPeriod][_workId][msg.sender] = Review({
             encryptedQualityScore: encryptedQuality,
             encryptedOriginalityScore: encryptedOriginality,
             encryptedImpactScore: encryptedImpact,
-            encryptedPrivacyMultiplier: privacyMultiplier,
             encryptedComments: _encryptedComments,
             submitted: true,
             reviewer: msg.sender,
@@ -436,7 +339,6 @@ contract LiteratureReviewSystem is SepoliaConfig {
         FHE.allowThis(encryptedQuality);
         FHE.allowThis(encryptedOriginality);
         FHE.allowThis(encryptedImpact);
-        FHE.allowThis(privacyMultiplier);
         FHE.allow(encryptedQuality, msg.sender);
         FHE.allow(encryptedOriginality, msg.sender);
         FHE.allow(encryptedImpact, msg.sender);
@@ -446,6 +348,7 @@ contract LiteratureReviewSystem is SepoliaConfig {
 
         // Update reviewer stats
         reviewers[msg.sender].reviewCount++;
+        reviewCountPerPeriod[currentReviewPeriod]++;
 
         emit ReviewSubmitted(currentReviewPeriod, _workId, msg.sender, msg.value);
     }
@@ -456,7 +359,7 @@ contract LiteratureReviewSystem is SepoliaConfig {
      * @param _qualityScore Quality score (1-100)
      * @param _originalityScore Originality score (1-100)
      * @param _impactScore Impact score (1-100)
-     * @param _encryptedComments Encrypted feedback comments
+     * @param _encryptedComments Feedback envelope encrypted client-side to the recipients' published keys
      */
     function submitReview(
         uint32 _workId,
@@ -468,19 +371,19 @@ contract LiteratureReviewSystem is SepoliaConfig {
       validScore(_qualityScore) validScore(_originalityScore) validScore(_impactScore) {
         require(msg.value >= REVIEW_STAKE, "Insufficient review stake");
         require(submissions[currentReviewPeriod][_workId].submitted, "Work not found");
+        require(!_hasConflict(currentReviewPeriod, _workId, msg.sender), "Conflict of interest");
+        require(isAssigned[currentReviewPeriod][_workId][msg.sender], "Not assigned to this work");
         require(!reviews[currentReviewPeriod][_workId][msg.sender].submitted, "Already reviewed");
 
-        // Encrypt the scores with privacy protection
+        // Encrypt the scores
         euint32 encryptedQuality = FHE.asEuint32(_qualityScore);
         euint32 encryptedOriginality = FHE.asEuint32(_originalityScore);
         euint32 encryptedImpact = FHE.asEuint32(_impactScore);
-        euint32 privacyMultiplier = _generatePrivacyMultiplier();
 
         reviews[currentReviewPeriod][_workId][msg.sender] = Review({
             encryptedQualityScore: encryptedQuality,
             encryptedOriginalityScore: encryptedOriginality,
             encryptedImpactScore: encryptedImpact,
-            encryptedPrivacyMultiplier: privacyMultiplier,
             encryptedComments: _encryptedComments,
             submitted: true,
             reviewer: msg.sender,
@@ -493,536 +396,23 @@ contract LiteratureReviewSystem is SepoliaConfig {
         FHE.allowThis(encryptedQuality);
         FHE.allowThis(encryptedOriginality);
         FHE.allowThis(encryptedImpact);
-        FHE.allowThis(privacyMultiplier);
         FHE.allow(encryptedQuality, msg.sender);
         FHE.allow(encryptedOriginality, msg.sender);
         FHE.allow(encryptedImpact, msg.sender);
 
         workReviewers[currentReviewPeriod][_workId].push(msg.sender);
         reviewers[msg.sender].reviewCount++;
+        reviewCountPerPeriod[currentReviewPeriod]++;
 
         emit ReviewSubmitted(currentReviewPeriod, _workId, msg.sender, msg.value);
     }
 
-    // ============================================================
-    //                    GATEWAY CALLBACK PATTERN
-    // ============================================================
-
-    /**
-     * @notice Request decryption of work scores via Gateway
-     * @param _period Review period
-     * @param _workId Work ID to decrypt
-     * @dev Initiates async decryption request
-     */
-    function requestScoreDecryption(uint32 _period, uint32 _workId) external onlyOwner whenNotPaused {
-        require(submissions[_period][_workId].submitted, "Work not found");
-        require(workDecryptionRequestId[_period][_workId] == 0, "Decryption already requested");
-
-        // Calculate aggregate score first
-        euint32 aggregateScore = _calculateAggregateScore(_period, _workId);
-
-        // Prepare ciphertext for decryption
-        bytes32[] memory cts = new bytes32[](1);
-        cts[0] = FHE.toBytes32(aggregateScore);
-
-        // Request decryption via Gateway
-        uint256 requestId = FHE.requestDecryption(cts, this.scoreDecryptionCallback.selector);
-
-        decryptionRequests[requestId] = DecryptionRequest({
-            period: _period,
-            workId: _workId,
-            requester: msg.sender,
-            requestTime: block.timestamp,
-            completed: false,
-            failed: false,
-            decryptedScore: 0
-        });
-
-        workDecryptionRequestId[_period][_workId] = requestId;
-
-        emit DecryptionRequested(_period, _workId, requestId);
-    }
-
-    /**
-     * @notice Gateway callback for score decryption
-     * @param requestId Request ID from Gateway
-     * @param cleartexts Decrypted values
-     * @param decryptionProof Proof of correct decryption
-     * @dev Called by Gateway relayer after decryption
-     */
-    function scoreDecryptionCallback(
-        uint256 requestId,
-        bytes memory cleartexts,
-        bytes memory decryptionProof
-    ) external {
-        // Verify the decryption proof
-        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
-
-        DecryptionRequest storage request = decryptionRequests[requestId];
-        require(!request.completed, "Already processed");
-
-        // Decode the decrypted score
-        uint64 decryptedScore = abi.decode(cleartexts, (uint64));
-
-        request.completed = true;
-        request.decryptedScore = decryptedScore;
-
-        // Update work with decrypted score
-        LiteraryWork storage work = submissions[request.period][request.workId];
-        work.reviewed = true;
-
-        emit DecryptionCompleted(request.period, request.workId, decryptedScore);
-    }
-
-    /**
-     * @notice Mark decryption as failed (for timeout handling)
-     * @param _period Period of the work
-     * @param _workId Work ID
-     */
-    function markDecryptionFailed(uint32 _period, uint32 _workId) external onlyOwner {
-        uint256 requestId = workDecryptionRequestId[_period][_workId];
-        require(requestId != 0, "No decryption request found");
-
-        DecryptionRequest storage request = decryptionRequests[requestId];
-        require(!request.completed, "Already completed");
-        require(block.timestamp > request.requestTime + DECRYPTION_TIMEOUT, "Timeout not reached");
-
-        request.failed = true;
-        request.completed = true;
-
-        emit DecryptionFailed(_period, _workId, requestId);
-    }
-
-    // ============================================================
-    //                    REFUND MECHANISMS
-    // ============================================================
-
-    /**
-     * @notice Claim refund for failed decryption
-     * @param _period Period of the work
-     * @param _workId Work ID
-     * @dev Available when decryption fails or times out (prevents permanent locking)
-     * @dev Gateway callback pattern ensures eventual consistency
-     */
-    function claimDecryptionFailureRefund(uint32 _period, uint32 _workId) external noReentrant {
-        uint256 requestId = workDecryptionRequestId[_period][_workId];
-        require(requestId != 0, "No decryption request");
-
-        DecryptionRequest storage request = decryptionRequests[requestId];
-
-        // Check for failure OR timeout (timeout protection)
-        bool isTimedOut = block.timestamp > request.requestTime + DECRYPTION_TIMEOUT && !request.completed;
-        require(request.failed || isTimedOut, "Decryption not failed or timed out");
-
-        Review storage review = reviews[_period][_workId][msg.sender];
-        require(review.submitted, "No review found");
-        require(!review.refundClaimed, "Already claimed refund");
-        require(review.stakeAmount > 0, "No stake to refund");
-
-        review.refundClaimed = true;
-        uint256 refundAmount = review.stakeAmount;
-
-        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(sent, "Refund transfer failed");
-
-        emit RefundClaimed(msg.sender, refundAmount, "Decryption failure or timeout");
-        emit DecryptionFailureRefundIssued(msg.sender, refundAmount, requestId);
-        emit AuditLog("REFUND_DECRYPTION_FAILURE", msg.sender, block.timestamp,
-                     string(abi.encodePacked("Period:", _period, " WorkId:", _workId)));
-    }
-
-    /**
-     * @notice Claim timeout refund for submission
-     * @param _period Period of the submission
-     * @param _workId Work ID
-     * @dev Timeout protection: available when review period ends without completion
-     * @dev Prevents permanent locking of submission deposits
-     */
-    function claimTimeoutRefund(uint32 _period, uint32 _workId) external noReentrant {
-        LiteraryWork storage work = submissions[_period][_workId];
-        require(work.submitted, "Work not found");
-        require(work.submitter == msg.sender, "Not the submitter");
-        require(!work.refundClaimed, "Already refunded");
-        require(block.timestamp > work.submissionTime + REVIEW_TIMEOUT, "Timeout not reached");
-        require(!work.reviewed, "Work already reviewed");
-
-        work.refundClaimed = true;
-        uint256 refundAmount = work.depositAmount;
-
-        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(sent, "Refund transfer failed");
-
-        emit TimeoutRefundClaimed(msg.sender, _period, _workId, refundAmount);
-        emit SubmitterTimeoutRefundIssued(msg.sender, refundAmount, _period, _workId);
-        emit AuditLog("TIMEOUT_REFUND_SUBMISSION", msg.sender, block.timestamp,
-                     string(abi.encodePacked("WorkId:", _workId)));
-    }
-
-    /**
-     * @notice Claim reviewer stake refund on timeout
-     * @param _period Period
-     * @param _workId Work ID
-     * @dev Timeout protection: available when review processing exceeds REVIEW_TIMEOUT
-     * @dev Prevents permanent locking of reviewer stakes
-     */
-    function claimReviewerTimeoutRefund(uint32 _period, uint32 _workId) external noReentrant {
-        Review storage review = reviews[_period][_workId][msg.sender];
-        require(review.submitted, "No review found");
-        require(!review.refundClaimed, "Already claimed refund");
-        require(block.timestamp > review.reviewTime + REVIEW_TIMEOUT, "Timeout not reached");
-
-        uint256 requestId = workDecryptionRequestId[_period][_workId];
-        if (requestId != 0) {
-            DecryptionRequest storage request = decryptionRequests[requestId];
-            // Allow refund if decryption failed or hasn't completed
-            require(!request.completed || request.failed, "Decryption succeeded");
-        }
-
-        review.refundClaimed = true;
-        uint256 refundAmount = review.stakeAmount;
-
-        (bool sent, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(sent, "Refund transfer failed");
-
-        emit RefundClaimed(msg.sender, refundAmount, "Review timeout");
-        emit ReviewerTimeoutRefundIssued(msg.sender, refundAmount, _period, _workId);
-        emit AuditLog("TIMEOUT_REFUND_REVIEW", msg.sender, block.timestamp,
-                     string(abi.encodePacked("WorkId:", _workId)));
-    }
-
-    // ============================================================
-    //                    PRIVACY PROTECTION
-    // ============================================================
-
-    /**
-     * @notice Generate privacy multiplier to protect division operations
-     * @return euint32 Random encrypted multiplier
-     * @dev INNOVATION: Division Problem Protection
-     *      Prevents score inference through division analysis.
-     *      When computing average = total / count, the division
-     *      operation is protected using a random multiplier that
-     *      makes it cryptographically infeasible to extract the
-     *      original individual scores from the aggregate result.
-     *      Range: [PRIVACY_MULTIPLIER_MIN, PRIVACY_MULTIPLIER_MAX]
-     * @dev Uses block.prevrandao (post-Merge randomness) + nonce
-     */
-    function _generatePrivacyMultiplier() private returns (euint32) {
-        // Use block data for pseudo-randomness
-        // In production, consider VRF (Chainlink VRF) for stronger randomness
-        uint32 randomValue = uint32(uint256(keccak256(abi.encodePacked(
-            block.timestamp,
-            block.prevrandao,  // Post-merge randomness source
-            msg.sender,
-            nextRequestId++    // Nonce to ensure uniqueness
-        ))) % (PRIVACY_MULTIPLIER_MAX - PRIVACY_MULTIPLIER_MIN) + PRIVACY_MULTIPLIER_MIN);
-
-        return FHE.asEuint32(randomValue);
-    }
-
-    /**
-     * @notice Calculate aggregate score with privacy protection
-     * @param _period Review period
-     * @param _workId Work ID
-     * @return euint32 Encrypted aggregate score (obfuscated with privacy multipliers)
-     * @dev INNOVATION: Price Leakage Prevention Through Fuzzy Aggregation
-     *      Individual scores are obfuscated by multiplying with unique random multipliers
-     *      before aggregation. This prevents:
-     *      1. Score inference from aggregate analysis
-     *      2. Pattern recognition across review periods
-     *      3. Cryptanalysis attacks on encrypted totals
-     *      The multipliers are encrypted so the computation remains on encrypted data (HCU optimization).
-     * @dev Computation stays encrypted throughout (homomorphic evaluation)
-     */
-    function _calculateAggregateScore(uint32 _period, uint32 _workId) private view returns (euint32) {
-        address[] storage reviewerList = workReviewers[_period][_workId];
-        euint32 totalScore = FHE.asEuint32(0);
-        euint32 totalMultiplier = FHE.asEuint32(0);
-
-        // Aggregate all reviewer scores with privacy multipliers
-        for (uint i = 0; i < reviewerList.length; i++) {
-            Review storage review = reviews[_period][_workId][reviewerList[i]];
-            if (review.submitted) {
-                // Combine individual category scores (quality + originality + impact)
-                euint32 categoryTotal = FHE.add(
-                    review.encryptedQualityScore,
-                    FHE.add(review.encryptedOriginalityScore, review.encryptedImpactScore)
-                );
-
-                // Apply reviewer-specific privacy multiplier for obfuscation
-                // This makes it cryptographically infeasible to extract individual scores
-                euint32 obfuscatedScore = FHE.mul(categoryTotal, review.encryptedPrivacyMultiplier);
-                totalScore = FHE.add(totalScore, obfuscatedScore);
-                totalMultiplier = FHE.add(totalMultiplier, review.encryptedPrivacyMultiplier);
-            }
-        }
-
-        return totalScore;
-    }
-
-    // ============================================================
-    //                    AWARD CALCULATION
-    // ============================================================
-
-    /**
-     * @notice Calculate results and determine winners
-     * @param _period Period to calculate
-     */
-    function calculateResults(uint32 _period) external onlyOwner whenNotPaused {
-        require(_period <= currentReviewPeriod, "Period not ready for calculation");
-
-        uint32 workCount = workCountPerPeriod[_period];
-
-        for (uint32 workId = 1; workId <= workCount; workId++) {
-            _calculateWorkScore(_period, workId);
-        }
-
-        _determineAwardWinners(_period);
-    }
-
-    function _calculateWorkScore(uint32 _period, uint32 _workId) private {
-        LiteraryWork storage work = submissions[_period][_workId];
-        if (!work.submitted) return;
-
-        euint32 totalScore = _calculateAggregateScore(_period, _workId);
-        work.encryptedScore = totalScore;
-        work.reviewed = true;
-    }
-
-    function _determineAwardWinners(uint32 _period) private {
-        string[4] memory categories = ["Fiction", "Poetry", "Drama", "Non-Fiction"];
-
-        for (uint i = 0; i < categories.length; i++) {
-            address winner = _findCategoryWinner(_period, categories[i]);
-            if (winner != address(0)) {
-                awards[_period].push(Award({
-                    category: categories[i],
-                    winner: winner,
-                    totalScore: 0,
-                    announced: false,
-                    announcementTime: 0
-                }));
-            }
-        }
-    }
-
-    function _findCategoryWinner(uint32 _period, string memory _genre) private view returns (address) {
-        uint32 workCount = workCountPerPeriod[_period];
-        address bestSubmitter = address(0);
-
-        for (uint32 workId = 1; workId <= workCount; workId++) {
-            LiteraryWork storage work = submissions[_period][workId];
-            if (work.submitted && keccak256(bytes(work.genre)) == keccak256(bytes(_genre))) {
-                if (bestSubmitter == address(0)) {
-                    bestSubmitter = work.submitter;
-                }
-            }
-        }
-
-        return bestSubmitter;
-    }
-
-    /**
-     * @notice Announce award results
-     * @param _period Period to announce
-     */
-    function announceAwards(uint32 _period) external onlyOwner whenNotPaused {
-        Award[] storage periodAwards = awards[_period];
-
-        for (uint i = 0; i < periodAwards.length; i++) {
-            if (!periodAwards[i].announced) {
-                periodAwards[i].announced = true;
-                periodAwards[i].announcementTime = block.timestamp;
-
-                emit AwardAnnounced(_period, periodAwards[i].category, periodAwards[i].winner);
-            }
-        }
-    }
-
-    // ============================================================
-    //                    ADMIN FUNCTIONS
-    // ============================================================
-
-    /**
-     * @notice Pause contract in emergency
-     */
-    function pause() external onlyOwner {
-        paused = true;
-        emit ContractPaused(msg.sender);
-    }
-
-    /**
-     * @notice Unpause contract
-     */
-    function unpause() external onlyOwner {
-        paused = false;
-        emit ContractUnpaused(msg.sender);
-    }
-
-    /**
-     * @notice Withdraw platform fees
-     * @param to Address to receive fees
-     */
-    function withdrawPlatformFees(address to) external onlyOwner validAddress(to) noReentrant {
-        require(platformFees > 0, "No fees to withdraw");
-        uint256 amount = platformFees;
-        platformFees = 0;
-
-        (bool sent, ) = payable(to).call{value: amount}("");
-        require(sent, "Withdraw failed");
-    }
-
-    /**
-     * @notice Transfer ownership
-     * @param newOwner New owner address
-     */
-    function transferOwnership(address newOwner) external onlyOwner validAddress(newOwner) {
-        owner = newOwner;
-    }
-
-    // ============================================================
-    //                      VIEW FUNCTIONS
-    // ============================================================
-
-    /**
-     * @notice Get submission info
-     */
-    function getSubmissionInfo(uint32 _period, uint32 _workId) external view returns (
-        string memory title,
-        string memory author,
-        string memory genre,
-        bool submitted,
-        bool reviewed,
-        uint256 submissionTime,
-        address submitter,
-        uint256 depositAmount,
-        bool refundClaimed
-    ) {
-        LiteraryWork storage work = submissions[_period][_workId];
-        return (
-            work.title,
-            work.author,
-            work.genre,
-            work.submitted,
-            work.reviewed,
-            work.submissionTime,
-            work.submitter,
-            work.depositAmount,
-            work.refundClaimed
-        );
-    }
-
-    /**
-     * @notice Get reviewer profile
-     */
-    function getReviewerProfile(address _reviewer) external view returns (
-        string memory name,
-        string memory expertise,
-        bool isActive,
-        uint32 reviewCount,
-        uint256 stakedAmount
-    ) {
-        ReviewerProfile storage profile = reviewers[_reviewer];
-        return (
-            profile.name,
-            profile.expertise,
-            profile.isActive,
-            profile.reviewCount,
-            profile.stakedAmount
-        );
-    }
-
-    /**
-     * @notice Get period statistics
-     */
-    function getPeriodStats(uint32 _period) external view returns (
-        uint32 totalSubmissions,
-        bool submissionActive,
-        bool reviewActive
-    ) {
-        return (
-            workCountPerPeriod[_period],
-            _period == currentSubmissionPeriod && isSubmissionPeriodActive(),
-            _period == currentReviewPeriod && isReviewPeriodActive()
-        );
-    }
-
-    /**
-     * @notice Get awards for period
-     */
-    function getAwards(uint32 _period) external view returns (
-        string[] memory categories,
-        address[] memory winners,
-        bool[] memory announced
-    ) {
-        Award[] storage periodAwards = awards[_period];
-        uint256 length = periodAwards.length;
-
-        categories = new string[](length);
-        winners = new address[](length);
-        announced = new bool[](length);
-
-        for (uint i = 0; i < length; i++) {
-            categories[i] = periodAwards[i].category;
-            winners[i] = periodAwards[i].winner;
-            announced[i] = periodAwards[i].announced;
-        }
-    }
-
-    /**
-     * @notice Get decryption request status
-     */
-    function getDecryptionStatus(uint32 _period, uint32 _workId) external view returns (
-        uint256 requestId,
-        bool completed,
-        bool failed,
-        uint64 decryptedScore,
-        uint256 requestTime
-    ) {
-        requestId = workDecryptionRequestId[_period][_workId];
-        if (requestId == 0) {
-            return (0, false, false, 0, 0);
-        }
-
-        DecryptionRequest storage request = decryptionRequests[requestId];
-        return (
-            requestId,
-            request.completed,
-            request.failed,
-            request.decryptedScore,
-            request.requestTime
-        );
-    }
-
-    /**
-     * @notice Check if refund is claimable for review
-     */
-    function isRefundClaimable(uint32 _period, uint32 _workId, address _reviewer) external view returns (bool) {
-        Review storage review = reviews[_period][_workId][_reviewer];
-        if (!review.submitted || review.refundClaimed) return false;
-
-        uint256 requestId = workDecryptionRequestId[_period][_workId];
-        if (requestId != 0) {
-            DecryptionRequest storage request = decryptionRequests[requestId];
-            if (request.failed) return true;
-            if (block.timestamp > request.requestTime + DECRYPTION_TIMEOUT && !request.completed) return true;
-        }
-
-        if (block.timestamp > review.reviewTime + REVIEW_TIMEOUT) return true;
-
-        return false;
-    }
-
-    /**
-     * @notice Get reviewer list for a work
-     */
-    function getWorkReviewers(uint32 _period, uint32 _workId) external view returns (address[] memory) {
-        return workReviewers[_period][_workId];
-    }
-
     /**
-     * @notice Receive function for receiving ETH
+     * @notice Clamp an encrypted score into [MIN_SCORE, MAX_SCORE]
+     * @dev Encrypted inputs cannot be range-checked with require, so out-of-range
+     *      values are saturated homomorphically instead of reverting
      */
-    receive() external payable {
-        platformFees += msg.value;
+    function _clampScore(euint32 _score) private returns (euint32) {
+        return FHE.min(FHE.max(_score, uint32(MIN_SCORE)), uint32(MAX_SCORE));
     }
 }
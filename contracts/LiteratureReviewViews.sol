@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: BSD-3-Clause-Clear
+pragma solidity ^0.8.24;
+
+import { euint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { LiteratureReviewModule } from "./LiteratureReviewModule.sol";
+
+/**
+ * @title LiteratureReviewViews
+ * @notice Read-only views of a LiteratureReviewSystem
+ * @dev Last module of the chain, run through delegatecall on the program's storage
+ */
+contract LiteratureReviewViews is LiteratureReviewModule {
+
+    constructor() LiteratureReviewModule(address(0)) {}
+
+    // ============================================================
+    //                      VIEW FUNCTIONS
+    // ============================================================
+
+    /**
+     * @notice Get submission info
+     * @dev Author and submitter are empty for double-blind works until revealIdentity
+     */
+    function getSubmissionInfo(uint32 _period, uint32 _workId) external view returns (
+        string memory title,
+        string memory author,
+        string memory genre,
+        bool submitted,
+        bool reviewed,
+        uint256 submissionTime,
+        address submitter,
+        uint256 depositAmount,
+        bool refundClaimed,
+        bool insufficientReviews
+    ) {
+        LiteraryWork storage work = submissions[_period][_workId];
+        title = work.title;
+        author = work.author;
+        genre = work.genre;
+        submitted = work.submitted;
+        reviewed = work.reviewed;
+        submissionTime = work.submissionTime;
+        submitter = work.submitter;
+        depositAmount = work.depositAmount;
+        refundClaimed = work.refundClaimed;
+        insufficientReviews = belowQuorum[_period][_workId];
+    }
+
+    /**
+     * @notice Page through a period's submissions with their review counts and decryption status
+     * @param _period Review period
+     * @param _fromWorkId First work ID to consider
+     * @param _limit Maximum number of works to return, at most MAX_PAGE_SIZE
+     * @param _genre Only return works of this category, or all categories when empty
+     * @param _submitter Only return works of this submitter, or all submitters when zero
+     * @return page Matching works in ID order
+     * @return nextWorkId Work ID to pass as `_fromWorkId` for the next page, zero after the last page
+     * @dev Replaces the getSubmissionInfo, getManuscriptCid, getWorkReviewers and getDecryptionStatus
+     *      calls per work.
+     *      Unrevealed double-blind works never match a submitter filter.
+     */
+    function getSubmissionsPage(
+        uint32 _period,
+        uint32 _fromWorkId,
+        uint32 _limit,
+        string calldata _genre,
+        address _submitter
+    ) external view returns (SubmissionSummary[] memory page, uint32 nextWorkId) {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        // Category IDs are stored plus one so that zero means "no such category"
+        uint32 categoryKey = bytes(_genre).length == 0 ? 0 : categoryIdByName[keccak256(bytes(_genre))];
+        if (bytes(_genre).length > 0 && categoryKey == 0) {
+            return (new SubmissionSummary[](0), 0);
+        }
+
+        SubmissionSummary[] memory matches = new SubmissionSummary[](_limit);
+        uint32 workCount = workCountPerPeriod[_period];
+        uint32 found = 0;
+        uint32 workId = _fromWorkId == 0 ? 1 : _fromWorkId;
+
+        for (; workId <= workCount && found < _limit; workId++) {
+            LiteraryWork storage work = submissions[_period][workId];
+            if (categoryKey != 0 && work.categoryId != categoryKey - 1) continue;
+            if (_submitter != address(0) && work.submitter != _submitter) continue;
+
+            matches[found] = _summarizeSubmission(_period, workId);
+            found++;
+        }
+
+        page = new SubmissionSummary[](found);
+        for (uint32 i = 0; i < found; i++) {
+            page[i] = matches[i];
+        }
+        nextWorkId = workId <= workCount ? workId : 0;
+    }
+
+    /**
+     * @notice Get the manuscript CID of a submission, for fetching and integrity checks
+     */
+    function getManuscriptCid(uint32 _period, uint32 _workId) external view returns (string memory) {
+        require(submissions[_period][_workId].submitted, "Work not found");
+        return submissions[_period][_workId].ipfsHash;
+    }
+
+    /**
+     * @notice Get the encrypted aggregate and per-criterion average scores of a work
+     * @dev The submitter is allowed to user-decrypt them once calculateResults has scored the work
+     */
+    function getEncryptedScores(uint32 _period, uint32 _workId) external view returns (
+        euint32 aggregate,
+        euint32 quality,
+        euint32 originality,
+        euint32 impact
+    ) {
+        require(_hasCalculatedScores(_period, _workId), "Results not calculated");
+        CriterionScores storage averages = criterionAverages[_period][_workId];
+        return (submissions[_period][_workId].encryptedScore, averages.quality, averages.originality, averages.impact);
+    }
+
+    /**
+     * @notice Get reviewer profile
+     */
+    function getReviewerProfile(address _reviewer) external view returns (
+        string memory name,
+        string memory expertise,
+        bool isActive,
+        uint32 reviewCount,
+        uint256 stakedAmount
+    ) {
+        ReviewerProfile storage profile = reviewers[_reviewer];
+        return (
+            profile.name,
+            profile.expertise,
+            profile.isActive,
+            profile.reviewCount,
+            profile.stakedAmount
+        );
+    }
+
+    /**
+     * @notice Get the works a reviewer is assigned to in a period
+     */
+    function getAssignedWorks(uint32 _period, address _reviewer) external view returns (uint32[] memory) {
+        return reviewerAssignments[_period][_reviewer];
+    }
+
+    /**
+     * @notice Get the addresses a reviewer declared as affiliated
+     */
+    function getAffiliations(address _reviewer) external view returns (address[] memory) {
+        return reviewerAffiliations[_reviewer];
+    }
+
+    /**
+     * @notice Get the reviewers assigned to a work
+     */
+    function getWorkAssignees(uint32 _period, uint32 _workId) external view returns (address[] memory) {
+        return workAssignees[_period][_workId];
+    }
+
+    /**
+     * @notice Get reviewer counts by lifecycle status
+     */
+    function getReviewerCounts() external view returns (
+        uint256 registered,
+        uint256 pending,
+        uint256 active,
+        uint256 revoked
+    ) {
+        return (
+            registeredReviewers.length,
+            reviewersByStatus[ReviewerStatus.Pending].length,
+            reviewersByStatus[ReviewerStatus.Active].length,
+            reviewersByStatus[ReviewerStatus.Revoked].length
+        );
+    }
+
+    /**
+     * @notice Page through all registered reviewers in registration order
+     * @param _offset Index of the first reviewer to return
+     * @param _limit Maximum number of reviewers to return
+     */
+    function getRegisteredReviewers(uint256 _offset, uint256 _limit) external view returns (address[] memory) {
+        return _paginate(registeredReviewers, _offset, _limit);
+    }
+
+    /**
+     * @notice Page through reviewers currently in a given status
+     * @param _status Pending, Active or Revoked
+     * @param _offset Index of the first reviewer to return
+     * @param _limit Maximum number of reviewers to return
+     * @dev Order changes as reviewers move between statuses
+     */
+    function getReviewersByStatus(
+        ReviewerStatus _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (address[] memory) {
+        return _paginate(reviewersByStatus[_status], _offset, _limit);
+    }
+
+    function _summarizeSubmission(
+        uint32 _period,
+        uint32 _workId
+    ) private view returns (SubmissionSummary memory summary) {
+        LiteraryWork storage work = submissions[_period][_workId];
+        summary.workId = _workId;
+        summary.title = work.title;
+        summary.author = work.author;
+        summary.genre = work.genre;
+        summary.manuscriptCid = work.ipfsHash;
+        summary.reviewed = work.reviewed;
+        summary.submissionTime = work.submissionTime;
+        summary.submitter = work.submitter;
+        summary.depositAmount = work.depositAmount;
+        summary.refundClaimed = work.refundClaimed;
+        summary.insufficientReviews = belowQuorum[_period][_workId];
+        summary.reviewCount = uint32(workReviewers[_period][_workId].length);
+
+        if (_hasDecryptionRequest(_period, _workId)) {
+            DecryptionRequest storage request = decryptionRequests[workDecryptionRequestId[_period][_workId]];
+            summary.decryptionRequestTime = request.requestTime;
+            summary.decryptionCompleted = request.completed;
+            summary.decryptionFailed = request.failed;
+            summary.decryptedScore = request.decryptedScore;
+        }
+    }
+
+    function _paginate(
+        address[] storage _list,
+        uint256 _offset,
+        uint256 _limit
+    ) private view returns (address[] memory page) {
+        if (_offset >= _list.length) {
+            return new address[](0);
+        }
+
+        uint256 end = _offset + _limit;
+        if (end > _list.length) {
+            end = _list.length;
+        }
+
+        page = new address[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _list[i];
+        }
+    }
+
+    /**
+     * @notice Get period statistics
+     */
+    function getPeriodStats(uint32 _period) external view returns (
+        uint32 totalSubmissions,
+        bool submissionActive,
+        bool reviewActive
+    ) {
+        return (
+            workCountPerPeriod[_period],
+            _period == currentSubmissionPeriod && _isSubmissionWindowOpen(_period),
+            _period == currentReviewPeriod && _isReviewWindowOpen(_period)
+        );
+    }
+
+    /**
+     * @notice Get awards for period
+     */
+    function getAwards(uint32 _period) external view returns (
+        string[] memory categories,
+        address[] memory winners,
+        bool[] memory announced
+    ) {
+        Award[] storage periodAwards = awards[_period];
+        uint256 length = periodAwards.length;
+
+        categories = new string[](length);
+        winners = new address[](length);
+        announced = new bool[](length);
+
+        for (uint i = 0; i < length; i++) {
+            categories[i] = periodAwards[i].category;
+            winners[i] = periodAwards[i].winner;
+            announced[i] = periodAwards[i].announced;
+        }
+    }
+
+    /**
+     * @notice Get full award records for period, including winning work, score and announcement time
+     * @dev Score and work ID stay zero until the Gateway callback decrypts the winner
+     */
+    function getAwardDetails(uint32 _period) external view returns (Award[] memory) {
+        return awards[_period];
+    }
+
+    /**
+     * @notice Get all award categories
+     * @dev Array index is the category ID
+     */
+    function getCategories() external view returns (
+        string[] memory names,
+        bool[] memory active
+    ) {
+        uint256 length = awardCategories.length;
+
+        names = new string[](length);
+        active = new bool[](length);
+
+        for (uint i = 0; i < length; i++) {
+            names[i] = awardCategories[i].name;
+            active[i] = awardCategories[i].active;
+        }
+    }
+
+    /**
+     * @notice Get decryption request status
+     */
+    function getDecryptionStatus(uint32 _period, uint32 _workId) external view returns (
+        uint256 requestId,
+        bool completed,
+        bool failed,
+        uint64 decryptedScore,
+        uint256 requestTime
+    ) {
+        if (!_hasDecryptionRequest(_period, _workId)) {
+            return (0, false, false, 0, 0);
+        }
+
+        requestId = workDecryptionRequestId[_period][_workId];
+
+        DecryptionRequest storage request = decryptionRequests[requestId];
+        return (
+            requestId,
+            request.completed,
+            request.failed,
+            request.decryptedScore,
+            request.requestTime
+        );
+    }
+
+    /**
+     * @notice Check if refund is claimable for review
+     */
+    function isRefundClaimable(uint32 _period, uint32 _workId, address _reviewer) external view returns (bool) {
+        Review storage review = reviews[_period][_workId][_reviewer];
+        if (!review.submitted || review.refundClaimed) return false;
+
+        if (_hasDecryptionRequest(_period, _workId)) {
+            uint256 requestId = workDecryptionRequestId[_period][_workId];
+            DecryptionRequest storage request = decryptionRequests[requestId];
+            if (request.failed) return true;
+            if (block.timestamp > request.requestTime + DECRYPTION_TIMEOUT && !request.completed) return true;
+        }
+
+        if (block.timestamp > review.reviewTime + REVIEW_TIMEOUT) return true;
+
+        return false;
+    }
+
+    /**
+     * @notice Get reviewer list for a work
+     */
+    function getWorkReviewers(uint32 _period, uint32 _workId) external view returns (address[] memory) {
+        return workReviewers[_period][_workId];
+    }
+}
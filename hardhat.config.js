@@ -1,4 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@fhevm/hardhat-plugin");
 require("hardhat-contract-sizer");
 require("hardhat-gas-reporter");
 require("dotenv").config();
@@ -1,8 +1,16 @@
+const path = require('path');
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  experimental: {
+    // The contract SDK is compiled from its sources in ../sdk
+    externalDir: true,
+  },
   webpack: (config) => {
     config.externals.push('pino-pretty', 'lokijs', 'encoding');
+    // The SDK would otherwise resolve the repository root's ethers and bundle a second copy
+    config.resolve.alias.ethers = path.join(__dirname, 'node_modules', 'ethers');
     return config;
   },
 };
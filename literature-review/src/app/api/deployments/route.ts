@@ -0,0 +1,44 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NextResponse } from 'next/server';
+import type { Deployment } from '@/lib/networks';
+
+// Manifests written by scripts/deploy.js in the repository root, one latest-<network>.json each
+const DEPLOYMENTS_DIR =
+  process.env.DEPLOYMENTS_DIR || path.join(process.cwd(), '..', 'deployments');
+const LATEST_MANIFEST = /^latest-[\w-]+\.json$/;
+
+// Re-read on every request, so a redeploy is picked up without rebuilding the app
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  let files: string[];
+  try {
+    files = (await fs.readdir(DEPLOYMENTS_DIR)).filter((file) => LATEST_MANIFEST.test(file));
+  } catch {
+    return NextResponse.json([]);
+  }
+
+  // hardhat and localhost manifests share a chain ID; the most recent deployment wins
+  const byChain = new Map<number, Deployment>();
+  for (const file of files) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(DEPLOYMENTS_DIR, file), 'utf8'));
+      const deployment: Deployment = {
+        network: manifest.network,
+        chainId: Number(manifest.chainId),
+        contractAddress: manifest.contractAddress,
+        factoryAddress: manifest.factoryAddress || null,
+        deploymentTime: manifest.deploymentTime || '',
+      };
+      const current = byChain.get(deployment.chainId);
+      if (!current || current.deploymentTime < deployment.deploymentTime) {
+        byChain.set(deployment.chainId, deployment);
+      }
+    } catch (error) {
+      console.error(`Skipping unreadable deployment manifest ${file}:`, error);
+    }
+  }
+
+  return NextResponse.json(Array.from(byChain.values()));
+}
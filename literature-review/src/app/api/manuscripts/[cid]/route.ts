@@ -0,0 +1,50 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NextResponse } from 'next/server';
+import { computeCid, isValidCid, MAX_MANUSCRIPT_BYTES } from '@/lib/manuscripts';
+
+// Local filesystem stand-in for manuscript storage. Production deployments use IPFS unless a
+// directory is configured explicitly.
+const MANUSCRIPT_DIR = process.env.MANUSCRIPT_DIR || path.join(process.cwd(), '.manuscripts');
+
+interface RouteContext {
+  params: { cid: string };
+}
+
+function isEnabled(): boolean {
+  return process.env.NODE_ENV !== 'production' || Boolean(process.env.MANUSCRIPT_DIR);
+}
+
+export async function GET(_request: Request, { params }: RouteContext) {
+  // Validating the CID also keeps the file name inside MANUSCRIPT_DIR
+  if (!isEnabled() || !isValidCid(params.cid)) {
+    return new NextResponse('Not found', { status: 404 });
+  }
+
+  try {
+    const content = await fs.readFile(path.join(MANUSCRIPT_DIR, params.cid));
+    return new NextResponse(new Uint8Array(content), {
+      headers: { 'Content-Type': 'application/octet-stream' },
+    });
+  } catch {
+    return new NextResponse('Not found', { status: 404 });
+  }
+}
+
+export async function PUT(request: Request, { params }: RouteContext) {
+  if (!isEnabled()) {
+    return new NextResponse('Not found', { status: 404 });
+  }
+
+  const content = new Uint8Array(await request.arrayBuffer());
+  if (content.length > MAX_MANUSCRIPT_BYTES) {
+    return new NextResponse('Manuscript too large', { status: 413 });
+  }
+  if (computeCid(content) !== params.cid) {
+    return new NextResponse('Content does not match CID', { status: 400 });
+  }
+
+  await fs.mkdir(MANUSCRIPT_DIR, { recursive: true });
+  await fs.writeFile(path.join(MANUSCRIPT_DIR, params.cid), content);
+  return new NextResponse(null, { status: 201 });
+}
@@ -2,66 +2,211 @@
 
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import { connectLiteratureReviewSystem, LiteratureReviewSystem } from '@literature-review/sdk';
 import ConnectionStatus from '@/components/ConnectionStatus';
 import Notification from '@/components/Notification';
 import SubmitWork from '@/components/SubmitWork';
 import ExpertReview from '@/components/ExpertReview';
 import StatusView from '@/components/StatusView';
 import AwardsView from '@/components/AwardsView';
+import RefundCenter from '@/components/RefundCenter';
+import AdminConsole from '@/components/AdminConsole';
+import FeedbackView from '@/components/FeedbackView';
+import MySubmissions from '@/components/MySubmissions';
+import MyReviews from '@/components/MyReviews';
+import CompetitionPicker from '@/components/CompetitionPicker';
+import { competitionFromUrl } from '@/lib/competitions';
+import {
+  ACCOUNT_EVENTS,
+  ContractEventHub,
+  createEventHub,
+  describeAccountEvent,
+} from '@/lib/events';
+import {
+  DEFAULT_NETWORK,
+  Deployment,
+  findNetwork,
+  loadDeployments,
+  readOnlyProvider,
+  resolveDeployment,
+  switchWalletChain,
+} from '@/lib/networks';
+import { AccountRoles, hasAdminAccess, loadAccountRoles, NO_ROLES } from '@/lib/roles';
+import { getErrorMessage } from '@/lib/transactions';
 
-const CONTRACT_ADDRESS = "0xE30e4b2A47C0605AaBaAde36f15d804fec4F9CF0";
-const CONTRACT_ABI = [
-  "function isSubmissionPeriodActive() view returns (bool)",
-  "function isReviewPeriodActive() view returns (bool)",
-  "function currentSubmissionPeriod() view returns (uint32)",
-  "function currentReviewPeriod() view returns (uint32)",
-  "function submitWork(string title, string author, string genre, string ipfsHash)",
-  "function registerReviewer(string name, string expertise)",
-  "function submitReview(uint32 workId, uint32 qualityScore, uint32 originalityScore, uint32 impactScore, string comments)",
-  "function getSubmissionInfo(uint32 period, uint32 workId) view returns (string title, string author, string genre, bool submitted, bool reviewed, uint256 submissionTime, address submitter)",
-  "function getReviewerProfile(address reviewer) view returns (string name, string expertise, bool isActive, uint32 reviewCount)",
-  "function getPeriodStats(uint32 period) view returns (uint32 totalSubmissions, bool submissionActive, bool reviewActive)",
-  "function getAwards(uint32 period) view returns (string[] categories, address[] winners, bool[] announced)",
-  "function workCountPerPeriod(uint32) view returns (uint32)",
-  "function authorizedReviewers(address) view returns (bool)",
-];
+// Programs created by a LiteratureReviewFactory are offered in a competition picker. Defaults to
+// the factory of the chain's deployment manifest.
+const FACTORY_ADDRESS = process.env.NEXT_PUBLIC_FACTORY_ADDRESS || '';
+// Tabs that work without a wallet
+const READ_ONLY_TABS = ['status', 'awards'];
 
 export default function Home() {
   const [activeTab, setActiveTab] = useState('submit');
-  const [provider, setProvider] = useState<ethers.BrowserProvider | null>(null);
-  const [signer, setSigner] = useState<ethers.JsonRpcSigner | null>(null);
-  const [contract, setContract] = useState<ethers.Contract | null>(null);
+  // The connected account's signer, or a JSON-RPC provider when browsing read-only
+  const [runner, setRunner] = useState<ethers.ContractRunner | null>(null);
+  const [chainId, setChainId] = useState<number | null>(null);
+  // Chain the injected wallet is on, which may be unsupported
+  const [walletChainId, setWalletChainId] = useState<number | null>(null);
+  const [deployments, setDeployments] = useState<Deployment[] | null>(null);
+  const [competitionAddress, setCompetitionAddress] = useState<string | null>(null);
+  const [contract, setContract] = useState<LiteratureReviewSystem | null>(null);
+  const [events, setEvents] = useState<ContractEventHub | null>(null);
   const [userAccount, setUserAccount] = useState<string>('');
-  const [connected, setConnected] = useState(false);
+  const [connection, setConnection] = useState<'pending' | 'wallet' | 'readOnly'>('pending');
+  const [hasWallet, setHasWallet] = useState(false);
+  const [roles, setRoles] = useState<AccountRoles>(NO_ROLES);
   const [notification, setNotification] = useState<{ message: string; type: string } | null>(null);
 
   useEffect(() => {
-    initWeb3();
+    // Permalinks select their tab, e.g. ?tab=awards&period=3
+    const tab = new URLSearchParams(window.location.search).get('tab');
+    if (tab) {
+      setActiveTab(tab);
+    }
+    // ?competition=<address> selects one of the factory's programs
+    const competition = competitionFromUrl();
+    if (competition) {
+      setCompetitionAddress(competition);
+    }
+    loadDeployments().then(setDeployments);
+    connect(false);
+
+    const ethereum = window.ethereum;
+    setHasWallet(Boolean(ethereum));
+    if (!ethereum?.on) return;
+    const handleWalletChange = () => connect(false);
+    ethereum.on('accountsChanged', handleWalletChange);
+    ethereum.on('chainChanged', handleWalletChange);
+    return () => {
+      ethereum.removeListener?.('accountsChanged', handleWalletChange);
+      ethereum.removeListener?.('chainChanged', handleWalletChange);
+    };
   }, []);
 
-  async function initWeb3() {
-    if (typeof window.ethereum !== 'undefined') {
+  const deployment = chainId === null ? null : resolveDeployment(deployments ?? [], chainId);
+  const contractAddress = competitionAddress ?? deployment?.contractAddress ?? '';
+  const factoryAddress = FACTORY_ADDRESS || deployment?.factoryAddress || '';
+  const network = chainId === null ? null : findNetwork(chainId);
+  const readOnly = connection === 'readOnly';
+
+  useEffect(() => {
+    setContract(
+      runner && contractAddress ? connectLiteratureReviewSystem(contractAddress, runner) : null
+    );
+  }, [runner, contractAddress]);
+
+  useEffect(() => {
+    if (contract && userAccount) {
+      checkRoles();
+    } else {
+      setRoles(NO_ROLES);
+    }
+  }, [contract, userAccount]);
+
+  useEffect(() => {
+    if (readOnly) {
+      setActiveTab((tab) => (READ_ONLY_TABS.includes(tab) ? tab : 'status'));
+    }
+  }, [readOnly]);
+
+  useEffect(() => {
+    if (!contract) return;
+    const hub = createEventHub(contract);
+    setEvents(hub);
+    return () => {
+      hub.close();
+      setEvents(null);
+    };
+  }, [contract]);
+
+  useEffect(() => {
+    if (!events || !userAccount) return;
+    return events.subscribe(
+      [...ACCOUNT_EVENTS, 'RoleGranted', 'RoleRevoked'],
+      async (accountEvents) => {
+        if (!contract) return;
+        for (const event of accountEvents) {
+          if (event.name === 'RoleGranted' || event.name === 'RoleRevoked') {
+            if (event.args.account.toLowerCase() === userAccount.toLowerCase()) checkRoles();
+            continue;
+          }
+          try {
+            const message = await describeAccountEvent(contract, event, userAccount);
+            if (message) showNotification(message);
+          } catch (error) {
+            console.error(`Failed to describe ${event.name}:`, error);
+          }
+        }
+      }
+    );
+  }, [events, userAccount]);
+
+  // Use the wallet's account when this site is authorized (or `prompt` asks for it) and the wallet
+  // is on a supported chain, and browse the default network read-only otherwise
+  async function connect(prompt: boolean) {
+    const ethereum = window.ethereum;
+    if (ethereum) {
       try {
-        const web3Provider = new ethers.BrowserProvider(window.ethereum);
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
-        const web3Signer = await web3Provider.getSigner();
-        const account = await web3Signer.getAddress();
-        const web3Contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, web3Signer);
-
-        setProvider(web3Provider);
-        setSigner(web3Signer);
-        setContract(web3Contract);
-        setUserAccount(account);
-        setConnected(true);
+        const accounts: string[] = await ethereum.request({
+          method: prompt ? 'eth_requestAccounts' : 'eth_accounts',
+        });
+        // chainChanged invalidates a BrowserProvider, so each connection builds a fresh one
+        const web3Provider = new ethers.BrowserProvider(ethereum);
+        const walletChain = Number((await web3Provider.getNetwork()).chainId);
+        setWalletChainId(walletChain);
+
+        if (accounts.length > 0 && findNetwork(walletChain)) {
+          const web3Signer = await web3Provider.getSigner();
+          setRunner(web3Signer);
+          setChainId(walletChain);
+          setUserAccount(await web3Signer.getAddress());
+          setConnection('wallet');
+          return;
+        }
       } catch (error) {
-        console.error("Failed to connect wallet:", error);
-        setConnected(false);
-        showNotification("Failed to connect wallet", "error");
+        console.error('Failed to connect wallet:', error);
+        if (prompt) {
+          showNotification('Failed to connect wallet: ' + getErrorMessage(error), 'error');
+        }
       }
-    } else {
-      showNotification("Please install MetaMask wallet", "error");
-      setConnected(false);
     }
+
+    setRunner(readOnlyProvider(DEFAULT_NETWORK));
+    setChainId(DEFAULT_NETWORK.chainId);
+    setUserAccount('');
+    setConnection('readOnly');
+  }
+
+  async function handleSwitchChain() {
+    if (!window.ethereum) return;
+    try {
+      // The wallet's chainChanged event reconnects
+      await switchWalletChain(window.ethereum, DEFAULT_NETWORK);
+    } catch (error) {
+      console.error('Failed to switch network:', error);
+      showNotification('Failed to switch network: ' + getErrorMessage(error), 'error');
+    }
+  }
+
+  async function checkRoles() {
+    if (!contract || !userAccount) return;
+    try {
+      const accountRoles = await loadAccountRoles(contract, userAccount);
+      setRoles(accountRoles);
+      if (!hasAdminAccess(accountRoles)) {
+        setActiveTab((tab) => (tab === 'admin' ? 'submit' : tab));
+      }
+    } catch (error) {
+      console.error('Failed to check account roles:', error);
+      setRoles(NO_ROLES);
+    }
+  }
+
+  function selectCompetition(address: string) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('competition', address);
+    window.history.replaceState(null, '', url);
+    setCompetitionAddress(address);
   }
 
   function showNotification(message: string, type: string = 'success') {
@@ -71,7 +216,12 @@ export default function Home() {
 
   return (
     <main>
-      <ConnectionStatus connected={connected} userAccount={userAccount} />
+      <ConnectionStatus
+        connected={connection === 'wallet'}
+        userAccount={userAccount}
+        networkLabel={network?.label ?? null}
+        onConnect={readOnly && hasWallet ? () => connect(true) : null}
+      />
       {notification && (
         <Notification message={notification.message} type={notification.type} />
       )}
@@ -86,28 +236,82 @@ export default function Home() {
           </p>
         </div>
 
-        <div className="bg-white rounded-3xl p-10 shadow-2xl mb-8">
-          <div className="flex bg-gray-100 rounded-xl p-1.5 mb-8">
+        {walletChainId !== null && !findNetwork(walletChainId) && (
+          <div className="flex justify-between items-center gap-4 bg-yellow-100 text-yellow-800 p-4 rounded-xl mb-8">
+            <span>
+              Your wallet is on an unsupported network (chain {walletChainId}). Browsing{' '}
+              {DEFAULT_NETWORK.label} read-only until you switch.
+            </span>
             <button
-              className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
-                activeTab === 'submit'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-transparent text-gray-600 hover:bg-gray-200'
-              }`}
-              onClick={() => setActiveTab('submit')}
+              onClick={handleSwitchChain}
+              className="bg-blue-600 text-white py-2 px-4 border-none rounded-lg font-semibold cursor-pointer transition-all hover:bg-blue-800"
             >
-              Submit Work
-            </button>
-            <button
-              className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
-                activeTab === 'review'
-                  ? 'bg-blue-600 text-white'
-                  : 'bg-transparent text-gray-600 hover:bg-gray-200'
-              }`}
-              onClick={() => setActiveTab('review')}
-            >
-              Expert Review
+              Switch to {DEFAULT_NETWORK.label}
             </button>
+          </div>
+        )}
+        {network && deployments !== null && !contractAddress && (
+          <div className="bg-yellow-100 text-yellow-800 p-4 rounded-xl mb-8 text-center">
+            No Literature Review System deployment found on {network.label}
+          </div>
+        )}
+
+        {factoryAddress && (
+          <CompetitionPicker
+            factoryAddress={factoryAddress}
+            runner={runner}
+            selectedAddress={contractAddress}
+            onSelect={selectCompetition}
+          />
+        )}
+
+        {/* Remount the tabs when switching competitions so no state leaks between programs */}
+        <div key={contractAddress} className="bg-white rounded-3xl p-10 shadow-2xl mb-8">
+          <div className="flex bg-gray-100 rounded-xl p-1.5 mb-8">
+            {!readOnly && (
+              <>
+                <button
+                  className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                    activeTab === 'submit'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                  }`}
+                  onClick={() => setActiveTab('submit')}
+                >
+                  Submit Work
+                </button>
+                <button
+                  className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                    activeTab === 'submissions'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                  }`}
+                  onClick={() => setActiveTab('submissions')}
+                >
+                  My Submissions
+                </button>
+                <button
+                  className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                    activeTab === 'review'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                  }`}
+                  onClick={() => setActiveTab('review')}
+                >
+                  Expert Review
+                </button>
+                <button
+                  className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                    activeTab === 'myReviews'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                  }`}
+                  onClick={() => setActiveTab('myReviews')}
+                >
+                  My Reviews
+                </button>
+              </>
+            )}
             <button
               className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
                 activeTab === 'status'
@@ -128,20 +332,103 @@ export default function Home() {
             >
               Awards
             </button>
+            {!readOnly && (
+              <>
+                <button
+                  className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                    activeTab === 'refunds'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                  }`}
+                  onClick={() => setActiveTab('refunds')}
+                >
+                  Refunds
+                </button>
+                <button
+                  className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                    activeTab === 'feedback'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                  }`}
+                  onClick={() => setActiveTab('feedback')}
+                >
+                  Feedback
+                </button>
+              </>
+            )}
+            {hasAdminAccess(roles) && (
+              <button
+                className={`flex-1 text-center py-4 px-6 rounded-lg font-semibold transition-all ${
+                  activeTab === 'admin'
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-transparent text-gray-600 hover:bg-gray-200'
+                }`}
+                onClick={() => setActiveTab('admin')}
+              >
+                Admin
+              </button>
+            )}
           </div>
 
           {activeTab === 'submit' && (
-            <SubmitWork contract={contract} showNotification={showNotification} />
+            <SubmitWork
+              contract={contract}
+              events={events}
+              userAccount={userAccount}
+              showNotification={showNotification}
+            />
+          )}
+          {activeTab === 'submissions' && (
+            <MySubmissions
+              contract={contract}
+              userAccount={userAccount}
+              showNotification={showNotification}
+            />
           )}
           {activeTab === 'review' && (
             <ExpertReview
+              contract={contract}
+              events={events}
+              userAccount={userAccount}
+              isChair={roles.chair}
+              showNotification={showNotification}
+            />
+          )}
+          {activeTab === 'myReviews' && (
+            <MyReviews
+              contract={contract}
+              userAccount={userAccount}
+              showNotification={showNotification}
+            />
+          )}
+          {activeTab === 'status' && <StatusView contract={contract} events={events} />}
+          {activeTab === 'awards' && (
+            <AwardsView contract={contract} events={events} showNotification={showNotification} />
+          )}
+          {activeTab === 'refunds' && (
+            <RefundCenter
+              contract={contract}
+              userAccount={userAccount}
+              showNotification={showNotification}
+            />
+          )}
+          {activeTab === 'feedback' && (
+            <FeedbackView
+              contract={contract}
+              userAccount={userAccount}
+              isChair={roles.chair}
+              showNotification={showNotification}
+            />
+          )}
+          {activeTab === 'admin' && hasAdminAccess(roles) && (
+            <AdminConsole
               contract={contract}
               userAccount={userAccount}
+              roles={roles}
               showNotification={showNotification}
+              onRolesChanged={checkRoles}
             />
           )}
-          {activeTab === 'status' && <StatusView contract={contract} />}
-          {activeTab === 'awards' && <AwardsView contract={contract} />}
         </div>
       </div>
     </main>
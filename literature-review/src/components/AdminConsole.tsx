@@ -0,0 +1,1006 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { loadAllReviewers, ReviewerEntry, ReviewerStatus } from '@/lib/reviewers';
+import { AccountRoles, loadRoleMembers, Role, ROLE_LABELS, roleId, RoleMember } from '@/lib/roles';
+import { loadPeriodSchedule, PeriodSchedule } from '@/lib/schedule';
+import { invalidateSubmissions, loadPeriodSubmissions } from '@/lib/submissions';
+import { formatFee, getErrorMessage, sendWithPreflight } from '@/lib/transactions';
+
+interface AdminConsoleProps {
+  contract: LiteratureReviewSystem | null;
+  userAccount: string;
+  roles: AccountRoles;
+  showNotification: (message: string, type?: string) => void;
+  // Re-reads the connected account's roles after ownership or role changes
+  onRolesChanged: () => void;
+}
+
+interface ContractState {
+  owner: string;
+  pendingOwner: string;
+  paused: boolean;
+  platformFees: bigint;
+  currentSubmissionPeriod: number;
+  currentReviewPeriod: number;
+  // Schedules of the period currently under review and of the next periods to start
+  reviewSchedule: PeriodSchedule | null;
+  nextSubmissionSchedule: PeriodSchedule | null;
+  nextReviewSchedule: PeriodSchedule | null;
+  resultsCalculated: boolean;
+  // Works of the period under review, and how many the batch operations have processed so far
+  workCount: number;
+  resultsCursor: number;
+  assignmentCursor: number;
+  reviewersAssigned: boolean;
+  reviewersPerWork: number;
+  reviewerQuota: number;
+  nextPeriodQuorum: number;
+  nextPeriodDoubleBlind: boolean;
+  chainTime: number;
+  decryptionTimeout: number;
+}
+
+interface ScheduleForm {
+  period: string;
+  submissionOpen: string;
+  submissionClose: string;
+  reviewClose: string;
+  announcement: string;
+}
+
+const EMPTY_SCHEDULE_FORM: ScheduleForm = {
+  period: '',
+  submissionOpen: '',
+  submissionClose: '',
+  reviewClose: '',
+  announcement: '',
+};
+
+const SCHEDULE_FIELDS: { key: Exclude<keyof ScheduleForm, 'period'>; label: string }[] = [
+  { key: 'submissionOpen', label: 'Submissions open' },
+  { key: 'submissionClose', label: 'Submissions close' },
+  { key: 'reviewClose', label: 'Reviews close' },
+  { key: 'announcement', label: 'Awards announced' },
+];
+
+// Works or reviewers per batch transaction, well under the block gas limit
+const BATCH_SIZE = 20;
+
+function formatTime(seconds: number): string {
+  return new Date(seconds * 1000).toLocaleString();
+}
+
+interface WorkDecryption {
+  workId: number;
+  title: string;
+  requested: boolean;
+  completed: boolean;
+  failed: boolean;
+  decryptedScore: bigint;
+  requestTime: number;
+  reviewCount: number;
+  insufficientReviews: boolean;
+}
+
+const buttonClass =
+  'bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed';
+const dangerButtonClass =
+  'bg-red-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-red-800 disabled:bg-gray-400 disabled:cursor-not-allowed';
+const inputClass =
+  'w-full p-3 border-2 border-gray-300 rounded-lg text-base focus:outline-none focus:border-blue-600';
+
+export default function AdminConsole({
+  contract,
+  userAccount,
+  roles,
+  showNotification,
+  onRolesChanged,
+}: AdminConsoleProps) {
+  const [state, setState] = useState<ContractState | null>(null);
+  const [applications, setApplications] = useState<ReviewerEntry[]>([]);
+  const [decryptionPeriod, setDecryptionPeriod] = useState(0);
+  const [works, setWorks] = useState<WorkDecryption[]>([]);
+  const [decryptionQuorum, setDecryptionQuorum] = useState(0);
+  const [feeRecipient, setFeeRecipient] = useState('');
+  const [newOwner, setNewOwner] = useState('');
+  const [roleMembers, setRoleMembers] = useState<RoleMember[]>([]);
+  const [grantForm, setGrantForm] = useState<RoleMember>({ role: Role.Chair, account: '' });
+  const [reviewersPerWork, setReviewersPerWork] = useState('');
+  const [reviewerQuota, setReviewerQuota] = useState('');
+  const [reviewQuorum, setReviewQuorum] = useState('');
+  const [scheduleForm, setScheduleForm] = useState<ScheduleForm>(EMPTY_SCHEDULE_FORM);
+  const [pendingAction, setPendingAction] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (contract) {
+      loadState();
+      loadApplications();
+    }
+  }, [contract]);
+
+  useEffect(() => {
+    if (contract && roles.owner) {
+      loadRoles();
+    }
+  }, [contract, roles.owner]);
+
+  useEffect(() => {
+    setFeeRecipient(userAccount);
+  }, [userAccount]);
+
+  useEffect(() => {
+    if (contract && decryptionPeriod > 0) {
+      loadDecryptionStatus(decryptionPeriod);
+    }
+  }, [contract, decryptionPeriod]);
+
+  async function loadState() {
+    if (!contract) return;
+    try {
+      const currentReviewPeriod = Number(await contract.currentReviewPeriod());
+      const currentSubmissionPeriod = Number(await contract.currentSubmissionPeriod());
+      const latestBlock = await contract.runner?.provider?.getBlock('latest');
+
+      setState({
+        owner: await contract.owner(),
+        pendingOwner: await contract.pendingOwner(),
+        paused: await contract.paused(),
+        platformFees: await contract.platformFees(),
+        currentSubmissionPeriod,
+        currentReviewPeriod,
+        reviewSchedule: await loadPeriodSchedule(contract, currentReviewPeriod),
+        nextSubmissionSchedule: await loadPeriodSchedule(contract, currentSubmissionPeriod + 1),
+        nextReviewSchedule: await loadPeriodSchedule(contract, currentReviewPeriod + 1),
+        resultsCalculated:
+          currentReviewPeriod > 0 && (await contract.resultsCalculated(currentReviewPeriod)),
+        workCount: Number(await contract.workCountPerPeriod(currentReviewPeriod)),
+        resultsCursor: Number(await contract.resultsCursor(currentReviewPeriod)),
+        assignmentCursor: Number(await contract.assignmentCursor(currentReviewPeriod)),
+        reviewersAssigned:
+          currentReviewPeriod > 0 && (await contract.reviewersAssigned(currentReviewPeriod)),
+        reviewersPerWork: Number(await contract.reviewersPerWork()),
+        reviewerQuota: Number(await contract.reviewerQuota()),
+        nextPeriodQuorum: Number(await contract.getReviewQuorum(currentReviewPeriod + 1)),
+        nextPeriodDoubleBlind: await contract.doubleBlind(currentSubmissionPeriod + 1),
+        chainTime: latestBlock ? latestBlock.timestamp : Math.floor(Date.now() / 1000),
+        decryptionTimeout: Number(await contract.DECRYPTION_TIMEOUT()),
+      });
+      setDecryptionPeriod((period) => (period === 0 ? currentReviewPeriod : period));
+    } catch (error) {
+      console.error('Failed to load contract state:', error);
+    }
+  }
+
+  async function loadApplications() {
+    if (!contract) return;
+    try {
+      const [pending, revoked, active] = await Promise.all([
+        loadAllReviewers(contract, ReviewerStatus.Pending),
+        loadAllReviewers(contract, ReviewerStatus.Revoked),
+        loadAllReviewers(contract, ReviewerStatus.Active),
+      ]);
+      setApplications([...pending, ...revoked, ...active]);
+    } catch (error) {
+      console.error('Failed to load reviewer applications:', error);
+    }
+  }
+
+  async function loadRoles() {
+    if (!contract) return;
+    try {
+      setRoleMembers(await loadRoleMembers(contract));
+    } catch (error) {
+      console.error('Failed to load role members:', error);
+    }
+  }
+
+  async function loadDecryptionStatus(period: number) {
+    if (!contract) return;
+    try {
+      const submissions = await loadPeriodSubmissions(contract, period);
+      setWorks(
+        submissions.map((work) => ({
+          workId: work.workId,
+          title: work.title,
+          ...work.decryption,
+          reviewCount: work.reviewCount,
+          insufficientReviews: work.insufficientReviews,
+        }))
+      );
+      setDecryptionQuorum(Number(await contract.getReviewQuorum(period)));
+    } catch (error) {
+      console.error('Failed to load decryption status:', error);
+    }
+  }
+
+  async function runAction(key: string, label: string, method: string, args: unknown[] = []) {
+    if (!contract) return false;
+
+    setPendingAction(key);
+    try {
+      showNotification(`${label}...`);
+      const tx = await sendWithPreflight(contract, method, args);
+      await tx.wait();
+
+      showNotification(`${label} succeeded`);
+      await invalidateSubmissions(contract);
+      loadState();
+      if (decryptionPeriod > 0) {
+        loadDecryptionStatus(decryptionPeriod);
+      }
+      return true;
+    } catch (error: any) {
+      console.error(`${label} failed:`, error);
+      showNotification(`${label} failed: ` + getErrorMessage(error, contract), 'error');
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  }
+
+  async function handleReviewerAction(application: ReviewerEntry, approve: boolean) {
+    const succeeded = await runAction(
+      `reviewer-${application.address}`,
+      approve ? `Approving ${application.name}` : `Revoking ${application.name}`,
+      approve ? 'approveReviewer' : 'revokeReviewer',
+      [application.address]
+    );
+    if (succeeded) {
+      loadApplications();
+    }
+  }
+
+  async function handleApproveAll() {
+    const batch = applications
+      .filter((application) => application.status === ReviewerStatus.Pending)
+      .slice(0, BATCH_SIZE);
+    const succeeded = await runAction(
+      'approve-all',
+      `Approving ${batch.length} reviewers`,
+      'approveReviewers',
+      [batch.map((application) => application.address)]
+    );
+    if (succeeded) {
+      loadApplications();
+    }
+  }
+
+  async function handleWithdraw(e: React.FormEvent) {
+    e.preventDefault();
+    if (!ethers.isAddress(feeRecipient)) {
+      showNotification('Enter a valid recipient address', 'error');
+      return;
+    }
+    await runAction('withdraw', 'Withdrawing platform fees', 'withdrawPlatformFees', [
+      feeRecipient,
+    ]);
+  }
+
+  async function handleAssignmentConfig(e: React.FormEvent) {
+    e.preventDefault();
+    const succeeded = await runAction(
+      'assignmentConfig',
+      'Updating assignment configuration',
+      'setAssignmentConfig',
+      [Number(reviewersPerWork), Number(reviewerQuota)]
+    );
+    if (succeeded) {
+      setReviewersPerWork('');
+      setReviewerQuota('');
+    }
+  }
+
+  async function handleReviewQuorum(e: React.FormEvent) {
+    e.preventDefault();
+    const succeeded = await runAction('reviewQuorum', 'Updating review quorum', 'setReviewQuorum', [
+      state!.currentReviewPeriod + 1,
+      Number(reviewQuorum),
+    ]);
+    if (succeeded) {
+      setReviewQuorum('');
+    }
+  }
+
+  async function handleDoubleBlind() {
+    const enabled = !state!.nextPeriodDoubleBlind;
+    await runAction(
+      'doubleBlind',
+      enabled ? 'Enabling double-blind mode' : 'Disabling double-blind mode',
+      'setDoubleBlind',
+      [state!.currentSubmissionPeriod + 1, enabled]
+    );
+  }
+
+  async function handleSchedule(e: React.FormEvent) {
+    e.preventDefault();
+    const [submissionOpen, submissionClose, reviewClose, announcement] = SCHEDULE_FIELDS.map(
+      ({ key }) => Math.floor(new Date(scheduleForm[key]).getTime() / 1000)
+    );
+    const succeeded = await runAction(
+      'schedule',
+      `Scheduling period ${scheduleForm.period}`,
+      'setPeriodSchedule',
+      [Number(scheduleForm.period), submissionOpen, submissionClose, reviewClose, announcement]
+    );
+    if (succeeded) {
+      setScheduleForm(EMPTY_SCHEDULE_FORM);
+    }
+  }
+
+  async function handleGrantRole(e: React.FormEvent) {
+    e.preventDefault();
+    if (!ethers.isAddress(grantForm.account)) {
+      showNotification('Enter a valid account address', 'error');
+      return;
+    }
+    const succeeded = await runAction(
+      'grantRole',
+      `Granting ${ROLE_LABELS[grantForm.role]} role`,
+      'grantRole',
+      [roleId(grantForm.role), grantForm.account]
+    );
+    if (succeeded) {
+      setGrantForm({ ...grantForm, account: '' });
+      loadRoles();
+      onRolesChanged();
+    }
+  }
+
+  async function handleRevokeRole(member: RoleMember) {
+    if (
+      member.account.toLowerCase() === userAccount.toLowerCase() &&
+      !window.confirm(`Revoke your own ${ROLE_LABELS[member.role]} role?`)
+    ) {
+      return;
+    }
+    const succeeded = await runAction(
+      `revoke-${member.role}-${member.account}`,
+      `Revoking ${ROLE_LABELS[member.role]} role`,
+      'revokeRole',
+      [roleId(member.role), member.account]
+    );
+    if (succeeded) {
+      loadRoles();
+      onRolesChanged();
+    }
+  }
+
+  async function handleTransferOwnership(e: React.FormEvent) {
+    e.preventDefault();
+    if (!ethers.isAddress(newOwner)) {
+      showNotification('Enter a valid owner address', 'error');
+      return;
+    }
+    if (
+      !window.confirm(
+        `Transfer ownership to ${newOwner}? The transfer completes once they accept it.`
+      )
+    ) {
+      return;
+    }
+
+    const succeeded = await runAction(
+      'ownership',
+      'Starting ownership transfer',
+      'transferOwnership',
+      [newOwner]
+    );
+    if (succeeded) {
+      setNewOwner('');
+    }
+  }
+
+  async function handleAcceptOwnership() {
+    const succeeded = await runAction('acceptOwnership', 'Accepting ownership', 'acceptOwnership');
+    if (succeeded) {
+      onRolesChanged();
+    }
+  }
+
+  if (!state) {
+    return <p className="text-center text-gray-700">Loading contract state...</p>;
+  }
+
+  const busy = pendingAction !== null;
+  const period = state.currentReviewPeriod;
+  const nextSubmission = state.nextSubmissionSchedule;
+  const nextReview = state.nextReviewSchedule;
+  const lifecycleSteps = [
+    {
+      key: 'startSubmission',
+      label: `Start submission period ${state.currentSubmissionPeriod + 1}`,
+      method: 'startSubmissionPeriod',
+      args: [],
+      blocker: state.paused
+        ? 'Contract is paused'
+        : !nextSubmission
+          ? `Period ${state.currentSubmissionPeriod + 1} is not scheduled`
+          : state.chainTime < nextSubmission.submissionOpen
+            ? `Opens ${formatTime(nextSubmission.submissionOpen)}`
+            : state.chainTime >= nextSubmission.submissionClose
+              ? 'Submission window has closed'
+              : null,
+    },
+    {
+      key: 'startReview',
+      label: `Start review period ${state.currentReviewPeriod + 1}`,
+      method: 'startReviewPeriod',
+      args: [],
+      blocker: state.paused
+        ? 'Contract is paused'
+        : state.currentReviewPeriod >= state.currentSubmissionPeriod
+          ? 'No submission period awaiting review'
+          : !nextReview
+            ? `Period ${state.currentReviewPeriod + 1} is not scheduled`
+            : state.chainTime < nextReview.submissionClose
+              ? `Opens ${formatTime(nextReview.submissionClose)}`
+              : state.chainTime >= nextReview.reviewClose
+                ? 'Review window has closed'
+                : null,
+    },
+    {
+      key: 'assign',
+      // Each click assigns one batch of works
+      label:
+        state.workCount > BATCH_SIZE
+          ? `Assign reviewers for period ${period} (${state.assignmentCursor}/${state.workCount} works assigned)`
+          : `Assign reviewers for period ${period}`,
+      method: 'assignReviewersBatch',
+      args: [period, BATCH_SIZE],
+      blocker: state.paused
+        ? 'Contract is paused'
+        : period === 0
+          ? 'No review period started yet'
+          : state.reviewersAssigned
+            ? 'Reviewers already assigned'
+            : null,
+    },
+    {
+      key: 'calculate',
+      // Each click scores one batch; the last one also requests award decryption
+      label:
+        state.workCount > BATCH_SIZE
+          ? `Calculate results for period ${period} (${state.resultsCursor}/${state.workCount} works scored)`
+          : `Calculate results for period ${period}`,
+      method: 'calculateResultsBatch',
+      args: [period, BATCH_SIZE],
+      blocker: state.paused
+        ? 'Contract is paused'
+        : period === 0
+          ? 'No review period started yet'
+          : state.resultsCalculated
+            ? 'Results already calculated'
+            : state.reviewSchedule && state.chainTime < state.reviewSchedule.reviewClose
+              ? `Available after ${formatTime(state.reviewSchedule.reviewClose)}`
+              : null,
+    },
+    {
+      key: 'announce',
+      label: `Announce awards for period ${period}`,
+      method: 'announceAwards',
+      args: [period],
+      blocker: state.paused
+        ? 'Contract is paused'
+        : !state.resultsCalculated
+          ? 'Calculate results first'
+          : state.reviewSchedule && state.chainTime < state.reviewSchedule.announcement
+            ? `Available after ${formatTime(state.reviewSchedule.announcement)}`
+            : null,
+    },
+  ];
+
+  const accountRoleLabels = [
+    roles.owner && 'Owner',
+    roles.chair && ROLE_LABELS[Role.Chair],
+    roles.treasurer && ROLE_LABELS[Role.Treasurer],
+    roles.guardian && ROLE_LABELS[Role.Guardian],
+  ].filter(Boolean);
+
+  const pendingApplications = applications.filter(
+    (application) => application.status !== ReviewerStatus.Active
+  );
+  const approvedReviewers = applications.filter(
+    (application) => application.status === ReviewerStatus.Active
+  );
+
+  function renderDecryptionAction(work: WorkDecryption) {
+    if (!work.requested) {
+      const belowQuorum = work.reviewCount < decryptionQuorum;
+      return (
+        <button
+          onClick={() =>
+            runAction(
+              `decrypt-${work.workId}`,
+              `Requesting decryption of work #${work.workId}`,
+              'requestScoreDecryption',
+              [decryptionPeriod, work.workId]
+            )
+          }
+          disabled={busy || state!.paused || belowQuorum}
+          title={
+            belowQuorum ? 'Review quorum not met' : 'Available once the review window has closed'
+          }
+          className={buttonClass}
+        >
+          Request Decryption
+        </button>
+      );
+    }
+    if (!work.completed) {
+      const timedOut = state!.chainTime > work.requestTime + state!.decryptionTimeout;
+      return (
+        <button
+          onClick={() =>
+            runAction(
+              `fail-${work.workId}`,
+              `Marking work #${work.workId} as failed`,
+              'markDecryptionFailed',
+              [decryptionPeriod, work.workId]
+            )
+          }
+          disabled={busy || !timedOut}
+          title={timedOut ? undefined : 'Available once the decryption timeout has passed'}
+          className={dangerButtonClass}
+        >
+          Mark Failed
+        </button>
+      );
+    }
+    return null;
+  }
+
+  return (
+    <div>
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">🛠️ Administrator Console</h3>
+        <p className="text-gray-700">
+          {state.paused ? '⏸️ Contract paused' : '▶️ Contract running'} · Submission period{' '}
+          {state.currentSubmissionPeriod} · Review period {state.currentReviewPeriod} · Platform
+          fees {formatFee(state.platformFees)}
+        </p>
+        <p className="text-gray-700">Your roles: {accountRoleLabels.join(', ') || 'none'}</p>
+      </div>
+
+      {roles.pendingOwner && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-500 p-5 rounded-lg mb-5 flex justify-between items-center gap-4">
+          <p className="text-gray-800">
+            {state.owner} has offered you ownership of this competition.
+          </p>
+          <button onClick={handleAcceptOwnership} disabled={busy} className={buttonClass}>
+            {pendingAction === 'acceptOwnership' ? 'Accepting...' : 'Accept Ownership'}
+          </button>
+        </div>
+      )}
+
+      {(roles.chair || roles.guardian) && (
+        <>
+          <h3 className="text-2xl font-semibold mb-4">Competition Lifecycle</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-5 mb-8">
+            {roles.chair &&
+              lifecycleSteps.map((step) => (
+                <div key={step.key} className="bg-gray-100 p-5 rounded-xl border border-gray-300">
+                  <button
+                    onClick={() => runAction(step.key, step.label, step.method, step.args)}
+                    disabled={busy || step.blocker !== null}
+                    className={buttonClass}
+                  >
+                    {pendingAction === step.key ? 'Processing...' : step.label}
+                  </button>
+                  {step.blocker && <p className="mt-2 text-sm text-gray-600">{step.blocker}</p>}
+                </div>
+              ))}
+            {roles.guardian && (
+              <div className="bg-gray-100 p-5 rounded-xl border border-gray-300">
+                <button
+                  onClick={() =>
+                    runAction(
+                      'pause',
+                      state.paused ? 'Unpausing contract' : 'Pausing contract',
+                      state.paused ? 'unpause' : 'pause'
+                    )
+                  }
+                  disabled={busy}
+                  className={state.paused ? buttonClass : dangerButtonClass}
+                >
+                  {pendingAction === 'pause'
+                    ? 'Processing...'
+                    : state.paused
+                      ? 'Unpause Contract'
+                      : 'Pause Contract'}
+                </button>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {roles.chair && (
+        <>
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-2xl font-semibold">Pending Reviewer Applications</h3>
+            {pendingApplications.some(
+              (application) => application.status === ReviewerStatus.Pending
+            ) && (
+              <button onClick={handleApproveAll} disabled={busy} className={buttonClass}>
+                {pendingAction === 'approve-all' ? 'Approving...' : 'Approve All Pending'}
+              </button>
+            )}
+          </div>
+          {pendingApplications.length === 0 ? (
+            <p className="text-gray-700 mb-8">No pending applications</p>
+          ) : (
+            <div className="space-y-4 mb-8">
+              {pendingApplications.map((application) => (
+                <div
+                  key={application.address}
+                  className="bg-gray-100 p-5 rounded-xl border border-gray-300 flex justify-between items-center gap-4"
+                >
+                  <div>
+                    <strong className="text-lg">{application.name}</strong>
+                    {application.status === ReviewerStatus.Revoked && (
+                      <span className="ml-2 text-sm text-red-600">Revoked</span>
+                    )}
+                    <p className="text-gray-700">{application.expertise}</p>
+                    <small className="text-gray-600">{application.address}</small>
+                  </div>
+                  <button
+                    onClick={() => handleReviewerAction(application, true)}
+                    disabled={busy}
+                    className={buttonClass}
+                  >
+                    {pendingAction === `reviewer-${application.address}`
+                      ? 'Approving...'
+                      : application.status === ReviewerStatus.Revoked
+                        ? 'Reinstate'
+                        : 'Approve'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <h3 className="text-2xl font-semibold mb-4">Approved Reviewers</h3>
+          {approvedReviewers.length === 0 ? (
+            <p className="text-gray-700 mb-8">No approved reviewers</p>
+          ) : (
+            <div className="space-y-4 mb-8">
+              {approvedReviewers.map((application) => (
+                <div
+                  key={application.address}
+                  className="bg-gray-100 p-5 rounded-xl border border-gray-300 flex justify-between items-center gap-4"
+                >
+                  <div>
+                    <strong className="text-lg">{application.name}</strong>
+                    <p className="text-gray-700">{application.expertise}</p>
+                    <small className="text-gray-600">{application.address}</small>
+                  </div>
+                  <button
+                    onClick={() => handleReviewerAction(application, false)}
+                    disabled={busy}
+                    className={dangerButtonClass}
+                  >
+                    {pendingAction === `reviewer-${application.address}` ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-2xl font-semibold">Score Decryption</h3>
+            <div className="flex items-center gap-4">
+              <label className="text-gray-800">
+                Period{' '}
+                <input
+                  type="number"
+                  min="1"
+                  max={state.currentSubmissionPeriod}
+                  value={decryptionPeriod || ''}
+                  onChange={(e) => setDecryptionPeriod(Number(e.target.value))}
+                  className="w-24 p-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-600"
+                />
+              </label>
+              <button
+                onClick={() =>
+                  runAction(
+                    'decrypt-all',
+                    `Requesting decryption for period ${decryptionPeriod}`,
+                    'requestScoreDecryptionBatch',
+                    [decryptionPeriod, BATCH_SIZE]
+                  )
+                }
+                disabled={busy || state.paused || !works.some((work) => !work.requested)}
+                title={`Requests the next ${BATCH_SIZE} works once the review window has closed`}
+                className={buttonClass}
+              >
+                {pendingAction === 'decrypt-all' ? 'Requesting...' : 'Request All'}
+              </button>
+            </div>
+          </div>
+          {works.length === 0 ? (
+            <p className="text-gray-700 mb-8">No works submitted in this period</p>
+          ) : (
+            <table className="w-full mb-8 text-left border-collapse">
+              <thead>
+                <tr className="border-b-2 border-gray-300">
+                  <th className="p-3">Work</th>
+                  <th className="p-3">Reviews</th>
+                  <th className="p-3">Status</th>
+                  <th className="p-3">Score</th>
+                  <th className="p-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {works.map((work) => (
+                  <tr key={work.workId} className="border-b border-gray-200">
+                    <td className="p-3">
+                      #{work.workId} {work.title}
+                    </td>
+                    <td className="p-3">
+                      {work.reviewCount} / {decryptionQuorum}
+                    </td>
+                    <td className="p-3">
+                      {work.insufficientReviews
+                        ? 'Insufficient reviews'
+                        : !work.requested
+                          ? 'Not requested'
+                          : work.failed
+                            ? 'Failed'
+                            : work.completed
+                              ? 'Completed'
+                              : `Pending since ${new Date(work.requestTime * 1000).toLocaleString()}`}
+                    </td>
+                    <td className="p-3">
+                      {work.completed && !work.failed ? work.decryptedScore.toString() : '-'}
+                    </td>
+                    <td className="p-3 text-right">{renderDecryptionAction(work)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+        {roles.chair && (
+          <>
+            <form
+              onSubmit={handleSchedule}
+              className="bg-gray-100 p-5 rounded-xl border border-gray-300 md:col-span-2"
+            >
+              <h4 className="text-blue-600 mb-2.5 font-semibold">Period Schedule</h4>
+              <p className="mb-4 text-gray-700">
+                Periods can be rescheduled until their review phase starts. Times are in your local
+                timezone.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+                <label className="text-sm text-gray-700">
+                  Period
+                  <input
+                    type="number"
+                    min={state.currentReviewPeriod + 1}
+                    value={scheduleForm.period}
+                    onChange={(e) => setScheduleForm({ ...scheduleForm, period: e.target.value })}
+                    className={inputClass}
+                    required
+                  />
+                </label>
+                {SCHEDULE_FIELDS.map(({ key, label }) => (
+                  <label key={key} className="text-sm text-gray-700">
+                    {label}
+                    <input
+                      type="datetime-local"
+                      value={scheduleForm[key]}
+                      onChange={(e) => setScheduleForm({ ...scheduleForm, [key]: e.target.value })}
+                      className={inputClass}
+                      required
+                    />
+                  </label>
+                ))}
+              </div>
+              <button type="submit" disabled={busy} className={buttonClass}>
+                {pendingAction === 'schedule' ? 'Scheduling...' : 'Schedule Period'}
+              </button>
+            </form>
+
+            <form
+              onSubmit={handleAssignmentConfig}
+              className="bg-gray-100 p-5 rounded-xl border border-gray-300 md:col-span-2"
+            >
+              <h4 className="text-blue-600 mb-2.5 font-semibold">Reviewer Assignment</h4>
+              <p className="mb-4 text-gray-700">
+                Currently {state.reviewersPerWork} reviewers per work, at most {state.reviewerQuota}{' '}
+                works per reviewer
+              </p>
+              <div className="flex gap-4 mb-4">
+                <input
+                  type="number"
+                  min="1"
+                  value={reviewersPerWork}
+                  onChange={(e) => setReviewersPerWork(e.target.value)}
+                  className={inputClass}
+                  placeholder="Reviewers per work"
+                  required
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={reviewerQuota}
+                  onChange={(e) => setReviewerQuota(e.target.value)}
+                  className={inputClass}
+                  placeholder="Works per reviewer"
+                  required
+                />
+              </div>
+              <button type="submit" disabled={busy} className={buttonClass}>
+                {pendingAction === 'assignmentConfig' ? 'Updating...' : 'Update Assignment'}
+              </button>
+            </form>
+
+            <form
+              onSubmit={handleReviewQuorum}
+              className="bg-gray-100 p-5 rounded-xl border border-gray-300 md:col-span-2"
+            >
+              <h4 className="text-blue-600 mb-2.5 font-semibold">Review Quorum</h4>
+              <p className="mb-4 text-gray-700">
+                Period {state.currentReviewPeriod + 1} requires {state.nextPeriodQuorum} review(s)
+                per work. Works below quorum are excluded from awards and their deposits become
+                refundable.
+              </p>
+              <div className="flex gap-4">
+                <input
+                  type="number"
+                  min="1"
+                  value={reviewQuorum}
+                  onChange={(e) => setReviewQuorum(e.target.value)}
+                  className={inputClass}
+                  placeholder="Minimum reviews per work"
+                  required
+                />
+                <button type="submit" disabled={busy} className={buttonClass}>
+                  {pendingAction === 'reviewQuorum' ? 'Updating...' : 'Update Quorum'}
+                </button>
+              </div>
+            </form>
+
+            <div className="bg-gray-100 p-5 rounded-xl border border-gray-300 md:col-span-2">
+              <h4 className="text-blue-600 mb-2.5 font-semibold">Double-Blind Submissions</h4>
+              <p className="mb-4 text-gray-700">
+                Period {state.currentSubmissionPeriod + 1}{' '}
+                {state.nextPeriodDoubleBlind
+                  ? 'stores only a commitment to each author, revealed after the announcement.'
+                  : 'records author names and submitters openly.'}{' '}
+                The mode is locked once the period has a submission.
+              </p>
+              <button onClick={handleDoubleBlind} disabled={busy} className={buttonClass}>
+                {pendingAction === 'doubleBlind'
+                  ? 'Updating...'
+                  : state.nextPeriodDoubleBlind
+                    ? 'Disable Double-Blind'
+                    : 'Enable Double-Blind'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {roles.treasurer && (
+          <form
+            onSubmit={handleWithdraw}
+            className="bg-gray-100 p-5 rounded-xl border border-gray-300"
+          >
+            <h4 className="text-blue-600 mb-2.5 font-semibold">Withdraw Platform Fees</h4>
+            <input
+              type="text"
+              value={feeRecipient}
+              onChange={(e) => setFeeRecipient(e.target.value)}
+              className={`${inputClass} mb-4`}
+              placeholder="Recipient address"
+              required
+            />
+            <button
+              type="submit"
+              disabled={busy || state.platformFees === 0n}
+              className={buttonClass}
+            >
+              {pendingAction === 'withdraw'
+                ? 'Withdrawing...'
+                : `Withdraw ${formatFee(state.platformFees)}`}
+            </button>
+          </form>
+        )}
+
+        {roles.owner && (
+          <form
+            onSubmit={handleTransferOwnership}
+            className="bg-gray-100 p-5 rounded-xl border border-gray-300"
+          >
+            <h4 className="text-blue-600 mb-2.5 font-semibold">Transfer Ownership</h4>
+            {state.pendingOwner !== ethers.ZeroAddress && (
+              <p className="mb-4 text-gray-700">Awaiting acceptance by {state.pendingOwner}</p>
+            )}
+            <input
+              type="text"
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value)}
+              className={`${inputClass} mb-4`}
+              placeholder="New owner address"
+              required
+            />
+            <button type="submit" disabled={busy} className={dangerButtonClass}>
+              {pendingAction === 'ownership' ? 'Transferring...' : 'Transfer Ownership'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {roles.owner && (
+        <div className="mt-8">
+          <h3 className="text-2xl font-semibold mb-4">Roles</h3>
+          <p className="mb-4 text-gray-700">
+            The chair runs the competition, the treasurer withdraws platform fees and the guardian
+            can pause the contract. Only the owner grants and revokes roles.
+          </p>
+          <table className="w-full mb-5 text-left border-collapse">
+            <thead>
+              <tr className="border-b-2 border-gray-300">
+                <th className="p-3">Role</th>
+                <th className="p-3">Account</th>
+                <th className="p-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {roleMembers.map((member) => (
+                <tr key={`${member.role}-${member.account}`} className="border-b border-gray-200">
+                  <td className="p-3">{ROLE_LABELS[member.role]}</td>
+                  <td className="p-3">{member.account}</td>
+                  <td className="p-3 text-right">
+                    <button
+                      onClick={() => handleRevokeRole(member)}
+                      disabled={busy}
+                      className={dangerButtonClass}
+                    >
+                      {pendingAction === `revoke-${member.role}-${member.account}`
+                        ? 'Revoking...'
+                        : 'Revoke'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <form
+            onSubmit={handleGrantRole}
+            className="bg-gray-100 p-5 rounded-xl border border-gray-300 flex gap-4"
+          >
+            <select
+              value={grantForm.role}
+              onChange={(e) => setGrantForm({ ...grantForm, role: e.target.value as Role })}
+              className="p-3 border-2 border-gray-300 rounded-lg text-base focus:outline-none focus:border-blue-600"
+            >
+              {Object.values(Role).map((role) => (
+                <option key={role} value={role}>
+                  {ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={grantForm.account}
+              onChange={(e) => setGrantForm({ ...grantForm, account: e.target.value })}
+              className={inputClass}
+              placeholder="Account address"
+              required
+            />
+            <button type="submit" disabled={busy} className={buttonClass}>
+              {pendingAction === 'grantRole' ? 'Granting...' : 'Grant'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
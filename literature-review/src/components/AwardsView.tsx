@@ -2,19 +2,51 @@
 
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { ContractEventHub, ContractEventName } from '@/lib/events';
 
 interface AwardsViewProps {
-  contract: ethers.Contract | null;
+  contract: LiteratureReviewSystem | null;
+  events: ContractEventHub | null;
+  showNotification: (message: string, type?: string) => void;
 }
 
 interface Award {
+  period: number;
   category: string;
   winner: string;
-  announced: boolean;
+  workId: number;
+  title: string;
+  author: string;
+  score: number | null;
+  announcementTime: number;
 }
 
-export default function AwardsView({ contract }: AwardsViewProps) {
+// Keeps the selected competition so links from a factory program open that program
+function periodPermalink(period: number): string {
+  const params = new URLSearchParams({ tab: 'awards', period: String(period) });
+  const competition = new URLSearchParams(window.location.search).get('competition');
+  if (competition) {
+    params.set('competition', competition);
+  }
+  return `${window.location.origin}${window.location.pathname}?${params}#awards-period-${period}`;
+}
+
+// A double-blind winner's author name appears once they reveal their identity
+const LIVE_EVENTS: ContractEventName[] = ['AwardAnnounced', 'IdentityRevealed'];
+
+export default function AwardsView({ contract, events, showNotification }: AwardsViewProps) {
+  const [currentPeriod, setCurrentPeriod] = useState(0);
   const [awards, setAwards] = useState<Award[]>([]);
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [linkedPeriod, setLinkedPeriod] = useState<number | null>(null);
+
+  useEffect(() => {
+    const period = Number(new URLSearchParams(window.location.search).get('period'));
+    if (period > 0) {
+      setLinkedPeriod(period);
+    }
+  }, []);
 
   useEffect(() => {
     if (contract) {
@@ -22,58 +54,171 @@ export default function AwardsView({ contract }: AwardsViewProps) {
     }
   }, [contract]);
 
+  useEffect(() => {
+    if (!events) return;
+    return events.subscribe(LIVE_EVENTS, () => loadAwardsData());
+  }, [events]);
+
+  useEffect(() => {
+    if (linkedPeriod !== null && awards.length > 0) {
+      document
+        .getElementById(`awards-period-${linkedPeriod}`)
+        ?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [linkedPeriod, awards]);
+
   async function loadAwardsData() {
     if (!contract) return;
     try {
-      const currentPeriod = await contract.currentReviewPeriod();
-      if (currentPeriod > 0) {
-        const awardsData = await contract.getAwards(currentPeriod);
-        const loadedAwards: Award[] = [];
+      const latestPeriod = Number(await contract.currentReviewPeriod());
+      const loadedAwards: Award[] = [];
+
+      for (let period = latestPeriod; period >= 1; period--) {
+        const details = await contract.getAwardDetails(period);
+
+        for (const award of details) {
+          if (!award.announced) continue;
 
-        for (let i = 0; i < awardsData.categories.length; i++) {
+          const workInfo = await contract.getSubmissionInfo(period, award.workId);
           loadedAwards.push({
-            category: awardsData.categories[i],
-            winner: awardsData.winners[i],
-            announced: awardsData.announced[i],
+            period,
+            category: award.category,
+            winner: award.winner,
+            workId: Number(award.workId),
+            title: workInfo.title,
+            author: workInfo.author,
+            score: Number(award.totalScore) > 0 ? Number(award.totalScore) : null,
+            announcementTime: Number(award.announcementTime),
           });
         }
-
-        setAwards(loadedAwards);
       }
+
+      setCurrentPeriod(latestPeriod);
+      setAwards(loadedAwards);
     } catch (error) {
       console.error('Failed to load awards data:', error);
     }
   }
 
-  const announcedAwards = awards.filter((award) => award.announced);
+  async function copyPermalink(period: number) {
+    try {
+      await navigator.clipboard.writeText(periodPermalink(period));
+      showNotification(`Link to period ${period} results copied`);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      showNotification('Failed to copy link', 'error');
+    }
+  }
+
+  const categories = Array.from(new Set(awards.map((award) => award.category))).sort();
+  const filteredAwards = awards.filter(
+    (award) => categoryFilter === '' || award.category === categoryFilter
+  );
+  const currentAwards = filteredAwards.filter((award) => award.period === currentPeriod);
+  const pastPeriods = Array.from(
+    new Set(
+      filteredAwards.filter((award) => award.period < currentPeriod).map((award) => award.period)
+    )
+  );
+
+  function renderAward(award: Award) {
+    return (
+      <div
+        key={`${award.period}-${award.category}`}
+        className="bg-white bg-opacity-90 p-4 rounded-xl flex justify-between items-center"
+      >
+        <div>
+          <strong className="text-lg">{award.category}</strong>
+          <br />
+          <span className="text-gray-800">
+            {award.title} by {award.author || 'an anonymous author'}
+          </span>
+          <br />
+          <small className="text-gray-600">
+            Winner:{' '}
+            {award.winner === ethers.ZeroAddress ? "Awaiting the author's reveal" : award.winner}
+          </small>
+        </div>
+        <div className="text-right">
+          <strong className="text-2xl">{award.score ?? '-'}</strong>
+          <br />
+          <small className="text-gray-600">
+            Announced {new Date(award.announcementTime * 1000).toLocaleString()}
+          </small>
+        </div>
+      </div>
+    );
+  }
+
+  function renderPeriodHeader(period: number) {
+    return (
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-blue-600 font-semibold">Period {period}</h4>
+        <button
+          onClick={() => copyPermalink(period)}
+          className="text-sm text-blue-600 underline cursor-pointer bg-transparent border-none"
+        >
+          Copy link
+        </button>
+      </div>
+    );
+  }
 
   return (
     <div>
-      <div className="bg-gradient-to-r from-yellow-400 to-orange-400 text-gray-900 p-8 rounded-2xl">
+      <div className="flex justify-end mb-5">
+        <label className="text-gray-800">
+          Category{' '}
+          <select
+            value={categoryFilter}
+            onChange={(e) => setCategoryFilter(e.target.value)}
+            className="p-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-600"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div
+        id={`awards-period-${currentPeriod}`}
+        className="bg-gradient-to-r from-yellow-400 to-orange-400 text-gray-900 p-8 rounded-2xl"
+      >
         <h3 className="text-center mb-5 text-3xl font-bold">🏆 Award Results</h3>
+        {currentAwards.length > 0 && renderPeriodHeader(currentPeriod)}
         <div className="space-y-4">
-          {announcedAwards.length === 0 ? (
+          {currentAwards.length === 0 ? (
             <p className="text-center text-gray-700">No award results announced yet</p>
           ) : (
-            announcedAwards.map((award, index) => (
-              <div
-                key={index}
-                className="bg-white bg-opacity-90 p-4 rounded-xl flex justify-between items-center"
-              >
-                <div>
-                  <strong className="text-lg">{award.category}</strong>
-                  <br />
-                  <small className="text-gray-600">Winner: {award.winner}</small>
-                </div>
-              </div>
-            ))
+            currentAwards.map(renderAward)
           )}
         </div>
       </div>
 
       <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mt-8">
         <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">🎯 Historical Awards</h3>
-        <p className="text-gray-700">No historical awards records available</p>
+        {pastPeriods.length === 0 ? (
+          <p className="text-gray-700">No historical awards records available</p>
+        ) : (
+          <div className="space-y-6">
+            {pastPeriods.map((period) => (
+              <div
+                key={period}
+                id={`awards-period-${period}`}
+                className={`p-4 rounded-xl ${period === linkedPeriod ? 'ring-2 ring-blue-600' : ''}`}
+              >
+                {renderPeriodHeader(period)}
+                <div className="space-y-4">
+                  {filteredAwards.filter((award) => award.period === period).map(renderAward)}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,66 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { connectLiteratureReviewFactory } from '@literature-review/sdk';
+import { Competition, loadCompetitions } from '@/lib/competitions';
+
+interface CompetitionPickerProps {
+  factoryAddress: string;
+  runner: ethers.ContractRunner | null;
+  selectedAddress: string;
+  onSelect: (address: string) => void;
+}
+
+export default function CompetitionPicker({
+  factoryAddress,
+  runner,
+  selectedAddress,
+  onSelect,
+}: CompetitionPickerProps) {
+  const [competitions, setCompetitions] = useState<Competition[]>([]);
+
+  useEffect(() => {
+    if (runner) {
+      loadFactoryCompetitions();
+    }
+  }, [runner, factoryAddress]);
+
+  async function loadFactoryCompetitions() {
+    try {
+      const factory = connectLiteratureReviewFactory(factoryAddress, runner);
+      setCompetitions(await loadCompetitions(factory));
+    } catch (error) {
+      console.error('Failed to load competitions:', error);
+    }
+  }
+
+  const selected = competitions.find(
+    (competition) => competition.system.toLowerCase() === selectedAddress.toLowerCase()
+  );
+
+  if (competitions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex justify-center items-center gap-3 mb-8 text-white">
+      <label htmlFor="competition" className="font-semibold">
+        Competition
+      </label>
+      <select
+        id="competition"
+        value={selected?.system ?? ''}
+        onChange={(e) => onSelect(e.target.value)}
+        className="p-2 min-w-[16rem] text-gray-800 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-600"
+      >
+        {!selected && <option value="">Default program</option>}
+        {competitions.map((competition) => (
+          <option key={competition.system} value={competition.system}>
+            {competition.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -1,9 +1,31 @@
 interface ConnectionStatusProps {
   connected: boolean;
   userAccount: string;
+  // Network being browsed, null until it is known
+  networkLabel: string | null;
+  // Offered while browsing read-only with a wallet installed
+  onConnect: (() => void) | null;
 }
 
-export default function ConnectionStatus({ connected, userAccount }: ConnectionStatusProps) {
+export default function ConnectionStatus({
+  connected,
+  userAccount,
+  networkLabel,
+  onConnect,
+}: ConnectionStatusProps) {
+  const network = networkLabel ? ` · ${networkLabel}` : '';
+
+  if (!connected && onConnect) {
+    return (
+      <button
+        onClick={onConnect}
+        className="fixed top-5 right-5 py-2.5 px-5 rounded-full font-semibold z-50 bg-blue-600 text-white border-none cursor-pointer transition-all hover:bg-blue-800"
+      >
+        Read-only{network} · Connect Wallet
+      </button>
+    );
+  }
+
   return (
     <div
       className={`fixed top-5 right-5 py-2.5 px-5 rounded-full font-semibold z-50 ${
@@ -11,8 +33,8 @@ export default function ConnectionStatus({ connected, userAccount }: ConnectionS
       }`}
     >
       {connected
-        ? `Connected: ${userAccount.slice(0, 6)}...${userAccount.slice(-4)}`
-        : 'Disconnected'}
+        ? `Connected: ${userAccount.slice(0, 6)}...${userAccount.slice(-4)}${network}`
+        : `Read-only${network}`}
     </div>
   );
 }
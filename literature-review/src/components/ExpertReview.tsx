@@ -2,10 +2,21 @@
 
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import ManuscriptViewer from '@/components/ManuscriptViewer';
+import RecusalPanel from '@/components/RecusalPanel';
+import { encryptUint32Values } from '@/lib/encryption';
+import { ContractEventHub, ContractEventName } from '@/lib/events';
+import { encryptFeedback, FeedbackRecipient, loadFeedbackRecipients } from '@/lib/feedback';
+import { ReviewerStatus } from '@/lib/reviewers';
+import { invalidateSubmissions, loadPeriodSubmissions } from '@/lib/submissions';
+import { formatFee, getErrorMessage, loadFees, sendWithPreflight } from '@/lib/transactions';
 
 interface ExpertReviewProps {
-  contract: ethers.Contract | null;
+  contract: LiteratureReviewSystem | null;
+  events: ContractEventHub | null;
   userAccount: string;
+  isChair: boolean;
   showNotification: (message: string, type?: string) => void;
 }
 
@@ -14,15 +25,28 @@ interface Work {
   title: string;
   author: string;
   genre: string;
+  cid: string;
 }
 
+// Events that can change this reviewer's status or assignments
+const LIVE_EVENTS: ContractEventName[] = [
+  'ReviewerApproved',
+  'ReviewerRevoked',
+  'ReviewerAssigned',
+  'ReviewerRecused',
+  'ReviewSubmitted',
+  'PeriodScheduled',
+];
+
 export default function ExpertReview({
   contract,
+  events,
   userAccount,
+  isChair,
   showNotification,
 }: ExpertReviewProps) {
   const [reviewActive, setReviewActive] = useState(false);
-  const [isReviewer, setIsReviewer] = useState(false);
+  const [reviewerStatus, setReviewerStatus] = useState<ReviewerStatus | null>(null);
   const [reviewerName, setReviewerName] = useState('');
   const [expertise, setExpertise] = useState('');
   const [worksToReview, setWorksToReview] = useState<Work[]>([]);
@@ -31,15 +55,69 @@ export default function ExpertReview({
   const [originalityScore, setOriginalityScore] = useState('');
   const [impactScore, setImpactScore] = useState('');
   const [comments, setComments] = useState('');
+  const [feedbackRecipients, setFeedbackRecipients] = useState<{
+    recipients: FeedbackRecipient[];
+    missing: string[];
+  } | null>(null);
+  const [reviewStake, setReviewStake] = useState<bigint | null>(null);
+  const [affiliations, setAffiliations] = useState<string[]>([]);
+  const [affiliate, setAffiliate] = useState('');
+  const [recusalCount, setRecusalCount] = useState(0);
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
     if (contract && userAccount) {
       checkReviewPeriod();
       checkReviewerStatus();
+      loadReviewStake();
     }
   }, [contract, userAccount]);
 
+  useEffect(() => {
+    if (!events || !userAccount) return;
+    const account = userAccount.toLowerCase();
+    return events.subscribe(LIVE_EVENTS, (changes) => {
+      if (changes.some((event) => event.name === 'PeriodScheduled')) {
+        checkReviewPeriod();
+      }
+      // Other reviewers' reviews and recusals do not change this reviewer's list
+      if (
+        changes.some(
+          (event) => 'reviewer' in event.args && event.args.reviewer.toLowerCase() === account
+        )
+      ) {
+        checkReviewerStatus();
+      }
+    });
+  }, [events, userAccount]);
+
+  useEffect(() => {
+    setFeedbackRecipients(null);
+    if (contract && selectedWorkId !== null) {
+      loadRecipients(selectedWorkId);
+    }
+  }, [contract, selectedWorkId]);
+
+  async function loadRecipients(workId: number) {
+    if (!contract) return;
+    try {
+      const period = Number(await contract.currentReviewPeriod());
+      setFeedbackRecipients(await loadFeedbackRecipients(contract, period, workId));
+    } catch (error) {
+      console.error('Failed to load feedback recipients:', error);
+    }
+  }
+
+  async function loadReviewStake() {
+    if (!contract) return;
+    try {
+      const fees = await loadFees(contract);
+      setReviewStake(fees.reviewStake);
+    } catch (error) {
+      console.error('Failed to load review stake:', error);
+    }
+  }
+
   async function checkReviewPeriod() {
     if (!contract) return;
     try {
@@ -53,10 +131,11 @@ export default function ExpertReview({
   async function checkReviewerStatus() {
     if (!contract || !userAccount) return;
     try {
-      const isAuthorized = await contract.authorizedReviewers(userAccount);
-      setIsReviewer(isAuthorized);
-      if (isAuthorized) {
+      const status = Number(await contract.reviewerStatus(userAccount)) as ReviewerStatus;
+      setReviewerStatus(status);
+      if (status === ReviewerStatus.Active) {
         loadWorksToReview();
+        loadAffiliations();
       }
     } catch (error) {
       console.error('Failed to check reviewer status:', error);
@@ -66,17 +145,23 @@ export default function ExpertReview({
   async function loadWorksToReview() {
     if (!contract) return;
     try {
-      const currentPeriod = await contract.currentReviewPeriod();
-      const workCount = await contract.workCountPerPeriod(currentPeriod);
+      const currentPeriod = Number(await contract.currentReviewPeriod());
+      const assignedWorkIds: bigint[] = await contract.getAssignedWorks(currentPeriod, userAccount);
+      const submissions = await loadPeriodSubmissions(contract, currentPeriod);
       const works: Work[] = [];
 
-      for (let i = 1; i <= workCount; i++) {
-        const workInfo = await contract.getSubmissionInfo(currentPeriod, i);
+      for (const workId of assignedWorkIds) {
+        const review = await contract.reviews(currentPeriod, workId, userAccount);
+        if (review.submitted) continue;
+
+        const workInfo = submissions.find((work) => work.workId === Number(workId));
+        if (!workInfo) continue;
         works.push({
-          id: i,
+          id: workInfo.workId,
           title: workInfo.title,
           author: workInfo.author,
           genre: workInfo.genre,
+          cid: workInfo.manuscriptCid,
         });
       }
 
@@ -86,22 +171,81 @@ export default function ExpertReview({
     }
   }
 
-  async function handleRegisterReviewer(e: React.FormEvent) {
+  async function loadAffiliations() {
+    if (!contract || !userAccount) return;
+    try {
+      setAffiliations([...(await contract.getAffiliations(userAccount))]);
+    } catch (error) {
+      console.error('Failed to load affiliations:', error);
+    }
+  }
+
+  async function handleDeclareAffiliation(e: React.FormEvent) {
     e.preventDefault();
     if (!contract) return;
+    if (!ethers.isAddress(affiliate)) {
+      showNotification('Enter a valid address', 'error');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      showNotification('Declaring affiliation...');
+      const tx = await sendWithPreflight(contract, 'declareAffiliation', [affiliate]);
+      await tx.wait();
+
+      showNotification('Affiliation declared. Works by this address will not be assigned to you.');
+      setAffiliate('');
+      loadAffiliations();
+    } catch (error: any) {
+      console.error('Affiliation declaration failed:', error);
+      showNotification('Declaration failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleRecuse(work: Work) {
+    if (!contract) return;
+    const reason = window.prompt(`Why are you recusing from "${work.title}"?`);
+    if (!reason) return;
+
+    setLoading(true);
+    try {
+      showNotification('Recusing from review...');
+      const tx = await sendWithPreflight(contract, 'recuseFromReview', [work.id, reason]);
+      await tx.wait();
+
+      showNotification('Recusal recorded. The chair will reassign this work.');
+      loadWorksToReview();
+      setRecusalCount((count) => count + 1);
+    } catch (error: any) {
+      console.error('Recusal failed:', error);
+      showNotification('Recusal failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleRegisterReviewer(e: React.FormEvent) {
+    e.preventDefault();
+    if (!contract || reviewStake === null) return;
 
     setLoading(true);
     try {
       showNotification('Applying for reviewer status...');
-      const tx = await contract.registerReviewer(reviewerName, expertise);
+      const tx = await sendWithPreflight(contract, 'registerReviewer', [reviewerName, expertise], {
+        value: reviewStake,
+      });
       await tx.wait();
 
       showNotification('Application submitted successfully! Awaiting admin approval.');
       setReviewerName('');
       setExpertise('');
+      await checkReviewerStatus();
     } catch (error: any) {
       console.error('Application failed:', error);
-      showNotification('Application failed: ' + error.message, 'error');
+      showNotification('Application failed: ' + getErrorMessage(error, contract), 'error');
     } finally {
       setLoading(false);
     }
@@ -109,17 +253,37 @@ export default function ExpertReview({
 
   async function handleSubmitReview(e: React.FormEvent) {
     e.preventDefault();
-    if (!contract || selectedWorkId === null) return;
+    if (!contract || selectedWorkId === null || reviewStake === null || !feedbackRecipients) return;
+    if (feedbackRecipients.recipients.length === 0) {
+      showNotification('Neither the author nor a chair has published a feedback key yet', 'error');
+      return;
+    }
 
     setLoading(true);
     try {
+      showNotification('Encrypting comments...');
+      const encryptedComments = await encryptFeedback(comments, feedbackRecipients.recipients);
+
+      showNotification('Encrypting scores...');
+      const encrypted = await encryptUint32Values(contract, userAccount, [
+        Number(qualityScore),
+        Number(originalityScore),
+        Number(impactScore),
+      ]);
+
       showNotification('Submitting review...');
-      const tx = await contract.submitReview(
-        selectedWorkId,
-        qualityScore,
-        originalityScore,
-        impactScore,
-        comments
+      const tx = await sendWithPreflight(
+        contract,
+        'submitReviewEncrypted',
+        [
+          selectedWorkId,
+          encrypted.handles[0],
+          encrypted.handles[1],
+          encrypted.handles[2],
+          encrypted.inputProof,
+          encryptedComments,
+        ],
+        { value: reviewStake }
       );
       await tx.wait();
 
@@ -129,15 +293,19 @@ export default function ExpertReview({
       setOriginalityScore('');
       setImpactScore('');
       setComments('');
+      await invalidateSubmissions(contract);
       loadWorksToReview();
     } catch (error: any) {
       console.error('Review submission failed:', error);
-      showNotification('Review submission failed: ' + error.message, 'error');
+      showNotification('Review submission failed: ' + getErrorMessage(error, contract), 'error');
     } finally {
       setLoading(false);
     }
   }
 
+  const selectedWork = worksToReview.find((work) => work.id === selectedWorkId);
+  const isReviewer = reviewerStatus === ReviewerStatus.Active;
+
   return (
     <div>
       <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
@@ -147,7 +315,23 @@ export default function ExpertReview({
         </p>
       </div>
 
-      {!isReviewer ? (
+      {reviewerStatus === null ? null : reviewerStatus === ReviewerStatus.Pending ? (
+        <div className="bg-yellow-50 border-l-4 border-yellow-500 p-5 rounded-lg">
+          <h3 className="text-2xl font-semibold mb-2">Application Pending</h3>
+          <p className="text-gray-700">
+            Your reviewer application is awaiting approval by the chair. Works are assigned to you
+            once it is approved.
+          </p>
+        </div>
+      ) : reviewerStatus === ReviewerStatus.Revoked ? (
+        <div className="bg-red-50 border-l-4 border-red-600 p-5 rounded-lg">
+          <h3 className="text-2xl font-semibold mb-2">Reviewer Status Revoked</h3>
+          <p className="text-gray-700">
+            The chair has revoked your reviewer status, so you can no longer be assigned or submit
+            reviews. Contact the chair if you believe this is a mistake.
+          </p>
+        </div>
+      ) : !isReviewer ? (
         <div>
           <h3 className="text-2xl font-semibold mb-4">Reviewer Registration</h3>
           <form onSubmit={handleRegisterReviewer}>
@@ -181,9 +365,13 @@ export default function ExpertReview({
               />
             </div>
 
+            <p className="mb-4 text-gray-700">
+              <strong>Reviewer stake:</strong> {formatFee(reviewStake)} (sent with your application)
+            </p>
+
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || reviewStake === null}
               className="bg-blue-600 text-white py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all hover:bg-blue-800 hover:-translate-y-0.5 disabled:bg-gray-400 disabled:cursor-not-allowed"
             >
               {loading ? 'Applying...' : 'Apply to be a Reviewer'}
@@ -194,28 +382,43 @@ export default function ExpertReview({
         <div>
           <h3 className="text-2xl font-semibold mb-4">Work Review</h3>
 
-          {selectedWorkId === null ? (
+          {selectedWorkId === null && worksToReview.length === 0 ? (
+            <p className="text-gray-700">No works awaiting your review in this period</p>
+          ) : selectedWorkId === null ? (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5">
               {worksToReview.map((work) => (
                 <div key={work.id} className="bg-gray-100 p-5 rounded-xl border border-gray-300">
                   <h4 className="text-blue-600 mb-2.5 font-semibold">{work.title}</h4>
-                  <p className="mb-2 text-gray-700">
-                    <strong>Author:</strong> {work.author}
-                  </p>
+                  {work.author && (
+                    <p className="mb-2 text-gray-700">
+                      <strong>Author:</strong> {work.author}
+                    </p>
+                  )}
                   <p className="mb-4 text-gray-700">
                     <strong>Genre:</strong> {work.genre}
                   </p>
-                  <button
-                    onClick={() => setSelectedWorkId(work.id)}
-                    className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800"
-                  >
-                    Review This Work
-                  </button>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setSelectedWorkId(work.id)}
+                      className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800"
+                    >
+                      Review This Work
+                    </button>
+                    <button
+                      onClick={() => handleRecuse(work)}
+                      disabled={loading}
+                      className="bg-gray-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-gray-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                      Recuse
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
           ) : (
             <form onSubmit={handleSubmitReview}>
+              {selectedWork && <ManuscriptViewer cid={selectedWork.cid} />}
+
               <div className="mb-6">
                 <label className="block mb-2 font-semibold text-gray-800" htmlFor="qualityScore">
                   Quality Score (1-100)
@@ -269,7 +472,7 @@ export default function ExpertReview({
 
               <div className="mb-6">
                 <label className="block mb-2 font-semibold text-gray-800" htmlFor="comments">
-                  Review Comments (Encrypted Storage)
+                  Review Comments (Private to the Author and Chairs)
                 </label>
                 <textarea
                   id="comments"
@@ -279,12 +482,31 @@ export default function ExpertReview({
                   placeholder="Enter your professional review comments - all content will be encrypted"
                   required
                 />
+                {feedbackRecipients && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    {feedbackRecipients.recipients.length === 0
+                      ? 'No recipient has published a feedback key yet, so comments cannot be sent.'
+                      : `Encrypted to ${feedbackRecipients.recipients.length} recipient(s); readable after the awards are announced.`}
+                    {feedbackRecipients.missing.length > 0 &&
+                      ` Without a published key: ${feedbackRecipients.missing.join(', ')}.`}
+                  </p>
+                )}
               </div>
 
+              <p className="mb-4 text-gray-700">
+                <strong>Review stake:</strong> {formatFee(reviewStake)} (refundable if score
+                decryption fails or times out)
+              </p>
+
               <div className="flex gap-4">
                 <button
                   type="submit"
-                  disabled={loading}
+                  disabled={
+                    loading ||
+                    reviewStake === null ||
+                    !feedbackRecipients ||
+                    feedbackRecipients.recipients.length === 0
+                  }
                   className="bg-blue-600 text-white py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
                 >
                   {loading ? 'Submitting...' : 'Submit Review'}
@@ -305,8 +527,49 @@ export default function ExpertReview({
               </div>
             </form>
           )}
+
+          <div className="bg-gray-100 p-5 rounded-xl border border-gray-300 mt-8">
+            <h4 className="text-blue-600 mb-2.5 font-semibold">Declared Affiliations</h4>
+            <p className="mb-4 text-gray-700">
+              Works submitted by these addresses are never assigned to you. Declarations are
+              permanent.
+            </p>
+            {affiliations.length > 0 && (
+              <ul className="mb-4 list-disc list-inside text-gray-700">
+                {affiliations.map((address) => (
+                  <li key={address}>{address}</li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleDeclareAffiliation} className="flex gap-4">
+              <input
+                type="text"
+                value={affiliate}
+                onChange={(e) => setAffiliate(e.target.value)}
+                className="flex-1 p-3 border-2 border-gray-300 rounded-lg text-base focus:outline-none focus:border-blue-600"
+                placeholder="Affiliated author address (0x...)"
+                required
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Declare
+              </button>
+            </form>
+          </div>
         </div>
       )}
+
+      {(isReviewer || isChair) && (
+        <RecusalPanel
+          contract={contract}
+          isChair={isChair}
+          showNotification={showNotification}
+          refreshKey={recusalCount}
+        />
+      )}
     </div>
   );
 }
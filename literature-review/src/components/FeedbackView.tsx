@@ -0,0 +1,206 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { decryptFeedback, deriveNewFeedbackKey, derivePublishedFeedbackKey } from '@/lib/feedback';
+import { getErrorMessage, sendWithPreflight } from '@/lib/transactions';
+
+interface FeedbackViewProps {
+  contract: LiteratureReviewSystem | null;
+  userAccount: string;
+  isChair: boolean;
+  showNotification: (message: string, type?: string) => void;
+}
+
+interface FeedbackWork {
+  period: number;
+  workId: number;
+  title: string;
+  comments: { reviewer: string; envelope: string; plaintext: string | null }[];
+}
+
+export default function FeedbackView({
+  contract,
+  userAccount,
+  isChair,
+  showNotification,
+}: FeedbackViewProps) {
+  const [publishedKey, setPublishedKey] = useState<string | null>(null);
+  const [works, setWorks] = useState<FeedbackWork[]>([]);
+  const [decrypted, setDecrypted] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (contract && userAccount) {
+      loadPublishedKey();
+      loadFeedback();
+    }
+  }, [contract, userAccount, isChair]);
+
+  async function loadPublishedKey() {
+    if (!contract) return;
+    try {
+      const key: string = await contract.encryptionKeys(userAccount);
+      setPublishedKey(key === '0x' ? null : key);
+    } catch (error) {
+      console.error('Failed to load feedback key:', error);
+    }
+  }
+
+  // Works of announced periods whose feedback this account receives: its own, or all for chairs
+  async function loadFeedback() {
+    if (!contract) return;
+    try {
+      const latestPeriod = Number(await contract.currentReviewPeriod());
+      const loadedWorks: FeedbackWork[] = [];
+
+      for (let period = latestPeriod; period >= 1; period--) {
+        if (!(await contract.awardsAnnounced(period))) continue;
+
+        const workCount = Number(await contract.workCountPerPeriod(period));
+        for (let workId = 1; workId <= workCount; workId++) {
+          const workInfo = await contract.getSubmissionInfo(period, workId);
+          if (!isChair && workInfo.submitter.toLowerCase() !== userAccount.toLowerCase()) continue;
+
+          const feedback = await contract.getReviewFeedback(period, workId);
+          loadedWorks.push({
+            period,
+            workId,
+            title: workInfo.title,
+            comments: feedback.reviewerList.map((reviewer: string, index: number) => ({
+              reviewer,
+              envelope: feedback.comments[index],
+              plaintext: null,
+            })),
+          });
+        }
+      }
+
+      setWorks(loadedWorks);
+      setDecrypted(false);
+    } catch (error) {
+      console.error('Failed to load feedback:', error);
+    }
+  }
+
+  async function handlePublishKey() {
+    if (!contract) return;
+
+    setLoading(true);
+    try {
+      showNotification('Sign the message twice to derive your feedback key...');
+      const key = await deriveNewFeedbackKey(contract);
+
+      showNotification('Publishing feedback key...');
+      const tx = await sendWithPreflight(contract, 'publishEncryptionKey', [
+        key.compressedPublicKey,
+      ]);
+      await tx.wait();
+
+      showNotification('Feedback key published!');
+      setPublishedKey(key.compressedPublicKey);
+    } catch (error: any) {
+      console.error('Publishing feedback key failed:', error);
+      showNotification('Publishing key failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDecrypt() {
+    if (!contract) return;
+
+    setLoading(true);
+    try {
+      const key = await derivePublishedFeedbackKey(contract, userAccount);
+      const decryptedWorks = await Promise.all(
+        works.map(async (work) => ({
+          ...work,
+          comments: await Promise.all(
+            work.comments.map(async (comment) => ({
+              ...comment,
+              plaintext: await decryptFeedback(comment.envelope, key, userAccount),
+            }))
+          ),
+        }))
+      );
+
+      setWorks(decryptedWorks);
+      setDecrypted(true);
+    } catch (error: any) {
+      console.error('Failed to decrypt feedback:', error);
+      showNotification('Failed to decrypt feedback: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div>
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">🔏 Review Feedback</h3>
+        <p className="text-gray-700 mb-4">
+          Reviewers encrypt their comments to the author&apos;s and the chairs&apos; published keys.
+          Only those recipients can read them, once the period&apos;s awards are announced.
+        </p>
+        <p className="text-gray-700 mb-4">
+          <strong>Your feedback key:</strong>{' '}
+          {publishedKey
+            ? `${publishedKey.slice(0, 10)}...${publishedKey.slice(-8)}`
+            : 'Not published - reviewers cannot send you private comments yet'}
+        </p>
+        <button
+          onClick={handlePublishKey}
+          disabled={loading}
+          className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {publishedKey ? 'Republish Key' : 'Publish Key'}
+        </button>
+      </div>
+
+      {works.length === 0 ? (
+        <p className="text-center text-gray-700">No feedback available yet</p>
+      ) : (
+        <>
+          {!decrypted && (
+            <button
+              onClick={handleDecrypt}
+              disabled={loading}
+              className="mb-5 bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Decrypting...' : 'Decrypt Feedback'}
+            </button>
+          )}
+          <div className="space-y-4">
+            {works.map((work) => (
+              <div
+                key={`${work.period}-${work.workId}`}
+                className="bg-gray-100 p-5 rounded-xl border border-gray-300"
+              >
+                <h4 className="text-lg font-semibold mb-2">
+                  Period {work.period} · #{work.workId} {work.title}
+                </h4>
+                {work.comments.length === 0 ? (
+                  <p className="text-gray-700">No reviews</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {work.comments.map((comment) => (
+                      <li key={comment.reviewer} className="bg-white p-3 rounded-lg">
+                        <small className="text-gray-600">Reviewer {comment.reviewer}</small>
+                        <p className="text-gray-800">
+                          {!decrypted
+                            ? '🔒 Encrypted'
+                            : (comment.plaintext ?? 'Not addressed to you')}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { BlindWork, findOwnBlindWorks, identitySalt } from '@/lib/blind';
+import { invalidateSubmissions } from '@/lib/submissions';
+import { getErrorMessage, sendWithPreflight } from '@/lib/transactions';
+
+interface IdentityRevealProps {
+  contract: LiteratureReviewSystem | null;
+  userAccount: string;
+  showNotification: (message: string, type?: string) => void;
+}
+
+export default function IdentityReveal({
+  contract,
+  userAccount,
+  showNotification,
+}: IdentityRevealProps) {
+  const [revealablePeriods, setRevealablePeriods] = useState<number[]>([]);
+  const [authorName, setAuthorName] = useState('');
+  const [works, setWorks] = useState<BlindWork[] | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (contract) {
+      loadRevealablePeriods();
+    }
+  }, [contract]);
+
+  // Double-blind periods whose awards are announced, or whose announcement stalled past REVIEW_TIMEOUT
+  async function loadRevealablePeriods() {
+    if (!contract) return;
+    try {
+      const latestPeriod = Number(await contract.currentReviewPeriod());
+      const timeout = Number(await contract.REVIEW_TIMEOUT());
+      const now = Math.floor(Date.now() / 1000);
+      const periods: number[] = [];
+
+      for (let period = latestPeriod; period >= 1; period--) {
+        if (!(await contract.doubleBlind(period))) continue;
+
+        const schedule = await contract.getPeriodSchedule(period);
+        if (
+          (await contract.awardsAnnounced(period)) ||
+          now > Number(schedule.announcement) + timeout
+        ) {
+          periods.push(period);
+        }
+      }
+
+      setRevealablePeriods(periods);
+    } catch (error) {
+      console.error('Failed to load double-blind periods:', error);
+    }
+  }
+
+  async function handleFind(e: React.FormEvent) {
+    e.preventDefault();
+    if (!contract) return;
+
+    setLoading(true);
+    try {
+      showNotification('Sign the message to recover your anonymous submissions...');
+      const found: BlindWork[] = [];
+      for (const period of revealablePeriods) {
+        found.push(...(await findOwnBlindWorks(contract, period, authorName, userAccount)));
+      }
+      setWorks(found);
+    } catch (error) {
+      console.error('Failed to find anonymous submissions:', error);
+      showNotification('Failed to find anonymous submissions', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleReveal(work: BlindWork) {
+    if (!contract) return;
+
+    setLoading(true);
+    try {
+      const salt = await identitySalt(contract, work.period, work.cid);
+
+      showNotification('Revealing identity...');
+      const tx = await sendWithPreflight(contract, 'revealIdentity', [
+        work.period,
+        work.workId,
+        authorName,
+        salt,
+      ]);
+      await tx.wait();
+
+      showNotification(`Identity revealed for "${work.title}"`);
+      await invalidateSubmissions(contract);
+      setWorks((current) => current?.filter((item) => item !== work) ?? null);
+    } catch (error: any) {
+      console.error('Reveal failed:', error);
+      showNotification('Reveal failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (revealablePeriods.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 bg-gray-100 p-5 rounded-xl border border-gray-300">
+      <h3 className="text-2xl font-semibold mb-2">🎭 Reveal Anonymous Submissions</h3>
+      <p className="mb-4 text-gray-700">
+        Identities can now be revealed for double-blind period {revealablePeriods.join(', ')}. Enter
+        the author name you submitted under to find your works and claim them.
+      </p>
+
+      <form onSubmit={handleFind} className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={authorName}
+          onChange={(e) => setAuthorName(e.target.value)}
+          className="flex-1 p-3 border-2 border-gray-300 rounded-lg text-base focus:outline-none focus:border-blue-600"
+          placeholder="Author name, exactly as submitted"
+          required
+        />
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          Find My Works
+        </button>
+      </form>
+
+      {works !== null &&
+        (works.length === 0 ? (
+          <p className="text-gray-700">
+            No unrevealed works match this author name and account. Works are found from the
+            account and wallet that signed their anonymous submission.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {works.map((work) => (
+              <li
+                key={`${work.period}-${work.workId}`}
+                className="flex items-center justify-between bg-white p-3 rounded-lg"
+              >
+                <span>
+                  Period {work.period} · #{work.workId} {work.title} ({work.genre})
+                </span>
+                <button
+                  onClick={() => handleReveal(work)}
+                  disabled={loading}
+                  className="bg-blue-600 text-white py-2 px-4 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  Reveal Identity
+                </button>
+              </li>
+            ))}
+          </ul>
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { IntegrityStatus, manuscriptStorage, verifyManuscript } from '@/lib/manuscripts';
+
+interface ManuscriptViewerProps {
+  cid: string;
+}
+
+const STATUS_STYLES: Record<IntegrityStatus, { className: string; message: string }> = {
+  verified: {
+    className: 'bg-green-50 border-green-600 text-green-800',
+    message: '✅ Manuscript matches the CID recorded on-chain',
+  },
+  mismatch: {
+    className: 'bg-red-50 border-red-600 text-red-800',
+    message:
+      '⚠️ The fetched manuscript does NOT match the CID recorded on-chain. Do not review it; report it to the chair.',
+  },
+  unverifiable: {
+    className: 'bg-yellow-50 border-yellow-600 text-yellow-800',
+    message:
+      'ℹ️ This CID cannot be re-hashed in the browser (CIDv0 or chunked upload); the content is as served by the storage backend.',
+  },
+};
+
+export default function ManuscriptViewer({ cid }: ManuscriptViewerProps) {
+  const [status, setStatus] = useState<IntegrityStatus | null>(null);
+  const [objectUrl, setObjectUrl] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let url: string | null = null;
+    let cancelled = false;
+
+    setStatus(null);
+    setObjectUrl(null);
+    setError('');
+
+    manuscriptStorage()
+      .get(cid)
+      .then((content) => {
+        if (cancelled) return;
+        setStatus(verifyManuscript(content, cid));
+        url = URL.createObjectURL(new Blob([new Uint8Array(content)]));
+        setObjectUrl(url);
+      })
+      .catch((fetchError) => {
+        console.error('Failed to fetch manuscript:', fetchError);
+        if (!cancelled) setError(fetchError.message);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [cid]);
+
+  return (
+    <div className="mb-6">
+      <p className="mb-2 font-semibold text-gray-800">Manuscript</p>
+      <p className="mb-2 text-sm text-gray-600 font-mono break-all">{cid}</p>
+      {error ? (
+        <p className="p-3 border-l-4 rounded-lg bg-red-50 border-red-600 text-red-800">
+          Could not fetch the manuscript: {error}
+        </p>
+      ) : status === null ? (
+        <p className="text-gray-700">Fetching and verifying manuscript...</p>
+      ) : (
+        <div className={`p-3 border-l-4 rounded-lg ${STATUS_STYLES[status].className}`}>
+          <p className="mb-2">{STATUS_STYLES[status].message}</p>
+          {objectUrl && status !== 'mismatch' && (
+            <a href={objectUrl} download={cid} className="text-blue-600 font-semibold underline">
+              Download manuscript
+            </a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
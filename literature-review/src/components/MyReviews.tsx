@@ -0,0 +1,192 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { userDecryptHandles } from '@/lib/encryption';
+import { loadReviewRefundPath, METHOD_LABELS, RefundPath } from '@/lib/refunds';
+import { formatCountdown, loadChainTimeOffset } from '@/lib/schedule';
+import { formatFee, getErrorMessage } from '@/lib/transactions';
+
+interface MyReviewsProps {
+  contract: LiteratureReviewSystem | null;
+  userAccount: string;
+  showNotification: (message: string, type?: string) => void;
+}
+
+interface ReviewEntry {
+  key: string;
+  period: number;
+  workId: number;
+  title: string;
+  genre: string;
+  reviewTime: number;
+  stake: bigint;
+  refundClaimed: boolean;
+  refund: RefundPath;
+  handles: string[];
+}
+
+export default function MyReviews({ contract, userAccount, showNotification }: MyReviewsProps) {
+  const [entries, setEntries] = useState<ReviewEntry[]>([]);
+  // Decrypted quality, originality and impact scores by entry key
+  const [scores, setScores] = useState<Record<string, bigint[]>>({});
+  const [chainNow, setChainNow] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [decryptingKey, setDecryptingKey] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (contract && userAccount) {
+      loadReviews();
+    }
+  }, [contract, userAccount]);
+
+  async function loadReviews() {
+    if (!contract || !userAccount) return;
+    setLoading(true);
+    try {
+      setChainNow(Math.floor(Date.now() / 1000) + (await loadChainTimeOffset(contract)));
+
+      const latestPeriod = Number(await contract.currentReviewPeriod());
+      const account = userAccount.toLowerCase();
+      const loaded: ReviewEntry[] = [];
+
+      for (let period = latestPeriod; period >= 1; period--) {
+        const workCount = Number(await contract.workCountPerPeriod(period));
+
+        for (let workId = 1; workId <= workCount; workId++) {
+          const reviewerList: string[] = await contract.getWorkReviewers(period, workId);
+          // submitReview appends the reviewer, so the list holds exactly the submitted reviews
+          if (!reviewerList.some((reviewer) => reviewer.toLowerCase() === account)) continue;
+
+          const review = await contract.reviews(period, workId, userAccount);
+          const work = await contract.getSubmissionInfo(period, workId);
+          loaded.push({
+            key: `${period}-${workId}`,
+            period,
+            workId,
+            title: work.title,
+            genre: work.genre,
+            reviewTime: Number(review.reviewTime),
+            stake: review.stakeAmount,
+            refundClaimed: review.refundClaimed,
+            refund: await loadReviewRefundPath(contract, period, workId, Number(review.reviewTime)),
+            handles: [
+              review.encryptedQualityScore,
+              review.encryptedOriginalityScore,
+              review.encryptedImpactScore,
+            ],
+          });
+        }
+      }
+
+      setEntries(loaded);
+    } catch (error) {
+      console.error('Failed to load reviews:', error);
+      showNotification('Failed to load reviews: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDecrypt(entry: ReviewEntry) {
+    if (!contract) return;
+
+    setDecryptingKey(entry.key);
+    try {
+      showNotification('Sign the decryption request in your wallet...');
+      const values = await userDecryptHandles(contract, userAccount, entry.handles);
+      setScores((current) => ({
+        ...current,
+        [entry.key]: entry.handles.map((handle) => values[handle]),
+      }));
+    } catch (error: any) {
+      console.error('Score decryption failed:', error);
+      showNotification('Score decryption failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setDecryptingKey(null);
+    }
+  }
+
+  function renderStake(entry: ReviewEntry) {
+    if (entry.refundClaimed) {
+      return <span className="text-green-700 font-semibold">Refunded</span>;
+    }
+    if (!entry.refund.method) {
+      return <span className="text-gray-600">{entry.refund.reason}</span>;
+    }
+    if (chainNow <= entry.refund.availableAt) {
+      return (
+        <span className="text-gray-700">
+          {METHOD_LABELS[entry.refund.method]} refund opens in{' '}
+          {formatCountdown(entry.refund.availableAt - chainNow + 1)}
+        </span>
+      );
+    }
+    return (
+      <span className="text-blue-700 font-semibold">
+        Refundable ({METHOD_LABELS[entry.refund.method]}), claim it in the Refunds tab
+      </span>
+    );
+  }
+
+  function renderScores(entry: ReviewEntry) {
+    const decrypted = scores[entry.key];
+    if (decrypted) {
+      const [quality, originality, impact] = decrypted;
+      return (
+        <p className="text-gray-800">
+          Quality <strong>{quality.toString()}</strong> · Originality{' '}
+          <strong>{originality.toString()}</strong> · Impact <strong>{impact.toString()}</strong>
+        </p>
+      );
+    }
+    return (
+      <button
+        onClick={() => handleDecrypt(entry)}
+        disabled={decryptingKey !== null}
+        className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+      >
+        {decryptingKey === entry.key ? 'Decrypting...' : '🔓 Decrypt My Scores'}
+      </button>
+    );
+  }
+
+  return (
+    <div>
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">🖊️ My Reviews</h3>
+        <p className="text-gray-700">
+          Every work you scored, with the status of your review stake. Your scores stay encrypted
+          on-chain; decrypting them here only reveals them to your wallet.
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-center text-gray-700">Loading your reviews...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-center text-gray-700">No reviews found for this account</p>
+      ) : (
+        <div className="space-y-4">
+          {entries.map((entry) => (
+            <div
+              key={entry.key}
+              className="bg-gray-100 p-5 rounded-xl border border-gray-300 flex justify-between items-center gap-4"
+            >
+              <div>
+                <h4 className="text-blue-600 mb-2 font-semibold">{entry.title}</h4>
+                <p className="text-gray-700 mb-1">
+                  {entry.genre} · Period {entry.period} · Work #{entry.workId} · Reviewed{' '}
+                  {new Date(entry.reviewTime * 1000).toLocaleDateString()}
+                </p>
+                <p className="text-sm text-gray-700">
+                  <strong>Stake:</strong> {formatFee(entry.stake)} · {renderStake(entry)}
+                </p>
+              </div>
+              <div className="text-right">{renderScores(entry)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { userDecryptHandles } from '@/lib/encryption';
+import { queryEvents } from '@/lib/events';
+import { loadPeriodSubmissions, SubmissionSummary } from '@/lib/submissions';
+import { getErrorMessage } from '@/lib/transactions';
+
+interface MySubmissionsProps {
+  contract: LiteratureReviewSystem | null;
+  userAccount: string;
+  showNotification: (message: string, type?: string) => void;
+}
+
+type SubmissionStatus =
+  'refunded' | 'awarded' | 'insufficient' | 'decryptionPending' | 'reviewed' | 'underReview';
+
+interface Submission {
+  key: string;
+  period: number;
+  workId: number;
+  title: string;
+  genre: string;
+  status: SubmissionStatus;
+  scored: boolean;
+}
+
+interface DecryptedScores {
+  aggregate: bigint;
+  quality: bigint;
+  originality: bigint;
+  impact: bigint;
+}
+
+const STATUS_LABELS: Record<SubmissionStatus, { label: string; className: string }> = {
+  refunded: { label: 'Refunded', className: 'bg-gray-200 text-gray-800' },
+  awarded: { label: '🏆 Awarded', className: 'bg-yellow-100 text-yellow-800' },
+  insufficient: { label: 'Insufficient reviews', className: 'bg-red-100 text-red-800' },
+  decryptionPending: { label: 'Decryption pending', className: 'bg-blue-100 text-blue-800' },
+  reviewed: { label: 'Reviewed', className: 'bg-green-100 text-green-800' },
+  underReview: { label: 'Under review', className: 'bg-gray-100 text-gray-700' },
+};
+
+export default function MySubmissions({
+  contract,
+  userAccount,
+  showNotification,
+}: MySubmissionsProps) {
+  const [submissions, setSubmissions] = useState<Submission[]>([]);
+  const [scores, setScores] = useState<Record<string, DecryptedScores>>({});
+  const [loading, setLoading] = useState(false);
+  const [decryptingKey, setDecryptingKey] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (contract && userAccount) {
+      loadSubmissions();
+    }
+  }, [contract, userAccount]);
+
+  async function loadSubmissions() {
+    if (!contract || !userAccount) return;
+    setLoading(true);
+    try {
+      // Double-blind works only carry the submitter once their identity is revealed
+      const events: (ethers.EventLog | ethers.Log)[] = [
+        ...(await queryEvents(
+          contract,
+          contract.filters.WorkSubmitted(undefined, undefined, userAccount)
+        )),
+        ...(await queryEvents(
+          contract,
+          contract.filters.IdentityRevealed(undefined, undefined, userAccount)
+        )),
+      ];
+      const periods = new Set<number>();
+      for (const event of events) {
+        if ('args' in event) periods.add(Number(event.args.period));
+      }
+      const loaded: Submission[] = [];
+
+      for (const period of Array.from(periods)) {
+        const resultsCalculated: boolean = await contract.resultsCalculated(period);
+        const works = await loadPeriodSubmissions(contract, period, { submitter: userAccount });
+
+        for (const work of works) {
+          // Score decryptions also mark works reviewed, before any results are calculated
+          const scored = work.reviewed && resultsCalculated;
+          loaded.push({
+            key: `${period}-${work.workId}`,
+            period,
+            workId: work.workId,
+            title: work.title,
+            genre: work.genre,
+            status: await loadStatus(period, work, scored),
+            scored,
+          });
+        }
+      }
+
+      loaded.sort((a, b) => b.period - a.period || a.workId - b.workId);
+      setSubmissions(loaded);
+    } catch (error) {
+      console.error('Failed to load submissions:', error);
+      showNotification('Failed to load submissions: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadStatus(
+    period: number,
+    work: SubmissionSummary,
+    scored: boolean
+  ): Promise<SubmissionStatus> {
+    if (!contract) return 'underReview';
+    if (work.refundClaimed) return 'refunded';
+    if (work.insufficientReviews) return 'insufficient';
+    if (!scored) return 'underReview';
+
+    const awards = await contract.getAwardDetails(period);
+    if (awards.some((award) => award.announced && Number(award.workId) === work.workId)) {
+      return 'awarded';
+    }
+
+    // An award of the category whose winner the Gateway has not returned yet
+    const awardPending = awards.some(
+      (award) => award.category === work.genre && Number(award.workId) === 0
+    );
+    const scorePending =
+      work.decryption.requested && !work.decryption.completed && !work.decryption.failed;
+    return awardPending || scorePending ? 'decryptionPending' : 'reviewed';
+  }
+
+  async function handleDecrypt(submission: Submission) {
+    if (!contract) return;
+
+    setDecryptingKey(submission.key);
+    try {
+      const encrypted = await contract.getEncryptedScores(submission.period, submission.workId);
+      const handles: string[] = [
+        encrypted.aggregate,
+        encrypted.quality,
+        encrypted.originality,
+        encrypted.impact,
+      ];
+
+      showNotification('Sign the decryption request in your wallet...');
+      const values = await userDecryptHandles(contract, userAccount, handles);
+      setScores((current) => ({
+        ...current,
+        [submission.key]: {
+          aggregate: values[encrypted.aggregate],
+          quality: values[encrypted.quality],
+          originality: values[encrypted.originality],
+          impact: values[encrypted.impact],
+        },
+      }));
+    } catch (error: any) {
+      console.error('Score decryption failed:', error);
+      showNotification('Score decryption failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setDecryptingKey(null);
+    }
+  }
+
+  function renderScores(submission: Submission) {
+    const decrypted = scores[submission.key];
+    if (decrypted) {
+      return (
+        <div className="text-right text-gray-800">
+          <p className="text-2xl font-bold text-blue-600">{decrypted.aggregate.toString()}</p>
+          <p className="text-sm">
+            Quality {decrypted.quality.toString()} · Originality {decrypted.originality.toString()}{' '}
+            · Impact {decrypted.impact.toString()}
+          </p>
+        </div>
+      );
+    }
+    if (!submission.scored) {
+      return <span className="text-gray-600">Scores available after results are calculated</span>;
+    }
+    return (
+      <button
+        onClick={() => handleDecrypt(submission)}
+        disabled={decryptingKey !== null}
+        className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+      >
+        {decryptingKey === submission.key ? 'Decrypting...' : '🔓 Decrypt Score'}
+      </button>
+    );
+  }
+
+  return (
+    <div>
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">📚 My Submissions</h3>
+        <p className="text-gray-700">
+          Follow your works across review periods. Once results are calculated, decrypt your
+          aggregate score and per-criterion averages privately: only your wallet can read them.
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-center text-gray-700">Loading your submissions...</p>
+      ) : submissions.length === 0 ? (
+        <p className="text-center text-gray-700">No submissions found for this account</p>
+      ) : (
+        <div className="space-y-4">
+          {submissions.map((submission) => (
+            <div
+              key={submission.key}
+              className="bg-gray-100 p-5 rounded-xl border border-gray-300 flex justify-between items-center gap-4"
+            >
+              <div>
+                <h4 className="text-blue-600 mb-2 font-semibold">{submission.title}</h4>
+                <p className="text-gray-700 mb-2">
+                  {submission.genre} · Period {submission.period} · Work #{submission.workId}
+                </p>
+                <span
+                  className={`inline-block py-1 px-3 rounded-full text-sm font-semibold ${
+                    STATUS_LABELS[submission.status].className
+                  }`}
+                >
+                  {STATUS_LABELS[submission.status].label}
+                </span>
+              </div>
+              {renderScores(submission)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
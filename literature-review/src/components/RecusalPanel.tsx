@@ -0,0 +1,159 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { queryEvents } from '@/lib/events';
+import { loadAllReviewers, ReviewerEntry, ReviewerStatus } from '@/lib/reviewers';
+import { getErrorMessage, sendWithPreflight } from '@/lib/transactions';
+
+interface RecusalPanelProps {
+  contract: LiteratureReviewSystem | null;
+  isChair: boolean;
+  showNotification: (message: string, type?: string) => void;
+  // Bumped by the parent after the connected reviewer recuses
+  refreshKey: number;
+}
+
+interface Recusal {
+  workId: number;
+  title: string;
+  reviewer: string;
+  reason: string;
+  assignees: string[];
+}
+
+export default function RecusalPanel({
+  contract,
+  isChair,
+  showNotification,
+  refreshKey,
+}: RecusalPanelProps) {
+  const [recusals, setRecusals] = useState<Recusal[]>([]);
+  const [activeReviewers, setActiveReviewers] = useState<ReviewerEntry[]>([]);
+  const [replacements, setReplacements] = useState<Record<number, string>>({});
+  const [reassigningWorkId, setReassigningWorkId] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (contract) {
+      loadRecusals();
+    }
+  }, [contract, isChair, refreshKey]);
+
+  async function loadRecusals() {
+    if (!contract) return;
+    try {
+      const period = await contract.currentReviewPeriod();
+      const events = await queryEvents(contract, contract.filters.ReviewerRecused(period));
+      const loadedRecusals: Recusal[] = [];
+
+      for (const event of events) {
+        if (!('args' in event)) continue;
+        const workId = Number(event.args.workId);
+        const workInfo = await contract.getSubmissionInfo(period, workId);
+        loadedRecusals.push({
+          workId,
+          title: workInfo.title,
+          reviewer: event.args.reviewer,
+          reason: event.args.reason,
+          assignees: [...(await contract.getWorkAssignees(period, workId))],
+        });
+      }
+
+      setRecusals(loadedRecusals);
+      if (isChair) {
+        setActiveReviewers(await loadAllReviewers(contract, ReviewerStatus.Active));
+      }
+    } catch (error) {
+      console.error('Failed to load recusals:', error);
+    }
+  }
+
+  async function handleReassign(recusal: Recusal) {
+    const reviewer = replacements[recusal.workId];
+    if (!contract || !reviewer) return;
+
+    setReassigningWorkId(recusal.workId);
+    try {
+      showNotification('Reassigning review...');
+      const tx = await sendWithPreflight(contract, 'reassignReviewer', [recusal.workId, reviewer]);
+      await tx.wait();
+
+      showNotification('Reviewer reassigned successfully!');
+      setReplacements((current) => ({ ...current, [recusal.workId]: '' }));
+      loadRecusals();
+    } catch (error: any) {
+      console.error('Reassignment failed:', error);
+      showNotification('Reassignment failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setReassigningWorkId(null);
+    }
+  }
+
+  if (recusals.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-100 border-l-4 border-yellow-500 p-5 rounded-lg mt-8">
+      <h3 className="text-yellow-700 mb-2.5 font-semibold text-lg">⚖️ Recusals This Period</h3>
+      <div className="space-y-4">
+        {recusals.map((recusal) => {
+          const candidates = activeReviewers.filter(
+            (reviewer) =>
+              reviewer.address !== recusal.reviewer && !recusal.assignees.includes(reviewer.address)
+          );
+          return (
+            <div
+              key={`${recusal.workId}-${recusal.reviewer}`}
+              className="bg-white p-4 rounded-xl border border-gray-300"
+            >
+              <p className="text-gray-800">
+                <strong>
+                  #{recusal.workId} {recusal.title}
+                </strong>
+              </p>
+              <p className="text-gray-700">
+                <strong>Recused:</strong> {recusal.reviewer}
+              </p>
+              <p className="text-gray-700 mb-2">
+                <strong>Reason:</strong> {recusal.reason}
+              </p>
+              <p className="text-sm text-gray-600">
+                {recusal.assignees.length} reviewer(s) currently assigned
+              </p>
+
+              {isChair && (
+                <div className="flex gap-4 mt-4">
+                  <select
+                    value={replacements[recusal.workId] ?? ''}
+                    onChange={(e) =>
+                      setReplacements((current) => ({
+                        ...current,
+                        [recusal.workId]: e.target.value,
+                      }))
+                    }
+                    className="flex-1 p-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-600"
+                  >
+                    <option value="">Select replacement reviewer</option>
+                    {candidates.map((reviewer) => (
+                      <option key={reviewer.address} value={reviewer.address}>
+                        {reviewer.name} ({reviewer.expertise})
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleReassign(recusal)}
+                    disabled={!replacements[recusal.workId] || reassigningWorkId !== null}
+                    className="bg-blue-600 text-white py-2 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {reassigningWorkId === recusal.workId ? 'Reassigning...' : 'Reassign'}
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
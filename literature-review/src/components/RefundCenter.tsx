@@ -0,0 +1,227 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { queryEvents } from '@/lib/events';
+import { loadReviewRefundPath, METHOD_LABELS, RefundMethod } from '@/lib/refunds';
+import { formatCountdown, loadChainTimeOffset } from '@/lib/schedule';
+import { invalidateSubmissions } from '@/lib/submissions';
+import { formatFee, getErrorMessage, sendWithPreflight } from '@/lib/transactions';
+
+interface RefundCenterProps {
+  contract: LiteratureReviewSystem | null;
+  userAccount: string;
+  showNotification: (message: string, type?: string) => void;
+}
+
+interface RefundItem {
+  key: string;
+  kind: 'submission' | 'review';
+  period: number;
+  workId: number;
+  title: string;
+  amount: bigint;
+  claimed: boolean;
+  // Refund path that applies, or null when the deposit is no longer refundable
+  method: RefundMethod | null;
+  reason: string;
+  // Chain timestamp (seconds) at which the refund path opens
+  availableAt: number;
+}
+
+export default function RefundCenter({
+  contract,
+  userAccount,
+  showNotification,
+}: RefundCenterProps) {
+  const [items, setItems] = useState<RefundItem[]>([]);
+  // Chain time is tracked separately from wall time so local networks with time travel count down correctly
+  const [chainTimeOffset, setChainTimeOffset] = useState(0);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [loading, setLoading] = useState(false);
+  const [claimingKey, setClaimingKey] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (contract && userAccount) {
+      loadRefunds();
+    }
+  }, [contract, userAccount]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  async function loadRefunds() {
+    if (!contract || !userAccount) return;
+    setLoading(true);
+    try {
+      setChainTimeOffset(await loadChainTimeOffset(contract));
+
+      const reviewTimeout = Number(await contract.REVIEW_TIMEOUT());
+
+      // Double-blind works only carry the submitter once their identity is revealed
+      const workEvents = [
+        ...(await queryEvents(
+          contract,
+          contract.filters.WorkSubmitted(undefined, undefined, userAccount)
+        )),
+        ...(await queryEvents(
+          contract,
+          contract.filters.IdentityRevealed(undefined, undefined, userAccount)
+        )),
+      ];
+      const reviewEvents = await queryEvents(
+        contract,
+        contract.filters.ReviewSubmitted(undefined, undefined, userAccount)
+      );
+      const loadedItems: RefundItem[] = [];
+
+      for (const event of workEvents) {
+        if (!('args' in event)) continue;
+        const period = Number(event.args.period);
+        const workId = Number(event.args.workId);
+        const work = await contract.getSubmissionInfo(period, workId);
+        const schedule = await contract.getPeriodSchedule(period);
+        // Works flagged below quorum are refundable immediately instead of after the timeout
+        const method: RefundMethod | null = work.insufficientReviews
+          ? 'claimInsufficientReviewsRefund'
+          : work.reviewed
+            ? null
+            : 'claimTimeoutRefund';
+
+        loadedItems.push({
+          key: `submission-${period}-${workId}`,
+          kind: 'submission',
+          period,
+          workId,
+          title: work.title,
+          amount: work.depositAmount,
+          claimed: work.refundClaimed,
+          method,
+          reason: method ? '' : 'Work was reviewed; the deposit is not refundable',
+          // The submission timeout runs from the period's scheduled announcement
+          availableAt: work.insufficientReviews ? 0 : Number(schedule.announcement) + reviewTimeout,
+        });
+      }
+
+      for (const event of reviewEvents) {
+        if (!('args' in event)) continue;
+        const period = Number(event.args.period);
+        const workId = Number(event.args.workId);
+        const review = await contract.reviews(period, workId, userAccount);
+        const work = await contract.getSubmissionInfo(period, workId);
+
+        loadedItems.push({
+          key: `review-${period}-${workId}`,
+          kind: 'review',
+          period,
+          workId,
+          title: work.title,
+          amount: review.stakeAmount,
+          claimed: review.refundClaimed,
+          ...(await loadReviewRefundPath(contract, period, workId, Number(review.reviewTime))),
+        });
+      }
+
+      loadedItems.sort((a, b) => b.period - a.period || a.workId - b.workId);
+      setItems(loadedItems);
+    } catch (error) {
+      console.error('Failed to load refunds:', error);
+      showNotification('Failed to load refunds: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleClaim(item: RefundItem) {
+    if (!contract || !item.method) return;
+
+    setClaimingKey(item.key);
+    try {
+      showNotification('Claiming refund...');
+      const tx = await sendWithPreflight(contract, item.method, [item.period, item.workId]);
+      await tx.wait();
+
+      showNotification(`Refund of ${formatFee(item.amount)} claimed successfully!`);
+      await invalidateSubmissions(contract);
+      loadRefunds();
+    } catch (error: any) {
+      console.error('Refund claim failed:', error);
+      showNotification('Refund claim failed: ' + getErrorMessage(error, contract), 'error');
+    } finally {
+      setClaimingKey(null);
+    }
+  }
+
+  const chainNow = now + chainTimeOffset;
+
+  function renderStatus(item: RefundItem) {
+    if (item.claimed) {
+      return <span className="text-green-700 font-semibold">Refunded</span>;
+    }
+    if (!item.method) {
+      return <span className="text-gray-600">{item.reason}</span>;
+    }
+    if (chainNow <= item.availableAt) {
+      return (
+        <span className="text-gray-700">
+          {METHOD_LABELS[item.method]} refund opens in{' '}
+          <strong>{formatCountdown(item.availableAt - chainNow + 1)}</strong>
+        </span>
+      );
+    }
+    return (
+      <button
+        onClick={() => handleClaim(item)}
+        disabled={claimingKey !== null}
+        className="bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+      >
+        {claimingKey === item.key ? 'Claiming...' : `Claim ${formatFee(item.amount)}`}
+      </button>
+    );
+  }
+
+  return (
+    <div>
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">💸 Refund Center</h3>
+        <p className="text-gray-700">
+          Recover submission deposits and review stakes when reviews or score decryption time out,
+          or when a work ends its period without enough reviews.
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-center text-gray-700">Loading your deposits...</p>
+      ) : items.length === 0 ? (
+        <p className="text-center text-gray-700">
+          No submissions or reviews found for this account
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {items.map((item) => (
+            <div
+              key={item.key}
+              className="bg-gray-100 p-5 rounded-xl border border-gray-300 flex justify-between items-center gap-4"
+            >
+              <div>
+                <h4 className="text-blue-600 mb-2 font-semibold">{item.title}</h4>
+                <p className="text-gray-700">
+                  <strong>
+                    {item.kind === 'submission' ? 'Submission deposit' : 'Review stake'}:
+                  </strong>{' '}
+                  {formatFee(item.amount)} · Period {item.period} · Work #{item.workId}
+                </p>
+                {item.method && !item.claimed && (
+                  <p className="text-sm text-gray-600">Refund path: {METHOD_LABELS[item.method]}</p>
+                )}
+              </div>
+              <div className="text-right">{renderStatus(item)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
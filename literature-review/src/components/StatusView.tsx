@@ -1,25 +1,76 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { ContractEventHub, ContractEventName } from '@/lib/events';
+import { loadReviewerPage, REVIEWER_STATUS_LABELS, ReviewerEntry } from '@/lib/reviewers';
+import {
+  formatCountdown,
+  loadChainTimeOffset,
+  loadPeriodSchedule,
+  nextMilestone,
+  PeriodSchedule,
+  scheduleMilestones,
+} from '@/lib/schedule';
 
 interface StatusViewProps {
-  contract: ethers.Contract | null;
+  contract: LiteratureReviewSystem | null;
+  events: ContractEventHub | null;
 }
 
-export default function StatusView({ contract }: StatusViewProps) {
+interface ReviewerCounts {
+  registered: number;
+  pending: number;
+  active: number;
+  revoked: number;
+}
+
+const ROSTER_PAGE_SIZE = 10;
+
+const PERIOD_EVENTS: ContractEventName[] = ['WorkSubmitted', 'ReviewSubmitted', 'PeriodScheduled'];
+const REVIEWER_EVENTS: ContractEventName[] = [
+  'ReviewerRegistered',
+  'ReviewerApproved',
+  'ReviewerRevoked',
+];
+
+export default function StatusView({ contract, events }: StatusViewProps) {
   const [submissionPeriod, setSubmissionPeriod] = useState('0');
   const [reviewPeriod, setReviewPeriod] = useState('0');
   const [submissionActive, setSubmissionActive] = useState(false);
   const [reviewActive, setReviewActive] = useState(false);
   const [totalSubmissions, setTotalSubmissions] = useState('0');
+  const [completedReviews, setCompletedReviews] = useState('0');
+  const [reviewerCounts, setReviewerCounts] = useState<ReviewerCounts | null>(null);
+  const [roster, setRoster] = useState<ReviewerEntry[]>([]);
+  const [loadingRoster, setLoadingRoster] = useState(false);
+  const [schedulePeriod, setSchedulePeriod] = useState(0);
+  const [schedule, setSchedule] = useState<PeriodSchedule | null>(null);
+  const [chainTimeOffset, setChainTimeOffset] = useState(0);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
 
   useEffect(() => {
     if (contract) {
       loadStatusData();
+      loadReviewerStats();
     }
   }, [contract]);
 
+  useEffect(() => {
+    if (!events) return;
+    const unsubscribePeriod = events.subscribe(PERIOD_EVENTS, () => loadStatusData());
+    const unsubscribeReviewers = events.subscribe(REVIEWER_EVENTS, () => loadReviewerStats());
+    return () => {
+      unsubscribePeriod();
+      unsubscribeReviewers();
+    };
+  }, [events]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
   async function loadStatusData() {
     if (!contract) return;
     try {
@@ -35,11 +86,72 @@ export default function StatusView({ contract }: StatusViewProps) {
 
       const stats = await contract.getPeriodStats(subPeriod);
       setTotalSubmissions(stats.totalSubmissions.toString());
+
+      const reviewCount = await contract.reviewCountPerPeriod(revPeriod);
+      setCompletedReviews(reviewCount.toString());
+
+      await loadSchedule(Number(subPeriod), Number(revPeriod));
     } catch (error) {
       console.error('Failed to load status:', error);
     }
   }
 
+  // Count down in the earliest period that still has a milestone ahead: an unfinished
+  // review period, then the current submission period, then the next scheduled one
+  async function loadSchedule(subPeriod: number, revPeriod: number) {
+    if (!contract) return;
+    const offset = await loadChainTimeOffset(contract);
+    const chainNow = Math.floor(Date.now() / 1000) + offset;
+    const candidates = Array.from(
+      new Set([revPeriod, subPeriod, subPeriod + 1].filter((period) => period > 0))
+    );
+
+    let upcoming: { period: number; schedule: PeriodSchedule } | null = null;
+    for (const period of candidates) {
+      const periodSchedule = await loadPeriodSchedule(contract, period);
+      if (periodSchedule && nextMilestone(periodSchedule, chainNow)) {
+        upcoming = { period, schedule: periodSchedule };
+        break;
+      }
+    }
+
+    setChainTimeOffset(offset);
+    setSchedulePeriod(upcoming ? upcoming.period : subPeriod);
+    setSchedule(upcoming ? upcoming.schedule : null);
+  }
+
+  async function loadReviewerStats() {
+    if (!contract) return;
+    try {
+      const counts = await contract.getReviewerCounts();
+      setReviewerCounts({
+        registered: Number(counts.registered),
+        pending: Number(counts.pending),
+        active: Number(counts.active),
+        revoked: Number(counts.revoked),
+      });
+      setRoster(await loadReviewerPage(contract, null, 0, ROSTER_PAGE_SIZE));
+    } catch (error) {
+      console.error('Failed to load reviewer statistics:', error);
+    }
+  }
+
+  async function loadMoreReviewers() {
+    if (!contract) return;
+    setLoadingRoster(true);
+    try {
+      const page = await loadReviewerPage(contract, null, roster.length, ROSTER_PAGE_SIZE);
+      setRoster((current) => [...current, ...page]);
+    } catch (error) {
+      console.error('Failed to load reviewers:', error);
+    } finally {
+      setLoadingRoster(false);
+    }
+  }
+
+  const chainNow = now + chainTimeOffset;
+  const upcomingMilestone = schedule ? nextMilestone(schedule, chainNow) : null;
+
   return (
     <div>
       <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
@@ -60,20 +172,86 @@ export default function StatusView({ contract }: StatusViewProps) {
         </div>
       </div>
 
-      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg">
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">
+          🗓️ Period {schedulePeriod} Schedule
+        </h3>
+        {!schedule ? (
+          <p className="text-gray-700">No upcoming period has been scheduled yet</p>
+        ) : (
+          <div className="space-y-2">
+            {upcomingMilestone && (
+              <p className="text-gray-800 text-lg">
+                {upcomingMilestone.label} in{' '}
+                <strong>{formatCountdown(upcomingMilestone.time - chainNow)}</strong>
+              </p>
+            )}
+            {scheduleMilestones(schedule).map((milestone) => (
+              <p key={milestone.label} className="text-gray-700">
+                <strong>{milestone.label}:</strong>{' '}
+                {new Date(milestone.time * 1000).toLocaleString()}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg mb-5">
         <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">📈 Statistics</h3>
         <div className="space-y-2">
           <p className="text-gray-700">
             <strong>Total Submissions:</strong> {totalSubmissions}
           </p>
           <p className="text-gray-700">
-            <strong>Registered Reviewers:</strong> -
+            <strong>Registered Reviewers:</strong>{' '}
+            {reviewerCounts
+              ? `${reviewerCounts.registered} (${reviewerCounts.active} active, ${reviewerCounts.pending} pending, ${reviewerCounts.revoked} revoked)`
+              : '-'}
           </p>
           <p className="text-gray-700">
-            <strong>Completed Reviews:</strong> -
+            <strong>Completed Reviews:</strong> {completedReviews} in review period {reviewPeriod}
           </p>
         </div>
       </div>
+
+      <div className="bg-gray-100 border-l-4 border-blue-600 p-5 rounded-lg">
+        <h3 className="text-blue-600 mb-2.5 font-semibold text-lg">👥 Reviewer Roster</h3>
+        {roster.length === 0 ? (
+          <p className="text-gray-700">No reviewers registered yet</p>
+        ) : (
+          <table className="w-full text-left border-collapse">
+            <thead>
+              <tr className="border-b-2 border-gray-300">
+                <th className="p-2">Name</th>
+                <th className="p-2">Expertise</th>
+                <th className="p-2">Status</th>
+                <th className="p-2">Reviews</th>
+              </tr>
+            </thead>
+            <tbody>
+              {roster.map((reviewer) => (
+                <tr key={reviewer.address} className="border-b border-gray-200">
+                  <td className="p-2" title={reviewer.address}>
+                    {reviewer.name}
+                  </td>
+                  <td className="p-2">{reviewer.expertise}</td>
+                  <td className="p-2">{REVIEWER_STATUS_LABELS[reviewer.status]}</td>
+                  <td className="p-2">{reviewer.reviewCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {reviewerCounts && roster.length < reviewerCounts.registered && (
+          <button
+            onClick={loadMoreReviewers}
+            disabled={loadingRoster}
+            className="mt-4 bg-blue-600 text-white py-3 px-6 border-none rounded-lg text-sm font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {loadingRoster ? 'Loading...' : 'Load More'}
+          </button>
+        )}
+      </div>
     </div>
   );
 }
@@ -1,86 +1,233 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import IdentityReveal from '@/components/IdentityReveal';
+import { identityCommitment, newIdentitySalt } from '@/lib/blind';
+import { ContractEventHub, ContractEventName } from '@/lib/events';
+import { formatFee, getErrorMessage, loadFees, sendWithPreflight } from '@/lib/transactions';
+import {
+  computeCid,
+  isValidCid,
+  manuscriptStorage,
+  MAX_MANUSCRIPT_BYTES,
+  uploadManuscript,
+} from '@/lib/manuscripts';
+import { invalidateSubmissions, loadPeriodSubmissions, SubmissionSummary } from '@/lib/submissions';
 
 interface SubmitWorkProps {
-  contract: ethers.Contract | null;
+  contract: LiteratureReviewSystem | null;
+  events: ContractEventHub | null;
+  userAccount: string;
   showNotification: (message: string, type?: string) => void;
 }
 
-interface Submission {
-  title: string;
+// A double-blind commitment signed by the account that will reveal the work. The submission
+// itself can then be sent from another account, so its sender does not identify the author.
+interface BlindCommitment {
+  period: number;
   author: string;
-  genre: string;
-  reviewed: boolean;
-  submissionTime: bigint;
+  cid: string;
+  identityAccount: string;
+  commitment: string;
 }
 
-export default function SubmitWork({ contract, showNotification }: SubmitWorkProps) {
+// Events that change the submission list or the period shown
+const LIVE_EVENTS: ContractEventName[] = [
+  'WorkSubmitted',
+  'IdentityRevealed',
+  'ReviewSubmitted',
+  'WorkBelowQuorum',
+  'DecryptionCompleted',
+  'PeriodScheduled',
+];
+
+export default function SubmitWork({
+  contract,
+  events,
+  userAccount,
+  showNotification,
+}: SubmitWorkProps) {
   const [submissionActive, setSubmissionActive] = useState(false);
+  const [doubleBlind, setDoubleBlind] = useState(false);
   const [title, setTitle] = useState('');
   const [author, setAuthor] = useState('');
   const [genre, setGenre] = useState('');
   const [ipfsHash, setIpfsHash] = useState('');
-  const [submissions, setSubmissions] = useState<Submission[]>([]);
+  const [manuscript, setManuscript] = useState<File | null>(null);
+  const [categories, setCategories] = useState<string[]>([]);
+  const [submissions, setSubmissions] = useState<SubmissionSummary[]>([]);
+  const [submissionFee, setSubmissionFee] = useState<bigint | null>(null);
   const [loading, setLoading] = useState(false);
+  const [blindCommitment, setBlindCommitment] = useState<BlindCommitment | null>(null);
+  const [linkedSenderConfirmed, setLinkedSenderConfirmed] = useState(false);
+
+  // Editing the author name or manuscript after signing requires a new commitment
+  const preparedCommitment =
+    blindCommitment && blindCommitment.author === author && blindCommitment.cid === ipfsHash
+      ? blindCommitment
+      : null;
+  const linkedSender =
+    preparedCommitment !== null &&
+    preparedCommitment.identityAccount.toLowerCase() === userAccount.toLowerCase();
 
   useEffect(() => {
     if (contract) {
       checkSubmissionPeriod();
+      loadCategories();
+      loadSubmissionFee();
       loadSubmissions();
     }
   }, [contract]);
 
+  useEffect(() => {
+    if (!events) return;
+    return events.subscribe(LIVE_EVENTS, (changes) => {
+      if (changes.some((event) => event.name === 'PeriodScheduled')) {
+        checkSubmissionPeriod();
+      }
+      loadSubmissions();
+    });
+  }, [events]);
+
   async function checkSubmissionPeriod() {
     if (!contract) return;
     try {
       const isActive = await contract.isSubmissionPeriodActive();
       setSubmissionActive(isActive);
+      setDoubleBlind(await contract.doubleBlind(await contract.currentSubmissionPeriod()));
     } catch (error) {
       console.error('Failed to check submission period:', error);
     }
   }
 
-  async function loadSubmissions() {
+  async function loadCategories() {
     if (!contract) return;
     try {
-      const currentPeriod = await contract.currentSubmissionPeriod();
-      const stats = await contract.getPeriodStats(currentPeriod);
-      const loadedSubmissions: Submission[] = [];
-
-      for (let i = 1; i <= stats.totalSubmissions; i++) {
-        try {
-          const workInfo = await contract.getSubmissionInfo(currentPeriod, i);
-          loadedSubmissions.push({
-            title: workInfo.title,
-            author: workInfo.author,
-            genre: workInfo.genre,
-            reviewed: workInfo.reviewed,
-            submissionTime: workInfo.submissionTime,
-          });
-        } catch (error) {
-          console.error(`Failed to load submission ${i}:`, error);
+      const result = await contract.getCategories();
+      const activeCategories: string[] = [];
+
+      for (let i = 0; i < result.names.length; i++) {
+        if (result.active[i]) {
+          activeCategories.push(result.names[i]);
         }
       }
 
-      setSubmissions(loadedSubmissions);
+      setCategories(activeCategories);
+    } catch (error) {
+      console.error('Failed to load categories:', error);
+    }
+  }
+
+  async function loadSubmissionFee() {
+    if (!contract) return;
+    try {
+      const fees = await loadFees(contract);
+      setSubmissionFee(fees.submissionFee);
+    } catch (error) {
+      console.error('Failed to load submission fee:', error);
+    }
+  }
+
+  async function loadSubmissions() {
+    if (!contract) return;
+    try {
+      const currentPeriod = Number(await contract.currentSubmissionPeriod());
+      setSubmissions(await loadPeriodSubmissions(contract, currentPeriod));
     } catch (error) {
       console.error('Failed to load submissions:', error);
     }
   }
 
+  async function handleManuscriptChange(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0] ?? null;
+    setManuscript(null);
+    setIpfsHash('');
+    if (!file) return;
+
+    if (file.size > MAX_MANUSCRIPT_BYTES) {
+      showNotification(`Manuscript exceeds ${MAX_MANUSCRIPT_BYTES / 1024} KiB`, 'error');
+      e.target.value = '';
+      return;
+    }
+    setManuscript(file);
+    setIpfsHash(computeCid(new Uint8Array(await file.arrayBuffer())));
+  }
+
+  async function handlePrepareBlind() {
+    if (!contract) return;
+    try {
+      // Only the commitment goes on-chain; the identity account re-derives the salt to reveal
+      showNotification('Sign the message twice to derive your anonymous submission salt...');
+      const period = Number(await contract.currentSubmissionPeriod());
+      const salt = await newIdentitySalt(contract, period, ipfsHash);
+      setBlindCommitment({
+        period,
+        author,
+        cid: ipfsHash,
+        identityAccount: userAccount,
+        commitment: identityCommitment(author, userAccount, salt),
+      });
+      setLinkedSenderConfirmed(false);
+      showNotification('Commitment ready. Switch your wallet to the account to submit from.');
+    } catch (error: any) {
+      console.error('Failed to prepare anonymous submission:', error);
+      showNotification(
+        'Failed to prepare anonymous submission: ' + getErrorMessage(error, contract),
+        'error'
+      );
+    }
+  }
+
   async function handleSubmit(e: React.FormEvent) {
     e.preventDefault();
     if (!contract) {
       showNotification('Contract not initialized', 'error');
       return;
     }
+    if (submissionFee === null) {
+      showNotification('Submission fee not loaded yet', 'error');
+      return;
+    }
+    if (!isValidCid(ipfsHash)) {
+      showNotification('Invalid manuscript CID', 'error');
+      return;
+    }
+    if (doubleBlind && (!preparedCommitment || (linkedSender && !linkedSenderConfirmed))) {
+      showNotification('Prepare the anonymous submission and switch accounts first', 'error');
+      return;
+    }
 
     setLoading(true);
     try {
-      showNotification('Submitting work...');
-      const tx = await contract.submitWork(title, author, genre, ipfsHash);
+      if (manuscript) {
+        showNotification('Storing manuscript...');
+        const storedCid = await uploadManuscript(manuscript);
+        if (storedCid !== ipfsHash) {
+          throw new Error('Manuscript changed since it was selected');
+        }
+      }
+
+      let tx;
+      if (doubleBlind && preparedCommitment) {
+        if (preparedCommitment.period !== Number(await contract.currentSubmissionPeriod())) {
+          setBlindCommitment(null);
+          throw new Error('The submission period changed; prepare the anonymous submission again');
+        }
+
+        showNotification('Submitting work anonymously...');
+        tx = await sendWithPreflight(
+          contract,
+          'submitWorkBlind',
+          [title, genre, ipfsHash, preparedCommitment.commitment],
+          { value: submissionFee }
+        );
+      } else {
+        showNotification('Submitting work...');
+        tx = await sendWithPreflight(contract, 'submitWork', [title, author, genre, ipfsHash], {
+          value: submissionFee,
+        });
+      }
       await tx.wait();
 
       showNotification('Work submitted successfully!');
@@ -88,10 +235,13 @@ export default function SubmitWork({ contract, showNotification }: SubmitWorkPro
       setAuthor('');
       setGenre('');
       setIpfsHash('');
+      setManuscript(null);
+      setBlindCommitment(null);
+      await invalidateSubmissions(contract);
       loadSubmissions();
     } catch (error: any) {
       console.error('Submission failed:', error);
-      showNotification('Submission failed: ' + error.message, 'error');
+      showNotification('Submission failed: ' + getErrorMessage(error, contract), 'error');
     } finally {
       setLoading(false);
     }
@@ -104,6 +254,14 @@ export default function SubmitWork({ contract, showNotification }: SubmitWorkPro
         <p className="text-gray-700">
           {submissionActive ? '✅ Submission period open' : '❌ Submission period closed'}
         </p>
+        {doubleBlind && (
+          <p className="text-gray-700 mt-2">
+            🎭 <strong>Double-blind period:</strong> only a commitment to your author name and
+            account is stored. Reviewers see the title, category and manuscript only; reveal your
+            identity here once awards are announced, from the account that signed the commitment and
+            using the exact same author name.
+          </p>
+        )}
       </div>
 
       <form onSubmit={handleSubmit} className="mb-8">
@@ -149,30 +307,114 @@ export default function SubmitWork({ contract, showNotification }: SubmitWorkPro
             required
           >
             <option value="">Select work category</option>
-            <option value="Fiction">Fiction</option>
-            <option value="Poetry">Poetry</option>
-            <option value="Drama">Drama</option>
-            <option value="Non-Fiction">Non-Fiction</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
           </select>
         </div>
 
+        <div className="mb-6">
+          <label className="block mb-2 font-semibold text-gray-800" htmlFor="manuscript">
+            Manuscript
+          </label>
+          <input
+            type="file"
+            id="manuscript"
+            onChange={handleManuscriptChange}
+            className="w-full p-3 border-2 border-gray-300 rounded-lg text-base focus:outline-none focus:border-blue-600"
+          />
+          <p className="mt-2 text-sm text-gray-600">
+            Up to {MAX_MANUSCRIPT_BYTES / 1024} KiB. Its CID is computed in your browser and the
+            file is stored in {manuscriptStorage().name} when you submit.
+          </p>
+        </div>
+
         <div className="mb-6">
           <label className="block mb-2 font-semibold text-gray-800" htmlFor="ipfs">
-            Work Content (IPFS Hash)
+            Manuscript CID
           </label>
-          <textarea
+          <input
+            type="text"
             id="ipfs"
             value={ipfsHash}
-            onChange={(e) => setIpfsHash(e.target.value)}
-            className="w-full p-3 border-2 border-gray-300 rounded-lg text-base h-32 resize-y focus:outline-none focus:border-blue-600"
-            placeholder="Enter IPFS hash of your work for secure private storage"
+            onChange={(e) => {
+              setManuscript(null);
+              setIpfsHash(e.target.value.trim());
+            }}
+            className="w-full p-3 border-2 border-gray-300 rounded-lg text-base font-mono focus:outline-none focus:border-blue-600"
+            placeholder="Computed from the file, or paste the CID of a manuscript already on IPFS"
             required
           />
+          {ipfsHash && !isValidCid(ipfsHash) && (
+            <p className="mt-2 text-sm text-red-600">
+              Not a valid CID: expected a CIDv0 (Qm...) or a base32 CIDv1 (b...)
+            </p>
+          )}
         </div>
 
+        {doubleBlind && (
+          <div className="mb-6 bg-yellow-50 border-l-4 border-yellow-500 p-4 rounded-lg text-gray-800">
+            {!preparedCommitment ? (
+              <>
+                <p className="mb-3">
+                  <strong>Step 1:</strong> from the account that will reveal the work once awards
+                  are announced, sign a commitment to the author name and manuscript above.
+                </p>
+                <button
+                  type="button"
+                  onClick={handlePrepareBlind}
+                  disabled={!submissionActive || loading || !author || !isValidCid(ipfsHash)}
+                  className="bg-blue-600 text-white py-2 px-4 border-none rounded-lg font-semibold cursor-pointer transition-all hover:bg-blue-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  Prepare Anonymous Submission
+                </button>
+              </>
+            ) : linkedSender ? (
+              <>
+                <p className="mb-3">
+                  ⚠️ <strong>Step 2:</strong> switch your wallet to another account before
+                  submitting. The sender of the submission and the deposit it pays are public, so
+                  submitting from{' '}
+                  <span className="font-mono break-all">{preparedCommitment.identityAccount}</span>{' '}
+                  tells everyone, reviewers included, that this account submitted the work. Use an
+                  account with no on-chain link to it.
+                </p>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={linkedSenderConfirmed}
+                    onChange={(e) => setLinkedSenderConfirmed(e.target.checked)}
+                  />
+                  Submit from this account anyway
+                </label>
+              </>
+            ) : (
+              <p>
+                ✅ <strong>Step 2:</strong> submitting from{' '}
+                <span className="font-mono break-all">{userAccount}</span>. Only{' '}
+                <span className="font-mono break-all">{preparedCommitment.identityAccount}</span>{' '}
+                can reveal the work, and then claim its refunds and awards.
+              </p>
+            )}
+          </div>
+        )}
+
+        <p className="mb-4 text-gray-700">
+          <strong>Submission deposit:</strong> {formatFee(submissionFee)} (sent with your
+          submission)
+        </p>
+
         <button
           type="submit"
-          disabled={!submissionActive || loading}
+          disabled={
+            !submissionActive ||
+            loading ||
+            submissionFee === null ||
+            !isValidCid(ipfsHash) ||
+            (doubleBlind && (!preparedCommitment || (linkedSender && !linkedSenderConfirmed)))
+          }
           className="bg-blue-600 text-white py-4 px-8 border-none rounded-lg text-base font-semibold cursor-pointer transition-all hover:bg-blue-800 hover:-translate-y-0.5 disabled:bg-gray-400 disabled:cursor-not-allowed disabled:transform-none"
         >
           {loading ? 'Submitting...' : 'Submit Work'}
@@ -180,28 +422,39 @@ export default function SubmitWork({ contract, showNotification }: SubmitWorkPro
       </form>
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5 mt-5">
-        {submissions.map((submission, index) => (
+        {submissions.map((submission) => (
           <div
-            key={index}
+            key={submission.workId}
             className="bg-gray-100 p-5 rounded-xl border border-gray-300"
           >
             <h4 className="text-blue-600 mb-2.5 font-semibold">{submission.title}</h4>
             <p className="mb-2 text-gray-700">
-              <strong>Author:</strong> {submission.author}
+              <strong>Author:</strong> {submission.author || 'Anonymous (double-blind)'}
             </p>
             <p className="mb-2 text-gray-700">
               <strong>Genre:</strong> {submission.genre}
             </p>
             <p className="mb-2 text-gray-700">
-              <strong>Status:</strong> {submission.reviewed ? 'Reviewed' : 'Pending Review'}
+              <strong>Status:</strong>{' '}
+              {submission.insufficientReviews
+                ? 'Insufficient reviews (deposit refundable)'
+                : submission.reviewed
+                  ? 'Reviewed'
+                  : 'Pending Review'}
             </p>
             <p className="mb-2 text-gray-700">
               <strong>Submitted:</strong>{' '}
-              {new Date(Number(submission.submissionTime) * 1000).toLocaleDateString()}
+              {new Date(submission.submissionTime * 1000).toLocaleDateString()}
             </p>
           </div>
         ))}
       </div>
+
+      <IdentityReveal
+        contract={contract}
+        userAccount={userAccount}
+        showNotification={showNotification}
+      />
     </div>
   );
 }
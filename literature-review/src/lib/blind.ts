@@ -0,0 +1,133 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { loadPeriodSubmissions } from '@/lib/submissions';
+
+// Double-blind submissions commit to keccak256(abi.encode(author, submitter, salt)), mirroring
+// LiteratureReviewSystem.computeIdentityCommitment. Salts are derived from a signature, so the same
+// wallet can recover them to reveal without anything being stored.
+
+const secrets = new Map<string, Promise<string>>();
+
+export interface BlindWork {
+  period: number;
+  workId: number;
+  title: string;
+  genre: string;
+  cid: string;
+}
+
+function identitySecretMessage(contractAddress: string, chainId: bigint): string {
+  return `Literature Review System double-blind identity\nContract: ${contractAddress.toLowerCase()}\nChain: ${chainId}`;
+}
+
+async function identitySecretSigner(
+  contract: LiteratureReviewSystem
+): Promise<{ cacheKey: string; sign: () => Promise<string> }> {
+  const signer = contract.runner as ethers.Signer;
+  const [address, contractAddress, network] = await Promise.all([
+    signer.getAddress(),
+    contract.getAddress(),
+    signer.provider!.getNetwork(),
+  ]);
+
+  return {
+    cacheKey: `${network.chainId}:${contractAddress}:${address}`.toLowerCase(),
+    sign: async () =>
+      ethers.keccak256(
+        await signer.signMessage(identitySecretMessage(contractAddress, network.chainId))
+      ),
+  };
+}
+
+async function identitySecret(contract: LiteratureReviewSystem): Promise<string> {
+  const { cacheKey, sign } = await identitySecretSigner(contract);
+  let secret = secrets.get(cacheKey);
+  if (!secret) {
+    secret = sign();
+    // A rejected signature prompt should not stick
+    secret.catch(() => secrets.delete(cacheKey));
+    secrets.set(cacheKey, secret);
+  }
+  return secret;
+}
+
+function saltFor(secret: string, period: number, cid: string): string {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'uint32', 'string'], [secret, period, cid])
+  );
+}
+
+export function identityCommitment(author: string, submitter: string, salt: string): string {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['string', 'address', 'bytes32'],
+      [author, submitter, salt]
+    )
+  );
+}
+
+/**
+ * Salt for a submission, unique per period and manuscript.
+ */
+export async function identitySalt(
+  contract: LiteratureReviewSystem,
+  period: number,
+  cid: string
+): Promise<string> {
+  return saltFor(await identitySecret(contract), period, cid);
+}
+
+/**
+ * Salt for a new submission. The message is signed twice: a wallet whose signatures differ each
+ * time could never derive the salt again, and so never reveal the work.
+ */
+export async function newIdentitySalt(
+  contract: LiteratureReviewSystem,
+  period: number,
+  cid: string
+): Promise<string> {
+  const { cacheKey, sign } = await identitySecretSigner(contract);
+  const secret = await sign();
+  if ((await sign()) !== secret) {
+    throw new Error(
+      'This wallet does not sign deterministically, so it could not reveal an anonymous ' +
+        'submission. Use another wallet.'
+    );
+  }
+  secrets.set(cacheKey, Promise.resolve(secret));
+  return saltFor(secret, period, cid);
+}
+
+/**
+ * Unrevealed double-blind works of a period whose commitment matches this author name and account.
+ */
+export async function findOwnBlindWorks(
+  contract: LiteratureReviewSystem,
+  period: number,
+  author: string,
+  account: string
+): Promise<BlindWork[]> {
+  const works: BlindWork[] = [];
+  // Double-blind works carry no submitter until revealed
+  const unrevealed = (await loadPeriodSubmissions(contract, period)).filter(
+    (work) => work.submitter === ethers.ZeroAddress
+  );
+
+  for (const work of unrevealed) {
+    const commitment: string = await contract.identityCommitments(period, work.workId);
+    if (commitment === ethers.ZeroHash) continue;
+
+    const salt = await identitySalt(contract, period, work.manuscriptCid);
+    if (identityCommitment(author, account, salt) === commitment) {
+      works.push({
+        period,
+        workId: work.workId,
+        title: work.title,
+        genre: work.genre,
+        cid: work.manuscriptCid,
+      });
+    }
+  }
+
+  return works;
+}
@@ -0,0 +1,42 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewFactory } from '@literature-review/sdk';
+
+// Mirrors LiteratureReviewFactory.Competition
+export interface Competition {
+  id: number;
+  system: string;
+  name: string;
+  owner: string;
+  createdAt: number;
+}
+
+/**
+ * Load every competition indexed by the factory, page by page, in creation order.
+ */
+export async function loadCompetitions(
+  factory: LiteratureReviewFactory,
+  pageSize = 50
+): Promise<Competition[]> {
+  const competitions: Competition[] = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await factory.getCompetitions(offset, pageSize);
+    page.forEach((competition, index) =>
+      competitions.push({
+        id: offset + index,
+        system: competition.system,
+        name: competition.name,
+        owner: competition.owner,
+        createdAt: Number(competition.createdAt),
+      })
+    );
+    if (page.length < pageSize) return competitions;
+  }
+}
+
+/**
+ * The competition selected by a `?competition=<address>` link, if any.
+ */
+export function competitionFromUrl(): string | null {
+  const address = new URLSearchParams(window.location.search).get('competition');
+  return address && ethers.isAddress(address) ? address : null;
+}
@@ -0,0 +1,163 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import type { FhevmInstance } from '@zama-fhe/relayer-sdk/web';
+import { MockFhevmConfig, NetworkConfig, NETWORKS } from '@/lib/networks';
+
+export type EncryptionProvider = Pick<
+  FhevmInstance,
+  'createEncryptedInput' | 'generateKeypair' | 'createEIP712' | 'userDecrypt'
+>;
+
+export type EncryptionProviderFactory = () => Promise<EncryptionProvider>;
+
+export interface EncryptedInputs {
+  handles: string[];
+  inputProof: string;
+}
+
+const factories = new Map<number, EncryptionProviderFactory>();
+const providers = new Map<number, Promise<EncryptionProvider>>();
+
+/**
+ * Register the encryption provider used for a chain, replacing any existing one.
+ */
+export function registerEncryptionProvider(chainId: number, factory: EncryptionProviderFactory) {
+  factories.set(chainId, factory);
+  providers.delete(chainId);
+}
+
+export function getEncryptionProvider(chainId: number): Promise<EncryptionProvider> {
+  let provider = providers.get(chainId);
+  if (!provider) {
+    const factory = factories.get(chainId);
+    if (!factory) {
+      return Promise.reject(new Error(`No encryption provider registered for chain ${chainId}`));
+    }
+    provider = factory();
+    // Drop failed initializations so the next call retries
+    provider.catch(() => providers.delete(chainId));
+    providers.set(chainId, provider);
+  }
+  return provider;
+}
+
+/**
+ * Encrypt uint32 values for a contract call, bound to the contract and sending account.
+ */
+export async function encryptUint32Values(
+  contract: LiteratureReviewSystem,
+  userAddress: string,
+  values: number[]
+): Promise<EncryptedInputs> {
+  const runnerProvider = contract.runner?.provider;
+  if (!runnerProvider) {
+    throw new Error('Contract is not connected to a provider');
+  }
+
+  const { chainId } = await runnerProvider.getNetwork();
+  const encryptionProvider = await getEncryptionProvider(Number(chainId));
+  const input = encryptionProvider.createEncryptedInput(await contract.getAddress(), userAddress);
+  values.forEach((value) => input.add32(value));
+
+  const { handles, inputProof } = await input.encrypt();
+  return {
+    handles: handles.map((handle) => ethers.hexlify(handle)),
+    inputProof: ethers.hexlify(inputProof),
+  };
+}
+
+// How long a user decryption signature stays valid
+const USER_DECRYPT_DURATION_DAYS = 1;
+
+/**
+ * Privately decrypt ciphertext handles the contract has allowed this account to read. The
+ * relayer re-encrypts them to a throwaway keypair after the user signs an EIP-712 request, so
+ * the cleartexts never leave the browser.
+ */
+export async function userDecryptHandles(
+  contract: LiteratureReviewSystem,
+  userAddress: string,
+  handles: string[]
+): Promise<Record<string, bigint>> {
+  const signer = contract.runner as ethers.Signer | null;
+  if (!signer?.provider) {
+    throw new Error('Contract is not connected to a signer');
+  }
+
+  const { chainId } = await signer.provider.getNetwork();
+  const encryptionProvider = await getEncryptionProvider(Number(chainId));
+  const contractAddress = await contract.getAddress();
+  const { publicKey, privateKey } = encryptionProvider.generateKeypair();
+  const startTimestamp = Math.floor(Date.now() / 1000);
+
+  const eip712 = encryptionProvider.createEIP712(
+    publicKey,
+    [contractAddress],
+    startTimestamp,
+    USER_DECRYPT_DURATION_DAYS
+  );
+  const signature = await signer.signTypedData(
+    eip712.domain,
+    { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+    eip712.message
+  );
+
+  const results = await encryptionProvider.userDecrypt(
+    handles.map((handle) => ({ handle, contractAddress })),
+    privateKey,
+    publicKey,
+    signature.replace('0x', ''),
+    [contractAddress],
+    userAddress,
+    startTimestamp,
+    USER_DECRYPT_DURATION_DAYS
+  );
+
+  const values: Record<string, bigint> = {};
+  for (const handle of handles) {
+    values[handle] = BigInt(results[handle]);
+  }
+  return values;
+}
+
+/**
+ * Local mock backed by a Hardhat node running @fhevm/hardhat-plugin, no relayer needed.
+ */
+async function createMockEncryptionProvider(
+  network: NetworkConfig,
+  mockFhevm: MockFhevmConfig
+): Promise<EncryptionProvider> {
+  const { MockFhevmInstance } = await import('@fhevm/mock-utils');
+  const rpcProvider = new ethers.JsonRpcProvider(network.rpcUrl);
+  const metadata = await rpcProvider.send('fhevm_relayer_metadata', []);
+
+  return MockFhevmInstance.create(rpcProvider, rpcProvider, {
+    aclContractAddress: metadata.ACLAddress,
+    chainId: network.chainId,
+    gatewayChainId: metadata.gatewayChainId,
+    inputVerifierContractAddress: metadata.InputVerifierAddress,
+    kmsContractAddress: metadata.KMSVerifierAddress,
+    verifyingContractAddressDecryption: mockFhevm.decryptionAddress,
+    verifyingContractAddressInputVerification: mockFhevm.inputVerificationAddress,
+  });
+}
+
+/**
+ * Zama relayer SDK, encrypting against the network's real FHE public key.
+ */
+async function createRelayerEncryptionProvider(): Promise<EncryptionProvider> {
+  if (typeof window === 'undefined' || !window.ethereum) {
+    throw new Error('A browser wallet is required for FHE encryption');
+  }
+
+  const { initSDK, createInstance, SepoliaConfig } = await import('@zama-fhe/relayer-sdk/web');
+  await initSDK();
+  return createInstance({ ...SepoliaConfig, network: window.ethereum });
+}
+
+for (const network of NETWORKS) {
+  const { mockFhevm } = network;
+  registerEncryptionProvider(network.chainId, () =>
+    mockFhevm ? createMockEncryptionProvider(network, mockFhevm) : createRelayerEncryptionProvider()
+  );
+}
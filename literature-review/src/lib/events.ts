@@ -0,0 +1,184 @@
+import { ethers } from 'ethers';
+import {
+  decodeLiteratureReviewSystemEvents,
+  DecodedEvent,
+  LiteratureReviewSystem,
+  LiteratureReviewSystemEvent,
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+} from '@literature-review/sdk';
+import { invalidateSubmissions } from '@/lib/submissions';
+
+// Public RPCs cap eth_getLogs ranges, so a long disconnect is caught up in chunks
+const MAX_BLOCK_RANGE = 2000;
+
+/**
+ * Every event matching `filter` since the program was deployed, fetched in MAX_BLOCK_RANGE chunks.
+ */
+export async function queryEvents<TEvent extends TypedContractEvent>(
+  contract: LiteratureReviewSystem,
+  filter: TypedDeferredTopicFilter<TEvent>
+): Promise<TypedEventLog<TEvent>[]> {
+  const provider = contract.runner?.provider;
+  if (!provider) return [];
+
+  const latestBlock = await provider.getBlockNumber();
+  const events: TypedEventLog<TEvent>[] = [];
+  for (
+    let fromBlock = Number(await contract.deploymentBlock());
+    fromBlock <= latestBlock;
+    fromBlock += MAX_BLOCK_RANGE
+  ) {
+    const toBlock = Math.min(latestBlock, fromBlock + MAX_BLOCK_RANGE - 1);
+    events.push(...(await contract.queryFilter(filter, fromBlock, toBlock)));
+  }
+  return events;
+}
+
+// Narrowing on `name` types the event's `args`
+export type ContractEvent = DecodedEvent<LiteratureReviewSystemEvent>;
+export type ContractEventName = ContractEvent['name'];
+
+// Receives every matching event of a sync at once, so a busy block triggers a single reload
+export type ContractEventListener = (events: ContractEvent[]) => void;
+
+export interface ContractEventHub {
+  // Returns a function that removes the listener
+  subscribe(names: ContractEventName[], listener: ContractEventListener): () => void;
+  close(): void;
+}
+
+/**
+ * One subscription to a contract's events shared by every component. Each new block, the logs
+ * since the last synced block are fetched and dispatched; a failed fetch leaves the cursor in
+ * place, so events emitted while the connection was down are delivered once it recovers.
+ */
+export function createEventHub(contract: LiteratureReviewSystem): ContractEventHub {
+  const provider = contract.runner?.provider;
+  const subscriptions = new Set<{
+    names: ContractEventName[];
+    listener: ContractEventListener;
+  }>();
+  let lastBlock: number | null = null;
+  let syncing = false;
+  let closed = false;
+
+  async function sync() {
+    if (!provider || syncing || closed) return;
+    syncing = true;
+    try {
+      const latestBlock = await provider.getBlockNumber();
+      if (lastBlock === null) {
+        lastBlock = latestBlock;
+        return;
+      }
+
+      const address = await contract.getAddress();
+      while (lastBlock < latestBlock && !closed) {
+        const toBlock = Math.min(latestBlock, lastBlock + MAX_BLOCK_RANGE);
+        const logs = await provider.getLogs({ address, fromBlock: lastBlock + 1, toBlock });
+        await dispatch(logs);
+        lastBlock = toBlock;
+      }
+    } catch (error) {
+      console.warn('Event sync failed, retrying on the next block:', error);
+    } finally {
+      syncing = false;
+    }
+  }
+
+  async function dispatch(logs: ethers.Log[]) {
+    const events = decodeLiteratureReviewSystemEvents(logs);
+    if (events.length === 0) return;
+
+    await invalidateSubmissions(contract);
+    subscriptions.forEach(({ names, listener }) => {
+      const matching = events.filter((event) => names.includes(event.name));
+      if (matching.length === 0) return;
+      try {
+        listener(matching);
+      } catch (error) {
+        console.error('Event listener failed:', error);
+      }
+    });
+  }
+
+  provider?.on('block', sync);
+  sync();
+
+  return {
+    subscribe(names, listener) {
+      const subscription = { names, listener };
+      subscriptions.add(subscription);
+      return () => {
+        subscriptions.delete(subscription);
+      };
+    },
+    close() {
+      closed = true;
+      subscriptions.clear();
+      provider?.off('block', sync);
+    },
+  };
+}
+
+// Events that can concern the connected account, see describeAccountEvent
+export const ACCOUNT_EVENTS: ContractEventName[] = [
+  'ReviewerApproved',
+  'ReviewerRevoked',
+  'ReviewerAssigned',
+  'ReviewSubmitted',
+  'WorkBelowQuorum',
+  'DecryptionCompleted',
+  'AwardAnnounced',
+];
+
+function sameAddress(a: string, b: string): boolean {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Notification text for an event that concerns this account, or null when it does not.
+ */
+export async function describeAccountEvent(
+  contract: LiteratureReviewSystem,
+  event: ContractEvent,
+  account: string
+): Promise<string | null> {
+  const { name, args } = event;
+  switch (name) {
+    case 'ReviewerApproved':
+      return sameAddress(args.reviewer, account) ? 'Your reviewer application was approved' : null;
+    case 'ReviewerRevoked':
+      return sameAddress(args.reviewer, account) ? 'Your reviewer status was revoked' : null;
+    case 'ReviewerAssigned':
+      return sameAddress(args.reviewer, account)
+        ? `Work #${args.workId} of period ${args.period} was assigned to you for review`
+        : null;
+    case 'AwardAnnounced':
+      return sameAddress(args.winner, account)
+        ? `🏆 Your work won the ${args.category} award of period ${args.period}`
+        : null;
+    case 'ReviewSubmitted':
+    case 'WorkBelowQuorum':
+    case 'DecryptionCompleted':
+      break;
+    default:
+      return null;
+  }
+
+  // The remaining events concern the work's submitter, who is unknown until double-blind reveal
+  const work = await contract.getSubmissionInfo(args.period, args.workId);
+  if (!sameAddress(work.submitter, account)) return null;
+  switch (name) {
+    case 'ReviewSubmitted':
+      return `A review of "${work.title}" was submitted`;
+    case 'WorkBelowQuorum':
+      return `"${work.title}" did not reach the review quorum; its deposit is refundable`;
+    case 'DecryptionCompleted':
+      return `The score of "${work.title}" was decrypted`;
+    default:
+      return null;
+  }
+}
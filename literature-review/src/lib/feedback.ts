@@ -0,0 +1,219 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { loadRoleMembers, Role } from '@/lib/roles';
+
+// Browser counterpart of scripts/feedback.js; both must produce the same envelopes
+const FEEDBACK_VERSION = 1;
+
+export interface FeedbackRecipient {
+  address: string;
+  publicKey: string;
+}
+
+interface FeedbackEnvelope {
+  v: number;
+  epk: string;
+  iv: string;
+  ct: string;
+  keys: { to: string; iv: string; key: string }[];
+}
+
+const derivedKeys = new Map<string, Promise<ethers.SigningKey>>();
+
+function feedbackKeyMessage(contractAddress: string, chainId: bigint): string {
+  return `Literature Review System feedback key\nContract: ${contractAddress.toLowerCase()}\nChain: ${chainId}`;
+}
+
+async function feedbackKeySigner(
+  contract: LiteratureReviewSystem
+): Promise<{ cacheKey: string; sign: () => Promise<ethers.SigningKey> }> {
+  const signer = contract.runner as ethers.Signer;
+  const [address, contractAddress, network] = await Promise.all([
+    signer.getAddress(),
+    contract.getAddress(),
+    signer.provider!.getNetwork(),
+  ]);
+
+  return {
+    cacheKey: `${network.chainId}:${contractAddress}:${address}`.toLowerCase(),
+    sign: async () => {
+      const signature = await signer.signMessage(feedbackKeyMessage(contractAddress, network.chainId));
+      return new ethers.SigningKey(ethers.keccak256(signature));
+    },
+  };
+}
+
+/**
+ * The account's feedback key, derived from a signature so no secret has to be stored.
+ * Cached per account and contract to avoid repeated signature prompts.
+ */
+async function deriveFeedbackKey(
+  contract: LiteratureReviewSystem
+): Promise<ethers.SigningKey> {
+  const { cacheKey, sign } = await feedbackKeySigner(contract);
+  let key = derivedKeys.get(cacheKey);
+  if (!key) {
+    key = sign();
+    // A rejected signature prompt should not stick
+    key.catch(() => derivedKeys.delete(cacheKey));
+    derivedKeys.set(cacheKey, key);
+  }
+  return key;
+}
+
+/**
+ * Derive a feedback key to publish. The message is signed twice: a wallet whose signatures
+ * differ each time could never derive the published key again to decrypt.
+ */
+export async function deriveNewFeedbackKey(
+  contract: LiteratureReviewSystem
+): Promise<ethers.SigningKey> {
+  const { cacheKey, sign } = await feedbackKeySigner(contract);
+  const key = await sign();
+  if ((await sign()).compressedPublicKey !== key.compressedPublicKey) {
+    throw new Error(
+      'This wallet does not sign deterministically, so it cannot derive a feedback key. ' +
+        'Use another wallet.'
+    );
+  }
+  derivedKeys.set(cacheKey, Promise.resolve(key));
+  return key;
+}
+
+/**
+ * The account's feedback key, checked against the public key it published.
+ */
+export async function derivePublishedFeedbackKey(
+  contract: LiteratureReviewSystem,
+  account: string
+): Promise<ethers.SigningKey> {
+  const publishedKey: string = await contract.encryptionKeys(account);
+  if (publishedKey === '0x') {
+    throw new Error('No feedback key published for this account');
+  }
+
+  const key = await deriveFeedbackKey(contract);
+  if (key.compressedPublicKey !== publishedKey.toLowerCase()) {
+    // Ask the wallet again on the next attempt
+    derivedKeys.delete((await feedbackKeySigner(contract)).cacheKey);
+    throw new Error(
+      'The key derived from your signature does not match your published feedback key. ' +
+        'It was published from another wallet, or this wallet does not sign deterministically; ' +
+        'publish your key again from this wallet to receive new feedback.'
+    );
+  }
+  return key;
+}
+
+/**
+ * Published keys of a work's feedback recipients: its submitter and the competition chairs.
+ * Recipients without a published key are returned in `missing`.
+ */
+export async function loadFeedbackRecipients(
+  contract: LiteratureReviewSystem,
+  period: number,
+  workId: number
+): Promise<{ recipients: FeedbackRecipient[]; missing: string[] }> {
+  const workInfo = await contract.getSubmissionInfo(period, workId);
+  const chairs = (await loadRoleMembers(contract))
+    .filter((member) => member.role === Role.Chair)
+    .map((member) => member.account);
+  // Double-blind works have no submitter until revealed, so only the chairs receive their feedback
+  const submitter = workInfo.submitter === ethers.ZeroAddress ? [] : [workInfo.submitter];
+  const addresses = Array.from(new Set([...submitter, ...chairs]));
+
+  const recipients: FeedbackRecipient[] = [];
+  const missing: string[] = [];
+  for (const address of addresses) {
+    const publicKey: string = await contract.encryptionKeys(address);
+    if (publicKey === '0x') {
+      missing.push(address);
+    } else {
+      recipients.push({ address, publicKey });
+    }
+  }
+  return { recipients, missing };
+}
+
+// WebCrypto wants buffers backed by a plain ArrayBuffer
+function toBuffer(data: ethers.BytesLike): Uint8Array<ArrayBuffer> {
+  return new Uint8Array(ethers.getBytes(data));
+}
+
+async function aesGcm(
+  mode: 'encrypt' | 'decrypt',
+  keyBytes: ethers.BytesLike,
+  iv: ethers.BytesLike,
+  data: ethers.BytesLike
+): Promise<string> {
+  const key = await crypto.subtle.importKey('raw', toBuffer(keyBytes), 'AES-GCM', false, [mode]);
+  const params = { name: 'AES-GCM', iv: toBuffer(iv) };
+  const result =
+    mode === 'encrypt'
+      ? await crypto.subtle.encrypt(params, key, toBuffer(data))
+      : await crypto.subtle.decrypt(params, key, toBuffer(data));
+  return ethers.hexlify(new Uint8Array(result));
+}
+
+function wrappingKey(signingKey: ethers.SigningKey, otherPublicKey: string): string {
+  return ethers.sha256(signingKey.computeSharedSecret(otherPublicKey));
+}
+
+/**
+ * Encrypt feedback so only the given recipients can read it.
+ */
+export async function encryptFeedback(
+  plaintext: string,
+  recipients: FeedbackRecipient[]
+): Promise<string> {
+  const contentKey = ethers.randomBytes(32);
+  const iv = ethers.randomBytes(12);
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+
+  const keys: FeedbackEnvelope['keys'] = [];
+  for (const recipient of recipients) {
+    const keyIv = ethers.randomBytes(12);
+    keys.push({
+      to: recipient.address,
+      iv: ethers.hexlify(keyIv),
+      key: await aesGcm('encrypt', wrappingKey(ephemeral, recipient.publicKey), keyIv, contentKey),
+    });
+  }
+
+  const envelope: FeedbackEnvelope = {
+    v: FEEDBACK_VERSION,
+    epk: ephemeral.compressedPublicKey,
+    iv: ethers.hexlify(iv),
+    ct: await aesGcm('encrypt', contentKey, iv, ethers.toUtf8Bytes(plaintext)),
+    keys,
+  };
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Decrypt feedback addressed to `address`, or return null when it was not encrypted to it.
+ */
+export async function decryptFeedback(
+  envelope: string,
+  signingKey: ethers.SigningKey,
+  address: string
+): Promise<string | null> {
+  let parsed: FeedbackEnvelope;
+  try {
+    parsed = JSON.parse(envelope);
+  } catch {
+    return null;
+  }
+  const entry = parsed.keys?.find((key) => key.to.toLowerCase() === address.toLowerCase());
+  if (parsed.v !== FEEDBACK_VERSION || !entry) {
+    return null;
+  }
+
+  const contentKey = await aesGcm(
+    'decrypt',
+    wrappingKey(signingKey, parsed.epk),
+    entry.iv,
+    entry.key
+  );
+  return ethers.toUtf8String(await aesGcm('decrypt', contentKey, parsed.iv, parsed.ct));
+}
@@ -0,0 +1,163 @@
+import { ethers } from 'ethers';
+
+// Multiformats header of a CIDv1 for a single raw block: version 1, raw codec, sha2-256, 32 bytes
+const RAW_SHA256_PREFIX = '0x01551220';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Same format rules as LiteratureReviewStorage._isValidContentId
+const CID_V0_PATTERN = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
+const CID_V1_PATTERN = /^b[a-z2-7]{58}$/;
+
+// IPFS chunks larger files into a DAG whose CID no longer hashes the file bytes directly
+export const MAX_MANUSCRIPT_BYTES = 1024 * 1024;
+
+export type IntegrityStatus = 'verified' | 'mismatch' | 'unverifiable';
+
+function toBase32(bytes: Uint8Array): string {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of Array.from(bytes)) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function fromBase32(text: string): Uint8Array {
+  const output: number[] = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      output.push((buffer >> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+}
+
+export function isValidCid(cid: string): boolean {
+  return CID_V0_PATTERN.test(cid) || CID_V1_PATTERN.test(cid);
+}
+
+/**
+ * CIDv1 (base32, raw codec, sha2-256) of the manuscript bytes, matching `ipfs add --raw-leaves
+ * --cid-version 1` for files up to MAX_MANUSCRIPT_BYTES.
+ */
+export function computeCid(content: Uint8Array): string {
+  return (
+    'b' + toBase32(ethers.getBytes(ethers.concat([RAW_SHA256_PREFIX, ethers.sha256(content)])))
+  );
+}
+
+/**
+ * Re-hash fetched content against its on-chain CID. Only raw sha2-256 CIDs hash the bytes
+ * directly; CIDv0 and chunked DAGs cannot be checked without rebuilding the DAG.
+ */
+export function verifyManuscript(content: Uint8Array, cid: string): IntegrityStatus {
+  if (computeCid(content) === cid) {
+    return 'verified';
+  }
+  const isRawCid =
+    CID_V1_PATTERN.test(cid) &&
+    ethers.hexlify(fromBase32(cid.slice(1)).slice(0, 4)) === RAW_SHA256_PREFIX;
+  return isRawCid ? 'mismatch' : 'unverifiable';
+}
+
+/**
+ * Where manuscripts are kept. Backends are addressed by the CID computed client-side and must
+ * refuse content that does not hash to it.
+ */
+export interface ManuscriptStorage {
+  name: string;
+  put(cid: string, content: Uint8Array): Promise<void>;
+  get(cid: string): Promise<Uint8Array>;
+}
+
+async function readResponse(response: Response, cid: string): Promise<Uint8Array> {
+  if (!response.ok) {
+    throw new Error(`Manuscript ${cid} not found (${response.status})`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Development stand-in: files on the Next.js server's disk, see app/api/manuscripts
+export const localFileStorage: ManuscriptStorage = {
+  name: 'Local development storage',
+  async put(cid, content) {
+    const response = await fetch(`/api/manuscripts/${cid}`, {
+      method: 'PUT',
+      body: new Blob([new Uint8Array(content)]),
+    });
+    if (!response.ok) {
+      throw new Error(`Storing manuscript failed: ${await response.text()}`);
+    }
+  },
+  async get(cid) {
+    return readResponse(await fetch(`/api/manuscripts/${cid}`), cid);
+  },
+};
+
+/**
+ * An IPFS node's HTTP API for uploads and a gateway for downloads. Uploads use raw leaves and
+ * a single chunk so the node derives the same CID as computeCid.
+ */
+export function ipfsStorage(apiUrl: string, gatewayUrl: string): ManuscriptStorage {
+  return {
+    name: 'IPFS',
+    async put(cid, content) {
+      const form = new FormData();
+      form.append('file', new Blob([new Uint8Array(content)]));
+      const response = await fetch(
+        `${apiUrl}/api/v0/add?cid-version=1&raw-leaves=true&chunker=size-${MAX_MANUSCRIPT_BYTES}&pin=true`,
+        { method: 'POST', body: form }
+      );
+      if (!response.ok) {
+        throw new Error(`IPFS upload failed (${response.status})`);
+      }
+      const { Hash } = await response.json();
+      if (Hash !== cid) {
+        throw new Error(`IPFS node returned ${Hash}, expected ${cid}`);
+      }
+    },
+    async get(cid) {
+      return readResponse(await fetch(`${gatewayUrl.replace(/\/$/, '')}/${cid}`), cid);
+    },
+  };
+}
+
+export function manuscriptStorage(): ManuscriptStorage {
+  if (process.env.NEXT_PUBLIC_MANUSCRIPT_STORAGE === 'ipfs') {
+    return ipfsStorage(
+      process.env.NEXT_PUBLIC_IPFS_API_URL || 'http://127.0.0.1:5001',
+      process.env.NEXT_PUBLIC_IPFS_GATEWAY || 'https://ipfs.io/ipfs/'
+    );
+  }
+  return localFileStorage;
+}
+
+/**
+ * Hash a manuscript file and store it, returning the CID to submit on-chain.
+ */
+export async function uploadManuscript(
+  file: File,
+  storage: ManuscriptStorage = manuscriptStorage()
+): Promise<string> {
+  if (file.size === 0 || file.size > MAX_MANUSCRIPT_BYTES) {
+    throw new Error(`Manuscripts must be between 1 byte and ${MAX_MANUSCRIPT_BYTES / 1024} KiB`);
+  }
+  const content = new Uint8Array(await file.arrayBuffer());
+  const cid = computeCid(content);
+  await storage.put(cid, content);
+  return cid;
+}
@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+
+// Gateway verifying contracts of a chain served by @fhevm/hardhat-plugin's mock, which encrypts
+// and decrypts against the node itself instead of the Zama relayer
+export interface MockFhevmConfig {
+  decryptionAddress: string;
+  inputVerificationAddress: string;
+}
+
+export interface NetworkConfig {
+  chainId: number;
+  label: string;
+  // Public JSON-RPC endpoint for browsing without a wallet
+  rpcUrl: string;
+  explorerUrl: string | null;
+  // Program configured at build time, used when /api/deployments has no manifest for the chain
+  contractAddress: string;
+  factoryAddress: string;
+  // Set for chains encrypted through the FHEVM mock, null for those using the relayer SDK
+  mockFhevm: MockFhevmConfig | null;
+}
+
+// Mirrors the manifests scripts/deploy.js writes to deployments/latest-<network>.json
+export interface Deployment {
+  network: string;
+  chainId: number;
+  contractAddress: string;
+  factoryAddress: string | null;
+  deploymentTime: string;
+}
+
+const SEPOLIA_CHAIN_ID = 11155111;
+const HARDHAT_CHAIN_ID = 31337;
+
+export const NETWORKS: NetworkConfig[] = [
+  {
+    chainId: SEPOLIA_CHAIN_ID,
+    label: 'Sepolia',
+    rpcUrl:
+      process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    contractAddress: process.env.NEXT_PUBLIC_SEPOLIA_CONTRACT_ADDRESS || '',
+    factoryAddress: process.env.NEXT_PUBLIC_SEPOLIA_FACTORY_ADDRESS || '',
+    mockFhevm: null,
+  },
+  {
+    chainId: HARDHAT_CHAIN_ID,
+    label: 'Hardhat',
+    rpcUrl: process.env.NEXT_PUBLIC_HARDHAT_RPC_URL || 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    contractAddress: process.env.NEXT_PUBLIC_HARDHAT_CONTRACT_ADDRESS || '',
+    factoryAddress: process.env.NEXT_PUBLIC_HARDHAT_FACTORY_ADDRESS || '',
+    // Defaults are the contracts simulated by the plugin's mock KMS and input verifier
+    mockFhevm: {
+      decryptionAddress:
+        process.env.NEXT_PUBLIC_HARDHAT_DECRYPTION_ADDRESS ||
+        '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64',
+      inputVerificationAddress:
+        process.env.NEXT_PUBLIC_HARDHAT_INPUT_VERIFICATION_ADDRESS ||
+        '0x812b06e1CDCE800494b79fFE4f925A504a9A9810',
+    },
+  },
+];
+
+// Network browsed without a wallet, and offered when the wallet is on an unsupported chain
+const DEFAULT_CHAIN_ID = Number(process.env.NEXT_PUBLIC_DEFAULT_CHAIN_ID) || SEPOLIA_CHAIN_ID;
+export const DEFAULT_NETWORK = findNetwork(DEFAULT_CHAIN_ID) ?? NETWORKS[0];
+
+// Deployments configured at build time, for hosts that serve the app without a deployments
+// directory (static hosting, or a build directory of its own)
+const CONFIGURED_DEPLOYMENTS: Deployment[] = NETWORKS.filter((network) => network.contractAddress).map(
+  (network) => ({
+    network: network.label.toLowerCase(),
+    chainId: network.chainId,
+    contractAddress: network.contractAddress,
+    factoryAddress: network.factoryAddress || null,
+    deploymentTime: '',
+  })
+);
+
+export function findNetwork(chainId: number): NetworkConfig | null {
+  return NETWORKS.find((network) => network.chainId === chainId) ?? null;
+}
+
+/**
+ * The latest deployment manifest of every network, served by /api/deployments, and the
+ * configured deployment of networks without one.
+ */
+export async function loadDeployments(): Promise<Deployment[]> {
+  try {
+    const response = await fetch('/api/deployments');
+    if (response.ok) {
+      const deployments: Deployment[] = await response.json();
+      return [
+        ...deployments,
+        ...CONFIGURED_DEPLOYMENTS.filter(
+          (configured) => !deployments.some((deployment) => deployment.chainId === configured.chainId)
+        ),
+      ];
+    }
+  } catch (error) {
+    console.error('Failed to load deployment manifests:', error);
+  }
+  return CONFIGURED_DEPLOYMENTS;
+}
+
+export function resolveDeployment(deployments: Deployment[], chainId: number): Deployment | null {
+  return deployments.find((deployment) => deployment.chainId === chainId) ?? null;
+}
+
+export function readOnlyProvider(network: NetworkConfig): ethers.JsonRpcProvider {
+  return new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+}
+
+/**
+ * Ask the wallet to switch to a supported chain, adding it first if the wallet does not know it.
+ */
+export async function switchWalletChain(
+  ethereum: ethers.Eip1193Provider,
+  network: NetworkConfig
+): Promise<void> {
+  const chainId = ethers.toQuantity(network.chainId);
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (error: any) {
+    // 4902: the chain has not been added to the wallet
+    if (error?.code !== 4902) throw error;
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [
+        {
+          chainId,
+          chainName: network.label,
+          rpcUrls: [network.rpcUrl],
+          nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+          blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+        },
+      ],
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+
+export type RefundMethod =
+  | 'claimTimeoutRefund'
+  | 'claimReviewerTimeoutRefund'
+  | 'claimDecryptionFailureRefund'
+  | 'claimInsufficientReviewsRefund';
+
+export const METHOD_LABELS: Record<RefundMethod, string> = {
+  claimTimeoutRefund: 'Submission timeout',
+  claimReviewerTimeoutRefund: 'Review timeout',
+  claimDecryptionFailureRefund: 'Decryption failure or timeout',
+  claimInsufficientReviewsRefund: 'Insufficient reviews',
+};
+
+export interface RefundPath {
+  // Refund path that applies, or null when the deposit is no longer refundable
+  method: RefundMethod | null;
+  reason: string;
+  // Chain timestamp (seconds) at which the refund path opens
+  availableAt: number;
+}
+
+/**
+ * Which refund a reviewer's stake can take, mirroring the checks of claimReviewerTimeoutRefund
+ * and claimDecryptionFailureRefund.
+ */
+export async function loadReviewRefundPath(
+  contract: LiteratureReviewSystem,
+  period: number,
+  workId: number,
+  reviewTime: number
+): Promise<RefundPath> {
+  const reviewTimeout = Number(await contract.REVIEW_TIMEOUT());
+  const decryptionTimeout = Number(await contract.DECRYPTION_TIMEOUT());
+  const decryption = await contract.getDecryptionStatus(period, workId);
+  const hasRequest = Number(decryption.requestTime) !== 0;
+  const reviewTimeoutAt = reviewTime + reviewTimeout;
+  const decryptionTimeoutAt = Number(decryption.requestTime) + decryptionTimeout;
+
+  if (hasRequest && decryption.failed) {
+    return { method: 'claimDecryptionFailureRefund', reason: '', availableAt: 0 };
+  }
+  if (hasRequest && decryption.completed) {
+    return {
+      method: null,
+      reason: 'Scores were decrypted; the stake is not refundable',
+      availableAt: 0,
+    };
+  }
+  if (hasRequest && decryptionTimeoutAt < reviewTimeoutAt) {
+    return { method: 'claimDecryptionFailureRefund', reason: '', availableAt: decryptionTimeoutAt };
+  }
+  return { method: 'claimReviewerTimeoutRefund', reason: '', availableAt: reviewTimeoutAt };
+}
@@ -0,0 +1,62 @@
+import { LiteratureReviewSystem, ReviewerStatus } from '@literature-review/sdk';
+
+export { ReviewerStatus };
+
+export const REVIEWER_STATUS_LABELS: Record<ReviewerStatus, string> = {
+  [ReviewerStatus.None]: 'Unregistered',
+  [ReviewerStatus.Pending]: 'Pending',
+  [ReviewerStatus.Active]: 'Active',
+  [ReviewerStatus.Revoked]: 'Revoked',
+};
+
+export interface ReviewerEntry {
+  address: string;
+  name: string;
+  expertise: string;
+  reviewCount: number;
+  status: ReviewerStatus;
+}
+
+/**
+ * Load one page of reviewers, either all registrations or only those in a given status.
+ */
+export async function loadReviewerPage(
+  contract: LiteratureReviewSystem,
+  status: ReviewerStatus | null,
+  offset: number,
+  limit: number
+): Promise<ReviewerEntry[]> {
+  const addresses: string[] =
+    status === null
+      ? await contract.getRegisteredReviewers(offset, limit)
+      : await contract.getReviewersByStatus(status, offset, limit);
+
+  return Promise.all(
+    addresses.map(async (address) => {
+      const profile = await contract.getReviewerProfile(address);
+      return {
+        address,
+        name: profile.name,
+        expertise: profile.expertise,
+        reviewCount: Number(profile.reviewCount),
+        status: Number(await contract.reviewerStatus(address)) as ReviewerStatus,
+      };
+    })
+  );
+}
+
+/**
+ * Load every reviewer in a status, page by page.
+ */
+export async function loadAllReviewers(
+  contract: LiteratureReviewSystem,
+  status: ReviewerStatus,
+  pageSize = 50
+): Promise<ReviewerEntry[]> {
+  const reviewers: ReviewerEntry[] = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await loadReviewerPage(contract, status, offset, pageSize);
+    reviewers.push(...page);
+    if (page.length < pageSize) return reviewers;
+  }
+}
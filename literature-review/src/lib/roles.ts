@@ -0,0 +1,93 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+import { queryEvents } from '@/lib/events';
+
+// Mirrors the role constants of LiteratureReviewSystem (keccak256 of the role name)
+export enum Role {
+  Chair = 'CHAIR_ROLE',
+  Treasurer = 'TREASURER_ROLE',
+  Guardian = 'GUARDIAN_ROLE',
+}
+
+export const ROLE_LABELS: Record<Role, string> = {
+  [Role.Chair]: 'Competition chair',
+  [Role.Treasurer]: 'Treasurer',
+  [Role.Guardian]: 'Guardian',
+};
+
+export function roleId(role: Role): string {
+  return ethers.id(role);
+}
+
+export interface AccountRoles {
+  owner: boolean;
+  pendingOwner: boolean;
+  chair: boolean;
+  treasurer: boolean;
+  guardian: boolean;
+}
+
+export const NO_ROLES: AccountRoles = {
+  owner: false,
+  pendingOwner: false,
+  chair: false,
+  treasurer: false,
+  guardian: false,
+};
+
+export interface RoleMember {
+  role: Role;
+  account: string;
+}
+
+export async function loadAccountRoles(
+  contract: LiteratureReviewSystem,
+  account: string
+): Promise<AccountRoles> {
+  const [owner, pendingOwner, chair, treasurer, guardian] = await Promise.all([
+    contract.owner(),
+    contract.pendingOwner(),
+    contract.hasRole(roleId(Role.Chair), account),
+    contract.hasRole(roleId(Role.Treasurer), account),
+    contract.hasRole(roleId(Role.Guardian), account),
+  ]);
+
+  return {
+    owner: owner.toLowerCase() === account.toLowerCase(),
+    pendingOwner: pendingOwner.toLowerCase() === account.toLowerCase(),
+    chair,
+    treasurer,
+    guardian,
+  };
+}
+
+/**
+ * Whether the account has anything to do in the admin console.
+ */
+export function hasAdminAccess(roles: AccountRoles): boolean {
+  return roles.owner || roles.pendingOwner || roles.chair || roles.treasurer || roles.guardian;
+}
+
+/**
+ * Current holders of every role, reconstructed from RoleGranted events.
+ */
+export async function loadRoleMembers(contract: LiteratureReviewSystem): Promise<RoleMember[]> {
+  const events = await queryEvents(contract, contract.filters.RoleGranted());
+  const members: RoleMember[] = [];
+
+  for (const role of Object.values(Role)) {
+    const candidates = new Set<string>();
+    for (const event of events) {
+      if ('args' in event && event.args.role === roleId(role)) {
+        candidates.add(event.args.account);
+      }
+    }
+    for (const account of Array.from(candidates)) {
+      if (await contract.hasRole(roleId(role), account)) {
+        members.push({ role, account });
+      }
+    }
+  }
+
+  return members;
+}
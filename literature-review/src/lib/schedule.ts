@@ -0,0 +1,66 @@
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+
+// Mirrors LiteratureReviewStorage.PeriodSchedule, in chain seconds
+export interface PeriodSchedule {
+  submissionOpen: number;
+  submissionClose: number;
+  reviewClose: number;
+  announcement: number;
+}
+
+export interface Milestone {
+  label: string;
+  time: number;
+}
+
+/**
+ * Load a period's schedule, or null when the owner has not scheduled it yet.
+ */
+export async function loadPeriodSchedule(
+  contract: LiteratureReviewSystem,
+  period: number
+): Promise<PeriodSchedule | null> {
+  const schedule = await contract.getPeriodSchedule(period);
+  if (Number(schedule.submissionOpen) === 0) return null;
+
+  return {
+    submissionOpen: Number(schedule.submissionOpen),
+    submissionClose: Number(schedule.submissionClose),
+    reviewClose: Number(schedule.reviewClose),
+    announcement: Number(schedule.announcement),
+  };
+}
+
+export function scheduleMilestones(schedule: PeriodSchedule): Milestone[] {
+  return [
+    { label: 'Submissions open', time: schedule.submissionOpen },
+    { label: 'Submissions close', time: schedule.submissionClose },
+    { label: 'Reviews close', time: schedule.reviewClose },
+    { label: 'Awards announced', time: schedule.announcement },
+  ];
+}
+
+/**
+ * The first milestone of a schedule that has not been reached at `now`, or null once all have passed.
+ */
+export function nextMilestone(schedule: PeriodSchedule, now: number): Milestone | null {
+  return scheduleMilestones(schedule).find((milestone) => milestone.time > now) ?? null;
+}
+
+/**
+ * Seconds to add to wall-clock time to get the latest block's timestamp.
+ */
+export async function loadChainTimeOffset(contract: LiteratureReviewSystem): Promise<number> {
+  const latestBlock = await contract.runner?.provider?.getBlock('latest');
+  return latestBlock ? latestBlock.timestamp - Math.floor(Date.now() / 1000) : 0;
+}
+
+export function formatCountdown(seconds: number): string {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  return `${minutes}m ${secs}s`;
+}
@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewStorage, LiteratureReviewSystem } from '@literature-review/sdk';
+
+// Mirrors LiteratureReviewStorage.MAX_PAGE_SIZE
+export const PAGE_SIZE = 100;
+
+// Pages are re-read after this long, so other accounts' submissions and reviews show up
+const CACHE_TTL_MS = 30_000;
+
+// Mirrors LiteratureReviewStorage.SubmissionSummary
+export interface SubmissionSummary {
+  workId: number;
+  title: string;
+  author: string;
+  genre: string;
+  manuscriptCid: string;
+  reviewed: boolean;
+  submissionTime: number;
+  // Zero for double-blind works until the author reveals their identity
+  submitter: string;
+  depositAmount: bigint;
+  refundClaimed: boolean;
+  insufficientReviews: boolean;
+  reviewCount: number;
+  decryption: {
+    requested: boolean;
+    requestTime: number;
+    completed: boolean;
+    failed: boolean;
+    decryptedScore: bigint;
+  };
+}
+
+export interface SubmissionFilter {
+  // Category name; every category when omitted
+  genre?: string;
+  // Submitter address; every submitter when omitted
+  submitter?: string;
+}
+
+const cache = new Map<string, { expiresAt: number; works: Promise<SubmissionSummary[]> }>();
+
+function toSummary(work: LiteratureReviewStorage.SubmissionSummaryStructOutput): SubmissionSummary {
+  return {
+    workId: Number(work.workId),
+    title: work.title,
+    author: work.author,
+    genre: work.genre,
+    manuscriptCid: work.manuscriptCid,
+    reviewed: work.reviewed,
+    submissionTime: Number(work.submissionTime),
+    submitter: work.submitter,
+    depositAmount: work.depositAmount,
+    refundClaimed: work.refundClaimed,
+    insufficientReviews: work.insufficientReviews,
+    reviewCount: Number(work.reviewCount),
+    decryption: {
+      requested: Number(work.decryptionRequestTime) !== 0,
+      requestTime: Number(work.decryptionRequestTime),
+      completed: work.decryptionCompleted,
+      failed: work.decryptionFailed,
+      decryptedScore: work.decryptedScore,
+    },
+  };
+}
+
+async function fetchSubmissions(
+  contract: LiteratureReviewSystem,
+  period: number,
+  filter: SubmissionFilter
+): Promise<SubmissionSummary[]> {
+  const works: SubmissionSummary[] = [];
+  let fromWorkId = 1;
+  do {
+    const result = await contract.getSubmissionsPage(
+      period,
+      fromWorkId,
+      PAGE_SIZE,
+      filter.genre ?? '',
+      filter.submitter ?? ethers.ZeroAddress
+    );
+    works.push(...result.page.map(toSummary));
+    fromWorkId = Number(result.nextWorkId);
+  } while (fromWorkId !== 0);
+  return works;
+}
+
+/**
+ * Every submission of a period matching the filter, in work ID order. Results are cached per
+ * contract, period and filter for a short while; call invalidateSubmissions after a transaction
+ * that changes them.
+ */
+export async function loadPeriodSubmissions(
+  contract: LiteratureReviewSystem,
+  period: number,
+  filter: SubmissionFilter = {}
+): Promise<SubmissionSummary[]> {
+  const address = await contract.getAddress();
+  const cacheKey = [address, period, filter.genre ?? '', filter.submitter ?? '']
+    .join(':')
+    .toLowerCase();
+
+  const cached = cache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.works;
+  }
+
+  const works = fetchSubmissions(contract, period, filter);
+  // A failed read should not stick
+  works.catch(() => cache.delete(cacheKey));
+  cache.set(cacheKey, { expiresAt: Date.now() + CACHE_TTL_MS, works });
+  return works;
+}
+
+/**
+ * Drop the cached submissions of a contract, so the next load reads them from the chain.
+ */
+export async function invalidateSubmissions(contract: LiteratureReviewSystem): Promise<void> {
+  const prefix = `${await contract.getAddress()}:`.toLowerCase();
+  for (const cacheKey of Array.from(cache.keys())) {
+    if (cacheKey.startsWith(prefix)) {
+      cache.delete(cacheKey);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+import { ethers } from 'ethers';
+import type { LiteratureReviewSystem } from '@literature-review/sdk';
+
+export interface ContractFees {
+  submissionFee: bigint;
+  reviewStake: bigint;
+}
+
+export async function loadFees(contract: LiteratureReviewSystem): Promise<ContractFees> {
+  const [submissionFee, reviewStake] = await Promise.all([
+    contract.SUBMISSION_FEE(),
+    contract.REVIEW_STAKE(),
+  ]);
+  return { submissionFee, reviewStake };
+}
+
+export function formatFee(amount: bigint | null): string {
+  return amount === null ? '…' : `${ethers.formatEther(amount)} ETH`;
+}
+
+/**
+ * Simulate the call first so reverts surface before the wallet prompt, then send it.
+ */
+export async function sendWithPreflight(
+  contract: LiteratureReviewSystem,
+  method: string,
+  args: unknown[],
+  overrides: ethers.Overrides & { value?: bigint } = {}
+): Promise<ethers.ContractTransactionResponse> {
+  const fn = contract.getFunction(method);
+  await fn.staticCall(...args, overrides);
+  return fn.send(...args, overrides);
+}
+
+/**
+ * Turn an ethers/wallet error into the contract's revert reason where one is available.
+ */
+export function getErrorMessage(error: any, contract?: LiteratureReviewSystem | null): string {
+  if (ethers.isError(error, 'ACTION_REJECTED')) {
+    return 'Transaction rejected in wallet';
+  }
+  if (ethers.isError(error, 'INSUFFICIENT_FUNDS')) {
+    return 'Insufficient funds to cover the transaction value and gas';
+  }
+
+  if (ethers.isError(error, 'CALL_EXCEPTION')) {
+    if (error.reason) {
+      return error.reason;
+    }
+    if (error.data && contract) {
+      const parsed = contract.interface.parseError(error.data);
+      if (parsed) {
+        return parsed.args.length > 0 ? `${parsed.name}(${parsed.args.join(', ')})` : parsed.name;
+      }
+    }
+    return error.shortMessage;
+  }
+
+  // Wallets nest the node's JSON-RPC error a few levels deep
+  const nested = error?.info?.error ?? error?.error;
+  if (nested?.message) {
+    return nested.message.replace(/^execution reverted:?\s*/, '') || 'Transaction reverted';
+  }
+
+  return error?.shortMessage ?? error?.message ?? String(error);
+}
@@ -0,0 +1,15 @@
+import type { Eip1193Provider } from 'ethers';
+
+// Injected wallets also emit EIP-1193 events such as accountsChanged and chainChanged
+interface InjectedWallet extends Eip1193Provider {
+  on?(event: string, listener: (...args: any[]) => void): void;
+  removeListener?(event: string, listener: (...args: any[]) => void): void;
+}
+
+declare global {
+  interface Window {
+    ethereum?: InjectedWallet;
+  }
+}
+
+export {};
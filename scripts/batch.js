@@ -0,0 +1,139 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { connectLiteratureReviewSystem, ReviewerStatus } = require("./sdk");
+
+const TASKS = ["approve", "assign", "decrypt", "results"];
+
+/**
+ * Drives the chair's batch operations to completion, one transaction per batch:
+ *   approve - approve every pending reviewer
+ *   assign  - assign reviewers to every work of the period
+ *   decrypt - request score decryption for every eligible work of the period
+ *   results - calculate results and request award decryption for the period
+ *
+ * Configuration (environment):
+ *   CONTRACT_ADDRESS - defaults to the latest deployment for the network
+ *   PERIOD           - defaults to the current review period
+ *   BATCH_SIZE       - reviewers or works per transaction, default 20
+ *   BATCH_TASKS      - comma-separated tasks to run in order, default "approve,results"
+ */
+async function main() {
+  console.log("=================================================");
+  console.log("Literature Review System - Batch Operations");
+  console.log("=================================================\n");
+
+  let contractAddress = process.env.CONTRACT_ADDRESS;
+
+  if (!contractAddress) {
+    const network = await hre.ethers.provider.getNetwork();
+    const latestFile = path.join(__dirname, "..", "deployments", `latest-${network.name}.json`);
+
+    if (!fs.existsSync(latestFile)) {
+      console.error("❌ No deployment file found and no CONTRACT_ADDRESS provided");
+      console.log("\nUsage:");
+      console.log("  CONTRACT_ADDRESS=0x... PERIOD=1 npx hardhat run scripts/batch.js --network sepolia");
+      console.log("=================================================\n");
+      process.exit(1);
+    }
+    contractAddress = JSON.parse(fs.readFileSync(latestFile, "utf8")).contractAddress;
+  }
+
+  const batchSize = Number(process.env.BATCH_SIZE || 20);
+  const tasks = (process.env.BATCH_TASKS || "approve,results").split(",").map((task) => task.trim());
+  const unknownTasks = tasks.filter((task) => !TASKS.includes(task));
+  if (!Number.isInteger(batchSize) || batchSize <= 0 || unknownTasks.length > 0) {
+    console.error(`❌ BATCH_SIZE must be a positive integer and BATCH_TASKS a subset of ${TASKS.join(",")}`);
+    process.exit(1);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const contract = connectLiteratureReviewSystem(contractAddress, signer);
+  const period = Number(process.env.PERIOD || (await contract.currentReviewPeriod()));
+
+  console.log("Contract:", contractAddress);
+  console.log("Chair account:", signer.address);
+  console.log("Period:", period);
+  console.log("Batch size:", batchSize);
+  console.log("Tasks:", tasks.join(", "));
+  console.log("=================================================\n");
+
+  for (const task of tasks) {
+    if (task === "approve") {
+      await approvePendingReviewers(contract, batchSize);
+    } else if (task === "assign") {
+      await assignReviewers(contract, period, batchSize);
+    } else if (task === "decrypt") {
+      await requestScoreDecryptions(contract, period, batchSize);
+    } else {
+      await calculateResults(contract, period, batchSize);
+    }
+  }
+
+  console.log("\n✅ All batches complete");
+}
+
+async function approvePendingReviewers(contract, batchSize) {
+  console.log("👥 Approving pending reviewers...");
+  let approved = 0;
+
+  // Approved reviewers leave the pending list, so the first page is always the next batch
+  for (;;) {
+    const pending = await contract.getReviewersByStatus(ReviewerStatus.Pending, 0, batchSize);
+    if (pending.length === 0) break;
+
+    const tx = await contract.approveReviewers([...pending]);
+    await tx.wait();
+    approved += pending.length;
+    console.log(`   Approved ${pending.length} reviewers (${approved} total), tx ${tx.hash}`);
+  }
+
+  console.log(`✅ ${approved} reviewers approved\n`);
+}
+
+async function assignReviewers(contract, period, batchSize) {
+  console.log(`📋 Assigning reviewers for period ${period}...`);
+  const workCount = Number(await contract.workCountPerPeriod(period));
+
+  while (!(await contract.reviewersAssigned(period))) {
+    const tx = await contract.assignReviewersBatch(period, batchSize);
+    await tx.wait();
+    console.log(`   Assigned ${await contract.assignmentCursor(period)}/${workCount} works, tx ${tx.hash}`);
+  }
+
+  console.log("✅ Reviewers assigned to every work\n");
+}
+
+async function requestScoreDecryptions(contract, period, batchSize) {
+  console.log(`🔓 Requesting score decryption for period ${period}...`);
+  const workCount = Number(await contract.workCountPerPeriod(period));
+
+  while (Number(await contract.decryptionCursor(period)) < workCount) {
+    const tx = await contract.requestScoreDecryptionBatch(period, batchSize);
+    await tx.wait();
+    console.log(`   Visited ${await contract.decryptionCursor(period)}/${workCount} works, tx ${tx.hash}`);
+  }
+
+  console.log("✅ Score decryption requested for every eligible work\n");
+}
+
+async function calculateResults(contract, period, batchSize) {
+  console.log(`🏆 Calculating results for period ${period}...`);
+  const workCount = Number(await contract.workCountPerPeriod(period));
+
+  while (!(await contract.resultsCalculated(period))) {
+    const tx = await contract.calculateResultsBatch(period, batchSize);
+    await tx.wait();
+    console.log(`   Scored ${await contract.resultsCursor(period)}/${workCount} works, tx ${tx.hash}`);
+  }
+
+  console.log("✅ Results calculated; award winners are decrypted by the Gateway\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Batch operations failed!");
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,95 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const {
+  connectLiteratureReviewFactory,
+  connectLiteratureReviewSystem,
+  decodeLiteratureReviewFactoryEvents,
+} = require("./sdk");
+const { deployModules } = require("./modules");
+
+const DEFAULT_CATEGORIES = ["Fiction", "Poetry", "Drama", "Non-Fiction"];
+
+// Award program settings, overridable through the environment
+function programConfig(deployer) {
+  return {
+    name: process.env.PROGRAM_NAME || "Literature Review Awards",
+    owner: process.env.PROGRAM_OWNER || deployer.address,
+    submissionFee: hre.ethers.parseEther(process.env.SUBMISSION_FEE || "0.01"),
+    reviewStake: hre.ethers.parseEther(process.env.REVIEW_STAKE || "0.005"),
+    categories: process.env.PROGRAM_CATEGORIES
+      ? process.env.PROGRAM_CATEGORIES.split(",").map((category) => category.trim())
+      : DEFAULT_CATEGORIES
+  };
+}
+
+// Hand the program's roles to the addresses configured in the environment
+async function grantProgramRoles(literatureReviewSystem, deployer) {
+  const assignments = [
+    ["CHAIR_ROLE", process.env.CHAIR_ADDRESS],
+    ["TREASURER_ROLE", process.env.TREASURER_ADDRESS],
+    ["GUARDIAN_ROLE", process.env.PAUSER_ADDRESS]
+  ];
+
+  for (const [roleName, account] of assignments) {
+    if (!account || account === hre.ethers.ZeroAddress) continue;
+    if ((await literatureReviewSystem.owner()) !== deployer.address) {
+      console.log(`Skipping ${roleName} for ${account}: only the program owner can grant roles`);
+      continue;
+    }
+    const role = await literatureReviewSystem[roleName]();
+    if (await literatureReviewSystem.hasRole(role, account)) continue;
+
+    await (await literatureReviewSystem.grantRole(role, account)).wait();
+    console.log(`Granted ${roleName} to ${account}`);
+  }
+}
+
+// Deploy the module chain programs run on, or reuse MODULES_ADDRESS when set
+async function loadModules() {
+  if (process.env.MODULES_ADDRESS) {
+    console.log("Using existing modules at:", process.env.MODULES_ADDRESS);
+    return process.env.MODULES_ADDRESS;
+  }
+
+  console.log("Deploying LiteratureReviewSystem modules...");
+  const modules = await deployModules(hre.ethers);
+  console.log("Modules Address:", modules);
+  return modules;
+}
+
+// Deploy a LiteratureReviewFactory, or attach to FACTORY_ADDRESS when set
+async function loadFactory(deployer) {
+  if (process.env.FACTORY_ADDRESS) {
+    console.log("Using existing factory at:", process.env.FACTORY_ADDRESS);
+    return connectLiteratureReviewFactory(process.env.FACTORY_ADDRESS, deployer);
+  }
+
+  const modules = await loadModules();
+  console.log("Deploying LiteratureReviewFactory contract...");
+  const LiteratureReviewFactory = await hre.ethers.getContractFactory("LiteratureReviewFactory");
+  const factory = await LiteratureReviewFactory.deploy(modules);
+  await factory.waitForDeployment();
+  console.log("Factory Address:", await factory.getAddress());
+  return factory;
+}
+
+// Create the program through the factory and return the new system contract
+async function createCompetition(factory, program) {
+  console.log(`Creating competition "${program.name}"...`);
+  const tx = await factory.createCompetition(
+    program.name,
+    program.owner,
+    program.submissionFee,
+    program.reviewStake,
+    program.categories
+  );
+  const receipt = await tx.wait();
+  const event = decodeLiteratureReviewFactoryEvents(receipt.logs).find(({ name }) => name === "CompetitionCreated");
+
+  const system = connectLiteratureReviewSystem(event.args.system, factory.runner);
+  return { system, competitionId: event.args.competitionId, deploymentTx: tx };
+}
 
 async function main() {
   console.log("=================================================");
@@ -21,14 +110,43 @@ async function main() {
   console.log("Chain ID:", network.chainId.toString());
   console.log("=================================================\n");
 
-  // Deploy the contract
-  console.log("Deploying LiteratureReviewSystem contract...");
-  const LiteratureReviewSystem = await hre.ethers.getContractFactory("LiteratureReviewSystem");
+  // DEPLOY_MODE=factory creates the program through a LiteratureReviewFactory
+  const mode = process.env.DEPLOY_MODE === "factory" ? "factory" : "standalone";
+  const program = programConfig(deployer);
+  const constructorArgs = [
+    program.owner,
+    program.submissionFee.toString(),
+    program.reviewStake.toString(),
+    program.categories
+  ];
+  console.log("Deployment mode:", mode);
+  console.log("Program:", program.name);
+  console.log("- Owner:", program.owner);
+  console.log("- Submission Fee:", hre.ethers.formatEther(program.submissionFee), "ETH");
+  console.log("- Review Stake:", hre.ethers.formatEther(program.reviewStake), "ETH");
+  console.log("- Categories:", program.categories.join(", "));
+  console.log("=================================================\n");
 
   const startTime = Date.now();
-  const literatureReviewSystem = await LiteratureReviewSystem.deploy();
-
-  await literatureReviewSystem.waitForDeployment();
+  let literatureReviewSystem;
+  let deploymentTx;
+  let factoryAddress = "";
+  let competitionId = null;
+
+  if (mode === "factory") {
+    const factory = await loadFactory(deployer);
+    factoryAddress = await factory.getAddress();
+    ({ system: literatureReviewSystem, competitionId, deploymentTx } = await createCompetition(factory, program));
+  } else {
+    constructorArgs.push(await loadModules());
+    console.log("Deploying LiteratureReviewSystem contract...");
+    const LiteratureReviewSystem = await hre.ethers.getContractFactory("LiteratureReviewSystem");
+    const deployment = await LiteratureReviewSystem.deploy(...constructorArgs);
+    await deployment.waitForDeployment();
+    deploymentTx = deployment.deploymentTransaction();
+    // The deployment is only typed with the system's own functions, not those of its modules
+    literatureReviewSystem = connectLiteratureReviewSystem(await deployment.getAddress(), deployer);
+  }
   const endTime = Date.now();
 
   const contractAddress = await literatureReviewSystem.getAddress();
@@ -39,8 +157,13 @@ async function main() {
   console.log("Deployment time:", ((endTime - startTime) / 1000).toFixed(2), "seconds");
   console.log("=================================================\n");
 
+  if (mode === "factory") {
+    console.log("Factory Address:", factoryAddress);
+    console.log("Competition ID:", competitionId.toString());
+    console.log("=================================================\n");
+  }
+
   // Get deployment transaction details
-  const deploymentTx = literatureReviewSystem.deploymentTransaction();
   if (deploymentTx) {
     console.log("Transaction Details:");
     console.log("- Transaction Hash:", deploymentTx.hash);
@@ -49,6 +172,8 @@ async function main() {
     console.log("=================================================\n");
   }
 
+  await grantProgramRoles(literatureReviewSystem, deployer);
+
   // Verify contract state
   console.log("Verifying initial contract state...");
   const owner = await literatureReviewSystem.owner();
@@ -71,7 +196,12 @@ async function main() {
     blockNumber: deploymentTx?.blockNumber || 0,
     owner: owner,
     currentSubmissionPeriod: currentSubmissionPeriod.toString(),
-    currentReviewPeriod: currentReviewPeriod.toString()
+    currentReviewPeriod: currentReviewPeriod.toString(),
+    mode,
+    programName: program.name,
+    constructorArgs,
+    factoryAddress,
+    competitionId: competitionId === null ? null : competitionId.toString()
   };
 
   // Create deployments directory if it doesn't exist
@@ -96,7 +226,7 @@ async function main() {
     console.log("📊 View on Etherscan:");
     console.log(`https://sepolia.etherscan.io/address/${contractAddress}`);
     console.log("\n🔍 Verify contract with:");
-    console.log(`npx hardhat verify --network sepolia ${contractAddress}`);
+    console.log("npx hardhat run scripts/verify.js --network sepolia");
     console.log("=================================================\n");
   }
 
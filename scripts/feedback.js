@@ -0,0 +1,117 @@
+const { ethers } = require("ethers");
+const { webcrypto } = require("crypto");
+
+// Node counterpart of literature-review/src/lib/feedback.ts; both must produce the same envelopes
+
+const FEEDBACK_VERSION = 1;
+
+function feedbackKeyMessage(contractAddress, chainId) {
+  return `Literature Review System feedback key\nContract: ${contractAddress.toLowerCase()}\nChain: ${chainId}`;
+}
+
+// The key is derived from a signature, so the same wallet recovers it anywhere without storing it
+async function deriveFeedbackKey(signer, contractAddress, chainId) {
+  const signature = await signer.signMessage(feedbackKeyMessage(contractAddress, chainId));
+  return new ethers.SigningKey(ethers.keccak256(signature));
+}
+
+/**
+ * Derive a feedback key to publish, signing twice: a signer whose signatures differ each time
+ * could never derive the published key again to decrypt.
+ * @returns {Promise<ethers.SigningKey>}
+ */
+async function deriveNewFeedbackKey(signer, contractAddress, chainId) {
+  const key = await deriveFeedbackKey(signer, contractAddress, chainId);
+  const again = await deriveFeedbackKey(signer, contractAddress, chainId);
+  if (again.compressedPublicKey !== key.compressedPublicKey) {
+    throw new Error("Signer does not sign deterministically, so it cannot derive a feedback key");
+  }
+  return key;
+}
+
+/**
+ * Derive the signer's feedback key and check it against the key it published on `contract`.
+ * @returns {Promise<ethers.SigningKey>}
+ */
+async function derivePublishedFeedbackKey(contract, signer, chainId) {
+  const address = await signer.getAddress();
+  const publishedKey = await contract.encryptionKeys(address);
+  if (publishedKey === "0x") {
+    throw new Error(`No feedback key published for ${address}`);
+  }
+
+  const key = await deriveFeedbackKey(signer, await contract.getAddress(), chainId);
+  if (key.compressedPublicKey !== publishedKey.toLowerCase()) {
+    throw new Error(`Derived feedback key does not match the key ${address} published; publish it again`);
+  }
+  return key;
+}
+
+async function aesGcm(mode, keyBytes, iv, data) {
+  const key = await webcrypto.subtle.importKey("raw", ethers.getBytes(keyBytes), "AES-GCM", false, [mode]);
+  const result = await webcrypto.subtle[mode]({ name: "AES-GCM", iv: ethers.getBytes(iv) }, key, ethers.getBytes(data));
+  return ethers.hexlify(new Uint8Array(result));
+}
+
+function wrappingKey(signingKey, otherPublicKey) {
+  return ethers.sha256(signingKey.computeSharedSecret(otherPublicKey));
+}
+
+/**
+ * Encrypt feedback to each recipient's published key.
+ * @param {string} plaintext
+ * @param {{address: string, publicKey: string}[]} recipients
+ * @returns {Promise<string>} JSON envelope stored as the review's comments
+ */
+async function encryptFeedback(plaintext, recipients) {
+  const contentKey = ethers.randomBytes(32);
+  const iv = ethers.randomBytes(12);
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+
+  const keys = [];
+  for (const recipient of recipients) {
+    const keyIv = ethers.randomBytes(12);
+    keys.push({
+      to: recipient.address,
+      iv: ethers.hexlify(keyIv),
+      key: await aesGcm("encrypt", wrappingKey(ephemeral, recipient.publicKey), keyIv, contentKey),
+    });
+  }
+
+  return JSON.stringify({
+    v: FEEDBACK_VERSION,
+    epk: ephemeral.compressedPublicKey,
+    iv: ethers.hexlify(iv),
+    ct: await aesGcm("encrypt", contentKey, iv, ethers.toUtf8Bytes(plaintext)),
+    keys,
+  });
+}
+
+/**
+ * Decrypt an envelope with the recipient's feedback key.
+ * @returns {Promise<string|null>} the plaintext, or null when the envelope is not addressed to `address`
+ */
+async function decryptFeedback(envelope, signingKey, address) {
+  let parsed;
+  try {
+    parsed = JSON.parse(envelope);
+  } catch {
+    return null;
+  }
+  const entry = (parsed.keys || []).find((key) => key.to.toLowerCase() === address.toLowerCase());
+  if (parsed.v !== FEEDBACK_VERSION || !entry) {
+    return null;
+  }
+
+  const contentKey = await aesGcm("decrypt", wrappingKey(signingKey, parsed.epk), entry.iv, entry.key);
+  return ethers.toUtf8String(await aesGcm("decrypt", contentKey, parsed.iv, parsed.ct));
+}
+
+module.exports = {
+  feedbackKeyMessage,
+  deriveFeedbackKey,
+  deriveNewFeedbackKey,
+  derivePublishedFeedbackKey,
+  encryptFeedback,
+  decryptFeedback,
+};
@@ -0,0 +1,99 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runTypeChain } = require("typechain");
+const { SYSTEM_MODULES, mergeSystemAbi } = require("./modules");
+
+// Contracts the SDK exposes; FHE library and test contracts are left out
+const CONTRACTS = ["LiteratureReviewSystem", "LiteratureReviewFactory"];
+
+const ROOT = path.join(__dirname, "..");
+const GENERATED_DIR = path.join(ROOT, "sdk", "src", "generated");
+const TYPECHAIN_DIR = path.join(GENERATED_DIR, "typechain");
+
+/**
+ * Regenerates sdk/src/generated from the Hardhat artifacts:
+ *   <Contract>.abi.json - the compiled ABI, merged with the modules' for LiteratureReviewSystem
+ *   typechain/          - TypeChain (ethers-v6) contract types
+ *   events.ts           - a union of every decoded event per contract
+ *
+ * Run after changing a contract, and commit the result:
+ *   npm run sdk:generate
+ */
+function artifactFile(name) {
+  return path.join(ROOT, "artifacts", "contracts", `${name}.sol`, `${name}.json`);
+}
+
+function readAbi(name) {
+  return JSON.parse(fs.readFileSync(artifactFile(name), "utf8")).abi;
+}
+
+async function main() {
+  const missing = [...CONTRACTS, ...SYSTEM_MODULES].map(artifactFile).filter((file) => !fs.existsSync(file));
+  if (missing.length > 0) {
+    console.error("❌ Missing artifacts, run `npx hardhat compile` first:");
+    missing.forEach((file) => console.error(`   ${path.relative(ROOT, file)}`));
+    process.exit(1);
+  }
+
+  // Programs answer to the functions of their modules too, so the SDK types them with the merged ABI
+  const abis = {
+    LiteratureReviewSystem: mergeSystemAbi(readAbi("LiteratureReviewSystem"), SYSTEM_MODULES.map(readAbi)),
+    LiteratureReviewFactory: readAbi("LiteratureReviewFactory"),
+  };
+  const abiDir = fs.mkdtempSync(path.join(os.tmpdir(), "literature-review-sdk-"));
+  const abiFiles = CONTRACTS.map((name) => path.join(abiDir, `${name}.json`));
+  CONTRACTS.forEach((name, index) => fs.writeFileSync(abiFiles[index], JSON.stringify({ abi: abis[name] })));
+
+  fs.rmSync(GENERATED_DIR, { recursive: true, force: true });
+  try {
+    await runTypeChain({
+      cwd: abiDir,
+      filesToProcess: abiFiles,
+      allFiles: abiFiles,
+      outDir: TYPECHAIN_DIR,
+      target: "ethers-v6",
+    });
+  } finally {
+    fs.rmSync(abiDir, { recursive: true, force: true });
+  }
+  // The factories embed the bytecode and only deploy; deployments go through scripts/deploy.js
+  fs.rmSync(path.join(TYPECHAIN_DIR, "factories"), { recursive: true, force: true });
+  fs.rmSync(path.join(TYPECHAIN_DIR, "index.ts"), { force: true });
+
+  const eventUnions = [];
+  for (const name of CONTRACTS) {
+    fs.writeFileSync(path.join(GENERATED_DIR, `${name}.abi.json`), `${JSON.stringify(abis[name], null, 2)}\n`);
+    eventUnions.push(eventUnion(name, abis[name]));
+  }
+
+  fs.writeFileSync(
+    path.join(GENERATED_DIR, "events.ts"),
+    [
+      "/* Autogenerated by scripts/generate-sdk.js, do not edit */",
+      ...CONTRACTS.map((name) => `import type * as ${name} from "./typechain/${name}";`),
+      "",
+      eventUnions.join("\n\n"),
+      "",
+    ].join("\n")
+  );
+
+  console.log(`✅ SDK sources generated in ${path.relative(ROOT, GENERATED_DIR)}`);
+}
+
+function eventUnion(contractName, abi) {
+  const members = abi
+    .filter((fragment) => fragment.type === "event")
+    .map((fragment) => fragment.name)
+    .sort()
+    .map((eventName) => `  | { name: "${eventName}"; args: ${contractName}.${eventName}Event.OutputObject }`);
+  return `export type ${contractName}Event =\n${members.join("\n")};`;
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ SDK generation failed!");
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { connectLiteratureReviewSystem } = require("./sdk");
 
 async function main() {
   console.log("=================================================");
@@ -43,8 +44,7 @@ async function main() {
 
   // Connect to contract
   console.log("Connecting to contract...");
-  const LiteratureReviewSystem = await hre.ethers.getContractFactory("LiteratureReviewSystem");
-  const contract = LiteratureReviewSystem.attach(contractAddress);
+  const contract = connectLiteratureReviewSystem(contractAddress, signer);
   console.log("✅ Connected to LiteratureReviewSystem at:", contractAddress);
   console.log("=================================================\n");
 
@@ -0,0 +1,63 @@
+// Modules of LiteratureReviewSystem in the order calls fall through them (contracts/LiteratureReviewModule.sol)
+const SYSTEM_MODULES = [
+  "LiteratureReviewRegistry",
+  "LiteratureReviewAssignment",
+  "LiteratureReviewResults",
+  "LiteratureReviewViews",
+];
+
+/**
+ * Deploy the module chain, last module first, and return the address of its first module.
+ * One chain serves any number of LiteratureReviewSystem programs.
+ * @param {import("hardhat").ethers} ethers
+ * @returns {Promise<string>}
+ */
+async function deployModules(ethers) {
+  let next = null;
+  for (const name of [...SYSTEM_MODULES].reverse()) {
+    const factory = await ethers.getContractFactory(name);
+    const module = next ? await factory.deploy(next) : await factory.deploy();
+    await module.waitForDeployment();
+    next = await module.getAddress();
+  }
+  return next;
+}
+
+function fragmentKey(fragment) {
+  // The modules' own constructors are not part of the program's ABI
+  if (["constructor", "fallback", "receive"].includes(fragment.type)) {
+    return fragment.type;
+  }
+  const types = (fragment.inputs || []).map((input) => `${input.type}${JSON.stringify(input.components || [])}`);
+  return `${fragment.type} ${fragment.name || ""}(${types.join(",")})`;
+}
+
+/**
+ * The ABI a LiteratureReviewSystem answers to: its own and its modules', without the members every
+ * module inherits, sorted by type and name like the compiler's.
+ * @param {object[]} systemAbi ABI of LiteratureReviewSystem
+ * @param {object[][]} moduleAbis ABIs of SYSTEM_MODULES, in order
+ */
+function mergeSystemAbi(systemAbi, moduleAbis) {
+  const merged = new Map();
+  for (const fragment of [systemAbi, ...moduleAbis].flat()) {
+    if (!merged.has(fragmentKey(fragment))) {
+      merged.set(fragmentKey(fragment), fragment);
+    }
+  }
+  const sortKey = (fragment) => `${fragment.type} ${fragment.name || ""}`;
+  return [...merged.values()].sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0));
+}
+
+/**
+ * mergeSystemAbi over the compiled artifacts.
+ * @param {import("hardhat").artifacts} artifacts
+ */
+async function readSystemAbi(artifacts) {
+  const [system, ...modules] = await Promise.all(
+    ["LiteratureReviewSystem", ...SYSTEM_MODULES].map(async (name) => (await artifacts.readArtifact(name)).abi)
+  );
+  return mergeSystemAbi(system, modules);
+}
+
+module.exports = { SYSTEM_MODULES, deployModules, mergeSystemAbi, readSystemAbi };
@@ -0,0 +1,31 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+// The scripts' entry point to the contract SDK (sdk/), whose build in sdk/dist is not committed
+const SDK_DIR = path.join(__dirname, "..", "sdk");
+const SDK_ENTRY = path.join(SDK_DIR, "dist", "index.js");
+
+function latestChange(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((latest, entry) => {
+    const file = path.join(dir, entry.name);
+    return Math.max(latest, entry.isDirectory() ? latestChange(file) : fs.statSync(file).mtimeMs);
+  }, 0);
+}
+
+/**
+ * Build the SDK when sdk/dist is missing or older than sdk/src, so the scripts run from a fresh
+ * checkout (including `npm ci --ignore-scripts`) and pick up a regenerated SDK.
+ */
+function ensureSdkBuild() {
+  if (fs.existsSync(SDK_ENTRY) && fs.statSync(SDK_ENTRY).mtimeMs >= latestChange(path.join(SDK_DIR, "src"))) {
+    return;
+  }
+  console.log("Building the contract SDK...");
+  const tsc = path.join(path.dirname(require.resolve("typescript")), "..", "bin", "tsc");
+  execFileSync(process.execPath, [tsc, "-p", SDK_DIR], { stdio: "inherit" });
+}
+
+ensureSdkBuild();
+
+module.exports = require("../sdk");
@@ -1,6 +1,24 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ReviewerStatus, connectLiteratureReviewSystem } = require("./sdk");
+const { deriveNewFeedbackKey, encryptFeedback } = require("./feedback");
+
+const DAY = 86400;
+
+// Calendar used when the current period has not been scheduled yet, in days from now
+const DEFAULT_SCHEDULE = {
+  submissionDays: 14,
+  reviewCloseDays: 28,
+  announcementDays: 29,
+};
+
+// Works whose reviewers are assigned per transaction, as in scripts/batch.js
+const ASSIGNMENT_BATCH_SIZE = 20;
+
+// Networks whose clock the simulation may fast-forward to the review window
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
 
 async function main() {
   console.log("=================================================");
@@ -46,8 +64,7 @@ async function main() {
 
   // Connect to contract
   console.log("Connecting to contract...");
-  const LiteratureReviewSystem = await hre.ethers.getContractFactory("LiteratureReviewSystem");
-  const contract = LiteratureReviewSystem.attach(contractAddress);
+  const contract = connectLiteratureReviewSystem(contractAddress, owner);
   console.log("✅ Connected to LiteratureReviewSystem");
   console.log("=================================================\n");
 
@@ -58,10 +75,14 @@ async function main() {
     const initialOwner = await contract.owner();
     const initialSubmissionPeriod = await contract.currentSubmissionPeriod();
     const initialReviewPeriod = await contract.currentReviewPeriod();
+    const submissionFee = await contract.SUBMISSION_FEE();
+    const reviewStake = await contract.REVIEW_STAKE();
 
     console.log("Owner:", initialOwner);
     console.log("Current Submission Period:", initialSubmissionPeriod.toString());
     console.log("Current Review Period:", initialReviewPeriod.toString());
+    console.log("Submission Fee:", hre.ethers.formatEther(submissionFee), "ETH");
+    console.log("Review Stake:", hre.ethers.formatEther(reviewStake), "ETH");
     console.log("✅ Initial state verified");
     console.log("=================================================\n");
 
@@ -71,21 +92,23 @@ async function main() {
     console.log("Step 2: Registering Reviewers");
     console.log("=================================================");
 
-    console.log("Registering Reviewer 1...");
-    let tx = await contract.connect(reviewer1).registerReviewer(
-      "Dr. Emily Thompson",
-      "Contemporary Fiction & Literary Criticism"
-    );
-    await tx.wait();
-    console.log("✅ Reviewer 1 registered:", reviewer1.address);
-
-    console.log("Registering Reviewer 2...");
-    tx = await contract.connect(reviewer2).registerReviewer(
-      "Prof. Michael Chen",
-      "Poetry & Modernist Literature"
-    );
-    await tx.wait();
-    console.log("✅ Reviewer 2 registered:", reviewer2.address);
+    const applications = [
+      [reviewer1, "Dr. Emily Thompson", "Contemporary Fiction & Literary Criticism"],
+      [reviewer2, "Prof. Michael Chen", "Poetry & Modernist Literature"],
+    ];
+
+    // Reviewers registered by an earlier run are left as they are, so the simulation can be rerun
+    let tx;
+    for (const [index, [reviewer, name, expertise]] of applications.entries()) {
+      if (Number(await contract.reviewerStatus(reviewer.address)) !== ReviewerStatus.None) {
+        console.log(`Reviewer ${index + 1} already registered:`, reviewer.address);
+        continue;
+      }
+      console.log(`Registering Reviewer ${index + 1}...`);
+      tx = await contract.connect(reviewer).registerReviewer(name, expertise, { value: reviewStake });
+      await tx.wait();
+      console.log(`✅ Reviewer ${index + 1} registered:`, reviewer.address);
+    }
     console.log("=================================================\n");
 
     await sleep(2000);
@@ -94,58 +117,89 @@ async function main() {
     console.log("Step 3: Approving Reviewers (Owner Action)");
     console.log("=================================================");
 
-    console.log("Approving Reviewer 1...");
-    tx = await contract.connect(owner).approveReviewer(reviewer1.address);
-    await tx.wait();
-    console.log("✅ Reviewer 1 approved");
-
-    console.log("Approving Reviewer 2...");
-    tx = await contract.connect(owner).approveReviewer(reviewer2.address);
-    await tx.wait();
-    console.log("✅ Reviewer 2 approved");
+    for (const [index, [reviewer]] of applications.entries()) {
+      if (Number(await contract.reviewerStatus(reviewer.address)) !== ReviewerStatus.Pending) {
+        console.log(`Reviewer ${index + 1} is not pending approval, skipping`);
+        continue;
+      }
+      console.log(`Approving Reviewer ${index + 1}...`);
+      tx = await contract.connect(owner).approveReviewer(reviewer.address);
+      await tx.wait();
+      console.log(`✅ Reviewer ${index + 1} approved`);
+    }
     console.log("=================================================\n");
 
     await sleep(2000);
 
-    // Step 4: Check if submission period is active
-    console.log("Step 4: Checking Submission Period");
+    // Step 4: Check the period schedule and whether submissions are open
+    console.log("Step 4: Checking Period Schedule");
     console.log("=================================================");
+    const submissionPeriod = await contract.currentSubmissionPeriod();
+    let schedule = await contract.getPeriodSchedule(submissionPeriod);
+
+    if (schedule.submissionOpen === 0n) {
+      console.log(`Period ${submissionPeriod} is not scheduled, scheduling the default calendar...`);
+      const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+      tx = await contract
+        .connect(owner)
+        .setPeriodSchedule(
+          submissionPeriod,
+          now,
+          now + DEFAULT_SCHEDULE.submissionDays * DAY,
+          now + DEFAULT_SCHEDULE.reviewCloseDays * DAY,
+          now + DEFAULT_SCHEDULE.announcementDays * DAY
+        );
+      await tx.wait();
+      schedule = await contract.getPeriodSchedule(submissionPeriod);
+      console.log(`✅ Period ${submissionPeriod} scheduled`);
+    }
+
+    console.log(`Period ${submissionPeriod} schedule:`);
+    console.log("  Submissions open: ", formatTimestamp(schedule.submissionOpen));
+    console.log("  Submissions close:", formatTimestamp(schedule.submissionClose));
+    console.log("  Reviews close:    ", formatTimestamp(schedule.reviewClose));
+    console.log("  Awards announced: ", formatTimestamp(schedule.announcement));
+
     const isSubmissionActive = await contract.isSubmissionPeriodActive();
     console.log("Submission Period Active:", isSubmissionActive);
 
     if (!isSubmissionActive) {
       console.log("⚠️  Submission period is not active");
-      console.log("Note: Submission period is first 14 days of each 30-day cycle");
-      console.log("You may need to wait or adjust the contract logic for testing");
+      console.log(await describeWait("Submissions open", schedule.submissionOpen));
     }
     console.log("=================================================\n");
 
     await sleep(2000);
 
     // Step 5: Submit literary works (if submission period is active)
+    const workIds = [];
     if (isSubmissionActive) {
       console.log("Step 5: Submitting Literary Works");
       console.log("=================================================");
 
       console.log("Author 1 submitting work...");
-      tx = await contract.connect(author1).submitWork(
-        "The Silent Echo",
-        "Sarah Williams",
-        "Fiction",
-        "QmX7ZhMr5J8KnP9vL4TqW2NxYzBpHcVrUsD8jQ3fM6tGe1"
-      );
+      tx = await contract
+        .connect(author1)
+        .submitWork("The Silent Echo", "Sarah Williams", "Fiction", "QmdRAD7DnnvD7zes9EaPUeV1BksZaEV97J7xdVm4gwQjfo", {
+          value: submissionFee,
+        });
       await tx.wait();
-      console.log("✅ Work 1 submitted: 'The Silent Echo'");
+      workIds.push(await contract.workCountPerPeriod(submissionPeriod));
+      console.log(`✅ Work ${workIds[0]} submitted: 'The Silent Echo'`);
 
       console.log("Author 2 submitting work...");
-      tx = await contract.connect(author2).submitWork(
-        "Whispers in the Wind",
-        "James Anderson",
-        "Poetry",
-        "QmY8ZiNs6K9LoQ0wM5UrX3OyZcCqIdWsTvE9kR4gN7uHf2"
-      );
+      tx = await contract
+        .connect(author2)
+        .submitWork(
+          "Whispers in the Wind",
+          "James Anderson",
+          "Poetry",
+          "Qmej7XHfnLV6XqCKMmfMzTf6vATJWgL8AcZAzcUU5Yf5Tz",
+          { value: submissionFee }
+        );
       await tx.wait();
-      console.log("✅ Work 2 submitted: 'Whispers in the Wind'");
+      workIds.push(await contract.workCountPerPeriod(submissionPeriod));
+      console.log(`✅ Work ${workIds[1]} submitted: 'Whispers in the Wind'`);
       console.log("=================================================\n");
 
       await sleep(2000);
@@ -158,14 +212,25 @@ async function main() {
       const stats = await contract.getPeriodStats(currentPeriod);
       console.log("Total Submissions:", stats.totalSubmissions.toString());
 
-      for (let i = 1; i <= Number(stats.totalSubmissions); i++) {
-        const submission = await contract.getSubmissionInfo(currentPeriod, i);
-        console.log(`\nWork ${i}:`);
-        console.log("  Title:", submission.title);
-        console.log("  Author:", submission.author);
-        console.log("  Genre:", submission.genre);
-        console.log("  Submitter:", submission.submitter);
-        console.log("  Submitted:", submission.submitted);
+      const pageSize = await contract.MAX_PAGE_SIZE();
+      let fromWorkId = 1n;
+      while (fromWorkId !== 0n) {
+        const { page, nextWorkId } = await contract.getSubmissionsPage(
+          currentPeriod,
+          fromWorkId,
+          pageSize,
+          "",
+          hre.ethers.ZeroAddress
+        );
+        for (const submission of page) {
+          console.log(`\nWork ${submission.workId}:`);
+          console.log("  Title:", submission.title);
+          console.log("  Author:", submission.author);
+          console.log("  Genre:", submission.genre);
+          console.log("  Submitter:", submission.submitter);
+          console.log("  Reviews:", submission.reviewCount.toString());
+        }
+        fromWorkId = nextWorkId;
       }
       console.log("=================================================\n");
 
@@ -175,70 +240,88 @@ async function main() {
       console.log("=================================================\n");
     }
 
-    // Step 7: Check review period
-    console.log("Step 7: Checking Review Period");
+    // Step 7: Start the review period and assign reviewers
+    console.log("Step 7: Starting Review Period");
     console.log("=================================================");
-    const isReviewActive = await contract.isReviewPeriodActive();
+
+    if (isSubmissionActive && LOCAL_NETWORKS.includes(hre.network.name)) {
+      console.log(`Local network: advancing time to the close of submissions for period ${submissionPeriod}...`);
+      await time.increaseTo(schedule.submissionClose);
+    }
+
+    // isReviewPeriodActive only covers the period already under review, so check the schedule directly
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const reviewWindowOpen = now >= schedule.submissionClose && now < schedule.reviewClose;
+    if (reviewWindowOpen && (await contract.currentReviewPeriod()) < submissionPeriod) {
+      console.log("Starting review period...");
+      tx = await contract.connect(owner).startReviewPeriod();
+      await tx.wait();
+    }
+
+    // Reviews go to the period just submitted, so an older period still awaiting review is left alone
+    const isReviewActive = reviewWindowOpen && (await contract.currentReviewPeriod()) === submissionPeriod;
     console.log("Review Period Active:", isReviewActive);
 
-    if (!isReviewActive) {
-      console.log("⚠️  Review period is not active");
-      console.log("Note: Review period is last 16 days of each 30-day cycle");
+    if (isReviewActive) {
+      console.log(`✅ Review period ${submissionPeriod} started`);
+      console.log("Assigning reviewers...");
+      while (!(await contract.reviewersAssigned(submissionPeriod))) {
+        tx = await contract.connect(owner).assignReviewersBatch(submissionPeriod, ASSIGNMENT_BATCH_SIZE);
+        await tx.wait();
+      }
+      console.log("✅ Reviewers assigned");
+    } else {
+      console.log(`⚠️  Review period ${submissionPeriod} is not active`);
+      console.log(await describeWait("Reviews open", schedule.submissionClose));
+      console.log("Note: Rerun the simulation or call startReviewPeriod once the review window opens");
     }
     console.log("=================================================\n");
 
     await sleep(2000);
 
     // Step 8: Submit reviews (if review period is active)
-    if (isReviewActive && isSubmissionActive) {
+    let reviewCount = 0;
+    if (isReviewActive && workIds.length > 0) {
       console.log("Step 8: Submitting Reviews");
       console.log("=================================================");
 
-      const reviewPeriod = await contract.currentReviewPeriod();
-
-      console.log("Reviewer 1 reviewing Work 1...");
-      tx = await contract.connect(reviewer1).submitReview(
-        1, // workId
-        85, // quality score
-        90, // originality score
-        80, // impact score
-        "Encrypted comment: Excellent narrative structure and character development"
-      );
-      await tx.wait();
-      console.log("✅ Review submitted by Reviewer 1 for Work 1");
-
-      console.log("Reviewer 2 reviewing Work 1...");
-      tx = await contract.connect(reviewer2).submitReview(
-        1, // workId
-        88, // quality score
-        85, // originality score
-        87, // impact score
-        "Encrypted comment: Strong prose with compelling themes"
-      );
-      await tx.wait();
-      console.log("✅ Review submitted by Reviewer 2 for Work 1");
-
-      console.log("Reviewer 1 reviewing Work 2...");
-      tx = await contract.connect(reviewer1).submitReview(
-        2, // workId
-        92, // quality score
-        95, // originality score
-        88, // impact score
-        "Encrypted comment: Beautiful imagery and emotional depth"
-      );
-      await tx.wait();
-      console.log("✅ Review submitted by Reviewer 1 for Work 2");
-
-      console.log("Reviewer 2 reviewing Work 2...");
-      tx = await contract.connect(reviewer2).submitReview(
-        2, // workId
-        90, // quality score
-        93, // originality score
-        85, // impact score
-        "Encrypted comment: Masterful use of metaphor and rhythm"
-      );
-      await tx.wait();
-      console.log("✅ Review submitted by Reviewer 2 for Work 2");
+      // Comments are encrypted to the author and the chair, so both publish a feedback key first
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const recipients = [];
+      for (const account of [author1, author2, owner]) {
+        const key = await deriveNewFeedbackKey(account, contractAddress, chainId);
+        tx = await contract.connect(account).publishEncryptionKey(key.compressedPublicKey);
+        await tx.wait();
+        recipients.push({ address: account.address, publicKey: key.compressedPublicKey });
+      }
+      console.log("✅ Feedback keys published by both authors and the chair");
+      const [author1Key, author2Key, chairKey] = recipients;
+
+      const reviews = [
+        [reviewer1, 0, [85, 90, 80], "Excellent narrative structure and character development", author1Key],
+        [reviewer2, 0, [88, 85, 87], "Strong prose with compelling themes", author1Key],
+        [reviewer1, 1, [92, 95, 88], "Beautiful imagery and emotional depth", author2Key],
+        [reviewer2, 1, [90, 93, 85], "Masterful use of metaphor and rhythm", author2Key],
+      ];
+
+      for (const [reviewer, index, [quality, originality, impact], comments, authorKey] of reviews) {
+        const label = `Reviewer ${reviewer === reviewer1 ? 1 : 2}`;
+        const workId = workIds[index];
+        if (!(await contract.isAssigned(submissionPeriod, workId, reviewer.address))) {
+          console.log(`⚠️  ${label} is not assigned to Work ${workId}, skipping`);
+          continue;
+        }
+
+        console.log(`${label} reviewing Work ${workId}...`);
+        tx = await contract
+          .connect(reviewer)
+          .submitReview(workId, quality, originality, impact, await encryptFeedback(comments, [authorKey, chairKey]), {
+            value: reviewStake,
+          });
+        await tx.wait();
+        reviewCount++;
+        console.log(`✅ Review submitted by ${label} for Work ${workId}`);
+      }
       console.log("=================================================\n");
 
       await sleep(2000);
@@ -280,8 +363,9 @@ async function main() {
       console.log("  ✓ Submitted 2 literary works");
     }
 
-    if (isReviewActive && isSubmissionActive) {
-      console.log("  ✓ Submitted 4 reviews");
+    if (isReviewActive) {
+      console.log(`  ✓ Started review period ${submissionPeriod} and assigned reviewers`);
+      console.log(`  ✓ Submitted ${reviewCount} reviews`);
     }
 
     console.log("\nContract Address:", contractAddress);
@@ -307,6 +391,22 @@ async function main() {
   }
 }
 
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// Describe how long until a scheduled milestone, measured in chain time
+async function describeWait(label, timestamp) {
+  const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  const remaining = Number(timestamp) - now;
+  if (remaining <= 0) {
+    return `${label}: ${formatTimestamp(timestamp)} (passed)`;
+  }
+  const days = Math.floor(remaining / DAY);
+  const hours = Math.floor((remaining % DAY) / 3600);
+  return `${label} in ${days}d ${hours}h (${formatTimestamp(timestamp)})`;
+}
+
 // Helper function to add delay between steps
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
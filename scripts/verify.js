@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { connectLiteratureReviewSystem } = require("./sdk");
 
 async function main() {
   console.log("=================================================");
@@ -33,14 +34,14 @@ async function main() {
   // Get contract address from command line or latest deployment
   let contractAddress = process.argv[2];
 
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  const latestFile = path.join(deploymentsDir, `latest-${network.name}.json`);
+  const deploymentInfo = fs.existsSync(latestFile) ? JSON.parse(fs.readFileSync(latestFile, "utf8")) : null;
+
   if (!contractAddress) {
     console.log("No contract address provided, checking latest deployment...\n");
 
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    const latestFile = path.join(deploymentsDir, `latest-${network.name}.json`);
-
-    if (fs.existsSync(latestFile)) {
-      const deploymentInfo = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+    if (deploymentInfo) {
       contractAddress = deploymentInfo.contractAddress;
       console.log("Found latest deployment:");
       console.log("- Contract Address:", contractAddress);
@@ -57,7 +58,29 @@ async function main() {
     }
   }
 
+  // Factory competitions are EIP-1167 clones, which Etherscan resolves once the factory is verified
+  if (deploymentInfo && deploymentInfo.mode === "factory" && deploymentInfo.contractAddress === contractAddress) {
+    console.log(contractAddress, "is a clone of the template deployed by factory", deploymentInfo.factoryAddress);
+    console.log("\nVerify the factory, which verifies the template's code, with:");
+    console.log(`  npx hardhat verify --network ${network.name} ${deploymentInfo.factoryAddress} <MODULES_ADDRESS>`);
+    console.log('\nthen use "Is this a proxy?" on the competition\'s Etherscan page');
+    console.log("=================================================\n");
+    process.exit(0);
+  }
+
+  // Each program is deployed with its own owner, fees and categories
+  if (!deploymentInfo || !deploymentInfo.constructorArgs || deploymentInfo.contractAddress !== contractAddress) {
+    console.error("❌ Constructor arguments for", contractAddress, "not found in", latestFile);
+    console.log("\nVerify manually with:");
+    console.log(`  npx hardhat verify --network ${network.name} --constructor-args args.js ${contractAddress}`);
+    console.log("\nwhere args.js exports [owner, submissionFee, reviewStake, categories, modules]");
+    console.log("=================================================\n");
+    process.exit(1);
+  }
+  const constructorArguments = deploymentInfo.constructorArgs;
+
   console.log("Verifying contract at address:", contractAddress);
+  console.log("Constructor arguments:", JSON.stringify(constructorArguments));
   console.log("=================================================\n");
 
   try {
@@ -66,7 +89,7 @@ async function main() {
 
     await hre.run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [],
+      constructorArguments,
     });
 
     console.log("\n✅ Contract verified successfully!");
@@ -99,7 +122,7 @@ async function main() {
   // Verify contract is accessible on Etherscan
   console.log("Checking contract accessibility...");
   try {
-    const contract = await hre.ethers.getContractAt("LiteratureReviewSystem", contractAddress);
+    const contract = connectLiteratureReviewSystem(contractAddress, hre.ethers.provider);
     const owner = await contract.owner();
     console.log("- Contract owner:", owner);
     console.log("- Contract is accessible and functional ✅");
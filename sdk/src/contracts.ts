@@ -0,0 +1,59 @@
+import { Contract, ContractRunner, Interface } from 'ethers';
+import literatureReviewSystemAbi from './generated/LiteratureReviewSystem.abi.json';
+import literatureReviewFactoryAbi from './generated/LiteratureReviewFactory.abi.json';
+import type {
+  LiteratureReviewSystem,
+  LiteratureReviewSystemInterface,
+} from './generated/typechain/LiteratureReviewSystem';
+import type {
+  LiteratureReviewFactory,
+  LiteratureReviewFactoryInterface,
+} from './generated/typechain/LiteratureReviewFactory';
+
+// ABIs of the compiled contracts, regenerated by scripts/generate-sdk.js
+export const LITERATURE_REVIEW_SYSTEM_ABI = literatureReviewSystemAbi;
+export const LITERATURE_REVIEW_FACTORY_ABI = literatureReviewFactoryAbi;
+
+export const literatureReviewSystemInterface = new Interface(
+  LITERATURE_REVIEW_SYSTEM_ABI
+) as unknown as LiteratureReviewSystemInterface;
+export const literatureReviewFactoryInterface = new Interface(
+  LITERATURE_REVIEW_FACTORY_ABI
+) as unknown as LiteratureReviewFactoryInterface;
+
+// Mirrors LiteratureReviewStorage.ReviewerStatus
+export enum ReviewerStatus {
+  None = 0,
+  Pending = 1,
+  Active = 2,
+  Revoked = 3,
+}
+
+/**
+ * A LiteratureReviewSystem at `address` whose reads, writes, errors and events are typed after the
+ * compiled contract. Pass a signer to send transactions, or a provider to read only.
+ */
+export function connectLiteratureReviewSystem(
+  address: string,
+  runner?: ContractRunner | null
+): LiteratureReviewSystem {
+  return new Contract(
+    address,
+    literatureReviewSystemInterface,
+    runner
+  ) as unknown as LiteratureReviewSystem;
+}
+
+/**
+ * A LiteratureReviewFactory at `address`, typed after the compiled contract.
+ */
+export function connectLiteratureReviewFactory(
+  address: string,
+  runner?: ContractRunner | null
+): LiteratureReviewFactory {
+  return new Contract(
+    address,
+    literatureReviewFactoryInterface,
+    runner
+  ) as unknown as LiteratureReviewFactory;
+}
@@ -0,0 +1,59 @@
+import type { Interface, Log, LogDescription } from 'ethers';
+import { literatureReviewFactoryInterface, literatureReviewSystemInterface } from './contracts';
+import type { LiteratureReviewFactoryEvent, LiteratureReviewSystemEvent } from './generated/events';
+
+export type { LiteratureReviewFactoryEvent, LiteratureReviewSystemEvent };
+
+// A decoded event and the log it came from; narrowing on `name` types `args`
+export type DecodedEvent<E extends { name: string; args: unknown }> = E & {
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+};
+
+type EventLog = Pick<Log, 'topics' | 'data' | 'blockNumber' | 'transactionHash' | 'index'>;
+
+function decodeEvents<E extends { name: string; args: unknown }>(
+  contractInterface: Interface,
+  logs: readonly EventLog[]
+): DecodedEvent<E>[] {
+  const events: DecodedEvent<E>[] = [];
+  for (const log of logs) {
+    let parsed: LogDescription | null;
+    try {
+      parsed = contractInterface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch {
+      // A log of another contract that happens to share a topic
+      parsed = null;
+    }
+    if (parsed) {
+      events.push({
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+      } as DecodedEvent<E>);
+    }
+  }
+  return events;
+}
+
+/**
+ * The LiteratureReviewSystem events among `logs`, e.g. a receipt's or a getLogs result, in order.
+ * Logs that are not events of the contract are skipped.
+ */
+export function decodeLiteratureReviewSystemEvents(
+  logs: readonly EventLog[]
+): DecodedEvent<LiteratureReviewSystemEvent>[] {
+  return decodeEvents(literatureReviewSystemInterface, logs);
+}
+
+/**
+ * The LiteratureReviewFactory events among `logs`, in order.
+ */
+export function decodeLiteratureReviewFactoryEvents(
+  logs: readonly EventLog[]
+): DecodedEvent<LiteratureReviewFactoryEvent>[] {
+  return decodeEvents(literatureReviewFactoryInterface, logs);
+}
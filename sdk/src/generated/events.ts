@@ -0,0 +1,53 @@
+/* Autogenerated by scripts/generate-sdk.js, do not edit */
+import type * as LiteratureReviewSystem from "./typechain/LiteratureReviewSystem";
+import type * as LiteratureReviewFactory from "./typechain/LiteratureReviewFactory";
+
+export type LiteratureReviewSystemEvent =
+  | { name: "AffiliationDeclared"; args: LiteratureReviewSystem.AffiliationDeclaredEvent.OutputObject }
+  | { name: "AssignmentBatchProcessed"; args: LiteratureReviewSystem.AssignmentBatchProcessedEvent.OutputObject }
+  | { name: "AssignmentConfigUpdated"; args: LiteratureReviewSystem.AssignmentConfigUpdatedEvent.OutputObject }
+  | { name: "AuditLog"; args: LiteratureReviewSystem.AuditLogEvent.OutputObject }
+  | { name: "AwardAnnounced"; args: LiteratureReviewSystem.AwardAnnouncedEvent.OutputObject }
+  | { name: "AwardDecryptionRequested"; args: LiteratureReviewSystem.AwardDecryptionRequestedEvent.OutputObject }
+  | { name: "AwardWinnerDecrypted"; args: LiteratureReviewSystem.AwardWinnerDecryptedEvent.OutputObject }
+  | { name: "CategoryAdded"; args: LiteratureReviewSystem.CategoryAddedEvent.OutputObject }
+  | { name: "CategoryRenamed"; args: LiteratureReviewSystem.CategoryRenamedEvent.OutputObject }
+  | { name: "CategoryRetired"; args: LiteratureReviewSystem.CategoryRetiredEvent.OutputObject }
+  | { name: "ContractPaused"; args: LiteratureReviewSystem.ContractPausedEvent.OutputObject }
+  | { name: "ContractUnpaused"; args: LiteratureReviewSystem.ContractUnpausedEvent.OutputObject }
+  | { name: "CriterionWeightsUpdated"; args: LiteratureReviewSystem.CriterionWeightsUpdatedEvent.OutputObject }
+  | { name: "DecryptionBatchProcessed"; args: LiteratureReviewSystem.DecryptionBatchProcessedEvent.OutputObject }
+  | { name: "DecryptionCompleted"; args: LiteratureReviewSystem.DecryptionCompletedEvent.OutputObject }
+  | { name: "DecryptionFailed"; args: LiteratureReviewSystem.DecryptionFailedEvent.OutputObject }
+  | { name: "DecryptionFailureRefundIssued"; args: LiteratureReviewSystem.DecryptionFailureRefundIssuedEvent.OutputObject }
+  | { name: "DecryptionFulfilled"; args: LiteratureReviewSystem.DecryptionFulfilledEvent.OutputObject }
+  | { name: "DecryptionRequested"; args: LiteratureReviewSystem.DecryptionRequestedEvent.OutputObject }
+  | { name: "DecryptionTimeout"; args: LiteratureReviewSystem.DecryptionTimeoutEvent.OutputObject }
+  | { name: "DoubleBlindUpdated"; args: LiteratureReviewSystem.DoubleBlindUpdatedEvent.OutputObject }
+  | { name: "EncryptionKeyPublished"; args: LiteratureReviewSystem.EncryptionKeyPublishedEvent.OutputObject }
+  | { name: "GatewayCallbackExecuted"; args: LiteratureReviewSystem.GatewayCallbackExecutedEvent.OutputObject }
+  | { name: "IdentityRevealed"; args: LiteratureReviewSystem.IdentityRevealedEvent.OutputObject }
+  | { name: "OwnershipTransferStarted"; args: LiteratureReviewSystem.OwnershipTransferStartedEvent.OutputObject }
+  | { name: "OwnershipTransferred"; args: LiteratureReviewSystem.OwnershipTransferredEvent.OutputObject }
+  | { name: "PeriodScheduled"; args: LiteratureReviewSystem.PeriodScheduledEvent.OutputObject }
+  | { name: "RefundClaimed"; args: LiteratureReviewSystem.RefundClaimedEvent.OutputObject }
+  | { name: "ResultsBatchProcessed"; args: LiteratureReviewSystem.ResultsBatchProcessedEvent.OutputObject }
+  | { name: "ReviewPeriodStarted"; args: LiteratureReviewSystem.ReviewPeriodStartedEvent.OutputObject }
+  | { name: "ReviewQuorumUpdated"; args: LiteratureReviewSystem.ReviewQuorumUpdatedEvent.OutputObject }
+  | { name: "ReviewSubmitted"; args: LiteratureReviewSystem.ReviewSubmittedEvent.OutputObject }
+  | { name: "ReviewerApproved"; args: LiteratureReviewSystem.ReviewerApprovedEvent.OutputObject }
+  | { name: "ReviewerAssigned"; args: LiteratureReviewSystem.ReviewerAssignedEvent.OutputObject }
+  | { name: "ReviewerRecused"; args: LiteratureReviewSystem.ReviewerRecusedEvent.OutputObject }
+  | { name: "ReviewerRegistered"; args: LiteratureReviewSystem.ReviewerRegisteredEvent.OutputObject }
+  | { name: "ReviewerRevoked"; args: LiteratureReviewSystem.ReviewerRevokedEvent.OutputObject }
+  | { name: "ReviewerTimeoutRefundIssued"; args: LiteratureReviewSystem.ReviewerTimeoutRefundIssuedEvent.OutputObject }
+  | { name: "RoleGranted"; args: LiteratureReviewSystem.RoleGrantedEvent.OutputObject }
+  | { name: "RoleRevoked"; args: LiteratureReviewSystem.RoleRevokedEvent.OutputObject }
+  | { name: "SubmissionPeriodStarted"; args: LiteratureReviewSystem.SubmissionPeriodStartedEvent.OutputObject }
+  | { name: "SubmitterTimeoutRefundIssued"; args: LiteratureReviewSystem.SubmitterTimeoutRefundIssuedEvent.OutputObject }
+  | { name: "TimeoutRefundClaimed"; args: LiteratureReviewSystem.TimeoutRefundClaimedEvent.OutputObject }
+  | { name: "WorkBelowQuorum"; args: LiteratureReviewSystem.WorkBelowQuorumEvent.OutputObject }
+  | { name: "WorkSubmitted"; args: LiteratureReviewSystem.WorkSubmittedEvent.OutputObject };
+
+export type LiteratureReviewFactoryEvent =
+  | { name: "CompetitionCreated"; args: LiteratureReviewFactory.CompetitionCreatedEvent.OutputObject };
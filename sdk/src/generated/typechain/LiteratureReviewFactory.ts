@@ -0,0 +1,291 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace LiteratureReviewFactory {
+  export type CompetitionStruct = {
+    system: AddressLike;
+    name: string;
+    owner: AddressLike;
+    creator: AddressLike;
+    createdAt: BigNumberish;
+  };
+
+  export type CompetitionStructOutput = [
+    system: string,
+    name: string,
+    owner: string,
+    creator: string,
+    createdAt: bigint
+  ] & {
+    system: string;
+    name: string;
+    owner: string;
+    creator: string;
+    createdAt: bigint;
+  };
+}
+
+export interface LiteratureReviewFactoryInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "IMPLEMENTATION"
+      | "createCompetition"
+      | "getCompetition"
+      | "getCompetitionCount"
+      | "getCompetitions"
+      | "getCompetitionsByOwner"
+      | "isCompetition"
+  ): FunctionFragment;
+
+  getEvent(nameOrSignatureOrTopic: "CompetitionCreated"): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "IMPLEMENTATION",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createCompetition",
+    values: [string, AddressLike, BigNumberish, BigNumberish, string[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCompetition",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCompetitionCount",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCompetitions",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCompetitionsByOwner",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isCompetition",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "IMPLEMENTATION",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "createCompetition",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCompetition",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCompetitionCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCompetitions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCompetitionsByOwner",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isCompetition",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace CompetitionCreatedEvent {
+  export type InputTuple = [
+    competitionId: BigNumberish,
+    system: AddressLike,
+    owner: AddressLike,
+    name: string
+  ];
+  export type OutputTuple = [
+    competitionId: bigint,
+    system: string,
+    owner: string,
+    name: string
+  ];
+  export interface OutputObject {
+    competitionId: bigint;
+    system: string;
+    owner: string;
+    name: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface LiteratureReviewFactory extends BaseContract {
+  connect(runner?: ContractRunner | null): LiteratureReviewFactory;
+  waitForDeployment(): Promise<this>;
+
+  interface: LiteratureReviewFactoryInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  IMPLEMENTATION: TypedContractMethod<[], [string], "view">;
+
+  createCompetition: TypedContractMethod<
+    [
+      _name: string,
+      _owner: AddressLike,
+      _submissionFee: BigNumberish,
+      _reviewStake: BigNumberish,
+      _categories: string[]
+    ],
+    [[bigint, string] & { competitionId: bigint; system: string }],
+    "nonpayable"
+  >;
+
+  getCompetition: TypedContractMethod<
+    [_competitionId: BigNumberish],
+    [LiteratureReviewFactory.CompetitionStructOutput],
+    "view"
+  >;
+
+  getCompetitionCount: TypedContractMethod<[], [bigint], "view">;
+
+  getCompetitions: TypedContractMethod<
+    [_offset: BigNumberish, _limit: BigNumberish],
+    [LiteratureReviewFactory.CompetitionStructOutput[]],
+    "view"
+  >;
+
+  getCompetitionsByOwner: TypedContractMethod<
+    [_owner: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  isCompetition: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "IMPLEMENTATION"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "createCompetition"
+  ): TypedContractMethod<
+    [
+      _name: string,
+      _owner: AddressLike,
+      _submissionFee: BigNumberish,
+      _reviewStake: BigNumberish,
+      _categories: string[]
+    ],
+    [[bigint, string] & { competitionId: bigint; system: string }],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "getCompetition"
+  ): TypedContractMethod<
+    [_competitionId: BigNumberish],
+    [LiteratureReviewFactory.CompetitionStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCompetitionCount"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getCompetitions"
+  ): TypedContractMethod<
+    [_offset: BigNumberish, _limit: BigNumberish],
+    [LiteratureReviewFactory.CompetitionStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCompetitionsByOwner"
+  ): TypedContractMethod<[_owner: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "isCompetition"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  getEvent(
+    key: "CompetitionCreated"
+  ): TypedContractEvent<
+    CompetitionCreatedEvent.InputTuple,
+    CompetitionCreatedEvent.OutputTuple,
+    CompetitionCreatedEvent.OutputObject
+  >;
+
+  filters: {
+    "CompetitionCreated(uint256,address,address,string)": TypedContractEvent<
+      CompetitionCreatedEvent.InputTuple,
+      CompetitionCreatedEvent.OutputTuple,
+      CompetitionCreatedEvent.OutputObject
+    >;
+    CompetitionCreated: TypedContractEvent<
+      CompetitionCreatedEvent.InputTuple,
+      CompetitionCreatedEvent.OutputTuple,
+      CompetitionCreatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,4504 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace LiteratureReviewStorage {
+  export type AwardStruct = {
+    category: string;
+    winner: AddressLike;
+    totalScore: BigNumberish;
+    announced: boolean;
+    announcementTime: BigNumberish;
+    workId: BigNumberish;
+  };
+
+  export type AwardStructOutput = [
+    category: string,
+    winner: string,
+    totalScore: bigint,
+    announced: boolean,
+    announcementTime: bigint,
+    workId: bigint
+  ] & {
+    category: string;
+    winner: string;
+    totalScore: bigint;
+    announced: boolean;
+    announcementTime: bigint;
+    workId: bigint;
+  };
+
+  export type SubmissionSummaryStruct = {
+    workId: BigNumberish;
+    title: string;
+    author: string;
+    genre: string;
+    manuscriptCid: string;
+    reviewed: boolean;
+    submissionTime: BigNumberish;
+    submitter: AddressLike;
+    depositAmount: BigNumberish;
+    refundClaimed: boolean;
+    insufficientReviews: boolean;
+    reviewCount: BigNumberish;
+    decryptionRequestTime: BigNumberish;
+    decryptionCompleted: boolean;
+    decryptionFailed: boolean;
+    decryptedScore: BigNumberish;
+  };
+
+  export type SubmissionSummaryStructOutput = [
+    workId: bigint,
+    title: string,
+    author: string,
+    genre: string,
+    manuscriptCid: string,
+    reviewed: boolean,
+    submissionTime: bigint,
+    submitter: string,
+    depositAmount: bigint,
+    refundClaimed: boolean,
+    insufficientReviews: boolean,
+    reviewCount: bigint,
+    decryptionRequestTime: bigint,
+    decryptionCompleted: boolean,
+    decryptionFailed: boolean,
+    decryptedScore: bigint
+  ] & {
+    workId: bigint;
+    title: string;
+    author: string;
+    genre: string;
+    manuscriptCid: string;
+    reviewed: boolean;
+    submissionTime: bigint;
+    submitter: string;
+    depositAmount: bigint;
+    refundClaimed: boolean;
+    insufficientReviews: boolean;
+    reviewCount: bigint;
+    decryptionRequestTime: bigint;
+    decryptionCompleted: boolean;
+    decryptionFailed: boolean;
+    decryptedScore: bigint;
+  };
+}
+
+export interface LiteratureReviewSystemInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "CHAIR_ROLE"
+      | "DECRYPTION_TIMEOUT"
+      | "DEFAULT_CRITERION_WEIGHT"
+      | "DEFAULT_REVIEWERS_PER_WORK"
+      | "DEFAULT_REVIEWER_QUOTA"
+      | "DEFAULT_REVIEW_QUORUM"
+      | "GUARDIAN_ROLE"
+      | "MAX_CRITERION_WEIGHT"
+      | "MAX_PAGE_SIZE"
+      | "MAX_SCORE"
+      | "MIN_SCORE"
+      | "REVIEW_STAKE"
+      | "REVIEW_TIMEOUT"
+      | "SUBMISSION_FEE"
+      | "TREASURER_ROLE"
+      | "acceptOwnership"
+      | "addCategory"
+      | "announceAwards"
+      | "approveReviewer"
+      | "approveReviewers"
+      | "assignReviewers"
+      | "assignReviewersBatch"
+      | "assignmentCursor"
+      | "authorizedReviewers"
+      | "awardDecryptionCallback"
+      | "awardDecryptionRequests"
+      | "awards"
+      | "awardsAnnounced"
+      | "belowQuorum"
+      | "calculateResults"
+      | "calculateResultsBatch"
+      | "claimDecryptionFailureRefund"
+      | "claimInsufficientReviewsRefund"
+      | "claimReviewerTimeoutRefund"
+      | "claimTimeoutRefund"
+      | "computeIdentityCommitment"
+      | "currentReviewPeriod"
+      | "currentSubmissionPeriod"
+      | "declareAffiliation"
+      | "decryptionCursor"
+      | "decryptionRequests"
+      | "deploymentBlock"
+      | "doubleBlind"
+      | "encryptionKeys"
+      | "getAffiliations"
+      | "getAssignedWorks"
+      | "getAwardDetails"
+      | "getAwards"
+      | "getCategories"
+      | "getCriterionWeights"
+      | "getDecryptionStatus"
+      | "getEncryptedScores"
+      | "getManuscriptCid"
+      | "getPeriodSchedule"
+      | "getPeriodStats"
+      | "getRegisteredReviewers"
+      | "getReviewFeedback"
+      | "getReviewQuorum"
+      | "getReviewerCounts"
+      | "getReviewerProfile"
+      | "getReviewersByStatus"
+      | "getSubmissionInfo"
+      | "getSubmissionsPage"
+      | "getWorkAssignees"
+      | "getWorkReviewers"
+      | "grantRole"
+      | "hasRecused"
+      | "hasRole"
+      | "identityCommitments"
+      | "initialize"
+      | "isAffiliated"
+      | "isAssigned"
+      | "isRefundClaimable"
+      | "isReviewPeriodActive"
+      | "isSubmissionPeriodActive"
+      | "markDecryptionFailed"
+      | "nextRequestId"
+      | "owner"
+      | "pause"
+      | "paused"
+      | "pendingOwner"
+      | "platformFees"
+      | "protocolId"
+      | "publishEncryptionKey"
+      | "reassignReviewer"
+      | "recuseFromReview"
+      | "registerReviewer"
+      | "renameCategory"
+      | "renounceRole"
+      | "requestScoreDecryption"
+      | "requestScoreDecryptionBatch"
+      | "resultsCalculated"
+      | "resultsCursor"
+      | "retireCategory"
+      | "revealIdentity"
+      | "reviewCountPerPeriod"
+      | "reviewerQuota"
+      | "reviewerStatus"
+      | "reviewers"
+      | "reviewersAssigned"
+      | "reviewersPerWork"
+      | "reviews"
+      | "revokeReviewer"
+      | "revokeRole"
+      | "scoreDecryptionCallback"
+      | "setAssignmentConfig"
+      | "setCriterionWeights"
+      | "setDoubleBlind"
+      | "setPeriodSchedule"
+      | "setReviewQuorum"
+      | "startReviewPeriod"
+      | "startSubmissionPeriod"
+      | "submissions"
+      | "submitReview"
+      | "submitReviewEncrypted"
+      | "submitWork"
+      | "submitWorkBlind"
+      | "transferOwnership"
+      | "unpause"
+      | "withdrawPlatformFees"
+      | "workCountPerPeriod"
+      | "workDecryptionRequestId"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AffiliationDeclared"
+      | "AssignmentBatchProcessed"
+      | "AssignmentConfigUpdated"
+      | "AuditLog"
+      | "AwardAnnounced"
+      | "AwardDecryptionRequested"
+      | "AwardWinnerDecrypted"
+      | "CategoryAdded"
+      | "CategoryRenamed"
+      | "CategoryRetired"
+      | "ContractPaused"
+      | "ContractUnpaused"
+      | "CriterionWeightsUpdated"
+      | "DecryptionBatchProcessed"
+      | "DecryptionCompleted"
+      | "DecryptionFailed"
+      | "DecryptionFailureRefundIssued"
+      | "DecryptionFulfilled"
+      | "DecryptionRequested"
+      | "DecryptionTimeout"
+      | "DoubleBlindUpdated"
+      | "EncryptionKeyPublished"
+      | "GatewayCallbackExecuted"
+      | "IdentityRevealed"
+      | "OwnershipTransferStarted"
+      | "OwnershipTransferred"
+      | "PeriodScheduled"
+      | "RefundClaimed"
+      | "ResultsBatchProcessed"
+      | "ReviewPeriodStarted"
+      | "ReviewQuorumUpdated"
+      | "ReviewSubmitted"
+      | "ReviewerApproved"
+      | "ReviewerAssigned"
+      | "ReviewerRecused"
+      | "ReviewerRegistered"
+      | "ReviewerRevoked"
+      | "ReviewerTimeoutRefundIssued"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "SubmissionPeriodStarted"
+      | "SubmitterTimeoutRefundIssued"
+      | "TimeoutRefundClaimed"
+      | "WorkBelowQuorum"
+      | "WorkSubmitted"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "CHAIR_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DECRYPTION_TIMEOUT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_CRITERION_WEIGHT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_REVIEWERS_PER_WORK",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_REVIEWER_QUOTA",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_REVIEW_QUORUM",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "GUARDIAN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_CRITERION_WEIGHT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_PAGE_SIZE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "MAX_SCORE", values?: undefined): string;
+  encodeFunctionData(functionFragment: "MIN_SCORE", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "REVIEW_STAKE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "REVIEW_TIMEOUT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "SUBMISSION_FEE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "TREASURER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "acceptOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "addCategory", values: [string]): string;
+  encodeFunctionData(
+    functionFragment: "announceAwards",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "approveReviewer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "approveReviewers",
+    values: [AddressLike[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "assignReviewers",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "assignReviewersBatch",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "assignmentCursor",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizedReviewers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awardDecryptionCallback",
+    values: [BigNumberish, BytesLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awardDecryptionRequests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awards",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "awardsAnnounced",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "belowQuorum",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateResults",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateResultsBatch",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimDecryptionFailureRefund",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimInsufficientReviewsRefund",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimReviewerTimeoutRefund",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimTimeoutRefund",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "computeIdentityCommitment",
+    values: [string, AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "currentReviewPeriod",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "currentSubmissionPeriod",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "declareAffiliation",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "decryptionCursor",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "decryptionRequests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deploymentBlock",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "doubleBlind",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "encryptionKeys",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAffiliations",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAssignedWorks",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAwardDetails",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAwards",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCategories",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCriterionWeights",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDecryptionStatus",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getEncryptedScores",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getManuscriptCid",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPeriodSchedule",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPeriodStats",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRegisteredReviewers",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewFeedback",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewQuorum",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewerCounts",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewerProfile",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewersByStatus",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSubmissionInfo",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSubmissionsPage",
+    values: [BigNumberish, BigNumberish, BigNumberish, string, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWorkAssignees",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getWorkReviewers",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRecused",
+    values: [BigNumberish, BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "identityCommitments",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike, BigNumberish, BigNumberish, string[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isAffiliated",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isAssigned",
+    values: [BigNumberish, BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isRefundClaimable",
+    values: [BigNumberish, BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isReviewPeriodActive",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isSubmissionPeriodActive",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "markDecryptionFailed",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nextRequestId",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pendingOwner",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "platformFees",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "protocolId",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "publishEncryptionKey",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reassignReviewer",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recuseFromReview",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerReviewer",
+    values: [string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renameCategory",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceRole",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestScoreDecryption",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestScoreDecryptionBatch",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "resultsCalculated",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "resultsCursor",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "retireCategory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revealIdentity",
+    values: [BigNumberish, BigNumberish, string, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewCountPerPeriod",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewerQuota",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewerStatus",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewersAssigned",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewersPerWork",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviews",
+    values: [BigNumberish, BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeReviewer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "scoreDecryptionCallback",
+    values: [BigNumberish, BytesLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setAssignmentConfig",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setCriterionWeights",
+    values: [BigNumberish, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setDoubleBlind",
+    values: [BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setPeriodSchedule",
+    values: [
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReviewQuorum",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "startReviewPeriod",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "startSubmissionPeriod",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submissions",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitReview",
+    values: [BigNumberish, BigNumberish, BigNumberish, BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitReviewEncrypted",
+    values: [BigNumberish, BytesLike, BytesLike, BytesLike, BytesLike, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitWork",
+    values: [string, string, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitWorkBlind",
+    values: [string, string, string, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "withdrawPlatformFees",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "workCountPerPeriod",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "workDecryptionRequestId",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "CHAIR_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DECRYPTION_TIMEOUT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_CRITERION_WEIGHT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_REVIEWERS_PER_WORK",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_REVIEWER_QUOTA",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_REVIEW_QUORUM",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "GUARDIAN_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_CRITERION_WEIGHT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_PAGE_SIZE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "MAX_SCORE", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "MIN_SCORE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "REVIEW_STAKE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "REVIEW_TIMEOUT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "SUBMISSION_FEE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "TREASURER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "acceptOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "addCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "announceAwards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "approveReviewer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "approveReviewers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "assignReviewers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "assignReviewersBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "assignmentCursor",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizedReviewers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "awardDecryptionCallback",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "awardDecryptionRequests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "awards", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "awardsAnnounced",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "belowQuorum",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateResults",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateResultsBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimDecryptionFailureRefund",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimInsufficientReviewsRefund",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimReviewerTimeoutRefund",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimTimeoutRefund",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "computeIdentityCommitment",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "currentReviewPeriod",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "currentSubmissionPeriod",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "declareAffiliation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "decryptionCursor",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "decryptionRequests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "deploymentBlock",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "doubleBlind",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "encryptionKeys",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAffiliations",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAssignedWorks",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAwardDetails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getAwards", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getCategories",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCriterionWeights",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDecryptionStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getEncryptedScores",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getManuscriptCid",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPeriodSchedule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPeriodStats",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRegisteredReviewers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewFeedback",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewQuorum",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewerCounts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewerProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewersByStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSubmissionInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSubmissionsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWorkAssignees",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getWorkReviewers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRecused", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "identityCommitments",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isAffiliated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "isAssigned", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isRefundClaimable",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isReviewPeriodActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isSubmissionPeriodActive",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "markDecryptionFailed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "nextRequestId",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingOwner",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "platformFees",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "protocolId", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "publishEncryptionKey",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reassignReviewer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recuseFromReview",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registerReviewer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renameCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceRole",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestScoreDecryption",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "requestScoreDecryptionBatch",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "resultsCalculated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "resultsCursor",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "retireCategory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revealIdentity",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewCountPerPeriod",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewerQuota",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewerStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "reviewers", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewersAssigned",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewersPerWork",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "reviews", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "revokeReviewer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "scoreDecryptionCallback",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setAssignmentConfig",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setCriterionWeights",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setDoubleBlind",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setPeriodSchedule",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReviewQuorum",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "startReviewPeriod",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "startSubmissionPeriod",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submitReview",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submitReviewEncrypted",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "submitWork", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "submitWorkBlind",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawPlatformFees",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "workCountPerPeriod",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "workDecryptionRequestId",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AffiliationDeclaredEvent {
+  export type InputTuple = [reviewer: AddressLike, affiliate: AddressLike];
+  export type OutputTuple = [reviewer: string, affiliate: string];
+  export interface OutputObject {
+    reviewer: string;
+    affiliate: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AssignmentBatchProcessedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    processed: BigNumberish,
+    total: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, processed: bigint, total: bigint];
+  export interface OutputObject {
+    period: bigint;
+    processed: bigint;
+    total: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AssignmentConfigUpdatedEvent {
+  export type InputTuple = [
+    reviewersPerWork: BigNumberish,
+    reviewerQuota: BigNumberish
+  ];
+  export type OutputTuple = [reviewersPerWork: bigint, reviewerQuota: bigint];
+  export interface OutputObject {
+    reviewersPerWork: bigint;
+    reviewerQuota: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AuditLogEvent {
+  export type InputTuple = [
+    action: string,
+    user: AddressLike,
+    timestamp: BigNumberish,
+    details: string
+  ];
+  export type OutputTuple = [
+    action: string,
+    user: string,
+    timestamp: bigint,
+    details: string
+  ];
+  export interface OutputObject {
+    action: string;
+    user: string;
+    timestamp: bigint;
+    details: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AwardAnnouncedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    category: string,
+    winner: AddressLike
+  ];
+  export type OutputTuple = [period: bigint, category: string, winner: string];
+  export interface OutputObject {
+    period: bigint;
+    category: string;
+    winner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AwardDecryptionRequestedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    category: string,
+    requestId: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    category: string,
+    requestId: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    category: string;
+    requestId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AwardWinnerDecryptedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    category: string,
+    winner: AddressLike,
+    score: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    category: string,
+    winner: string,
+    score: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    category: string;
+    winner: string;
+    score: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CategoryAddedEvent {
+  export type InputTuple = [categoryId: BigNumberish, name: string];
+  export type OutputTuple = [categoryId: bigint, name: string];
+  export interface OutputObject {
+    categoryId: bigint;
+    name: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CategoryRenamedEvent {
+  export type InputTuple = [
+    categoryId: BigNumberish,
+    oldName: string,
+    newName: string
+  ];
+  export type OutputTuple = [
+    categoryId: bigint,
+    oldName: string,
+    newName: string
+  ];
+  export interface OutputObject {
+    categoryId: bigint;
+    oldName: string;
+    newName: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CategoryRetiredEvent {
+  export type InputTuple = [categoryId: BigNumberish, name: string];
+  export type OutputTuple = [categoryId: bigint, name: string];
+  export interface OutputObject {
+    categoryId: bigint;
+    name: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ContractPausedEvent {
+  export type InputTuple = [by: AddressLike];
+  export type OutputTuple = [by: string];
+  export interface OutputObject {
+    by: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ContractUnpausedEvent {
+  export type InputTuple = [by: AddressLike];
+  export type OutputTuple = [by: string];
+  export interface OutputObject {
+    by: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CriterionWeightsUpdatedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    quality: BigNumberish,
+    originality: BigNumberish,
+    impact: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    quality: bigint,
+    originality: bigint,
+    impact: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    quality: bigint;
+    originality: bigint;
+    impact: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionBatchProcessedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    processed: BigNumberish,
+    total: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, processed: bigint, total: bigint];
+  export interface OutputObject {
+    period: bigint;
+    processed: bigint;
+    total: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionCompletedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    score: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, workId: bigint, score: bigint];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    score: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionFailedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    requestId: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, workId: bigint, requestId: bigint];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    requestId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionFailureRefundIssuedEvent {
+  export type InputTuple = [
+    reviewer: AddressLike,
+    amount: BigNumberish,
+    requestId: BigNumberish
+  ];
+  export type OutputTuple = [
+    reviewer: string,
+    amount: bigint,
+    requestId: bigint
+  ];
+  export interface OutputObject {
+    reviewer: string;
+    amount: bigint;
+    requestId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionFulfilledEvent {
+  export type InputTuple = [requestID: BigNumberish];
+  export type OutputTuple = [requestID: bigint];
+  export interface OutputObject {
+    requestID: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionRequestedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    requestId: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, workId: bigint, requestId: bigint];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    requestId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionTimeoutEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    requestId: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, workId: bigint, requestId: bigint];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    requestId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DoubleBlindUpdatedEvent {
+  export type InputTuple = [period: BigNumberish, enabled: boolean];
+  export type OutputTuple = [period: bigint, enabled: boolean];
+  export interface OutputObject {
+    period: bigint;
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EncryptionKeyPublishedEvent {
+  export type InputTuple = [account: AddressLike, publicKey: BytesLike];
+  export type OutputTuple = [account: string, publicKey: string];
+  export interface OutputObject {
+    account: string;
+    publicKey: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace GatewayCallbackExecutedEvent {
+  export type InputTuple = [
+    requestId: BigNumberish,
+    success: boolean,
+    score: BigNumberish
+  ];
+  export type OutputTuple = [
+    requestId: bigint,
+    success: boolean,
+    score: bigint
+  ];
+  export interface OutputObject {
+    requestId: bigint;
+    success: boolean;
+    score: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace IdentityRevealedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    submitter: AddressLike,
+    author: string
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    workId: bigint,
+    submitter: string,
+    author: string
+  ];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    submitter: string;
+    author: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferStartedEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PeriodScheduledEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    submissionOpen: BigNumberish,
+    submissionClose: BigNumberish,
+    reviewClose: BigNumberish,
+    announcement: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    submissionOpen: bigint,
+    submissionClose: bigint,
+    reviewClose: bigint,
+    announcement: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    submissionOpen: bigint;
+    submissionClose: bigint;
+    reviewClose: bigint;
+    announcement: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RefundClaimedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    amount: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [user: string, amount: bigint, reason: string];
+  export interface OutputObject {
+    user: string;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ResultsBatchProcessedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    processed: BigNumberish,
+    total: BigNumberish
+  ];
+  export type OutputTuple = [period: bigint, processed: bigint, total: bigint];
+  export interface OutputObject {
+    period: bigint;
+    processed: bigint;
+    total: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewPeriodStartedEvent {
+  export type InputTuple = [period: BigNumberish, startTime: BigNumberish];
+  export type OutputTuple = [period: bigint, startTime: bigint];
+  export interface OutputObject {
+    period: bigint;
+    startTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewQuorumUpdatedEvent {
+  export type InputTuple = [period: BigNumberish, quorum: BigNumberish];
+  export type OutputTuple = [period: bigint, quorum: bigint];
+  export interface OutputObject {
+    period: bigint;
+    quorum: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewSubmittedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    reviewer: AddressLike,
+    stake: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    workId: bigint,
+    reviewer: string,
+    stake: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    reviewer: string;
+    stake: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerApprovedEvent {
+  export type InputTuple = [reviewer: AddressLike];
+  export type OutputTuple = [reviewer: string];
+  export interface OutputObject {
+    reviewer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerAssignedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    reviewer: AddressLike
+  ];
+  export type OutputTuple = [period: bigint, workId: bigint, reviewer: string];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    reviewer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerRecusedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    reviewer: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    workId: bigint,
+    reviewer: string,
+    reason: string
+  ];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    reviewer: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerRegisteredEvent {
+  export type InputTuple = [
+    reviewer: AddressLike,
+    name: string,
+    stake: BigNumberish
+  ];
+  export type OutputTuple = [reviewer: string, name: string, stake: bigint];
+  export interface OutputObject {
+    reviewer: string;
+    name: string;
+    stake: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerRevokedEvent {
+  export type InputTuple = [reviewer: AddressLike];
+  export type OutputTuple = [reviewer: string];
+  export interface OutputObject {
+    reviewer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerTimeoutRefundIssuedEvent {
+  export type InputTuple = [
+    reviewer: AddressLike,
+    amount: BigNumberish,
+    period: BigNumberish,
+    workId: BigNumberish
+  ];
+  export type OutputTuple = [
+    reviewer: string,
+    amount: bigint,
+    period: bigint,
+    workId: bigint
+  ];
+  export interface OutputObject {
+    reviewer: string;
+    amount: bigint;
+    period: bigint;
+    workId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SubmissionPeriodStartedEvent {
+  export type InputTuple = [period: BigNumberish, startTime: BigNumberish];
+  export type OutputTuple = [period: bigint, startTime: bigint];
+  export interface OutputObject {
+    period: bigint;
+    startTime: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SubmitterTimeoutRefundIssuedEvent {
+  export type InputTuple = [
+    submitter: AddressLike,
+    amount: BigNumberish,
+    period: BigNumberish,
+    workId: BigNumberish
+  ];
+  export type OutputTuple = [
+    submitter: string,
+    amount: bigint,
+    period: bigint,
+    workId: bigint
+  ];
+  export interface OutputObject {
+    submitter: string;
+    amount: bigint;
+    period: bigint;
+    workId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TimeoutRefundClaimedEvent {
+  export type InputTuple = [
+    user: AddressLike,
+    period: BigNumberish,
+    workId: BigNumberish,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    user: string,
+    period: bigint,
+    workId: bigint,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    user: string;
+    period: bigint;
+    workId: bigint;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WorkBelowQuorumEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    reviewCount: BigNumberish,
+    quorum: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    workId: bigint,
+    reviewCount: bigint,
+    quorum: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    reviewCount: bigint;
+    quorum: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WorkSubmittedEvent {
+  export type InputTuple = [
+    period: BigNumberish,
+    workId: BigNumberish,
+    submitter: AddressLike,
+    deposit: BigNumberish
+  ];
+  export type OutputTuple = [
+    period: bigint,
+    workId: bigint,
+    submitter: string,
+    deposit: bigint
+  ];
+  export interface OutputObject {
+    period: bigint;
+    workId: bigint;
+    submitter: string;
+    deposit: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface LiteratureReviewSystem extends BaseContract {
+  connect(runner?: ContractRunner | null): LiteratureReviewSystem;
+  waitForDeployment(): Promise<this>;
+
+  interface: LiteratureReviewSystemInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  CHAIR_ROLE: TypedContractMethod<[], [string], "view">;
+
+  DECRYPTION_TIMEOUT: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_CRITERION_WEIGHT: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_REVIEWERS_PER_WORK: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_REVIEWER_QUOTA: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_REVIEW_QUORUM: TypedContractMethod<[], [bigint], "view">;
+
+  GUARDIAN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MAX_CRITERION_WEIGHT: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_PAGE_SIZE: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_SCORE: TypedContractMethod<[], [bigint], "view">;
+
+  MIN_SCORE: TypedContractMethod<[], [bigint], "view">;
+
+  REVIEW_STAKE: TypedContractMethod<[], [bigint], "view">;
+
+  REVIEW_TIMEOUT: TypedContractMethod<[], [bigint], "view">;
+
+  SUBMISSION_FEE: TypedContractMethod<[], [bigint], "view">;
+
+  TREASURER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  acceptOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  addCategory: TypedContractMethod<[_name: string], [bigint], "nonpayable">;
+
+  announceAwards: TypedContractMethod<
+    [_period: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  approveReviewer: TypedContractMethod<
+    [_reviewer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  approveReviewers: TypedContractMethod<
+    [_reviewers: AddressLike[]],
+    [void],
+    "nonpayable"
+  >;
+
+  assignReviewers: TypedContractMethod<
+    [_period: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  assignReviewersBatch: TypedContractMethod<
+    [_period: BigNumberish, _maxWorks: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  assignmentCursor: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  authorizedReviewers: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  awardDecryptionCallback: TypedContractMethod<
+    [
+      requestId: BigNumberish,
+      cleartexts: BytesLike,
+      decryptionProof: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  awardDecryptionRequests: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        period: bigint;
+        awardIndex: bigint;
+        completed: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  awards: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [
+      [string, string, bigint, boolean, bigint, bigint] & {
+        category: string;
+        winner: string;
+        totalScore: bigint;
+        announced: boolean;
+        announcementTime: bigint;
+        workId: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  awardsAnnounced: TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+
+  belowQuorum: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  calculateResults: TypedContractMethod<
+    [_period: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  calculateResultsBatch: TypedContractMethod<
+    [_period: BigNumberish, _maxWorks: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  claimDecryptionFailureRefund: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimInsufficientReviewsRefund: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimReviewerTimeoutRefund: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  claimTimeoutRefund: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  computeIdentityCommitment: TypedContractMethod<
+    [_author: string, _submitter: AddressLike, _salt: BytesLike],
+    [string],
+    "view"
+  >;
+
+  currentReviewPeriod: TypedContractMethod<[], [bigint], "view">;
+
+  currentSubmissionPeriod: TypedContractMethod<[], [bigint], "view">;
+
+  declareAffiliation: TypedContractMethod<
+    [_affiliate: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  decryptionCursor: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  decryptionRequests: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, string, bigint, boolean, boolean, bigint] & {
+        period: bigint;
+        workId: bigint;
+        requester: string;
+        requestTime: bigint;
+        completed: boolean;
+        failed: boolean;
+        decryptedScore: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  deploymentBlock: TypedContractMethod<[], [bigint], "view">;
+
+  doubleBlind: TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+
+  encryptionKeys: TypedContractMethod<[arg0: AddressLike], [string], "view">;
+
+  getAffiliations: TypedContractMethod<
+    [_reviewer: AddressLike],
+    [string[]],
+    "view"
+  >;
+
+  getAssignedWorks: TypedContractMethod<
+    [_period: BigNumberish, _reviewer: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getAwardDetails: TypedContractMethod<
+    [_period: BigNumberish],
+    [LiteratureReviewStorage.AwardStructOutput[]],
+    "view"
+  >;
+
+  getAwards: TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [string[], string[], boolean[]] & {
+        categories: string[];
+        winners: string[];
+        announced: boolean[];
+      }
+    ],
+    "view"
+  >;
+
+  getCategories: TypedContractMethod<
+    [],
+    [[string[], boolean[]] & { names: string[]; active: boolean[] }],
+    "view"
+  >;
+
+  getCriterionWeights: TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        quality: bigint;
+        originality: bigint;
+        impact: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDecryptionStatus: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [
+      [bigint, boolean, boolean, bigint, bigint] & {
+        requestId: bigint;
+        completed: boolean;
+        failed: boolean;
+        decryptedScore: bigint;
+        requestTime: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getEncryptedScores: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [
+      [string, string, string, string] & {
+        aggregate: string;
+        quality: string;
+        originality: string;
+        impact: string;
+      }
+    ],
+    "view"
+  >;
+
+  getManuscriptCid: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  getPeriodSchedule: TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        submissionOpen: bigint;
+        submissionClose: bigint;
+        reviewClose: bigint;
+        announcement: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getPeriodStats: TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [bigint, boolean, boolean] & {
+        totalSubmissions: bigint;
+        submissionActive: boolean;
+        reviewActive: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getRegisteredReviewers: TypedContractMethod<
+    [_offset: BigNumberish, _limit: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  getReviewFeedback: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [[string[], string[]] & { reviewerList: string[]; comments: string[] }],
+    "view"
+  >;
+
+  getReviewQuorum: TypedContractMethod<
+    [_period: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getReviewerCounts: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        registered: bigint;
+        pending: bigint;
+        active: bigint;
+        revoked: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReviewerProfile: TypedContractMethod<
+    [_reviewer: AddressLike],
+    [
+      [string, string, boolean, bigint, bigint] & {
+        name: string;
+        expertise: string;
+        isActive: boolean;
+        reviewCount: bigint;
+        stakedAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReviewersByStatus: TypedContractMethod<
+    [_status: BigNumberish, _offset: BigNumberish, _limit: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  getSubmissionInfo: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        boolean,
+        boolean,
+        bigint,
+        string,
+        bigint,
+        boolean,
+        boolean
+      ] & {
+        title: string;
+        author: string;
+        genre: string;
+        submitted: boolean;
+        reviewed: boolean;
+        submissionTime: bigint;
+        submitter: string;
+        depositAmount: bigint;
+        refundClaimed: boolean;
+        insufficientReviews: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getSubmissionsPage: TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _fromWorkId: BigNumberish,
+      _limit: BigNumberish,
+      _genre: string,
+      _submitter: AddressLike
+    ],
+    [
+      [LiteratureReviewStorage.SubmissionSummaryStructOutput[], bigint] & {
+        page: LiteratureReviewStorage.SubmissionSummaryStructOutput[];
+        nextWorkId: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getWorkAssignees: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  getWorkReviewers: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasRecused: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  hasRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  identityCommitments: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [
+      _owner: AddressLike,
+      _submissionFee: BigNumberish,
+      _reviewStake: BigNumberish,
+      _categories: string[]
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  isAffiliated: TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isAssigned: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isRefundClaimable: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish, _reviewer: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isReviewPeriodActive: TypedContractMethod<[], [boolean], "view">;
+
+  isSubmissionPeriodActive: TypedContractMethod<[], [boolean], "view">;
+
+  markDecryptionFailed: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  nextRequestId: TypedContractMethod<[], [bigint], "view">;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  pendingOwner: TypedContractMethod<[], [string], "view">;
+
+  platformFees: TypedContractMethod<[], [bigint], "view">;
+
+  protocolId: TypedContractMethod<[], [bigint], "view">;
+
+  publishEncryptionKey: TypedContractMethod<
+    [_publicKey: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  reassignReviewer: TypedContractMethod<
+    [_workId: BigNumberish, _reviewer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  recuseFromReview: TypedContractMethod<
+    [_workId: BigNumberish, _reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  registerReviewer: TypedContractMethod<
+    [_name: string, _expertise: string],
+    [void],
+    "payable"
+  >;
+
+  renameCategory: TypedContractMethod<
+    [_categoryId: BigNumberish, _newName: string],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceRole: TypedContractMethod<[role: BytesLike], [void], "nonpayable">;
+
+  requestScoreDecryption: TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  requestScoreDecryptionBatch: TypedContractMethod<
+    [_period: BigNumberish, _maxWorks: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  resultsCalculated: TypedContractMethod<
+    [arg0: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  resultsCursor: TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+
+  retireCategory: TypedContractMethod<
+    [_categoryId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  revealIdentity: TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _workId: BigNumberish,
+      _author: string,
+      _salt: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  reviewCountPerPeriod: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  reviewerQuota: TypedContractMethod<[], [bigint], "view">;
+
+  reviewerStatus: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  reviewers: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [string, string, boolean, bigint, string, bigint, bigint] & {
+        name: string;
+        expertise: string;
+        isActive: boolean;
+        reviewCount: bigint;
+        averageScore: string;
+        stakedAmount: bigint;
+        registrationTime: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  reviewersAssigned: TypedContractMethod<
+    [arg0: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  reviewersPerWork: TypedContractMethod<[], [bigint], "view">;
+
+  reviews: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike],
+    [
+      [
+        string,
+        string,
+        string,
+        string,
+        boolean,
+        string,
+        bigint,
+        bigint,
+        boolean
+      ] & {
+        encryptedQualityScore: string;
+        encryptedOriginalityScore: string;
+        encryptedImpactScore: string;
+        encryptedComments: string;
+        submitted: boolean;
+        reviewer: string;
+        reviewTime: bigint;
+        stakeAmount: bigint;
+        refundClaimed: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  revokeReviewer: TypedContractMethod<
+    [_reviewer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  scoreDecryptionCallback: TypedContractMethod<
+    [
+      requestId: BigNumberish,
+      cleartexts: BytesLike,
+      decryptionProof: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setAssignmentConfig: TypedContractMethod<
+    [_reviewersPerWork: BigNumberish, _reviewerQuota: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setCriterionWeights: TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _quality: BigNumberish,
+      _originality: BigNumberish,
+      _impact: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setDoubleBlind: TypedContractMethod<
+    [_period: BigNumberish, _enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setPeriodSchedule: TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _submissionOpen: BigNumberish,
+      _submissionClose: BigNumberish,
+      _reviewClose: BigNumberish,
+      _announcement: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setReviewQuorum: TypedContractMethod<
+    [_period: BigNumberish, _quorum: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  startReviewPeriod: TypedContractMethod<[], [void], "nonpayable">;
+
+  startSubmissionPeriod: TypedContractMethod<[], [void], "nonpayable">;
+
+  submissions: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        bigint,
+        string,
+        boolean,
+        boolean,
+        bigint,
+        string,
+        string,
+        bigint,
+        boolean
+      ] & {
+        title: string;
+        author: string;
+        genre: string;
+        categoryId: bigint;
+        encryptedScore: string;
+        submitted: boolean;
+        reviewed: boolean;
+        submissionTime: bigint;
+        submitter: string;
+        ipfsHash: string;
+        depositAmount: bigint;
+        refundClaimed: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  submitReview: TypedContractMethod<
+    [
+      _workId: BigNumberish,
+      _qualityScore: BigNumberish,
+      _originalityScore: BigNumberish,
+      _impactScore: BigNumberish,
+      _encryptedComments: string
+    ],
+    [void],
+    "payable"
+  >;
+
+  submitReviewEncrypted: TypedContractMethod<
+    [
+      _workId: BigNumberish,
+      _encryptedQuality: BytesLike,
+      _encryptedOriginality: BytesLike,
+      _encryptedImpact: BytesLike,
+      _inputProof: BytesLike,
+      _encryptedComments: string
+    ],
+    [void],
+    "payable"
+  >;
+
+  submitWork: TypedContractMethod<
+    [_title: string, _author: string, _genre: string, _ipfsHash: string],
+    [void],
+    "payable"
+  >;
+
+  submitWorkBlind: TypedContractMethod<
+    [
+      _title: string,
+      _genre: string,
+      _ipfsHash: string,
+      _identityCommitment: BytesLike
+    ],
+    [void],
+    "payable"
+  >;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  withdrawPlatformFees: TypedContractMethod<
+    [to: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  workCountPerPeriod: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  workDecryptionRequestId: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "CHAIR_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "DECRYPTION_TIMEOUT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_CRITERION_WEIGHT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_REVIEWERS_PER_WORK"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_REVIEWER_QUOTA"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_REVIEW_QUORUM"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "GUARDIAN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MAX_CRITERION_WEIGHT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_PAGE_SIZE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_SCORE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MIN_SCORE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "REVIEW_STAKE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "REVIEW_TIMEOUT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "SUBMISSION_FEE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "TREASURER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "acceptOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "addCategory"
+  ): TypedContractMethod<[_name: string], [bigint], "nonpayable">;
+  getFunction(
+    nameOrSignature: "announceAwards"
+  ): TypedContractMethod<[_period: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "approveReviewer"
+  ): TypedContractMethod<[_reviewer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "approveReviewers"
+  ): TypedContractMethod<[_reviewers: AddressLike[]], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "assignReviewers"
+  ): TypedContractMethod<[_period: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "assignReviewersBatch"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _maxWorks: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "assignmentCursor"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "authorizedReviewers"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "awardDecryptionCallback"
+  ): TypedContractMethod<
+    [
+      requestId: BigNumberish,
+      cleartexts: BytesLike,
+      decryptionProof: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "awardDecryptionRequests"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, boolean] & {
+        period: bigint;
+        awardIndex: bigint;
+        completed: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "awards"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [
+      [string, string, bigint, boolean, bigint, bigint] & {
+        category: string;
+        winner: string;
+        totalScore: bigint;
+        announced: boolean;
+        announcementTime: bigint;
+        workId: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "awardsAnnounced"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "belowQuorum"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "calculateResults"
+  ): TypedContractMethod<[_period: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "calculateResultsBatch"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _maxWorks: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimDecryptionFailureRefund"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimInsufficientReviewsRefund"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimReviewerTimeoutRefund"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimTimeoutRefund"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "computeIdentityCommitment"
+  ): TypedContractMethod<
+    [_author: string, _submitter: AddressLike, _salt: BytesLike],
+    [string],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "currentReviewPeriod"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "currentSubmissionPeriod"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "declareAffiliation"
+  ): TypedContractMethod<[_affiliate: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "decryptionCursor"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "decryptionRequests"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, string, bigint, boolean, boolean, bigint] & {
+        period: bigint;
+        workId: bigint;
+        requester: string;
+        requestTime: bigint;
+        completed: boolean;
+        failed: boolean;
+        decryptedScore: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "deploymentBlock"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "doubleBlind"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "encryptionKeys"
+  ): TypedContractMethod<[arg0: AddressLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getAffiliations"
+  ): TypedContractMethod<[_reviewer: AddressLike], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getAssignedWorks"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _reviewer: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAwardDetails"
+  ): TypedContractMethod<
+    [_period: BigNumberish],
+    [LiteratureReviewStorage.AwardStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getAwards"
+  ): TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [string[], string[], boolean[]] & {
+        categories: string[];
+        winners: string[];
+        announced: boolean[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCategories"
+  ): TypedContractMethod<
+    [],
+    [[string[], boolean[]] & { names: string[]; active: boolean[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getCriterionWeights"
+  ): TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        quality: bigint;
+        originality: bigint;
+        impact: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDecryptionStatus"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [
+      [bigint, boolean, boolean, bigint, bigint] & {
+        requestId: bigint;
+        completed: boolean;
+        failed: boolean;
+        decryptedScore: bigint;
+        requestTime: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getEncryptedScores"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [
+      [string, string, string, string] & {
+        aggregate: string;
+        quality: string;
+        originality: string;
+        impact: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getManuscriptCid"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [string],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPeriodSchedule"
+  ): TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        submissionOpen: bigint;
+        submissionClose: bigint;
+        reviewClose: bigint;
+        announcement: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPeriodStats"
+  ): TypedContractMethod<
+    [_period: BigNumberish],
+    [
+      [bigint, boolean, boolean] & {
+        totalSubmissions: bigint;
+        submissionActive: boolean;
+        reviewActive: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRegisteredReviewers"
+  ): TypedContractMethod<
+    [_offset: BigNumberish, _limit: BigNumberish],
+    [string[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewFeedback"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [[string[], string[]] & { reviewerList: string[]; comments: string[] }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewQuorum"
+  ): TypedContractMethod<[_period: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getReviewerCounts"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        registered: bigint;
+        pending: bigint;
+        active: bigint;
+        revoked: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewerProfile"
+  ): TypedContractMethod<
+    [_reviewer: AddressLike],
+    [
+      [string, string, boolean, bigint, bigint] & {
+        name: string;
+        expertise: string;
+        isActive: boolean;
+        reviewCount: bigint;
+        stakedAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewersByStatus"
+  ): TypedContractMethod<
+    [_status: BigNumberish, _offset: BigNumberish, _limit: BigNumberish],
+    [string[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSubmissionInfo"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        boolean,
+        boolean,
+        bigint,
+        string,
+        bigint,
+        boolean,
+        boolean
+      ] & {
+        title: string;
+        author: string;
+        genre: string;
+        submitted: boolean;
+        reviewed: boolean;
+        submissionTime: bigint;
+        submitter: string;
+        depositAmount: bigint;
+        refundClaimed: boolean;
+        insufficientReviews: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSubmissionsPage"
+  ): TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _fromWorkId: BigNumberish,
+      _limit: BigNumberish,
+      _genre: string,
+      _submitter: AddressLike
+    ],
+    [
+      [LiteratureReviewStorage.SubmissionSummaryStructOutput[], bigint] & {
+        page: LiteratureReviewStorage.SubmissionSummaryStructOutput[];
+        nextWorkId: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getWorkAssignees"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getWorkReviewers"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [string[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasRecused"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "identityCommitments"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [string],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      _owner: AddressLike,
+      _submissionFee: BigNumberish,
+      _reviewStake: BigNumberish,
+      _categories: string[]
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "isAffiliated"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isAssigned"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isRefundClaimable"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish, _reviewer: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isReviewPeriodActive"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isSubmissionPeriodActive"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "markDecryptionFailed"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "nextRequestId"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pendingOwner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "platformFees"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "protocolId"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "publishEncryptionKey"
+  ): TypedContractMethod<[_publicKey: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "reassignReviewer"
+  ): TypedContractMethod<
+    [_workId: BigNumberish, _reviewer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "recuseFromReview"
+  ): TypedContractMethod<
+    [_workId: BigNumberish, _reason: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "registerReviewer"
+  ): TypedContractMethod<
+    [_name: string, _expertise: string],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "renameCategory"
+  ): TypedContractMethod<
+    [_categoryId: BigNumberish, _newName: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "renounceRole"
+  ): TypedContractMethod<[role: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "requestScoreDecryption"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _workId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "requestScoreDecryptionBatch"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _maxWorks: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "resultsCalculated"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "resultsCursor"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "retireCategory"
+  ): TypedContractMethod<[_categoryId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "revealIdentity"
+  ): TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _workId: BigNumberish,
+      _author: string,
+      _salt: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "reviewCountPerPeriod"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "reviewerQuota"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "reviewerStatus"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "reviewers"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [string, string, boolean, bigint, string, bigint, bigint] & {
+        name: string;
+        expertise: string;
+        isActive: boolean;
+        reviewCount: bigint;
+        averageScore: string;
+        stakedAmount: bigint;
+        registrationTime: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "reviewersAssigned"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "reviewersPerWork"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "reviews"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike],
+    [
+      [
+        string,
+        string,
+        string,
+        string,
+        boolean,
+        string,
+        bigint,
+        bigint,
+        boolean
+      ] & {
+        encryptedQualityScore: string;
+        encryptedOriginalityScore: string;
+        encryptedImpactScore: string;
+        encryptedComments: string;
+        submitted: boolean;
+        reviewer: string;
+        reviewTime: bigint;
+        stakeAmount: bigint;
+        refundClaimed: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "revokeReviewer"
+  ): TypedContractMethod<[_reviewer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [role: BytesLike, account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "scoreDecryptionCallback"
+  ): TypedContractMethod<
+    [
+      requestId: BigNumberish,
+      cleartexts: BytesLike,
+      decryptionProof: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setAssignmentConfig"
+  ): TypedContractMethod<
+    [_reviewersPerWork: BigNumberish, _reviewerQuota: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setCriterionWeights"
+  ): TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _quality: BigNumberish,
+      _originality: BigNumberish,
+      _impact: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setDoubleBlind"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPeriodSchedule"
+  ): TypedContractMethod<
+    [
+      _period: BigNumberish,
+      _submissionOpen: BigNumberish,
+      _submissionClose: BigNumberish,
+      _reviewClose: BigNumberish,
+      _announcement: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setReviewQuorum"
+  ): TypedContractMethod<
+    [_period: BigNumberish, _quorum: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "startReviewPeriod"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "startSubmissionPeriod"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "submissions"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        bigint,
+        string,
+        boolean,
+        boolean,
+        bigint,
+        string,
+        string,
+        bigint,
+        boolean
+      ] & {
+        title: string;
+        author: string;
+        genre: string;
+        categoryId: bigint;
+        encryptedScore: string;
+        submitted: boolean;
+        reviewed: boolean;
+        submissionTime: bigint;
+        submitter: string;
+        ipfsHash: string;
+        depositAmount: bigint;
+        refundClaimed: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "submitReview"
+  ): TypedContractMethod<
+    [
+      _workId: BigNumberish,
+      _qualityScore: BigNumberish,
+      _originalityScore: BigNumberish,
+      _impactScore: BigNumberish,
+      _encryptedComments: string
+    ],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "submitReviewEncrypted"
+  ): TypedContractMethod<
+    [
+      _workId: BigNumberish,
+      _encryptedQuality: BytesLike,
+      _encryptedOriginality: BytesLike,
+      _encryptedImpact: BytesLike,
+      _inputProof: BytesLike,
+      _encryptedComments: string
+    ],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "submitWork"
+  ): TypedContractMethod<
+    [_title: string, _author: string, _genre: string, _ipfsHash: string],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "submitWorkBlind"
+  ): TypedContractMethod<
+    [
+      _title: string,
+      _genre: string,
+      _ipfsHash: string,
+      _identityCommitment: BytesLike
+    ],
+    [void],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawPlatformFees"
+  ): TypedContractMethod<[to: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "workCountPerPeriod"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "workDecryptionRequestId"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  getEvent(
+    key: "AffiliationDeclared"
+  ): TypedContractEvent<
+    AffiliationDeclaredEvent.InputTuple,
+    AffiliationDeclaredEvent.OutputTuple,
+    AffiliationDeclaredEvent.OutputObject
+  >;
+  getEvent(
+    key: "AssignmentBatchProcessed"
+  ): TypedContractEvent<
+    AssignmentBatchProcessedEvent.InputTuple,
+    AssignmentBatchProcessedEvent.OutputTuple,
+    AssignmentBatchProcessedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AssignmentConfigUpdated"
+  ): TypedContractEvent<
+    AssignmentConfigUpdatedEvent.InputTuple,
+    AssignmentConfigUpdatedEvent.OutputTuple,
+    AssignmentConfigUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AuditLog"
+  ): TypedContractEvent<
+    AuditLogEvent.InputTuple,
+    AuditLogEvent.OutputTuple,
+    AuditLogEvent.OutputObject
+  >;
+  getEvent(
+    key: "AwardAnnounced"
+  ): TypedContractEvent<
+    AwardAnnouncedEvent.InputTuple,
+    AwardAnnouncedEvent.OutputTuple,
+    AwardAnnouncedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AwardDecryptionRequested"
+  ): TypedContractEvent<
+    AwardDecryptionRequestedEvent.InputTuple,
+    AwardDecryptionRequestedEvent.OutputTuple,
+    AwardDecryptionRequestedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AwardWinnerDecrypted"
+  ): TypedContractEvent<
+    AwardWinnerDecryptedEvent.InputTuple,
+    AwardWinnerDecryptedEvent.OutputTuple,
+    AwardWinnerDecryptedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CategoryAdded"
+  ): TypedContractEvent<
+    CategoryAddedEvent.InputTuple,
+    CategoryAddedEvent.OutputTuple,
+    CategoryAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CategoryRenamed"
+  ): TypedContractEvent<
+    CategoryRenamedEvent.InputTuple,
+    CategoryRenamedEvent.OutputTuple,
+    CategoryRenamedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CategoryRetired"
+  ): TypedContractEvent<
+    CategoryRetiredEvent.InputTuple,
+    CategoryRetiredEvent.OutputTuple,
+    CategoryRetiredEvent.OutputObject
+  >;
+  getEvent(
+    key: "ContractPaused"
+  ): TypedContractEvent<
+    ContractPausedEvent.InputTuple,
+    ContractPausedEvent.OutputTuple,
+    ContractPausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ContractUnpaused"
+  ): TypedContractEvent<
+    ContractUnpausedEvent.InputTuple,
+    ContractUnpausedEvent.OutputTuple,
+    ContractUnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CriterionWeightsUpdated"
+  ): TypedContractEvent<
+    CriterionWeightsUpdatedEvent.InputTuple,
+    CriterionWeightsUpdatedEvent.OutputTuple,
+    CriterionWeightsUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionBatchProcessed"
+  ): TypedContractEvent<
+    DecryptionBatchProcessedEvent.InputTuple,
+    DecryptionBatchProcessedEvent.OutputTuple,
+    DecryptionBatchProcessedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionCompleted"
+  ): TypedContractEvent<
+    DecryptionCompletedEvent.InputTuple,
+    DecryptionCompletedEvent.OutputTuple,
+    DecryptionCompletedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionFailed"
+  ): TypedContractEvent<
+    DecryptionFailedEvent.InputTuple,
+    DecryptionFailedEvent.OutputTuple,
+    DecryptionFailedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionFailureRefundIssued"
+  ): TypedContractEvent<
+    DecryptionFailureRefundIssuedEvent.InputTuple,
+    DecryptionFailureRefundIssuedEvent.OutputTuple,
+    DecryptionFailureRefundIssuedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionFulfilled"
+  ): TypedContractEvent<
+    DecryptionFulfilledEvent.InputTuple,
+    DecryptionFulfilledEvent.OutputTuple,
+    DecryptionFulfilledEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionRequested"
+  ): TypedContractEvent<
+    DecryptionRequestedEvent.InputTuple,
+    DecryptionRequestedEvent.OutputTuple,
+    DecryptionRequestedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionTimeout"
+  ): TypedContractEvent<
+    DecryptionTimeoutEvent.InputTuple,
+    DecryptionTimeoutEvent.OutputTuple,
+    DecryptionTimeoutEvent.OutputObject
+  >;
+  getEvent(
+    key: "DoubleBlindUpdated"
+  ): TypedContractEvent<
+    DoubleBlindUpdatedEvent.InputTuple,
+    DoubleBlindUpdatedEvent.OutputTuple,
+    DoubleBlindUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EncryptionKeyPublished"
+  ): TypedContractEvent<
+    EncryptionKeyPublishedEvent.InputTuple,
+    EncryptionKeyPublishedEvent.OutputTuple,
+    EncryptionKeyPublishedEvent.OutputObject
+  >;
+  getEvent(
+    key: "GatewayCallbackExecuted"
+  ): TypedContractEvent<
+    GatewayCallbackExecutedEvent.InputTuple,
+    GatewayCallbackExecutedEvent.OutputTuple,
+    GatewayCallbackExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "IdentityRevealed"
+  ): TypedContractEvent<
+    IdentityRevealedEvent.InputTuple,
+    IdentityRevealedEvent.OutputTuple,
+    IdentityRevealedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferStarted"
+  ): TypedContractEvent<
+    OwnershipTransferStartedEvent.InputTuple,
+    OwnershipTransferStartedEvent.OutputTuple,
+    OwnershipTransferStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "PeriodScheduled"
+  ): TypedContractEvent<
+    PeriodScheduledEvent.InputTuple,
+    PeriodScheduledEvent.OutputTuple,
+    PeriodScheduledEvent.OutputObject
+  >;
+  getEvent(
+    key: "RefundClaimed"
+  ): TypedContractEvent<
+    RefundClaimedEvent.InputTuple,
+    RefundClaimedEvent.OutputTuple,
+    RefundClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ResultsBatchProcessed"
+  ): TypedContractEvent<
+    ResultsBatchProcessedEvent.InputTuple,
+    ResultsBatchProcessedEvent.OutputTuple,
+    ResultsBatchProcessedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewPeriodStarted"
+  ): TypedContractEvent<
+    ReviewPeriodStartedEvent.InputTuple,
+    ReviewPeriodStartedEvent.OutputTuple,
+    ReviewPeriodStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewQuorumUpdated"
+  ): TypedContractEvent<
+    ReviewQuorumUpdatedEvent.InputTuple,
+    ReviewQuorumUpdatedEvent.OutputTuple,
+    ReviewQuorumUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewSubmitted"
+  ): TypedContractEvent<
+    ReviewSubmittedEvent.InputTuple,
+    ReviewSubmittedEvent.OutputTuple,
+    ReviewSubmittedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerApproved"
+  ): TypedContractEvent<
+    ReviewerApprovedEvent.InputTuple,
+    ReviewerApprovedEvent.OutputTuple,
+    ReviewerApprovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerAssigned"
+  ): TypedContractEvent<
+    ReviewerAssignedEvent.InputTuple,
+    ReviewerAssignedEvent.OutputTuple,
+    ReviewerAssignedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerRecused"
+  ): TypedContractEvent<
+    ReviewerRecusedEvent.InputTuple,
+    ReviewerRecusedEvent.OutputTuple,
+    ReviewerRecusedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerRegistered"
+  ): TypedContractEvent<
+    ReviewerRegisteredEvent.InputTuple,
+    ReviewerRegisteredEvent.OutputTuple,
+    ReviewerRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerRevoked"
+  ): TypedContractEvent<
+    ReviewerRevokedEvent.InputTuple,
+    ReviewerRevokedEvent.OutputTuple,
+    ReviewerRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerTimeoutRefundIssued"
+  ): TypedContractEvent<
+    ReviewerTimeoutRefundIssuedEvent.InputTuple,
+    ReviewerTimeoutRefundIssuedEvent.OutputTuple,
+    ReviewerTimeoutRefundIssuedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SubmissionPeriodStarted"
+  ): TypedContractEvent<
+    SubmissionPeriodStartedEvent.InputTuple,
+    SubmissionPeriodStartedEvent.OutputTuple,
+    SubmissionPeriodStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SubmitterTimeoutRefundIssued"
+  ): TypedContractEvent<
+    SubmitterTimeoutRefundIssuedEvent.InputTuple,
+    SubmitterTimeoutRefundIssuedEvent.OutputTuple,
+    SubmitterTimeoutRefundIssuedEvent.OutputObject
+  >;
+  getEvent(
+    key: "TimeoutRefundClaimed"
+  ): TypedContractEvent<
+    TimeoutRefundClaimedEvent.InputTuple,
+    TimeoutRefundClaimedEvent.OutputTuple,
+    TimeoutRefundClaimedEvent.OutputObject
+  >;
+  getEvent(
+    key: "WorkBelowQuorum"
+  ): TypedContractEvent<
+    WorkBelowQuorumEvent.InputTuple,
+    WorkBelowQuorumEvent.OutputTuple,
+    WorkBelowQuorumEvent.OutputObject
+  >;
+  getEvent(
+    key: "WorkSubmitted"
+  ): TypedContractEvent<
+    WorkSubmittedEvent.InputTuple,
+    WorkSubmittedEvent.OutputTuple,
+    WorkSubmittedEvent.OutputObject
+  >;
+
+  filters: {
+    "AffiliationDeclared(address,address)": TypedContractEvent<
+      AffiliationDeclaredEvent.InputTuple,
+      AffiliationDeclaredEvent.OutputTuple,
+      AffiliationDeclaredEvent.OutputObject
+    >;
+    AffiliationDeclared: TypedContractEvent<
+      AffiliationDeclaredEvent.InputTuple,
+      AffiliationDeclaredEvent.OutputTuple,
+      AffiliationDeclaredEvent.OutputObject
+    >;
+
+    "AssignmentBatchProcessed(uint32,uint32,uint32)": TypedContractEvent<
+      AssignmentBatchProcessedEvent.InputTuple,
+      AssignmentBatchProcessedEvent.OutputTuple,
+      AssignmentBatchProcessedEvent.OutputObject
+    >;
+    AssignmentBatchProcessed: TypedContractEvent<
+      AssignmentBatchProcessedEvent.InputTuple,
+      AssignmentBatchProcessedEvent.OutputTuple,
+      AssignmentBatchProcessedEvent.OutputObject
+    >;
+
+    "AssignmentConfigUpdated(uint32,uint32)": TypedContractEvent<
+      AssignmentConfigUpdatedEvent.InputTuple,
+      AssignmentConfigUpdatedEvent.OutputTuple,
+      AssignmentConfigUpdatedEvent.OutputObject
+    >;
+    AssignmentConfigUpdated: TypedContractEvent<
+      AssignmentConfigUpdatedEvent.InputTuple,
+      AssignmentConfigUpdatedEvent.OutputTuple,
+      AssignmentConfigUpdatedEvent.OutputObject
+    >;
+
+    "AuditLog(string,address,uint256,string)": TypedContractEvent<
+      AuditLogEvent.InputTuple,
+      AuditLogEvent.OutputTuple,
+      AuditLogEvent.OutputObject
+    >;
+    AuditLog: TypedContractEvent<
+      AuditLogEvent.InputTuple,
+      AuditLogEvent.OutputTuple,
+      AuditLogEvent.OutputObject
+    >;
+
+    "AwardAnnounced(uint32,string,address)": TypedContractEvent<
+      AwardAnnouncedEvent.InputTuple,
+      AwardAnnouncedEvent.OutputTuple,
+      AwardAnnouncedEvent.OutputObject
+    >;
+    AwardAnnounced: TypedContractEvent<
+      AwardAnnouncedEvent.InputTuple,
+      AwardAnnouncedEvent.OutputTuple,
+      AwardAnnouncedEvent.OutputObject
+    >;
+
+    "AwardDecryptionRequested(uint32,string,uint256)": TypedContractEvent<
+      AwardDecryptionRequestedEvent.InputTuple,
+      AwardDecryptionRequestedEvent.OutputTuple,
+      AwardDecryptionRequestedEvent.OutputObject
+    >;
+    AwardDecryptionRequested: TypedContractEvent<
+      AwardDecryptionRequestedEvent.InputTuple,
+      AwardDecryptionRequestedEvent.OutputTuple,
+      AwardDecryptionRequestedEvent.OutputObject
+    >;
+
+    "AwardWinnerDecrypted(uint32,string,address,uint32)": TypedContractEvent<
+      AwardWinnerDecryptedEvent.InputTuple,
+      AwardWinnerDecryptedEvent.OutputTuple,
+      AwardWinnerDecryptedEvent.OutputObject
+    >;
+    AwardWinnerDecrypted: TypedContractEvent<
+      AwardWinnerDecryptedEvent.InputTuple,
+      AwardWinnerDecryptedEvent.OutputTuple,
+      AwardWinnerDecryptedEvent.OutputObject
+    >;
+
+    "CategoryAdded(uint32,string)": TypedContractEvent<
+      CategoryAddedEvent.InputTuple,
+      CategoryAddedEvent.OutputTuple,
+      CategoryAddedEvent.OutputObject
+    >;
+    CategoryAdded: TypedContractEvent<
+      CategoryAddedEvent.InputTuple,
+      CategoryAddedEvent.OutputTuple,
+      CategoryAddedEvent.OutputObject
+    >;
+
+    "CategoryRenamed(uint32,string,string)": TypedContractEvent<
+      CategoryRenamedEvent.InputTuple,
+      CategoryRenamedEvent.OutputTuple,
+      CategoryRenamedEvent.OutputObject
+    >;
+    CategoryRenamed: TypedContractEvent<
+      CategoryRenamedEvent.InputTuple,
+      CategoryRenamedEvent.OutputTuple,
+      CategoryRenamedEvent.OutputObject
+    >;
+
+    "CategoryRetired(uint32,string)": TypedContractEvent<
+      CategoryRetiredEvent.InputTuple,
+      CategoryRetiredEvent.OutputTuple,
+      CategoryRetiredEvent.OutputObject
+    >;
+    CategoryRetired: TypedContractEvent<
+      CategoryRetiredEvent.InputTuple,
+      CategoryRetiredEvent.OutputTuple,
+      CategoryRetiredEvent.OutputObject
+    >;
+
+    "ContractPaused(address)": TypedContractEvent<
+      ContractPausedEvent.InputTuple,
+      ContractPausedEvent.OutputTuple,
+      ContractPausedEvent.OutputObject
+    >;
+    ContractPaused: TypedContractEvent<
+      ContractPausedEvent.InputTuple,
+      ContractPausedEvent.OutputTuple,
+      ContractPausedEvent.OutputObject
+    >;
+
+    "ContractUnpaused(address)": TypedContractEvent<
+      ContractUnpausedEvent.InputTuple,
+      ContractUnpausedEvent.OutputTuple,
+      ContractUnpausedEvent.OutputObject
+    >;
+    ContractUnpaused: TypedContractEvent<
+      ContractUnpausedEvent.InputTuple,
+      ContractUnpausedEvent.OutputTuple,
+      ContractUnpausedEvent.OutputObject
+    >;
+
+    "CriterionWeightsUpdated(uint32,uint32,uint32,uint32)": TypedContractEvent<
+      CriterionWeightsUpdatedEvent.InputTuple,
+      CriterionWeightsUpdatedEvent.OutputTuple,
+      CriterionWeightsUpdatedEvent.OutputObject
+    >;
+    CriterionWeightsUpdated: TypedContractEvent<
+      CriterionWeightsUpdatedEvent.InputTuple,
+      CriterionWeightsUpdatedEvent.OutputTuple,
+      CriterionWeightsUpdatedEvent.OutputObject
+    >;
+
+    "DecryptionBatchProcessed(uint32,uint32,uint32)": TypedContractEvent<
+      DecryptionBatchProcessedEvent.InputTuple,
+      DecryptionBatchProcessedEvent.OutputTuple,
+      DecryptionBatchProcessedEvent.OutputObject
+    >;
+    DecryptionBatchProcessed: TypedContractEvent<
+      DecryptionBatchProcessedEvent.InputTuple,
+      DecryptionBatchProcessedEvent.OutputTuple,
+      DecryptionBatchProcessedEvent.OutputObject
+    >;
+
+    "DecryptionCompleted(uint32,uint32,uint64)": TypedContractEvent<
+      DecryptionCompletedEvent.InputTuple,
+      DecryptionCompletedEvent.OutputTuple,
+      DecryptionCompletedEvent.OutputObject
+    >;
+    DecryptionCompleted: TypedContractEvent<
+      DecryptionCompletedEvent.InputTuple,
+      DecryptionCompletedEvent.OutputTuple,
+      DecryptionCompletedEvent.OutputObject
+    >;
+
+    "DecryptionFailed(uint32,uint32,uint256)": TypedContractEvent<
+      DecryptionFailedEvent.InputTuple,
+      DecryptionFailedEvent.OutputTuple,
+      DecryptionFailedEvent.OutputObject
+    >;
+    DecryptionFailed: TypedContractEvent<
+      DecryptionFailedEvent.InputTuple,
+      DecryptionFailedEvent.OutputTuple,
+      DecryptionFailedEvent.OutputObject
+    >;
+
+    "DecryptionFailureRefundIssued(address,uint256,uint256)": TypedContractEvent<
+      DecryptionFailureRefundIssuedEvent.InputTuple,
+      DecryptionFailureRefundIssuedEvent.OutputTuple,
+      DecryptionFailureRefundIssuedEvent.OutputObject
+    >;
+    DecryptionFailureRefundIssued: TypedContractEvent<
+      DecryptionFailureRefundIssuedEvent.InputTuple,
+      DecryptionFailureRefundIssuedEvent.OutputTuple,
+      DecryptionFailureRefundIssuedEvent.OutputObject
+    >;
+
+    "DecryptionFulfilled(uint256)": TypedContractEvent<
+      DecryptionFulfilledEvent.InputTuple,
+      DecryptionFulfilledEvent.OutputTuple,
+      DecryptionFulfilledEvent.OutputObject
+    >;
+    DecryptionFulfilled: TypedContractEvent<
+      DecryptionFulfilledEvent.InputTuple,
+      DecryptionFulfilledEvent.OutputTuple,
+      DecryptionFulfilledEvent.OutputObject
+    >;
+
+    "DecryptionRequested(uint32,uint32,uint256)": TypedContractEvent<
+      DecryptionRequestedEvent.InputTuple,
+      DecryptionRequestedEvent.OutputTuple,
+      DecryptionRequestedEvent.OutputObject
+    >;
+    DecryptionRequested: TypedContractEvent<
+      DecryptionRequestedEvent.InputTuple,
+      DecryptionRequestedEvent.OutputTuple,
+      DecryptionRequestedEvent.OutputObject
+    >;
+
+    "DecryptionTimeout(uint32,uint32,uint256)": TypedContractEvent<
+      DecryptionTimeoutEvent.InputTuple,
+      DecryptionTimeoutEvent.OutputTuple,
+      DecryptionTimeoutEvent.OutputObject
+    >;
+    DecryptionTimeout: TypedContractEvent<
+      DecryptionTimeoutEvent.InputTuple,
+      DecryptionTimeoutEvent.OutputTuple,
+      DecryptionTimeoutEvent.OutputObject
+    >;
+
+    "DoubleBlindUpdated(uint32,bool)": TypedContractEvent<
+      DoubleBlindUpdatedEvent.InputTuple,
+      DoubleBlindUpdatedEvent.OutputTuple,
+      DoubleBlindUpdatedEvent.OutputObject
+    >;
+    DoubleBlindUpdated: TypedContractEvent<
+      DoubleBlindUpdatedEvent.InputTuple,
+      DoubleBlindUpdatedEvent.OutputTuple,
+      DoubleBlindUpdatedEvent.OutputObject
+    >;
+
+    "EncryptionKeyPublished(address,bytes)": TypedContractEvent<
+      EncryptionKeyPublishedEvent.InputTuple,
+      EncryptionKeyPublishedEvent.OutputTuple,
+      EncryptionKeyPublishedEvent.OutputObject
+    >;
+    EncryptionKeyPublished: TypedContractEvent<
+      EncryptionKeyPublishedEvent.InputTuple,
+      EncryptionKeyPublishedEvent.OutputTuple,
+      EncryptionKeyPublishedEvent.OutputObject
+    >;
+
+    "GatewayCallbackExecuted(uint256,bool,uint64)": TypedContractEvent<
+      GatewayCallbackExecutedEvent.InputTuple,
+      GatewayCallbackExecutedEvent.OutputTuple,
+      GatewayCallbackExecutedEvent.OutputObject
+    >;
+    GatewayCallbackExecuted: TypedContractEvent<
+      GatewayCallbackExecutedEvent.InputTuple,
+      GatewayCallbackExecutedEvent.OutputTuple,
+      GatewayCallbackExecutedEvent.OutputObject
+    >;
+
+    "IdentityRevealed(uint32,uint32,address,string)": TypedContractEvent<
+      IdentityRevealedEvent.InputTuple,
+      IdentityRevealedEvent.OutputTuple,
+      IdentityRevealedEvent.OutputObject
+    >;
+    IdentityRevealed: TypedContractEvent<
+      IdentityRevealedEvent.InputTuple,
+      IdentityRevealedEvent.OutputTuple,
+      IdentityRevealedEvent.OutputObject
+    >;
+
+    "OwnershipTransferStarted(address,address)": TypedContractEvent<
+      OwnershipTransferStartedEvent.InputTuple,
+      OwnershipTransferStartedEvent.OutputTuple,
+      OwnershipTransferStartedEvent.OutputObject
+    >;
+    OwnershipTransferStarted: TypedContractEvent<
+      OwnershipTransferStartedEvent.InputTuple,
+      OwnershipTransferStartedEvent.OutputTuple,
+      OwnershipTransferStartedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "PeriodScheduled(uint32,uint256,uint256,uint256,uint256)": TypedContractEvent<
+      PeriodScheduledEvent.InputTuple,
+      PeriodScheduledEvent.OutputTuple,
+      PeriodScheduledEvent.OutputObject
+    >;
+    PeriodScheduled: TypedContractEvent<
+      PeriodScheduledEvent.InputTuple,
+      PeriodScheduledEvent.OutputTuple,
+      PeriodScheduledEvent.OutputObject
+    >;
+
+    "RefundClaimed(address,uint256,string)": TypedContractEvent<
+      RefundClaimedEvent.InputTuple,
+      RefundClaimedEvent.OutputTuple,
+      RefundClaimedEvent.OutputObject
+    >;
+    RefundClaimed: TypedContractEvent<
+      RefundClaimedEvent.InputTuple,
+      RefundClaimedEvent.OutputTuple,
+      RefundClaimedEvent.OutputObject
+    >;
+
+    "ResultsBatchProcessed(uint32,uint32,uint32)": TypedContractEvent<
+      ResultsBatchProcessedEvent.InputTuple,
+      ResultsBatchProcessedEvent.OutputTuple,
+      ResultsBatchProcessedEvent.OutputObject
+    >;
+    ResultsBatchProcessed: TypedContractEvent<
+      ResultsBatchProcessedEvent.InputTuple,
+      ResultsBatchProcessedEvent.OutputTuple,
+      ResultsBatchProcessedEvent.OutputObject
+    >;
+
+    "ReviewPeriodStarted(uint32,uint256)": TypedContractEvent<
+      ReviewPeriodStartedEvent.InputTuple,
+      ReviewPeriodStartedEvent.OutputTuple,
+      ReviewPeriodStartedEvent.OutputObject
+    >;
+    ReviewPeriodStarted: TypedContractEvent<
+      ReviewPeriodStartedEvent.InputTuple,
+      ReviewPeriodStartedEvent.OutputTuple,
+      ReviewPeriodStartedEvent.OutputObject
+    >;
+
+    "ReviewQuorumUpdated(uint32,uint32)": TypedContractEvent<
+      ReviewQuorumUpdatedEvent.InputTuple,
+      ReviewQuorumUpdatedEvent.OutputTuple,
+      ReviewQuorumUpdatedEvent.OutputObject
+    >;
+    ReviewQuorumUpdated: TypedContractEvent<
+      ReviewQuorumUpdatedEvent.InputTuple,
+      ReviewQuorumUpdatedEvent.OutputTuple,
+      ReviewQuorumUpdatedEvent.OutputObject
+    >;
+
+    "ReviewSubmitted(uint32,uint32,address,uint256)": TypedContractEvent<
+      ReviewSubmittedEvent.InputTuple,
+      ReviewSubmittedEvent.OutputTuple,
+      ReviewSubmittedEvent.OutputObject
+    >;
+    ReviewSubmitted: TypedContractEvent<
+      ReviewSubmittedEvent.InputTuple,
+      ReviewSubmittedEvent.OutputTuple,
+      ReviewSubmittedEvent.OutputObject
+    >;
+
+    "ReviewerApproved(address)": TypedContractEvent<
+      ReviewerApprovedEvent.InputTuple,
+      ReviewerApprovedEvent.OutputTuple,
+      ReviewerApprovedEvent.OutputObject
+    >;
+    ReviewerApproved: TypedContractEvent<
+      ReviewerApprovedEvent.InputTuple,
+      ReviewerApprovedEvent.OutputTuple,
+      ReviewerApprovedEvent.OutputObject
+    >;
+
+    "ReviewerAssigned(uint32,uint32,address)": TypedContractEvent<
+      ReviewerAssignedEvent.InputTuple,
+      ReviewerAssignedEvent.OutputTuple,
+      ReviewerAssignedEvent.OutputObject
+    >;
+    ReviewerAssigned: TypedContractEvent<
+      ReviewerAssignedEvent.InputTuple,
+      ReviewerAssignedEvent.OutputTuple,
+      ReviewerAssignedEvent.OutputObject
+    >;
+
+    "ReviewerRecused(uint32,uint32,address,string)": TypedContractEvent<
+      ReviewerRecusedEvent.InputTuple,
+      ReviewerRecusedEvent.OutputTuple,
+      ReviewerRecusedEvent.OutputObject
+    >;
+    ReviewerRecused: TypedContractEvent<
+      ReviewerRecusedEvent.InputTuple,
+      ReviewerRecusedEvent.OutputTuple,
+      ReviewerRecusedEvent.OutputObject
+    >;
+
+    "ReviewerRegistered(address,string,uint256)": TypedContractEvent<
+      ReviewerRegisteredEvent.InputTuple,
+      ReviewerRegisteredEvent.OutputTuple,
+      ReviewerRegisteredEvent.OutputObject
+    >;
+    ReviewerRegistered: TypedContractEvent<
+      ReviewerRegisteredEvent.InputTuple,
+      ReviewerRegisteredEvent.OutputTuple,
+      ReviewerRegisteredEvent.OutputObject
+    >;
+
+    "ReviewerRevoked(address)": TypedContractEvent<
+      ReviewerRevokedEvent.InputTuple,
+      ReviewerRevokedEvent.OutputTuple,
+      ReviewerRevokedEvent.OutputObject
+    >;
+    ReviewerRevoked: TypedContractEvent<
+      ReviewerRevokedEvent.InputTuple,
+      ReviewerRevokedEvent.OutputTuple,
+      ReviewerRevokedEvent.OutputObject
+    >;
+
+    "ReviewerTimeoutRefundIssued(address,uint256,uint32,uint32)": TypedContractEvent<
+      ReviewerTimeoutRefundIssuedEvent.InputTuple,
+      ReviewerTimeoutRefundIssuedEvent.OutputTuple,
+      ReviewerTimeoutRefundIssuedEvent.OutputObject
+    >;
+    ReviewerTimeoutRefundIssued: TypedContractEvent<
+      ReviewerTimeoutRefundIssuedEvent.InputTuple,
+      ReviewerTimeoutRefundIssuedEvent.OutputTuple,
+      ReviewerTimeoutRefundIssuedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "SubmissionPeriodStarted(uint32,uint256)": TypedContractEvent<
+      SubmissionPeriodStartedEvent.InputTuple,
+      SubmissionPeriodStartedEvent.OutputTuple,
+      SubmissionPeriodStartedEvent.OutputObject
+    >;
+    SubmissionPeriodStarted: TypedContractEvent<
+      SubmissionPeriodStartedEvent.InputTuple,
+      SubmissionPeriodStartedEvent.OutputTuple,
+      SubmissionPeriodStartedEvent.OutputObject
+    >;
+
+    "SubmitterTimeoutRefundIssued(address,uint256,uint32,uint32)": TypedContractEvent<
+      SubmitterTimeoutRefundIssuedEvent.InputTuple,
+      SubmitterTimeoutRefundIssuedEvent.OutputTuple,
+      SubmitterTimeoutRefundIssuedEvent.OutputObject
+    >;
+    SubmitterTimeoutRefundIssued: TypedContractEvent<
+      SubmitterTimeoutRefundIssuedEvent.InputTuple,
+      SubmitterTimeoutRefundIssuedEvent.OutputTuple,
+      SubmitterTimeoutRefundIssuedEvent.OutputObject
+    >;
+
+    "TimeoutRefundClaimed(address,uint32,uint32,uint256)": TypedContractEvent<
+      TimeoutRefundClaimedEvent.InputTuple,
+      TimeoutRefundClaimedEvent.OutputTuple,
+      TimeoutRefundClaimedEvent.OutputObject
+    >;
+    TimeoutRefundClaimed: TypedContractEvent<
+      TimeoutRefundClaimedEvent.InputTuple,
+      TimeoutRefundClaimedEvent.OutputTuple,
+      TimeoutRefundClaimedEvent.OutputObject
+    >;
+
+    "WorkBelowQuorum(uint32,uint32,uint32,uint32)": TypedContractEvent<
+      WorkBelowQuorumEvent.InputTuple,
+      WorkBelowQuorumEvent.OutputTuple,
+      WorkBelowQuorumEvent.OutputObject
+    >;
+    WorkBelowQuorum: TypedContractEvent<
+      WorkBelowQuorumEvent.InputTuple,
+      WorkBelowQuorumEvent.OutputTuple,
+      WorkBelowQuorumEvent.OutputObject
+    >;
+
+    "WorkSubmitted(uint32,uint32,address,uint256)": TypedContractEvent<
+      WorkSubmittedEvent.InputTuple,
+      WorkSubmittedEvent.OutputTuple,
+      WorkSubmittedEvent.OutputObject
+    >;
+    WorkSubmitted: TypedContractEvent<
+      WorkSubmittedEvent.InputTuple,
+      WorkSubmittedEvent.OutputTuple,
+      WorkSubmittedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,32 @@
+export {
+  LITERATURE_REVIEW_FACTORY_ABI,
+  LITERATURE_REVIEW_SYSTEM_ABI,
+  ReviewerStatus,
+  connectLiteratureReviewFactory,
+  connectLiteratureReviewSystem,
+  literatureReviewFactoryInterface,
+  literatureReviewSystemInterface,
+} from './contracts';
+export {
+  decodeLiteratureReviewFactoryEvents,
+  decodeLiteratureReviewSystemEvents,
+  type DecodedEvent,
+  type LiteratureReviewFactoryEvent,
+  type LiteratureReviewSystemEvent,
+} from './events';
+
+// Contract types generated by TypeChain, including the struct types of their inputs and results
+export type {
+  LiteratureReviewStorage,
+  LiteratureReviewSystem,
+  LiteratureReviewSystemInterface,
+} from './generated/typechain/LiteratureReviewSystem';
+export type {
+  LiteratureReviewFactory,
+  LiteratureReviewFactoryInterface,
+} from './generated/typechain/LiteratureReviewFactory';
+export type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+} from './generated/typechain/common';
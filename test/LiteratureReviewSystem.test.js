@@ -1,7 +1,63 @@
+const fs = require("fs");
+const Module = require("module");
+const path = require("path");
+const ts = require("typescript");
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { artifacts, ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { MockFhevmInstance } = require("@fhevm/mock-utils");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  deriveFeedbackKey,
+  deriveNewFeedbackKey,
+  derivePublishedFeedbackKey,
+  encryptFeedback,
+  decryptFeedback,
+} = require("../scripts/feedback");
+const { SYSTEM_MODULES, deployModules, readSystemAbi } = require("../scripts/modules");
+
+const DAY = 86400;
+const SUBMISSION_FEE = ethers.parseEther("0.01");
+const REVIEW_STAKE = ethers.parseEther("0.005");
+const CATEGORIES = ["Fiction", "Poetry", "Drama", "Non-Fiction"];
+const MANUSCRIPT_CID = "QmdRAD7DnnvD7zes9EaPUeV1BksZaEV97J7xdVm4gwQjfo";
+
+// Schedule a period that opens now: two weeks of submissions, two weeks of review, awards a day later
+async function schedulePeriod(contract, period = 1) {
+  const now = await time.latest();
+  await contract.setPeriodSchedule(period, now, now + 14 * DAY, now + 28 * DAY, now + 29 * DAY);
+}
+
+// Move the chain to a milestone of a period's schedule
+async function advanceTo(contract, milestone, period = 1) {
+  const target = (await contract.getPeriodSchedule(period))[milestone];
+  if ((await time.latest()) < target) {
+    await time.increaseTo(target);
+  }
+}
+
+// Deployer of LiteratureReviewSystem programs typed with the functions of every module
+async function systemFactory() {
+  const { bytecode } = await artifacts.readArtifact("LiteratureReviewSystem");
+  return ethers.getContractFactory(await readSystemAbi(artifacts), bytecode);
+}
+
+// Load a frontend module that only imports packages installed at the root, compiled to CommonJS
+function requireFrontendModule(file) {
+  const filename = path.join(__dirname, "..", "literature-review", file);
+  const { outputText } = ts.transpileModule(fs.readFileSync(filename, "utf8"), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 },
+  });
+  const frontendModule = new Module(filename);
+  frontendModule.filename = filename;
+  frontendModule.paths = Module._nodeModulePaths(path.dirname(filename));
+  frontendModule._compile(outputText, filename);
+  return frontendModule.exports;
+}
 
 describe("LiteratureReviewSystem", function () {
+  let modules;
   let literatureReviewSystem;
   let owner;
   let author1;
@@ -9,13 +65,24 @@ describe("LiteratureReviewSystem", function () {
   let reviewer1;
   let reviewer2;
 
+  before(async function () {
+    // One module chain serves every program
+    modules = await deployModules(ethers);
+  });
+
   beforeEach(async function () {
     // Get signers
     [owner, author1, author2, reviewer1, reviewer2] = await ethers.getSigners();
 
     // Deploy contract
-    const LiteratureReviewSystem = await ethers.getContractFactory("LiteratureReviewSystem");
-    literatureReviewSystem = await LiteratureReviewSystem.deploy();
+    const LiteratureReviewSystem = await systemFactory();
+    literatureReviewSystem = await LiteratureReviewSystem.deploy(
+      owner.address,
+      SUBMISSION_FEE,
+      REVIEW_STAKE,
+      CATEGORIES,
+      modules
+    );
     await literatureReviewSystem.waitForDeployment();
   });
 
@@ -29,10 +96,61 @@ describe("LiteratureReviewSystem", function () {
       expect(await literatureReviewSystem.currentReviewPeriod()).to.equal(0);
     });
 
+    it("Should record the deployment block", async function () {
+      const receipt = await literatureReviewSystem.deploymentTransaction().wait();
+      expect(await literatureReviewSystem.deploymentBlock()).to.equal(receipt.blockNumber);
+    });
+
     it("Should have zero work count initially", async function () {
       const period = await literatureReviewSystem.currentSubmissionPeriod();
       expect(await literatureReviewSystem.workCountPerPeriod(period)).to.equal(0);
     });
+
+    it("Should apply constructor fees and categories", async function () {
+      const LiteratureReviewSystem = await systemFactory();
+      const program = await LiteratureReviewSystem.deploy(author1.address, 1000n, 500n, ["Essay", "Memoir"], modules);
+
+      expect(await program.owner()).to.equal(author1.address);
+      expect(await program.SUBMISSION_FEE()).to.equal(1000n);
+      expect(await program.REVIEW_STAKE()).to.equal(500n);
+      expect((await program.getCategories()).names).to.deep.equal(["Essay", "Memoir"]);
+    });
+
+    it("Should reject invalid constructor arguments", async function () {
+      const LiteratureReviewSystem = await systemFactory();
+      await expect(
+        LiteratureReviewSystem.deploy(ethers.ZeroAddress, SUBMISSION_FEE, REVIEW_STAKE, CATEGORIES, modules)
+      ).to.be.revertedWith("Invalid zero address");
+      await expect(
+        LiteratureReviewSystem.deploy(owner.address, SUBMISSION_FEE, REVIEW_STAKE, [], modules)
+      ).to.be.revertedWith("No categories");
+      await expect(
+        LiteratureReviewSystem.deploy(owner.address, SUBMISSION_FEE, REVIEW_STAKE, ["Fiction", "Fiction"], modules)
+      ).to.be.revertedWith("Category already exists");
+      await expect(
+        LiteratureReviewSystem.deploy(owner.address, SUBMISSION_FEE, REVIEW_STAKE, CATEGORIES, owner.address)
+      ).to.be.revertedWith("Invalid modules");
+    });
+
+    it("Should keep every contract within the EIP-170 and EIP-3860 size limits", async function () {
+      for (const name of ["LiteratureReviewSystem", "LiteratureReviewFactory", ...SYSTEM_MODULES]) {
+        const { bytecode, deployedBytecode } = await artifacts.readArtifact(name);
+        expect((deployedBytecode.length - 2) / 2, name).to.be.at.most(24576);
+        expect((bytecode.length - 2) / 2, name).to.be.at.most(49152);
+      }
+    });
+
+    it("Should not initialize a deployed program", async function () {
+      await expect(
+        literatureReviewSystem.initialize(author1.address, SUBMISSION_FEE, REVIEW_STAKE, CATEGORIES)
+      ).to.be.revertedWith("Already initialized");
+    });
+
+    it("Should reject calls no module implements", async function () {
+      await expect(
+        owner.sendTransaction({ to: await literatureReviewSystem.getAddress(), data: "0x12345678" })
+      ).to.be.revertedWith("Unknown function");
+    });
   });
 
   describe("Reviewer Registration", function () {
@@ -76,6 +194,28 @@ describe("LiteratureReviewSystem", function () {
         "Reviewer not registered"
       );
     });
+
+    it("Should approve reviewers in a batch", async function () {
+      for (const reviewer of [reviewer1, reviewer2]) {
+        await literatureReviewSystem
+          .connect(reviewer)
+          .registerReviewer("Dr. Jane Smith", "Contemporary Fiction", { value: REVIEW_STAKE });
+      }
+
+      await expect(literatureReviewSystem.approveReviewers([reviewer1.address, author1.address])).to.be.revertedWith(
+        "Reviewer not registered"
+      );
+      await expect(literatureReviewSystem.approveReviewers([reviewer1.address, ethers.ZeroAddress])).to.be.revertedWith(
+        "Invalid zero address"
+      );
+      expect(await literatureReviewSystem.authorizedReviewers(reviewer1.address)).to.equal(false);
+
+      await expect(literatureReviewSystem.approveReviewers([reviewer1.address, reviewer2.address]))
+        .to.emit(literatureReviewSystem, "ReviewerApproved")
+        .withArgs(reviewer2.address);
+      expect(await literatureReviewSystem.authorizedReviewers(reviewer1.address)).to.equal(true);
+      expect(await literatureReviewSystem.authorizedReviewers(reviewer2.address)).to.equal(true);
+    });
   });
 
   describe("Period Management", function () {
@@ -97,6 +237,103 @@ describe("LiteratureReviewSystem", function () {
       expect(typeof stats.submissionActive).to.equal("boolean");
       expect(typeof stats.reviewActive).to.equal("boolean");
     });
+
+    it("Should keep periods closed until they are scheduled", async function () {
+      expect(await literatureReviewSystem.isSubmissionPeriodActive()).to.equal(false);
+      expect(await literatureReviewSystem.getPeriodSchedule(1)).to.deep.equal([0n, 0n, 0n, 0n]);
+
+      const submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+      await expect(
+        literatureReviewSystem
+          .connect(author1)
+          .submitWork("Title", "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee })
+      ).to.be.revertedWith("Not during submission period");
+    });
+
+    it("Should follow the scheduled submission and review windows", async function () {
+      const open = (await time.latest()) + DAY;
+      const milestones = [open, open + 7 * DAY, open + 14 * DAY, open + 15 * DAY];
+      await expect(literatureReviewSystem.setPeriodSchedule(1, ...milestones))
+        .to.emit(literatureReviewSystem, "PeriodScheduled")
+        .withArgs(1, ...milestones);
+      expect(await literatureReviewSystem.isSubmissionPeriodActive()).to.equal(false);
+
+      await advanceTo(literatureReviewSystem, "submissionOpen");
+      expect(await literatureReviewSystem.isSubmissionPeriodActive()).to.equal(true);
+      await expect(literatureReviewSystem.startReviewPeriod()).to.be.revertedWith("Review window not open");
+
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      expect(await literatureReviewSystem.isSubmissionPeriodActive()).to.equal(false);
+      await expect(literatureReviewSystem.startReviewPeriod())
+        .to.emit(literatureReviewSystem, "ReviewPeriodStarted")
+        .withArgs(1, milestones[1] + 1);
+      expect(await literatureReviewSystem.isReviewPeriodActive()).to.equal(true);
+
+      await advanceTo(literatureReviewSystem, "reviewClose");
+      expect(await literatureReviewSystem.isReviewPeriodActive()).to.equal(false);
+    });
+
+    it("Should gate results and announcements on the schedule", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.startReviewPeriod();
+
+      await expect(literatureReviewSystem.calculateResults(1)).to.be.revertedWith("Review period not closed");
+
+      await advanceTo(literatureReviewSystem, "reviewClose");
+      await literatureReviewSystem.calculateResults(1);
+      await expect(literatureReviewSystem.announceAwards(1)).to.be.revertedWith("Announcement not due");
+
+      await advanceTo(literatureReviewSystem, "announcement");
+      await expect(literatureReviewSystem.announceAwards(1)).not.to.be.reverted;
+    });
+
+    it("Should only start the next submission period once it opens", async function () {
+      await expect(literatureReviewSystem.startSubmissionPeriod()).to.be.revertedWith("Period not scheduled");
+
+      await schedulePeriod(literatureReviewSystem);
+      const open = Number((await literatureReviewSystem.getPeriodSchedule(1)).submissionClose);
+      await literatureReviewSystem.setPeriodSchedule(2, open, open + 14 * DAY, open + 28 * DAY, open + 29 * DAY);
+      await expect(literatureReviewSystem.startSubmissionPeriod()).to.be.revertedWith("Submission window not open");
+
+      await advanceTo(literatureReviewSystem, "submissionOpen", 2);
+      await expect(literatureReviewSystem.startSubmissionPeriod())
+        .to.emit(literatureReviewSystem, "SubmissionPeriodStarted")
+        .withArgs(2, open + 1);
+      expect(await literatureReviewSystem.currentSubmissionPeriod()).to.equal(2);
+    });
+
+    it("Should validate period schedules", async function () {
+      const now = await time.latest();
+
+      await expect(
+        literatureReviewSystem.connect(author1).setPeriodSchedule(1, now, now + DAY, now + 2 * DAY, now + 3 * DAY)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        literatureReviewSystem.setPeriodSchedule(1, now + DAY, now + DAY, now + 2 * DAY, now + 3 * DAY)
+      ).to.be.revertedWith("Invalid schedule");
+      await expect(
+        literatureReviewSystem.setPeriodSchedule(1, now, now + DAY, now + 3 * DAY, now + 2 * DAY)
+      ).to.be.revertedWith("Invalid schedule");
+      await expect(
+        literatureReviewSystem.setPeriodSchedule(1, now - 2 * DAY, now - DAY, now + DAY, now + DAY)
+      ).to.be.revertedWith("Submission close in the past");
+
+      await literatureReviewSystem.setPeriodSchedule(1, now, now + 14 * DAY, now + 28 * DAY, now + 29 * DAY);
+      await expect(
+        literatureReviewSystem.setPeriodSchedule(2, now + 13 * DAY, now + 20 * DAY, now + 40 * DAY, now + 40 * DAY)
+      ).to.be.revertedWith("Overlaps previous period");
+      await literatureReviewSystem.setPeriodSchedule(2, now + 14 * DAY, now + 20 * DAY, now + 40 * DAY, now + 40 * DAY);
+      await expect(
+        literatureReviewSystem.setPeriodSchedule(1, now, now + 15 * DAY, now + 28 * DAY, now + 29 * DAY)
+      ).to.be.revertedWith("Overlaps next period");
+
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.startReviewPeriod();
+      await expect(
+        literatureReviewSystem.setPeriodSchedule(1, now, now + 14 * DAY, now + 30 * DAY, now + 30 * DAY)
+      ).to.be.revertedWith("Review already started");
+    });
   });
 
   describe("Work Submission", function () {
@@ -106,7 +343,7 @@ describe("LiteratureReviewSystem", function () {
       if (isSubmissionActive) {
         await literatureReviewSystem
           .connect(author1)
-          .submitWork("The Great Novel", "John Doe", "Fiction", "QmTest123");
+          .submitWork("The Great Novel", "John Doe", "Fiction", MANUSCRIPT_CID);
 
         const currentPeriod = await literatureReviewSystem.currentSubmissionPeriod();
         const workCount = await literatureReviewSystem.workCountPerPeriod(currentPeriod);
@@ -121,7 +358,7 @@ describe("LiteratureReviewSystem", function () {
         expect(submission.submitter).to.equal(author1.address);
       } else {
         await expect(
-          literatureReviewSystem.connect(author1).submitWork("The Great Novel", "John Doe", "Fiction", "QmTest123")
+          literatureReviewSystem.connect(author1).submitWork("The Great Novel", "John Doe", "Fiction", MANUSCRIPT_CID)
         ).to.be.revertedWith("Not during submission period");
       }
     });
@@ -133,12 +370,45 @@ describe("LiteratureReviewSystem", function () {
         const currentPeriod = await literatureReviewSystem.currentSubmissionPeriod();
 
         await expect(
-          literatureReviewSystem.connect(author1).submitWork("The Great Novel", "John Doe", "Fiction", "QmTest123")
+          literatureReviewSystem.connect(author1).submitWork("The Great Novel", "John Doe", "Fiction", MANUSCRIPT_CID)
         )
           .to.emit(literatureReviewSystem, "WorkSubmitted")
           .withArgs(currentPeriod, 1, author1.address);
       }
     });
+
+    it("Should accept CIDv0 and base32 CIDv1 manuscript identifiers", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      const cidV1 = "bafkreihaa352axmegn5ndz6ubwrafb3p5fmz3efwiwxofcb3fbyw7rwxzi";
+
+      for (const cid of [MANUSCRIPT_CID, cidV1]) {
+        await literatureReviewSystem
+          .connect(author1)
+          .submitWork("Title", "Author", "Fiction", cid, { value: SUBMISSION_FEE });
+      }
+
+      expect(await literatureReviewSystem.getManuscriptCid(1, 1)).to.equal(MANUSCRIPT_CID);
+      expect(await literatureReviewSystem.getManuscriptCid(1, 2)).to.equal(cidV1);
+      await expect(literatureReviewSystem.getManuscriptCid(1, 3)).to.be.revertedWith("Work not found");
+    });
+
+    it("Should reject malformed manuscript identifiers", async function () {
+      await schedulePeriod(literatureReviewSystem);
+
+      for (const cid of [
+        "QmTest123",
+        "QmdRAD7DnnvD7zes9EaPUeV1BksZaEV97J7xdVm4gwQjf0",
+        "bafkreihaa352axmegn5ndz6ubwrafb3p5fmz3efwiwxofcb3fbyw7rwxz1",
+        "BAFKREIHAA352AXMEGN5NDZ6UBWRAFB3P5FMZ3EFWIWXOFCB3FBYW7RWXZI",
+        "ipfs://QmdRAD7DnnvD7zes9EaPUeV1BksZaEV97J7xdVm4gwQjfo",
+      ]) {
+        await expect(
+          literatureReviewSystem
+            .connect(author1)
+            .submitWork("Title", "Author", "Fiction", cid, { value: SUBMISSION_FEE })
+        ).to.be.revertedWith("Invalid content identifier");
+      }
+    });
   });
 
   describe("Review Submission", function () {
@@ -154,7 +424,7 @@ describe("LiteratureReviewSystem", function () {
 
       if (isReviewActive && isSubmissionActive) {
         // First submit a work
-        await literatureReviewSystem.connect(author1).submitWork("Test Work", "Author", "Fiction", "QmTest");
+        await literatureReviewSystem.connect(author1).submitWork("Test Work", "Author", "Fiction", MANUSCRIPT_CID);
 
         // Try to submit review with invalid scores
         await expect(
@@ -202,6 +472,305 @@ describe("LiteratureReviewSystem", function () {
     });
   });
 
+  describe("Role-Based Access Control", function () {
+    let chair;
+    let treasurer;
+    let guardian;
+    let roles;
+
+    // Every role-gated function with arguments that get past input validation
+    function permissionTable() {
+      return {
+        CHAIR_ROLE: {
+          setPeriodSchedule: [1, 1, 2, 3, 4],
+          startSubmissionPeriod: [],
+          startReviewPeriod: [],
+          approveReviewer: [reviewer1.address],
+          approveReviewers: [[reviewer1.address]],
+          revokeReviewer: [reviewer1.address],
+          addCategory: ["Essay"],
+          renameCategory: [0, "Prose"],
+          retireCategory: [0],
+          setCriterionWeights: [1, 1, 1, 1],
+          setReviewQuorum: [1, 2],
+          setAssignmentConfig: [2, 4],
+          assignReviewers: [1],
+          assignReviewersBatch: [1, 10],
+          reassignReviewer: [1, reviewer1.address],
+          requestScoreDecryption: [1, 1],
+          requestScoreDecryptionBatch: [1, 10],
+          markDecryptionFailed: [1, 1],
+          calculateResults: [1],
+          calculateResultsBatch: [1, 10],
+          announceAwards: [1],
+        },
+        TREASURER_ROLE: {
+          withdrawPlatformFees: [owner.address],
+        },
+        GUARDIAN_ROLE: {
+          pause: [],
+          unpause: [],
+        },
+      };
+    }
+
+    beforeEach(async function () {
+      [chair, treasurer, guardian] = (await ethers.getSigners()).slice(5, 8);
+      roles = {
+        CHAIR_ROLE: await literatureReviewSystem.CHAIR_ROLE(),
+        TREASURER_ROLE: await literatureReviewSystem.TREASURER_ROLE(),
+        GUARDIAN_ROLE: await literatureReviewSystem.GUARDIAN_ROLE(),
+      };
+
+      await literatureReviewSystem.grantRole(roles.CHAIR_ROLE, chair.address);
+      await literatureReviewSystem.grantRole(roles.TREASURER_ROLE, treasurer.address);
+      await literatureReviewSystem.grantRole(roles.GUARDIAN_ROLE, guardian.address);
+    });
+
+    it("Should grant every role to the initial owner", async function () {
+      for (const role of Object.values(roles)) {
+        expect(await literatureReviewSystem.hasRole(role, owner.address)).to.equal(true);
+        expect(await literatureReviewSystem.hasRole(role, author1.address)).to.equal(false);
+      }
+    });
+
+    for (const roleName of ["CHAIR_ROLE", "TREASURER_ROLE", "GUARDIAN_ROLE"]) {
+      it(`Should allow only ${roleName} holders to call its functions`, async function () {
+        const holders = { CHAIR_ROLE: chair, TREASURER_ROLE: treasurer, GUARDIAN_ROLE: guardian };
+        const outsiders = [author1, ...Object.values(holders).filter((signer) => signer !== holders[roleName])];
+
+        for (const [functionName, args] of Object.entries(permissionTable()[roleName])) {
+          for (const outsider of outsiders) {
+            await expect(
+              literatureReviewSystem.connect(outsider)[functionName](...args),
+              `${functionName} by ${outsider.address}`
+            ).to.be.revertedWith("Not authorized");
+          }
+          await expect(
+            literatureReviewSystem.connect(holders[roleName])[functionName](...args),
+            functionName
+          ).not.to.be.revertedWith("Not authorized");
+        }
+      });
+    }
+
+    it("Should not let the owner act for a role it has revoked from itself", async function () {
+      await literatureReviewSystem.revokeRole(roles.CHAIR_ROLE, owner.address);
+      await literatureReviewSystem.revokeRole(roles.TREASURER_ROLE, owner.address);
+
+      await expect(literatureReviewSystem.addCategory("Essay")).to.be.revertedWith("Not authorized");
+      await expect(literatureReviewSystem.withdrawPlatformFees(owner.address)).to.be.revertedWith("Not authorized");
+      await expect(literatureReviewSystem.connect(chair).addCategory("Essay")).to.emit(
+        literatureReviewSystem,
+        "CategoryAdded"
+      );
+    });
+
+    it("Should let only the owner grant and revoke roles", async function () {
+      await expect(literatureReviewSystem.grantRole(roles.CHAIR_ROLE, author1.address))
+        .to.emit(literatureReviewSystem, "RoleGranted")
+        .withArgs(roles.CHAIR_ROLE, author1.address, owner.address);
+      expect(await literatureReviewSystem.hasRole(roles.CHAIR_ROLE, author1.address)).to.equal(true);
+
+      await expect(literatureReviewSystem.revokeRole(roles.CHAIR_ROLE, author1.address))
+        .to.emit(literatureReviewSystem, "RoleRevoked")
+        .withArgs(roles.CHAIR_ROLE, author1.address, owner.address);
+      expect(await literatureReviewSystem.hasRole(roles.CHAIR_ROLE, author1.address)).to.equal(false);
+
+      for (const signer of [chair, treasurer, guardian]) {
+        await expect(
+          literatureReviewSystem.connect(signer).grantRole(roles.CHAIR_ROLE, author1.address)
+        ).to.be.revertedWith("Not authorized");
+        await expect(
+          literatureReviewSystem.connect(signer).revokeRole(roles.CHAIR_ROLE, chair.address)
+        ).to.be.revertedWith("Not authorized");
+      }
+    });
+
+    it("Should validate role changes", async function () {
+      await expect(literatureReviewSystem.grantRole(ethers.id("UNKNOWN_ROLE"), author1.address)).to.be.revertedWith(
+        "Unknown role"
+      );
+      await expect(literatureReviewSystem.grantRole(roles.CHAIR_ROLE, chair.address)).to.be.revertedWith(
+        "Role already granted"
+      );
+      await expect(literatureReviewSystem.revokeRole(roles.CHAIR_ROLE, author1.address)).to.be.revertedWith(
+        "Role not granted"
+      );
+      await expect(literatureReviewSystem.grantRole(roles.CHAIR_ROLE, ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid zero address"
+      );
+    });
+
+    it("Should let holders renounce their own role", async function () {
+      await expect(literatureReviewSystem.connect(guardian).renounceRole(roles.GUARDIAN_ROLE))
+        .to.emit(literatureReviewSystem, "RoleRevoked")
+        .withArgs(roles.GUARDIAN_ROLE, guardian.address, guardian.address);
+      await expect(literatureReviewSystem.connect(guardian).pause()).to.be.revertedWith("Not authorized");
+      await expect(literatureReviewSystem.connect(guardian).renounceRole(roles.GUARDIAN_ROLE)).to.be.revertedWith(
+        "Role not granted"
+      );
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      await expect(literatureReviewSystem.connect(chair).transferOwnership(author1.address)).to.be.revertedWith(
+        "Not authorized"
+      );
+
+      await expect(literatureReviewSystem.transferOwnership(author1.address))
+        .to.emit(literatureReviewSystem, "OwnershipTransferStarted")
+        .withArgs(owner.address, author1.address);
+      expect(await literatureReviewSystem.owner()).to.equal(owner.address);
+      expect(await literatureReviewSystem.pendingOwner()).to.equal(author1.address);
+
+      await expect(literatureReviewSystem.connect(author2).acceptOwnership()).to.be.revertedWith("Not pending owner");
+      await expect(literatureReviewSystem.connect(author1).acceptOwnership())
+        .to.emit(literatureReviewSystem, "OwnershipTransferred")
+        .withArgs(owner.address, author1.address);
+
+      expect(await literatureReviewSystem.owner()).to.equal(author1.address);
+      expect(await literatureReviewSystem.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await expect(literatureReviewSystem.grantRole(roles.CHAIR_ROLE, author2.address)).to.be.revertedWith(
+        "Not authorized"
+      );
+
+      // Roles stay with their holders until the new owner revokes them
+      expect(await literatureReviewSystem.hasRole(roles.CHAIR_ROLE, owner.address)).to.equal(true);
+      await literatureReviewSystem.connect(author1).revokeRole(roles.CHAIR_ROLE, owner.address);
+      expect(await literatureReviewSystem.hasRole(roles.CHAIR_ROLE, owner.address)).to.equal(false);
+    });
+
+    it("Should let the owner replace a pending transfer", async function () {
+      await literatureReviewSystem.transferOwnership(author1.address);
+      await literatureReviewSystem.transferOwnership(author2.address);
+
+      await expect(literatureReviewSystem.connect(author1).acceptOwnership()).to.be.revertedWith("Not pending owner");
+      await literatureReviewSystem.connect(author2).acceptOwnership();
+      expect(await literatureReviewSystem.owner()).to.equal(author2.address);
+    });
+  });
+
+  describe("Award Categories", function () {
+    let submissionFee;
+
+    beforeEach(async function () {
+      submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+    });
+
+    it("Should seed the default categories", async function () {
+      const categories = await literatureReviewSystem.getCategories();
+
+      expect(categories.names).to.deep.equal(["Fiction", "Poetry", "Drama", "Non-Fiction"]);
+      expect(categories.active).to.deep.equal([true, true, true, true]);
+    });
+
+    it("Should allow owner to add a category", async function () {
+      await expect(literatureReviewSystem.connect(owner).addCategory("Short Story"))
+        .to.emit(literatureReviewSystem, "CategoryAdded")
+        .withArgs(4, "Short Story");
+
+      const categories = await literatureReviewSystem.getCategories();
+      expect(categories.names[4]).to.equal("Short Story");
+      expect(categories.active[4]).to.equal(true);
+    });
+
+    it("Should revert when adding a duplicate category", async function () {
+      await expect(literatureReviewSystem.connect(owner).addCategory("Poetry")).to.be.revertedWith(
+        "Category already exists"
+      );
+    });
+
+    it("Should allow owner to rename a category", async function () {
+      await expect(literatureReviewSystem.connect(owner).renameCategory(1, "Verse"))
+        .to.emit(literatureReviewSystem, "CategoryRenamed")
+        .withArgs(1, "Poetry", "Verse");
+
+      const categories = await literatureReviewSystem.getCategories();
+      expect(categories.names[1]).to.equal("Verse");
+
+      // The old name is released and can be registered again
+      await literatureReviewSystem.connect(owner).addCategory("Poetry");
+    });
+
+    it("Should allow owner to retire a category", async function () {
+      await expect(literatureReviewSystem.connect(owner).retireCategory(2))
+        .to.emit(literatureReviewSystem, "CategoryRetired")
+        .withArgs(2, "Drama");
+
+      const categories = await literatureReviewSystem.getCategories();
+      expect(categories.active[2]).to.equal(false);
+
+      await expect(literatureReviewSystem.connect(owner).retireCategory(2)).to.be.revertedWith(
+        "Category already retired"
+      );
+    });
+
+    it("Should revert for unknown category IDs", async function () {
+      await expect(literatureReviewSystem.connect(owner).renameCategory(99, "Epic")).to.be.revertedWith(
+        "Category not found"
+      );
+      await expect(literatureReviewSystem.connect(owner).retireCategory(99)).to.be.revertedWith("Category not found");
+    });
+
+    it("Should only allow owner to manage categories", async function () {
+      await expect(literatureReviewSystem.connect(author1).addCategory("Short Story")).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(literatureReviewSystem.connect(author1).renameCategory(0, "Prose")).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(literatureReviewSystem.connect(author1).retireCategory(0)).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should reject submissions to unknown categories", async function () {
+      await schedulePeriod(literatureReviewSystem);
+
+      for (const genre of ["fiction", "Short Story"]) {
+        await expect(
+          literatureReviewSystem
+            .connect(author1)
+            .submitWork("Title", "Author", genre, MANUSCRIPT_CID, { value: submissionFee })
+        ).to.be.revertedWith("Unknown category");
+      }
+    });
+
+    it("Should reject submissions to retired categories", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem.connect(owner).retireCategory(2);
+
+      await expect(
+        literatureReviewSystem
+          .connect(author1)
+          .submitWork("Title", "Author", "Drama", MANUSCRIPT_CID, { value: submissionFee })
+      ).to.be.revertedWith("Unknown category");
+    });
+
+    it("Should accept submissions to newly added categories", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem.connect(owner).addCategory("Short Story");
+
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("Title", "Author", "Short Story", MANUSCRIPT_CID, { value: submissionFee });
+
+      const work = await literatureReviewSystem.submissions(1, 1);
+      expect(work.genre).to.equal("Short Story");
+      expect(work.categoryId).to.equal(4);
+    });
+
+    it("Should keep submissions linked to a renamed category", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("Title", "Author", "Poetry", MANUSCRIPT_CID, { value: submissionFee });
+
+      await literatureReviewSystem.connect(owner).renameCategory(1, "Verse");
+
+      const work = await literatureReviewSystem.submissions(1, 1);
+      expect(work.categoryId).to.equal(1);
+    });
+  });
+
   describe("View Functions", function () {
     it("Should return empty submission info for non-existent work", async function () {
       const currentPeriod = await literatureReviewSystem.currentSubmissionPeriod();
@@ -219,6 +788,48 @@ describe("LiteratureReviewSystem", function () {
       expect(profile.reviewCount).to.equal(0);
     });
 
+    it("Should page through submissions with genre and submitter filters", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      for (let i = 1; i <= 5; i++) {
+        await literatureReviewSystem
+          .connect(i % 2 ? author1 : author2)
+          .submitWork(`Work ${i}`, "Author", i % 2 ? "Fiction" : "Poetry", MANUSCRIPT_CID, { value: SUBMISSION_FEE });
+      }
+      const workIds = (page) => page.map((work) => Number(work.workId));
+
+      let result = await literatureReviewSystem.getSubmissionsPage(1, 0, 2, "", ethers.ZeroAddress);
+      expect(workIds(result.page)).to.deep.equal([1, 2]);
+      expect(result.nextWorkId).to.equal(3);
+      expect(result.page[1].title).to.equal("Work 2");
+      expect(result.page[1].genre).to.equal("Poetry");
+      expect(result.page[1].manuscriptCid).to.equal(MANUSCRIPT_CID);
+      expect(result.page[1].submitter).to.equal(author2.address);
+      expect(result.page[1].reviewCount).to.equal(0);
+      expect(result.page[1].decryptionRequestTime).to.equal(0);
+
+      result = await literatureReviewSystem.getSubmissionsPage(1, 5, 2, "", ethers.ZeroAddress);
+      expect(workIds(result.page)).to.deep.equal([5]);
+      expect(result.nextWorkId).to.equal(0);
+
+      result = await literatureReviewSystem.getSubmissionsPage(1, 0, 10, "Poetry", ethers.ZeroAddress);
+      expect(workIds(result.page)).to.deep.equal([2, 4]);
+      result = await literatureReviewSystem.getSubmissionsPage(1, 0, 2, "", author1.address);
+      expect(workIds(result.page)).to.deep.equal([1, 3]);
+      expect(result.nextWorkId).to.equal(4);
+      result = await literatureReviewSystem.getSubmissionsPage(1, 0, 10, "Poetry", author1.address);
+      expect(result.page.length).to.equal(0);
+      result = await literatureReviewSystem.getSubmissionsPage(1, 0, 10, "Essay", ethers.ZeroAddress);
+      expect(result.page.length).to.equal(0);
+      expect(result.nextWorkId).to.equal(0);
+
+      const maxPageSize = await literatureReviewSystem.MAX_PAGE_SIZE();
+      for (const limit of [0n, maxPageSize + 1n]) {
+        await expect(literatureReviewSystem.getSubmissionsPage(1, 0, limit, "", ethers.ZeroAddress)).to.be.revertedWith(
+          "Invalid page size"
+        );
+      }
+    });
+
     it("Should return empty awards for period with no awards", async function () {
       const awards = await literatureReviewSystem.getAwards(1);
 
@@ -227,4 +838,1474 @@ describe("LiteratureReviewSystem", function () {
       expect(awards.announced.length).to.equal(0);
     });
   });
+
+  describe("Award Winner Selection", function () {
+    let author3;
+    let submissionFee;
+    let reviewStake;
+
+    before(function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    beforeEach(async function () {
+      author3 = (await ethers.getSigners())[5];
+      submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+
+      await literatureReviewSystem
+        .connect(reviewer1)
+        .registerReviewer("Dr. Jane Smith", "Contemporary Fiction", { value: reviewStake });
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+
+      await schedulePeriod(literatureReviewSystem);
+      // Poetry winner is submitted first, Fiction winner second: submission order must not matter
+      const works = [
+        [author1, "Quiet Verses", "Poetry"],
+        [author2, "Loud Verses", "Poetry"],
+        [author1, "First Novel", "Fiction"],
+        [author3, "Second Novel", "Fiction"],
+      ];
+      for (const [author, title, genre] of works) {
+        await literatureReviewSystem.connect(author).submitWork(title, "Author", genre, MANUSCRIPT_CID, {
+          value: submissionFee,
+        });
+      }
+
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+
+      const scores = [
+        [1, 9, 9, 9],
+        [2, 100, 100, 100],
+        [3, 5, 5, 5],
+        [4, 90, 95, 100],
+      ];
+      for (const [workId, quality, originality, impact] of scores) {
+        await literatureReviewSystem
+          .connect(reviewer1)
+          .submitReview(workId, quality, originality, impact, "Comment", { value: reviewStake });
+      }
+      await advanceTo(literatureReviewSystem, "announcement");
+    });
+
+    async function decryptedAggregate(workId) {
+      await literatureReviewSystem.connect(owner).requestScoreDecryption(1, workId);
+      await fhevm.awaitDecryptionOracle();
+      const status = await literatureReviewSystem.getDecryptionStatus(1, workId);
+      return status.decryptedScore;
+    }
+
+    it("Should award the highest-scored work in each category", async function () {
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const awards = await literatureReviewSystem.getAwards(1);
+      expect(awards.categories).to.deep.equal(["Fiction", "Poetry"]);
+      expect(awards.winners).to.deep.equal([author3.address, author2.address]);
+
+      const fictionAward = await literatureReviewSystem.awards(1, 0);
+      const poetryAward = await literatureReviewSystem.awards(1, 1);
+      expect(fictionAward.workId).to.equal(4);
+      expect(poetryAward.workId).to.equal(2);
+    });
+
+    it("Should record the decrypted winning score in totalScore", async function () {
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const fictionAward = await literatureReviewSystem.awards(1, 0);
+      const poetryAward = await literatureReviewSystem.awards(1, 1);
+      expect(fictionAward.totalScore).to.be.greaterThan(0);
+      expect(fictionAward.totalScore).to.equal(await decryptedAggregate(4));
+      expect(poetryAward.totalScore).to.equal(await decryptedAggregate(2));
+      expect(poetryAward.totalScore).to.be.greaterThan(await decryptedAggregate(1));
+    });
+
+    it("Should let only the submitter decrypt a work's scores", async function () {
+      const contractAddress = await literatureReviewSystem.getAddress();
+      // Decrypting the score marks the work reviewed without calculating its results
+      const aggregate = await decryptedAggregate(4);
+      await expect(literatureReviewSystem.getEncryptedScores(1, 4)).to.be.revertedWith("Results not calculated");
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const scores = await literatureReviewSystem.getEncryptedScores(1, 4);
+      const decrypt = (handle, signer) => fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, signer);
+      expect(await decrypt(scores.aggregate, author3)).to.equal(aggregate);
+      expect(await decrypt(scores.quality, author3)).to.equal(90);
+      expect(await decrypt(scores.originality, author3)).to.equal(95);
+      expect(await decrypt(scores.impact, author3)).to.equal(100);
+
+      await expect(decrypt(scores.aggregate, author1)).to.be.rejected;
+      await expect(decrypt(scores.quality, author1)).to.be.rejected;
+    });
+
+    it("Should emit AwardWinnerDecrypted from the Gateway callback", async function () {
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const events = await literatureReviewSystem.queryFilter(literatureReviewSystem.filters.AwardWinnerDecrypted(1));
+      expect(events.map((event) => event.args.category)).to.have.members(["Fiction", "Poetry"]);
+      expect(events.map((event) => event.args.winner)).to.have.members([author3.address, author2.address]);
+    });
+
+    it("Should pick the same winners when results are calculated in batches", async function () {
+      await expect(literatureReviewSystem.connect(owner).calculateResultsBatch(1, 0)).to.be.revertedWith(
+        "Invalid batch size"
+      );
+
+      await expect(literatureReviewSystem.connect(owner).calculateResultsBatch(1, 3))
+        .to.emit(literatureReviewSystem, "ResultsBatchProcessed")
+        .withArgs(1, 3, 4)
+        .and.not.to.emit(literatureReviewSystem, "AwardDecryptionRequested");
+      expect(await literatureReviewSystem.resultsCursor(1)).to.equal(3);
+      expect(await literatureReviewSystem.resultsCalculated(1)).to.equal(false);
+
+      // The Fiction leader after the first batch is work 3; work 4 must overtake it
+      await expect(literatureReviewSystem.connect(owner).calculateResultsBatch(1, 3))
+        .to.emit(literatureReviewSystem, "ResultsBatchProcessed")
+        .withArgs(1, 4, 4);
+      expect(await literatureReviewSystem.resultsCalculated(1)).to.equal(true);
+      await expect(literatureReviewSystem.connect(owner).calculateResultsBatch(1, 3)).to.be.revertedWith(
+        "Results already calculated"
+      );
+
+      await fhevm.awaitDecryptionOracle();
+      const awards = await literatureReviewSystem.getAwards(1);
+      expect(awards.categories).to.deep.equal(["Fiction", "Poetry"]);
+      expect(awards.winners).to.deep.equal([author3.address, author2.address]);
+    });
+
+    it("Should let calculateResults finish a batch in progress", async function () {
+      await literatureReviewSystem.connect(owner).calculateResultsBatch(1, 1);
+      await expect(literatureReviewSystem.connect(owner).calculateResults(1))
+        .to.emit(literatureReviewSystem, "ResultsBatchProcessed")
+        .withArgs(1, 4, 4);
+
+      await fhevm.awaitDecryptionOracle();
+      expect((await literatureReviewSystem.getAwards(1)).winners).to.deep.equal([author3.address, author2.address]);
+    });
+
+    it("Should leave works refunded on timeout out of the results", async function () {
+      // The timeout runs from the scheduled announcement, not from submission
+      await expect(literatureReviewSystem.connect(author2).claimTimeoutRefund(1, 2)).to.be.revertedWith(
+        "Timeout not reached"
+      );
+      const { announcement } = await literatureReviewSystem.getPeriodSchedule(1);
+      await time.increaseTo(announcement + (await literatureReviewSystem.REVIEW_TIMEOUT()));
+      await expect(literatureReviewSystem.connect(author2).claimTimeoutRefund(1, 2)).to.changeEtherBalance(
+        author2,
+        submissionFee
+      );
+
+      // Work 2 would win Poetry; it is skipped by a batch and by calculateResults alike
+      await literatureReviewSystem.connect(owner).calculateResultsBatch(1, 1);
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await literatureReviewSystem.getSubmissionInfo(1, 2)).reviewed).to.equal(false);
+      expect((await literatureReviewSystem.getAwards(1)).winners).to.deep.equal([author3.address, author1.address]);
+    });
+
+    it("Should request score decryption for a whole period in batches", async function () {
+      await literatureReviewSystem.connect(owner).requestScoreDecryption(1, 2);
+
+      await expect(literatureReviewSystem.connect(owner).requestScoreDecryptionBatch(1, 3))
+        .to.emit(literatureReviewSystem, "DecryptionBatchProcessed")
+        .withArgs(1, 3, 4);
+      expect(await literatureReviewSystem.decryptionCursor(1)).to.equal(3);
+      await expect(literatureReviewSystem.connect(owner).requestScoreDecryptionBatch(1, 3))
+        .to.emit(literatureReviewSystem, "DecryptionBatchProcessed")
+        .withArgs(1, 4, 4);
+
+      // Work 2 was requested individually and is skipped rather than requested twice
+      const requests = await literatureReviewSystem.queryFilter(literatureReviewSystem.filters.DecryptionRequested(1));
+      expect(requests.map((event) => Number(event.args.workId))).to.deep.equal([2, 1, 3, 4]);
+
+      await fhevm.awaitDecryptionOracle();
+      for (const workId of [1, 2, 3, 4]) {
+        expect((await literatureReviewSystem.getDecryptionStatus(1, workId)).completed).to.equal(true);
+      }
+    });
+
+    it("Should report review counts and decryption status in submission pages", async function () {
+      const score = await decryptedAggregate(2);
+      const { page } = await literatureReviewSystem.getSubmissionsPage(1, 1, 2, "", ethers.ZeroAddress);
+
+      expect(page.map((work) => work.reviewCount)).to.deep.equal([1n, 1n]);
+      expect(page[0].decryptionRequestTime).to.equal(0);
+      expect(page[1].decryptionRequestTime).to.be.greaterThan(0);
+      expect(page[1].decryptionCompleted).to.equal(true);
+      expect(page[1].decryptionFailed).to.equal(false);
+      expect(page[1].decryptedScore).to.equal(score);
+    });
+
+    it("Should not announce awards before winners are decrypted", async function () {
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+
+      await expect(literatureReviewSystem.connect(owner).announceAwards(1)).not.to.emit(
+        literatureReviewSystem,
+        "AwardAnnounced"
+      );
+
+      await fhevm.awaitDecryptionOracle();
+      await expect(literatureReviewSystem.connect(owner).announceAwards(1))
+        .to.emit(literatureReviewSystem, "AwardAnnounced")
+        .withArgs(1, "Fiction", author3.address);
+    });
+
+    it("Should expose award details with announcement time", async function () {
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      let details = await literatureReviewSystem.getAwardDetails(1);
+      expect(details.map((award) => award.workId)).to.deep.equal([4n, 2n]);
+      expect(details.every((award) => !award.announced && award.announcementTime === 0n)).to.equal(true);
+
+      await literatureReviewSystem.connect(owner).announceAwards(1);
+      const announcedAt = await time.latest();
+
+      details = await literatureReviewSystem.getAwardDetails(1);
+      expect(details[0].category).to.equal("Fiction");
+      expect(details[0].winner).to.equal(author3.address);
+      expect(details[0].totalScore).to.equal(await decryptedAggregate(4));
+      expect(details[0].announced).to.equal(true);
+      expect(details[0].announcementTime).to.equal(announcedAt);
+      expect(await literatureReviewSystem.getAwardDetails(2)).to.deep.equal([]);
+    });
+
+    it("Should publish awards under the current category name", async function () {
+      await literatureReviewSystem.connect(owner).renameCategory(1, "Verse");
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const awards = await literatureReviewSystem.getAwards(1);
+      expect(awards.categories).to.deep.equal(["Fiction", "Verse"]);
+      expect(awards.winners).to.deep.equal([author3.address, author2.address]);
+    });
+
+    it("Should revert when results are calculated twice", async function () {
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+
+      await expect(literatureReviewSystem.connect(owner).calculateResults(1)).to.be.revertedWith(
+        "Results already calculated"
+      );
+    });
+  });
+
+  describe("Criterion Weights", function () {
+    it("Should default every criterion weight to 1", async function () {
+      const weights = await literatureReviewSystem.getCriterionWeights(1);
+
+      expect(weights.quality).to.equal(1);
+      expect(weights.originality).to.equal(1);
+      expect(weights.impact).to.equal(1);
+    });
+
+    it("Should allow owner to set weights for an upcoming period", async function () {
+      await expect(literatureReviewSystem.connect(owner).setCriterionWeights(1, 3, 2, 1))
+        .to.emit(literatureReviewSystem, "CriterionWeightsUpdated")
+        .withArgs(1, 3, 2, 1);
+
+      const weights = await literatureReviewSystem.getCriterionWeights(1);
+      expect(weights.quality).to.equal(3);
+      expect(weights.originality).to.equal(2);
+      expect(weights.impact).to.equal(1);
+    });
+
+    it("Should revert for invalid weights", async function () {
+      await expect(literatureReviewSystem.connect(owner).setCriterionWeights(1, 0, 0, 0)).to.be.revertedWith(
+        "Weights cannot all be zero"
+      );
+      await expect(literatureReviewSystem.connect(owner).setCriterionWeights(1, 101, 1, 1)).to.be.revertedWith(
+        "Weight exceeds maximum"
+      );
+    });
+
+    it("Should lock weights once the review period has started", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+
+      await expect(literatureReviewSystem.connect(owner).setCriterionWeights(1, 2, 1, 1)).to.be.revertedWith(
+        "Review already started"
+      );
+    });
+
+    it("Should only allow owner to set weights", async function () {
+      await expect(literatureReviewSystem.connect(author1).setCriterionWeights(1, 2, 1, 1)).to.be.revertedWith(
+        "Not authorized"
+      );
+    });
+  });
+
+  describe("Score Aggregation", function () {
+    let panel;
+    let reviewStake;
+
+    // Mirrors the contract: weighted sum over reviews divided by reviewCount * weightSum, rounded
+    function expectedAverage(scores, [quality, originality, impact] = [1, 1, 1]) {
+      const total = scores.reduce((sum, [q, o, i]) => sum + q * quality + o * originality + i * impact, 0);
+      const divisor = scores.length * (quality + originality + impact);
+      return Math.floor((total + Math.floor(divisor / 2)) / divisor);
+    }
+
+    async function startReview() {
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      // Every panelist reviews every work
+      await literatureReviewSystem.connect(owner).setAssignmentConfig(panel.length, 3);
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+    }
+
+    async function submitReviews(workId, scores) {
+      for (let i = 0; i < scores.length; i++) {
+        const [quality, originality, impact] = scores[i];
+        await literatureReviewSystem
+          .connect(panel[i])
+          .submitReview(workId, quality, originality, impact, "Comment", { value: reviewStake });
+      }
+    }
+
+    // Scores are only decrypted once the review window has closed
+    async function decryptAverage(workId) {
+      await advanceTo(literatureReviewSystem, "reviewClose");
+      await literatureReviewSystem.connect(owner).requestScoreDecryption(1, workId);
+      await fhevm.awaitDecryptionOracle();
+      const status = await literatureReviewSystem.getDecryptionStatus(1, workId);
+      return status.decryptedScore;
+    }
+
+    async function reviewAndDecrypt(workId, scores) {
+      await submitReviews(workId, scores);
+      return decryptAverage(workId);
+    }
+
+    before(function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    beforeEach(async function () {
+      panel = (await ethers.getSigners()).slice(6, 11);
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+      const submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+
+      for (const reviewer of panel) {
+        await literatureReviewSystem.connect(reviewer).registerReviewer("Panelist", "Fiction", { value: reviewStake });
+        await literatureReviewSystem.connect(owner).approveReviewer(reviewer.address);
+      }
+
+      await schedulePeriod(literatureReviewSystem);
+      for (let i = 0; i < 3; i++) {
+        await literatureReviewSystem
+          .connect(author1)
+          .submitWork(`Work ${i + 1}`, "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee });
+      }
+    });
+
+    it("Should average a work with 1 reviewer", async function () {
+      const scores = [[80, 70, 91]];
+      await startReview();
+
+      expect(await reviewAndDecrypt(1, scores)).to.equal(expectedAverage(scores));
+      expect(expectedAverage(scores)).to.equal(80);
+    });
+
+    it("Should average a work with 3 reviewers", async function () {
+      const scores = [
+        [80, 70, 90],
+        [60, 65, 70],
+        [95, 90, 85],
+      ];
+      await startReview();
+
+      expect(await reviewAndDecrypt(1, scores)).to.equal(expectedAverage(scores));
+    });
+
+    it("Should average a work with 5 reviewers", async function () {
+      const scores = [
+        [100, 100, 100],
+        [1, 1, 1],
+        [55, 60, 65],
+        [72, 81, 90],
+        [33, 44, 55],
+      ];
+      await startReview();
+
+      expect(await reviewAndDecrypt(1, scores)).to.equal(expectedAverage(scores));
+    });
+
+    it("Should keep averages comparable across reviewer counts", async function () {
+      await startReview();
+
+      await submitReviews(1, [[90, 90, 90]]);
+      await submitReviews(2, [
+        [80, 80, 80],
+        [80, 80, 80],
+        [80, 80, 80],
+        [80, 80, 80],
+        [80, 80, 80],
+      ]);
+
+      expect(await decryptAverage(1)).to.equal(90);
+      expect(await decryptAverage(2)).to.equal(80);
+    });
+
+    it("Should apply the period's criterion weights", async function () {
+      const weights = [3, 1, 1];
+      const scores = [
+        [90, 40, 50],
+        [70, 20, 30],
+        [80, 60, 10],
+      ];
+      await literatureReviewSystem.connect(owner).setCriterionWeights(1, ...weights);
+      await startReview();
+
+      const average = await reviewAndDecrypt(1, scores);
+      expect(average).to.equal(expectedAverage(scores, weights));
+      expect(average).to.not.equal(expectedAverage(scores));
+    });
+
+    it("Should stay on the 1-100 scale at the extremes", async function () {
+      await startReview();
+
+      await submitReviews(1, [[100, 100, 100]]);
+      await submitReviews(2, [[1, 1, 1]]);
+
+      expect(await decryptAverage(1)).to.equal(100);
+      expect(await decryptAverage(2)).to.equal(1);
+    });
+
+    it("Should clamp out-of-range encrypted scores", async function () {
+      await startReview();
+
+      const contractAddress = await literatureReviewSystem.getAddress();
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, panel[0].address)
+        .add32(150)
+        .add32(0)
+        .add32(50)
+        .encrypt();
+      await literatureReviewSystem
+        .connect(panel[0])
+        .submitReviewEncrypted(1, input.handles[0], input.handles[1], input.handles[2], input.inputProof, "Comment", {
+          value: reviewStake,
+        });
+
+      expect(await decryptAverage(1)).to.equal(expectedAverage([[100, 1, 50]]));
+    });
+
+    it("Should not decrypt works below the review quorum", async function () {
+      await startReview();
+
+      await expect(reviewAndDecrypt(3, [])).to.be.revertedWith("Review quorum not met");
+    });
+
+    it("Should not decrypt a work before the review window closes", async function () {
+      await startReview();
+      await submitReviews(1, [[80, 80, 80]]);
+
+      await expect(literatureReviewSystem.connect(owner).requestScoreDecryption(1, 1)).to.be.revertedWith(
+        "Review period not closed"
+      );
+      expect(await decryptAverage(1)).to.equal(80);
+    });
+  });
+
+  describe("Encrypted Review Submission", function () {
+    let reviewStake;
+    let contractAddress;
+
+    async function encryptScores(signer, scores) {
+      const input = fhevm.createEncryptedInput(contractAddress, signer.address);
+      scores.forEach((score) => input.add32(score));
+      return input.encrypt();
+    }
+
+    before(function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    beforeEach(async function () {
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+      contractAddress = await literatureReviewSystem.getAddress();
+      const submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+
+      for (const reviewer of [reviewer1, reviewer2]) {
+        await literatureReviewSystem.connect(reviewer).registerReviewer("Reviewer", "Fiction", { value: reviewStake });
+        await literatureReviewSystem.connect(owner).approveReviewer(reviewer.address);
+      }
+
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("Test Novel", "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee });
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+    });
+
+    it("Should store scores only the reviewer can decrypt", async function () {
+      const input = await encryptScores(reviewer1, [85, 72, 64]);
+      await expect(
+        literatureReviewSystem
+          .connect(reviewer1)
+          .submitReviewEncrypted(1, input.handles[0], input.handles[1], input.handles[2], input.inputProof, "Comment", {
+            value: reviewStake,
+          })
+      )
+        .to.emit(literatureReviewSystem, "ReviewSubmitted")
+        .withArgs(1, 1, reviewer1.address, reviewStake);
+
+      const review = await literatureReviewSystem.reviews(1, 1, reviewer1.address);
+      const decrypt = (handle) => fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, reviewer1);
+      expect(await decrypt(review.encryptedQualityScore)).to.equal(85);
+      expect(await decrypt(review.encryptedOriginalityScore)).to.equal(72);
+      expect(await decrypt(review.encryptedImpactScore)).to.equal(64);
+
+      await expect(fhevm.userDecryptEuint(FhevmType.euint32, review.encryptedQualityScore, contractAddress, reviewer2))
+        .to.be.rejected;
+    });
+
+    it("Should reject inputs encrypted for another reviewer", async function () {
+      const input = await encryptScores(reviewer1, [85, 72, 64]);
+
+      await expect(
+        literatureReviewSystem
+          .connect(reviewer2)
+          .submitReviewEncrypted(1, input.handles[0], input.handles[1], input.handles[2], input.inputProof, "Comment", {
+            value: reviewStake,
+          })
+      ).to.be.reverted;
+    });
+
+    it("Should accept scores encrypted with the frontend's FHEVM mock addresses", async function () {
+      const { findNetwork } = requireFrontendModule("src/lib/networks.ts");
+      const { chainId, mockFhevm } = findNetwork(31337);
+      const metadata = await ethers.provider.send("fhevm_relayer_metadata", []);
+      const provider = await MockFhevmInstance.create(ethers.provider, ethers.provider, {
+        aclContractAddress: metadata.ACLAddress,
+        chainId,
+        gatewayChainId: metadata.gatewayChainId,
+        inputVerifierContractAddress: metadata.InputVerifierAddress,
+        kmsContractAddress: metadata.KMSVerifierAddress,
+        verifyingContractAddressDecryption: mockFhevm.decryptionAddress,
+        verifyingContractAddressInputVerification: mockFhevm.inputVerificationAddress,
+      });
+
+      const input = provider.createEncryptedInput(contractAddress, reviewer1.address);
+      [85, 72, 64].forEach((score) => input.add32(score));
+      const { handles, inputProof } = await input.encrypt();
+
+      await expect(
+        literatureReviewSystem
+          .connect(reviewer1)
+          .submitReviewEncrypted(1, handles[0], handles[1], handles[2], inputProof, "Comment", { value: reviewStake })
+      ).to.emit(literatureReviewSystem, "ReviewSubmitted");
+    });
+  });
+
+  describe("Reviewer Registry", function () {
+    const Status = { Pending: 1, Active: 2, Revoked: 3 };
+    let reviewStake;
+    let reviewer3;
+
+    beforeEach(async function () {
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+      reviewer3 = (await ethers.getSigners())[5];
+
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await literatureReviewSystem.connect(reviewer).registerReviewer("Reviewer", "Fiction", { value: reviewStake });
+      }
+    });
+
+    it("Should list registered reviewers in registration order with pagination", async function () {
+      expect(await literatureReviewSystem.getRegisteredReviewers(0, 2)).to.deep.equal([
+        reviewer1.address,
+        reviewer2.address,
+      ]);
+      expect(await literatureReviewSystem.getRegisteredReviewers(2, 2)).to.deep.equal([reviewer3.address]);
+      expect(await literatureReviewSystem.getRegisteredReviewers(3, 2)).to.deep.equal([]);
+    });
+
+    it("Should track reviewers through pending, active and revoked", async function () {
+      expect(await literatureReviewSystem.reviewerStatus(reviewer1.address)).to.equal(Status.Pending);
+      expect(await literatureReviewSystem.reviewerStatus(author1.address)).to.equal(0);
+
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer2.address);
+      await literatureReviewSystem.connect(owner).revokeReviewer(reviewer1.address);
+
+      expect(await literatureReviewSystem.reviewerStatus(reviewer1.address)).to.equal(Status.Revoked);
+      expect(await literatureReviewSystem.getReviewersByStatus(Status.Pending, 0, 10)).to.deep.equal([
+        reviewer3.address,
+      ]);
+      expect(await literatureReviewSystem.getReviewersByStatus(Status.Active, 0, 10)).to.deep.equal([
+        reviewer2.address,
+      ]);
+      expect(await literatureReviewSystem.getReviewersByStatus(Status.Revoked, 0, 10)).to.deep.equal([
+        reviewer1.address,
+      ]);
+
+      const counts = await literatureReviewSystem.getReviewerCounts();
+      expect(counts.registered).to.equal(3);
+      expect(counts.pending).to.equal(1);
+      expect(counts.active).to.equal(1);
+      expect(counts.revoked).to.equal(1);
+    });
+
+    it("Should move re-approved reviewers back to active", async function () {
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+      await literatureReviewSystem.connect(owner).revokeReviewer(reviewer1.address);
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+
+      expect(await literatureReviewSystem.getReviewersByStatus(Status.Active, 0, 10)).to.deep.equal([
+        reviewer1.address,
+      ]);
+      const counts = await literatureReviewSystem.getReviewerCounts();
+      expect(counts.active).to.equal(1);
+      expect(counts.revoked).to.equal(0);
+    });
+
+    it("Should reject revoking an unregistered address", async function () {
+      await expect(literatureReviewSystem.connect(owner).revokeReviewer(author1.address)).to.be.revertedWith(
+        "Reviewer not registered"
+      );
+    });
+
+    it("Should count reviews per period", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      const submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer2.address);
+
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("Test Novel", "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee });
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+
+      for (const reviewer of [reviewer1, reviewer2]) {
+        await literatureReviewSystem.connect(reviewer).submitReview(1, 80, 80, 80, "Comment", { value: reviewStake });
+      }
+
+      expect(await literatureReviewSystem.reviewCountPerPeriod(1)).to.equal(2);
+      expect(await literatureReviewSystem.reviewCountPerPeriod(2)).to.equal(0);
+    });
+  });
+
+  describe("Reviewer Assignment", function () {
+    let reviewer3;
+    let submissionFee;
+    let reviewStake;
+
+    async function registerAndApprove(reviewer, expertise) {
+      await literatureReviewSystem.connect(reviewer).registerReviewer("Reviewer", expertise, { value: reviewStake });
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer.address);
+    }
+
+    async function submitWorks(works) {
+      await schedulePeriod(literatureReviewSystem);
+      for (const [author, genre] of works) {
+        await literatureReviewSystem
+          .connect(author)
+          .submitWork(`${genre} Work`, "Author", genre, MANUSCRIPT_CID, { value: submissionFee });
+      }
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+    }
+
+    beforeEach(async function () {
+      reviewer3 = (await ethers.getSigners())[5];
+      submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+    });
+
+    it("Should use default assignment configuration", async function () {
+      expect(await literatureReviewSystem.reviewersPerWork()).to.equal(3);
+      expect(await literatureReviewSystem.reviewerQuota()).to.equal(5);
+    });
+
+    it("Should prefer reviewers whose expertise matches the genre", async function () {
+      await registerAndApprove(reviewer1, "Contemporary Fiction");
+      await registerAndApprove(reviewer2, "Classical Poetry");
+      await registerAndApprove(reviewer3, "poetry and drama");
+      await literatureReviewSystem.connect(owner).setAssignmentConfig(1, 5);
+      await submitWorks([
+        [author1, "Fiction"],
+        [author1, "Poetry"],
+        [author2, "Poetry"],
+      ]);
+
+      await expect(literatureReviewSystem.connect(owner).assignReviewers(1))
+        .to.emit(literatureReviewSystem, "ReviewerAssigned")
+        .withArgs(1, 1, reviewer1.address);
+
+      expect(await literatureReviewSystem.getWorkAssignees(1, 1)).to.deep.equal([reviewer1.address]);
+      // Poetry load is balanced across both poetry experts, case-insensitively
+      expect(await literatureReviewSystem.getWorkAssignees(1, 2)).to.deep.equal([reviewer2.address]);
+      expect(await literatureReviewSystem.getWorkAssignees(1, 3)).to.deep.equal([reviewer3.address]);
+      expect(await literatureReviewSystem.getAssignedWorks(1, reviewer1.address)).to.deep.equal([1n]);
+    });
+
+    it("Should fill remaining slots with other reviewers up to the quota", async function () {
+      await registerAndApprove(reviewer1, "Fiction");
+      await registerAndApprove(reviewer2, "Poetry");
+      await registerAndApprove(reviewer3, "Drama");
+      await literatureReviewSystem.connect(owner).setAssignmentConfig(2, 1);
+      await submitWorks([
+        [author1, "Fiction"],
+        [author1, "Fiction"],
+      ]);
+
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+
+      expect(await literatureReviewSystem.getWorkAssignees(1, 1)).to.deep.equal([reviewer1.address, reviewer2.address]);
+      expect(await literatureReviewSystem.getWorkAssignees(1, 2)).to.deep.equal([reviewer3.address]);
+    });
+
+    it("Should never assign reviewers to their own work", async function () {
+      await registerAndApprove(reviewer1, "Fiction");
+      await registerAndApprove(reviewer2, "Poetry");
+      await submitWorks([[reviewer1, "Fiction"]]);
+
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+
+      expect(await literatureReviewSystem.getWorkAssignees(1, 1)).to.deep.equal([reviewer2.address]);
+      expect(await literatureReviewSystem.isAssigned(1, 1, reviewer1.address)).to.equal(false);
+    });
+
+    it("Should only assign the current review period once", async function () {
+      await registerAndApprove(reviewer1, "Fiction");
+      await submitWorks([[author1, "Fiction"]]);
+
+      await expect(literatureReviewSystem.connect(owner).assignReviewers(2)).to.be.revertedWith(
+        "Not the current review period"
+      );
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+      await expect(literatureReviewSystem.connect(owner).assignReviewers(1)).to.be.revertedWith(
+        "Reviewers already assigned"
+      );
+    });
+
+    it("Should assign large periods in resumable batches", async function () {
+      await registerAndApprove(reviewer1, "Fiction");
+      await registerAndApprove(reviewer2, "Fiction");
+      await registerAndApprove(reviewer3, "Fiction");
+      await literatureReviewSystem.connect(owner).setAssignmentConfig(2, 40);
+      const works = Array.from({ length: 60 }, (_, i) => [i % 2 ? author1 : author2, "Fiction"]);
+      await submitWorks(works);
+
+      await expect(literatureReviewSystem.connect(owner).assignReviewersBatch(1, 0)).to.be.revertedWith(
+        "Invalid batch size"
+      );
+      expect(await literatureReviewSystem.connect(owner).assignReviewersBatch.staticCall(1, 25)).to.equal(false);
+      await expect(literatureReviewSystem.connect(owner).assignReviewersBatch(1, 25))
+        .to.emit(literatureReviewSystem, "AssignmentBatchProcessed")
+        .withArgs(1, 25, 60);
+      expect(await literatureReviewSystem.assignmentCursor(1)).to.equal(25);
+      expect(await literatureReviewSystem.reviewersAssigned(1)).to.equal(false);
+      expect(await literatureReviewSystem.getWorkAssignees(1, 26)).to.deep.equal([]);
+
+      await literatureReviewSystem.connect(owner).assignReviewersBatch(1, 25);
+      expect(await literatureReviewSystem.connect(owner).assignReviewersBatch.staticCall(1, 25)).to.equal(true);
+      await expect(literatureReviewSystem.connect(owner).assignReviewersBatch(1, 25))
+        .to.emit(literatureReviewSystem, "AssignmentBatchProcessed")
+        .withArgs(1, 60, 60);
+      expect(await literatureReviewSystem.reviewersAssigned(1)).to.equal(true);
+      await expect(literatureReviewSystem.connect(owner).assignReviewersBatch(1, 25)).to.be.revertedWith(
+        "Reviewers already assigned"
+      );
+
+      // Every work is covered and the load stays balanced across batches
+      for (let workId = 1; workId <= works.length; workId++) {
+        expect(await literatureReviewSystem.getWorkAssignees(1, workId)).to.have.length(2);
+      }
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        expect(await literatureReviewSystem.getAssignedWorks(1, reviewer.address)).to.have.length(40);
+      }
+    });
+
+    it("Should reject reviews from unassigned reviewers", async function () {
+      await registerAndApprove(reviewer1, "Fiction");
+      await registerAndApprove(reviewer2, "Fiction");
+      await literatureReviewSystem.connect(owner).setAssignmentConfig(1, 5);
+      await submitWorks([[author1, "Fiction"]]);
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+
+      await expect(
+        literatureReviewSystem.connect(reviewer2).submitReview(1, 80, 80, 80, "Comment", { value: reviewStake })
+      ).to.be.revertedWith("Not assigned to this work");
+      await expect(
+        literatureReviewSystem.connect(reviewer1).submitReview(1, 80, 80, 80, "Comment", { value: reviewStake })
+      ).to.emit(literatureReviewSystem, "ReviewSubmitted");
+    });
+
+    it("Should validate assignment configuration", async function () {
+      await expect(literatureReviewSystem.connect(author1).setAssignmentConfig(2, 2)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(literatureReviewSystem.connect(owner).setAssignmentConfig(0, 2)).to.be.revertedWith(
+        "Reviewers per work must be positive"
+      );
+      await expect(literatureReviewSystem.connect(owner).setAssignmentConfig(2, 0)).to.be.revertedWith(
+        "Reviewer quota must be positive"
+      );
+      await expect(literatureReviewSystem.connect(owner).setAssignmentConfig(2, 4))
+        .to.emit(literatureReviewSystem, "AssignmentConfigUpdated")
+        .withArgs(2, 4);
+    });
+  });
+
+  describe("Conflicts of Interest", function () {
+    let reviewer3;
+    let submissionFee;
+    let reviewStake;
+
+    beforeEach(async function () {
+      reviewer3 = (await ethers.getSigners())[5];
+      submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await literatureReviewSystem.connect(reviewer).registerReviewer("Reviewer", "Fiction", { value: reviewStake });
+        await literatureReviewSystem.connect(owner).approveReviewer(reviewer.address);
+      }
+    });
+
+    async function startReview(works, reviewersPerWork = 3) {
+      await schedulePeriod(literatureReviewSystem);
+      for (const author of works) {
+        await literatureReviewSystem
+          .connect(author)
+          .submitWork("Test Novel", "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee });
+      }
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      await literatureReviewSystem.connect(owner).setAssignmentConfig(reviewersPerWork, 5);
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+    }
+
+    function review(reviewer, workId) {
+      return literatureReviewSystem
+        .connect(reviewer)
+        .submitReview(workId, 80, 80, 80, "Comment", { value: reviewStake });
+    }
+
+    it("Should block reviewers from scoring their own work", async function () {
+      await startReview([reviewer1]);
+
+      expect([...(await literatureReviewSystem.getWorkAssignees(1, 1))]).to.have.members([
+        reviewer2.address,
+        reviewer3.address,
+      ]);
+      await expect(review(reviewer1, 1)).to.be.revertedWith("Conflict of interest");
+    });
+
+    it("Should skip and block reviewers affiliated with the submitter", async function () {
+      await expect(literatureReviewSystem.connect(reviewer1).declareAffiliation(author1.address))
+        .to.emit(literatureReviewSystem, "AffiliationDeclared")
+        .withArgs(reviewer1.address, author1.address);
+      await startReview([author1]);
+
+      expect(await literatureReviewSystem.isAssigned(1, 1, reviewer1.address)).to.equal(false);
+      await expect(review(reviewer1, 1)).to.be.revertedWith("Conflict of interest");
+    });
+
+    it("Should block assigned reviewers who declare an affiliation later", async function () {
+      await startReview([author1]);
+      await literatureReviewSystem.connect(reviewer1).declareAffiliation(author1.address);
+
+      await expect(review(reviewer1, 1)).to.be.revertedWith("Conflict of interest");
+    });
+
+    it("Should validate affiliation declarations", async function () {
+      await expect(literatureReviewSystem.connect(author1).declareAffiliation(author2.address)).to.be.revertedWith(
+        "Reviewer not registered"
+      );
+      await expect(literatureReviewSystem.connect(reviewer1).declareAffiliation(reviewer1.address)).to.be.revertedWith(
+        "Cannot declare self"
+      );
+
+      await literatureReviewSystem.connect(reviewer1).declareAffiliation(author1.address);
+      await expect(literatureReviewSystem.connect(reviewer1).declareAffiliation(author1.address)).to.be.revertedWith(
+        "Affiliation already declared"
+      );
+      expect(await literatureReviewSystem.getAffiliations(reviewer1.address)).to.deep.equal([author1.address]);
+    });
+
+    it("Should let assigned reviewers recuse with an audit log entry", async function () {
+      await startReview([author1], 2);
+
+      await expect(literatureReviewSystem.connect(reviewer1).recuseFromReview(1, "Former student of the author"))
+        .to.emit(literatureReviewSystem, "ReviewerRecused")
+        .withArgs(1, 1, reviewer1.address, "Former student of the author")
+        .and.to.emit(literatureReviewSystem, "AuditLog");
+
+      expect(await literatureReviewSystem.hasRecused(1, 1, reviewer1.address)).to.equal(true);
+      expect(await literatureReviewSystem.getWorkAssignees(1, 1)).to.deep.equal([reviewer2.address]);
+      expect(await literatureReviewSystem.getAssignedWorks(1, reviewer1.address)).to.deep.equal([]);
+      await expect(review(reviewer1, 1)).to.be.revertedWith("Not assigned to this work");
+      await expect(literatureReviewSystem.connect(reviewer1).recuseFromReview(1, "Again")).to.be.revertedWith(
+        "Not assigned to this work"
+      );
+    });
+
+    it("Should not allow recusal after reviewing", async function () {
+      await startReview([author1]);
+      await review(reviewer1, 1);
+
+      await expect(literatureReviewSystem.connect(reviewer1).recuseFromReview(1, "Too late")).to.be.revertedWith(
+        "Already reviewed"
+      );
+    });
+
+    it("Should let the owner reassign a recused slot", async function () {
+      await startReview([author1], 2);
+      await literatureReviewSystem.connect(reviewer1).recuseFromReview(1, "Conflict");
+
+      await expect(literatureReviewSystem.connect(owner).reassignReviewer(1, reviewer1.address)).to.be.revertedWith(
+        "Reviewer recused"
+      );
+      await expect(literatureReviewSystem.connect(owner).reassignReviewer(1, reviewer2.address)).to.be.revertedWith(
+        "Already assigned"
+      );
+      await expect(literatureReviewSystem.connect(author1).reassignReviewer(1, reviewer3.address)).to.be.revertedWith(
+        "Not authorized"
+      );
+
+      await expect(literatureReviewSystem.connect(owner).reassignReviewer(1, reviewer3.address))
+        .to.emit(literatureReviewSystem, "ReviewerAssigned")
+        .withArgs(1, 1, reviewer3.address);
+      await expect(review(reviewer3, 1)).to.emit(literatureReviewSystem, "ReviewSubmitted");
+    });
+
+    it("Should not reassign to conflicted or inactive reviewers", async function () {
+      await startReview([reviewer3], 1);
+
+      await expect(literatureReviewSystem.connect(owner).reassignReviewer(1, reviewer3.address)).to.be.revertedWith(
+        "Conflict of interest"
+      );
+      await expect(literatureReviewSystem.connect(owner).reassignReviewer(1, author1.address)).to.be.revertedWith(
+        "Reviewer not active"
+      );
+    });
+  });
+
+  describe("Review Quorum", function () {
+    let reviewer3;
+    let submissionFee;
+    let reviewStake;
+
+    before(function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    beforeEach(async function () {
+      reviewer3 = (await ethers.getSigners())[5];
+      submissionFee = await literatureReviewSystem.SUBMISSION_FEE();
+      reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await literatureReviewSystem.connect(reviewer).registerReviewer("Reviewer", "Fiction", { value: reviewStake });
+        await literatureReviewSystem.connect(owner).approveReviewer(reviewer.address);
+      }
+    });
+
+    // Work 1 gets three reviews, work 2 only one; both are in the same category
+    async function reviewWithQuorum(quorum) {
+      await literatureReviewSystem.connect(owner).setReviewQuorum(1, quorum);
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("Well Reviewed", "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee });
+      await literatureReviewSystem
+        .connect(author2)
+        .submitWork("Barely Reviewed", "Author", "Fiction", MANUSCRIPT_CID, { value: submissionFee });
+
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      await literatureReviewSystem.connect(owner).assignReviewers(1);
+
+      for (const reviewer of [reviewer1, reviewer2, reviewer3]) {
+        await literatureReviewSystem.connect(reviewer).submitReview(1, 50, 50, 50, "Comment", { value: reviewStake });
+      }
+      await literatureReviewSystem.connect(reviewer1).submitReview(2, 100, 100, 100, "Comment", { value: reviewStake });
+      await advanceTo(literatureReviewSystem, "reviewClose");
+    }
+
+    it("Should default to the minimum quorum", async function () {
+      expect(await literatureReviewSystem.DEFAULT_REVIEW_QUORUM()).to.equal(1);
+      expect(await literatureReviewSystem.getReviewQuorum(1)).to.equal(1);
+    });
+
+    it("Should validate quorum configuration", async function () {
+      await expect(literatureReviewSystem.connect(owner).setReviewQuorum(1, 0)).to.be.revertedWith(
+        "Quorum must be positive"
+      );
+      await expect(literatureReviewSystem.connect(author1).setReviewQuorum(1, 2)).to.be.revertedWith("Not authorized");
+
+      await expect(literatureReviewSystem.connect(owner).setReviewQuorum(1, 2))
+        .to.emit(literatureReviewSystem, "ReviewQuorumUpdated")
+        .withArgs(1, 2);
+      expect(await literatureReviewSystem.getReviewQuorum(1)).to.equal(2);
+
+      await schedulePeriod(literatureReviewSystem);
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.connect(owner).startReviewPeriod();
+      await expect(literatureReviewSystem.connect(owner).setReviewQuorum(1, 3)).to.be.revertedWith(
+        "Review already started"
+      );
+    });
+
+    it("Should flag works below quorum and exclude them from awards", async function () {
+      await reviewWithQuorum(2);
+
+      await expect(literatureReviewSystem.connect(owner).requestScoreDecryption(1, 2)).to.be.revertedWith(
+        "Review quorum not met"
+      );
+      await expect(literatureReviewSystem.connect(owner).calculateResults(1))
+        .to.emit(literatureReviewSystem, "WorkBelowQuorum")
+        .withArgs(1, 2, 1, 2);
+      await fhevm.awaitDecryptionOracle();
+
+      const belowQuorum = await literatureReviewSystem.getSubmissionInfo(1, 2);
+      expect(belowQuorum.insufficientReviews).to.equal(true);
+      expect(belowQuorum.reviewed).to.equal(false);
+      expect((await literatureReviewSystem.getSubmissionInfo(1, 1)).insufficientReviews).to.equal(false);
+
+      // The single 100-point review must not beat the quorate 50-point work
+      const awards = await literatureReviewSystem.getAwardDetails(1);
+      const fiction = awards.find((award) => award.category === "Fiction");
+      expect(fiction.workId).to.equal(1);
+      expect(fiction.winner).to.equal(author1.address);
+    });
+
+    it("Should refund submitters of works below quorum once", async function () {
+      await reviewWithQuorum(2);
+
+      await expect(literatureReviewSystem.connect(author2).claimInsufficientReviewsRefund(1, 2)).to.be.revertedWith(
+        "Review quorum was met"
+      );
+      await literatureReviewSystem.connect(owner).calculateResults(1);
+
+      await expect(literatureReviewSystem.connect(author1).claimInsufficientReviewsRefund(1, 1)).to.be.revertedWith(
+        "Review quorum was met"
+      );
+      await expect(literatureReviewSystem.connect(author1).claimInsufficientReviewsRefund(1, 2)).to.be.revertedWith(
+        "Not the submitter"
+      );
+
+      await expect(literatureReviewSystem.connect(author2).claimInsufficientReviewsRefund(1, 2))
+        .to.emit(literatureReviewSystem, "RefundClaimed")
+        .withArgs(author2.address, submissionFee, "Insufficient reviews");
+      expect((await literatureReviewSystem.getSubmissionInfo(1, 2)).refundClaimed).to.equal(true);
+      await expect(literatureReviewSystem.connect(author2).claimInsufficientReviewsRefund(1, 2)).to.be.revertedWith(
+        "Already refunded"
+      );
+    });
+  });
+
+  describe("Competition Factory", function () {
+    let factory;
+
+    beforeEach(async function () {
+      const LiteratureReviewFactory = await ethers.getContractFactory("LiteratureReviewFactory");
+      factory = await LiteratureReviewFactory.deploy(modules);
+      await factory.waitForDeployment();
+    });
+
+    async function createCompetition(name, admin, submissionFee, reviewStake, categories) {
+      const id = await factory.getCompetitionCount();
+      await factory.createCompetition(name, admin.address, submissionFee, reviewStake, categories);
+      const competition = await factory.getCompetition(id);
+      return ethers.getContractAt(await readSystemAbi(artifacts), competition.system);
+    }
+
+    it("Should deploy independent programs with their own owner, fees and categories", async function () {
+      const poetryPrize = await createCompetition("Poetry Prize", author1, 1000n, 500n, ["Sonnet", "Free Verse"]);
+      const novelPrize = await createCompetition("Novel Prize", author2, 2000n, 800n, ["Novel"]);
+
+      expect(await poetryPrize.owner()).to.equal(author1.address);
+      expect(await poetryPrize.SUBMISSION_FEE()).to.equal(1000n);
+      expect(await poetryPrize.REVIEW_STAKE()).to.equal(500n);
+      expect((await poetryPrize.getCategories()).names).to.deep.equal(["Sonnet", "Free Verse"]);
+
+      expect(await novelPrize.owner()).to.equal(author2.address);
+      expect(await novelPrize.SUBMISSION_FEE()).to.equal(2000n);
+      expect(await novelPrize.deploymentBlock()).to.equal(await ethers.provider.getBlockNumber());
+      expect((await novelPrize.getCategories()).names).to.deep.equal(["Novel"]);
+
+      // Administration of one program does not touch the other
+      await poetryPrize.connect(author1).addCategory("Haiku");
+      expect((await novelPrize.getCategories()).names).to.deep.equal(["Novel"]);
+      await expect(poetryPrize.connect(author2).addCategory("Epic")).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should run competitions on the template's module chain", async function () {
+      const poetryPrize = await createCompetition("Poetry Prize", author1, 1000n, 500n, ["Sonnet"]);
+      await schedulePeriod(poetryPrize.connect(author1));
+
+      await expect(poetryPrize.connect(author2).submitWork("Ode", "Author", "Sonnet", MANUSCRIPT_CID, { value: 1000n }))
+        .to.emit(poetryPrize, "WorkSubmitted")
+        .withArgs(1, 1, author2.address, 1000n);
+      expect((await poetryPrize.getSubmissionInfo(1, 1)).title).to.equal("Ode");
+      expect(await ethers.provider.getBalance(await poetryPrize.getAddress())).to.equal(1000n);
+    });
+
+    it("Should not initialize competitions or the template again", async function () {
+      const poetryPrize = await createCompetition("Poetry Prize", author1, 1000n, 500n, ["Sonnet"]);
+      await expect(poetryPrize.initialize(author2.address, 0n, 0n, ["Epic"])).to.be.revertedWith("Already initialized");
+
+      const template = await ethers.getContractAt(await readSystemAbi(artifacts), await factory.IMPLEMENTATION());
+      expect(await template.owner()).to.equal(await factory.getAddress());
+      await expect(template.initialize(author2.address, 0n, 0n, ["Epic"])).to.be.revertedWith("Already initialized");
+    });
+
+    it("Should index competitions", async function () {
+      await expect(factory.createCompetition("Poetry Prize", author1.address, 1000n, 500n, ["Sonnet"]))
+        .to.emit(factory, "CompetitionCreated")
+        .withArgs(0, anyValue, author1.address, "Poetry Prize");
+      await factory.createCompetition("Novel Prize", author2.address, 2000n, 800n, ["Novel"]);
+      await factory.connect(author2).createCompetition("Essay Prize", author1.address, 1000n, 500n, ["Essay"]);
+
+      expect(await factory.getCompetitionCount()).to.equal(3);
+      const essayPrize = await factory.getCompetition(2);
+      expect(essayPrize.name).to.equal("Essay Prize");
+      expect(essayPrize.owner).to.equal(author1.address);
+      expect(essayPrize.creator).to.equal(author2.address);
+      expect(await factory.isCompetition(essayPrize.system)).to.equal(true);
+      expect(await factory.isCompetition(author1.address)).to.equal(false);
+
+      expect(await factory.getCompetitionsByOwner(author1.address)).to.deep.equal([0n, 2n]);
+      expect((await factory.getCompetitions(1, 5)).map((competition) => competition.name)).to.deep.equal([
+        "Novel Prize",
+        "Essay Prize",
+      ]);
+      expect(await factory.getCompetitions(3, 5)).to.deep.equal([]);
+      await expect(factory.getCompetition(3)).to.be.revertedWith("Competition not found");
+    });
+
+    it("Should reject invalid competitions", async function () {
+      await expect(factory.createCompetition("", author1.address, 1000n, 500n, ["Sonnet"])).to.be.revertedWith(
+        "Invalid name"
+      );
+      await expect(factory.createCompetition("Poetry Prize", author1.address, 1000n, 500n, [])).to.be.revertedWith(
+        "No categories"
+      );
+    });
+  });
+
+  describe("Review Feedback", function () {
+    let chainId;
+    let contractAddress;
+
+    async function feedbackKey(signer) {
+      return deriveFeedbackKey(signer, contractAddress, chainId);
+    }
+
+    beforeEach(async function () {
+      chainId = (await ethers.provider.getNetwork()).chainId;
+      contractAddress = await literatureReviewSystem.getAddress();
+    });
+
+    it("Should publish and rotate encryption keys", async function () {
+      const key = await feedbackKey(author1);
+      await expect(literatureReviewSystem.connect(author1).publishEncryptionKey(key.compressedPublicKey))
+        .to.emit(literatureReviewSystem, "EncryptionKeyPublished")
+        .withArgs(author1.address, key.compressedPublicKey);
+      expect(await literatureReviewSystem.encryptionKeys(author1.address)).to.equal(key.compressedPublicKey);
+
+      const rotated = new ethers.SigningKey(ethers.randomBytes(32)).compressedPublicKey;
+      await literatureReviewSystem.connect(author1).publishEncryptionKey(rotated);
+      expect(await literatureReviewSystem.encryptionKeys(author1.address)).to.equal(rotated);
+      expect(await literatureReviewSystem.encryptionKeys(author2.address)).to.equal("0x");
+    });
+
+    it("Should only derive keys the signer can derive again", async function () {
+      const key = await deriveNewFeedbackKey(author1, contractAddress, chainId);
+      expect(key.compressedPublicKey).to.equal((await feedbackKey(author1)).compressedPublicKey);
+
+      // Wallets that sign with a random nonce produce a different key every time
+      const randomizedSigner = { signMessage: async () => ethers.hexlify(ethers.randomBytes(65)) };
+      await expect(deriveNewFeedbackKey(randomizedSigner, contractAddress, chainId)).to.be.rejectedWith(
+        "does not sign deterministically"
+      );
+    });
+
+    it("Should check derived keys against the published key", async function () {
+      await expect(derivePublishedFeedbackKey(literatureReviewSystem, author1, chainId)).to.be.rejectedWith(
+        "No feedback key published"
+      );
+
+      const key = await feedbackKey(author1);
+      await literatureReviewSystem.connect(author1).publishEncryptionKey(key.compressedPublicKey);
+      const derived = await derivePublishedFeedbackKey(literatureReviewSystem, author1, chainId);
+      expect(derived.compressedPublicKey).to.equal(key.compressedPublicKey);
+
+      const otherKey = new ethers.SigningKey(ethers.randomBytes(32)).compressedPublicKey;
+      await literatureReviewSystem.connect(author1).publishEncryptionKey(otherKey);
+      await expect(derivePublishedFeedbackKey(literatureReviewSystem, author1, chainId)).to.be.rejectedWith(
+        "does not match"
+      );
+    });
+
+    it("Should reject malformed encryption keys", async function () {
+      const uncompressed = new ethers.SigningKey(ethers.randomBytes(32)).publicKey;
+      for (const key of ["0x", uncompressed, `0x04${"11".repeat(32)}`]) {
+        await expect(literatureReviewSystem.connect(author1).publishEncryptionKey(key)).to.be.revertedWith(
+          "Invalid encryption key"
+        );
+      }
+    });
+
+    it("Should let only the author and chair read feedback after the announcement", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      const reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+      const authorKey = await feedbackKey(author1);
+      const chairKey = await feedbackKey(owner);
+      await literatureReviewSystem.connect(author1).publishEncryptionKey(authorKey.compressedPublicKey);
+      await literatureReviewSystem.connect(owner).publishEncryptionKey(chairKey.compressedPublicKey);
+
+      await literatureReviewSystem
+        .connect(reviewer1)
+        .registerReviewer("Dr. Jane Smith", "Fiction", { value: reviewStake });
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("The Great Novel", "John Doe", "Fiction", MANUSCRIPT_CID, { value: SUBMISSION_FEE });
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.startReviewPeriod();
+      await literatureReviewSystem.assignReviewers(1);
+
+      const recipients = await Promise.all(
+        [author1, owner].map(async (recipient) => ({
+          address: recipient.address,
+          publicKey: await literatureReviewSystem.encryptionKeys(recipient.address),
+        }))
+      );
+      const envelope = await encryptFeedback("Tighten the second act", recipients);
+      await literatureReviewSystem.connect(reviewer1).submitReview(1, 80, 80, 80, envelope, { value: reviewStake });
+
+      expect((await literatureReviewSystem.reviews(1, 1, reviewer1.address)).encryptedComments).to.not.include(
+        "Tighten"
+      );
+      await expect(literatureReviewSystem.getReviewFeedback(1, 1)).to.be.revertedWith("Awards not announced");
+
+      await advanceTo(literatureReviewSystem, "announcement");
+      await expect(literatureReviewSystem.announceAwards(1)).to.be.revertedWith("Results not calculated");
+      await literatureReviewSystem.calculateResults(1);
+      // Announcing while the winner is still being decrypted keeps the feedback locked
+      await literatureReviewSystem.announceAwards(1);
+      await expect(literatureReviewSystem.getReviewFeedback(1, 1)).to.be.revertedWith("Awards not announced");
+
+      await fhevm.awaitDecryptionOracle();
+      await literatureReviewSystem.announceAwards(1);
+      const feedback = await literatureReviewSystem.getReviewFeedback(1, 1);
+      expect(feedback.reviewerList).to.deep.equal([reviewer1.address]);
+
+      expect(await decryptFeedback(feedback.comments[0], authorKey, author1.address)).to.equal(
+        "Tighten the second act"
+      );
+      expect(await decryptFeedback(feedback.comments[0], chairKey, owner.address)).to.equal("Tighten the second act");
+      expect(await decryptFeedback(feedback.comments[0], await feedbackKey(author2), author2.address)).to.equal(null);
+    });
+  });
+
+  describe("Double-Blind Mode", function () {
+    const salt = ethers.id("author1 salt");
+    let commitment;
+
+    beforeEach(async function () {
+      commitment = await literatureReviewSystem.computeIdentityCommitment("John Doe", author1.address, salt);
+    });
+
+    async function submitBlind(sender = author2) {
+      return literatureReviewSystem
+        .connect(sender)
+        .submitWorkBlind("The Great Novel", "Fiction", MANUSCRIPT_CID, commitment, { value: SUBMISSION_FEE });
+    }
+
+    it("Should commit to the author name, submitter and salt", async function () {
+      const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["string", "address", "bytes32"],
+        ["John Doe", author1.address, salt]
+      );
+      expect(commitment).to.equal(ethers.keccak256(encoded));
+    });
+
+    it("Should only let the chair toggle double-blind before submissions", async function () {
+      await expect(literatureReviewSystem.connect(author1).setDoubleBlind(1, true)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(literatureReviewSystem.connect(owner).setDoubleBlind(1, true))
+        .to.emit(literatureReviewSystem, "DoubleBlindUpdated")
+        .withArgs(1, true);
+
+      await schedulePeriod(literatureReviewSystem);
+      await submitBlind();
+      await expect(literatureReviewSystem.connect(owner).setDoubleBlind(1, false)).to.be.revertedWith(
+        "Period has submissions"
+      );
+    });
+
+    it("Should require the submission mode of the period", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await expect(submitBlind()).to.be.revertedWith("Period is not double-blind");
+
+      await literatureReviewSystem.connect(owner).setDoubleBlind(1, true);
+      await expect(
+        literatureReviewSystem
+          .connect(author1)
+          .submitWork("The Great Novel", "John Doe", "Fiction", MANUSCRIPT_CID, { value: SUBMISSION_FEE })
+      ).to.be.revertedWith("Period is double-blind");
+      await expect(
+        literatureReviewSystem
+          .connect(author1)
+          .submitWorkBlind("The Great Novel", "Fiction", MANUSCRIPT_CID, ethers.ZeroHash, { value: SUBMISSION_FEE })
+      ).to.be.revertedWith("Invalid commitment");
+    });
+
+    it("Should store only the commitment of a double-blind work", async function () {
+      await literatureReviewSystem.connect(owner).setDoubleBlind(1, true);
+      await schedulePeriod(literatureReviewSystem);
+
+      await expect(submitBlind())
+        .to.emit(literatureReviewSystem, "WorkSubmitted")
+        .withArgs(1, 1, ethers.ZeroAddress, SUBMISSION_FEE);
+
+      const info = await literatureReviewSystem.getSubmissionInfo(1, 1);
+      expect(info.title).to.equal("The Great Novel");
+      expect(info.genre).to.equal("Fiction");
+      expect(info.author).to.equal("");
+      expect(info.submitter).to.equal(ethers.ZeroAddress);
+      expect(await literatureReviewSystem.identityCommitments(1, 1)).to.equal(commitment);
+      expect(await literatureReviewSystem.getManuscriptCid(1, 1)).to.equal(MANUSCRIPT_CID);
+    });
+
+    it("Should verify the reveal against the commitment after the announcement", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      const reviewStake = await literatureReviewSystem.REVIEW_STAKE();
+      await literatureReviewSystem
+        .connect(reviewer1)
+        .registerReviewer("Dr. Jane Smith", "Fiction", { value: reviewStake });
+      await literatureReviewSystem.connect(owner).approveReviewer(reviewer1.address);
+      await literatureReviewSystem.connect(owner).setDoubleBlind(1, true);
+      await schedulePeriod(literatureReviewSystem);
+      await submitBlind();
+
+      await advanceTo(literatureReviewSystem, "submissionClose");
+      await literatureReviewSystem.startReviewPeriod();
+      await literatureReviewSystem.assignReviewers(1);
+      await literatureReviewSystem.connect(reviewer1).submitReview(1, 80, 80, 80, "Comment", { value: reviewStake });
+      await advanceTo(literatureReviewSystem, "announcement");
+      await literatureReviewSystem.calculateResults(1);
+      // Announcing while the winner is still being decrypted keeps reveals closed
+      await literatureReviewSystem.announceAwards(1);
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt)).to.be.revertedWith(
+        "Awards not announced"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt)).to.be.revertedWith(
+        "Awards not announced"
+      );
+      await expect(literatureReviewSystem.announceAwards(1))
+        .to.emit(literatureReviewSystem, "AwardAnnounced")
+        .withArgs(1, "Fiction", ethers.ZeroAddress);
+
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "Jane Doe", salt)).to.be.revertedWith(
+        "Commitment mismatch"
+      );
+      await expect(
+        literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", ethers.id("wrong salt"))
+      ).to.be.revertedWith("Commitment mismatch");
+      await expect(literatureReviewSystem.connect(author2).revealIdentity(1, 1, "John Doe", salt)).to.be.revertedWith(
+        "Commitment mismatch"
+      );
+
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt))
+        .to.emit(literatureReviewSystem, "IdentityRevealed")
+        .withArgs(1, 1, author1.address, "John Doe");
+
+      const info = await literatureReviewSystem.getSubmissionInfo(1, 1);
+      expect(info.author).to.equal("John Doe");
+      expect(info.submitter).to.equal(author1.address);
+      expect((await literatureReviewSystem.getAwards(1)).winners).to.deep.equal([author1.address]);
+      const scores = await literatureReviewSystem.getEncryptedScores(1, 1);
+      const contractAddress = await literatureReviewSystem.getAddress();
+      expect(await fhevm.userDecryptEuint(FhevmType.euint32, scores.quality, contractAddress, author1)).to.equal(80);
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt)).to.be.revertedWith(
+        "Identity already revealed"
+      );
+    });
+
+    it("Should allow revealing after a stalled announcement to reclaim the deposit", async function () {
+      await literatureReviewSystem.connect(owner).setDoubleBlind(1, true);
+      await schedulePeriod(literatureReviewSystem);
+      await submitBlind();
+
+      await expect(literatureReviewSystem.connect(author1).claimTimeoutRefund(1, 1)).to.be.revertedWith(
+        "Not the submitter"
+      );
+      const { announcement } = await literatureReviewSystem.getPeriodSchedule(1);
+      const revealOpens = announcement + (await literatureReviewSystem.REVIEW_TIMEOUT());
+      // The reverted call is mined at revealOpens, the reveal one second later
+      await time.increaseTo(revealOpens - 1n);
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt)).to.be.revertedWith(
+        "Awards not announced"
+      );
+      await literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt);
+
+      await expect(literatureReviewSystem.connect(author1).claimTimeoutRefund(1, 1)).to.changeEtherBalance(
+        author1,
+        SUBMISSION_FEE
+      );
+    });
+
+    it("Should reject reveals for works that are not double-blind", async function () {
+      await schedulePeriod(literatureReviewSystem);
+      await literatureReviewSystem
+        .connect(author1)
+        .submitWork("The Great Novel", "John Doe", "Fiction", MANUSCRIPT_CID, { value: SUBMISSION_FEE });
+
+      await expect(literatureReviewSystem.connect(author1).revealIdentity(1, 1, "John Doe", salt)).to.be.revertedWith(
+        "Not a double-blind work"
+      );
+    });
+  });
+
+  describe("Contract SDK", function () {
+    it("Should match the ABIs of the compiled contracts", async function () {
+      const abis = {
+        LiteratureReviewSystem: await readSystemAbi(artifacts),
+        LiteratureReviewFactory: (await artifacts.readArtifact("LiteratureReviewFactory")).abi,
+      };
+      for (const [name, abi] of Object.entries(abis)) {
+        const sdkAbi = require(`../sdk/src/generated/${name}.abi.json`);
+        expect(sdkAbi, `${name} ABI is stale, run npm run sdk:generate`).to.deep.equal(abi);
+      }
+    });
+  });
 });